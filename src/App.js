@@ -1,256 +1,115 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Play, Download, Upload, SlidersHorizontal, ChevronDown, ChevronUp } from 'lucide-react';
-
-// --- Web Audio FM Synthesis Engine ---
-
-let audioContext;
-const activeNotes = new Map();
-
-// Helper function to convert MIDI note number to note name
-const midiToNoteName = (midi) => {
-  if (midi < 0 || midi > 127) return '';
-  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const octave = Math.floor(midi / 12) - 1;
-  const noteIndex = midi % 12;
-  return `${noteNames[noteIndex]}${octave}`;
-};
-
-// Operator class to manage Oscillator and Envelope Gain
-class Operator {
-  constructor(context) {
-    this.context = context;
-    this.osc = context.createOscillator();
-    this.env = context.createGain();
-    this.env.gain.value = 0;
-    this.osc.connect(this.env);
-    this.output = this.env; // This is the raw (osc * envelope) output
-    this.osc.start();
-  }
-
-  connect(destination) {
-    this.output.connect(destination);
-  }
-
-  scheduleEnvelope(params, time) {
-    const { attack, decay, sustain } = params;
-    const now = time || this.context.currentTime;
-    const gain = this.env.gain;
-
-    gain.cancelScheduledValues(now);
-    gain.setValueAtTime(gain.value, now);
-    // Envelope now always targets 1.0. The 'level' param will be applied separately.
-    gain.linearRampToValueAtTime(1.0, now + attack);
-    gain.linearRampToValueAtTime(sustain, now + attack + decay);
-  }
-
-  triggerRelease(params) {
-    const { release } = params;
-    const now = this.context.currentTime;
-    const gain = this.env.gain;
-
-    gain.cancelScheduledValues(now);
-    gain.setValueAtTime(gain.value, now);
-    gain.linearRampToValueAtTime(0, now + release);
-
-    try {
-      this.osc.stop(now + release + 0.5);
-    } catch(e) {
-      // Already stopped
-    }
-  }
-}
-
-// Main synth class
-class FMSynth {
-  constructor(context) {
-    this.context = context;
-    this.masterGain = context.createGain();
-    this.masterGain.gain.value = 0.5;
-    this.masterGain.connect(context.destination);
-    this.patch = null;
-  }
-
-  setPatch(patch) {
-    this.patch = patch;
-  }
-
-  noteOn(note) {
-    if (!this.patch || this.context.state === 'suspended') {
-      this.context.resume();
-    }
-    if (activeNotes.has(note)) return;
-
-    const baseFreq = 440 * Math.pow(2, (note - 69) / 12);
-
-    const noteOperators = Array(4).fill(null).map(() => new Operator(this.context));
-    const { algorithm, operators: opParams } = this.patch;
-
-    noteOperators.forEach((op, i) => {
-      const params = opParams[i];
-      if (!params.on) return;
-
-      const freq = baseFreq * params.ratio * (1 + params.detune / 1000);
-      op.osc.type = params.waveform;
-      op.osc.frequency.setValueAtTime(freq, this.context.currentTime);
-      op.scheduleEnvelope(params);
-    });
-
-    // --- FIXED ALGORITHM ROUTING ---
-    // Helper to connect a modulator to a carrier
-    const connectModulator = (modIndex, carIndex) => {
-      if (!opParams[modIndex]?.on || !opParams[carIndex]?.on) return;
-      const modulator = noteOperators[modIndex];
-      const carrier = noteOperators[carIndex];
-      const modP = opParams[modIndex];
-
-      const modGain = this.context.createGain();
-      // Scale the modulator's output significantly. 'level' now controls modulation depth.
-      modGain.gain.value = modP.level * 5000;
-
-      modulator.output.connect(modGain);
-      modGain.connect(carrier.osc.frequency);
-    };
-
-    // Helper to connect a carrier to the main output
-    const connectCarrier = (carIndex) => {
-      if (!opParams[carIndex]?.on) return;
-      const carrier = noteOperators[carIndex];
-      const carP = opParams[carIndex];
-
-      const carGain = this.context.createGain();
-      // For carriers, 'level' controls the final volume.
-      carGain.gain.value = carP.level;
-
-      carrier.output.connect(carGain);
-      carGain.connect(this.masterGain);
-    };
-
-    switch (algorithm) {
-      case 1: // 1->2->3->4->out
-        connectModulator(0, 1);
-        connectModulator(1, 2);
-        connectModulator(2, 3);
-        connectCarrier(3);
-        break;
-      case 2: // (1->2) + (3->4) -> out
-        connectModulator(0, 1);
-        connectCarrier(1);
-        connectModulator(2, 3);
-        connectCarrier(3);
-        break;
-      case 3: // (1+2)->3 -> 4 -> out
-        connectModulator(0, 2);
-        connectModulator(1, 2);
-        connectModulator(2, 3);
-        connectCarrier(3);
-        break;
-      case 4: // (1+2+3) -> 4 -> out
-        connectModulator(0, 3);
-        connectModulator(1, 3);
-        connectModulator(2, 3);
-        connectCarrier(3);
-        break;
-      case 5: // (1->2) + 3 + 4 -> out
-        connectModulator(0, 1);
-        connectCarrier(1);
-        connectCarrier(2);
-        connectCarrier(3);
-        break;
-      case 6: // 1 + 2 + 3 + 4 -> out (Additive)
-      default:
-        connectCarrier(0);
-        connectCarrier(1);
-        connectCarrier(2);
-        connectCarrier(3);
-        break;
-    }
-
-    activeNotes.set(note, noteOperators);
-  }
-
-  noteOff(note) {
-    const noteOperators = activeNotes.get(note);
-    if (!noteOperators) return;
-
-    noteOperators.forEach((op, i) => {
-      const params = this.patch.operators[i];
-      if (params.on) {
-        op.triggerRelease(params);
-      }
-    });
-
-    activeNotes.delete(note);
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Play, Download, Upload, Link, Check, SlidersHorizontal, ChevronDown, ChevronUp } from 'lucide-react';
+import useMidiInput from './midi/useMidiInput';
+import useComputerKeyboard, { isTextField } from './keyboard/useComputerKeyboard';
+import { KEYBOARD_BASE_NOTE, DEFAULT_VELOCITY, noteKeyLabels } from './keyboard/keyBindings';
+import MidiSettings from './components/MidiSettings';
+import VoiceSettings from './components/VoiceSettings';
+import LfoSettings from './components/LfoSettings';
+import ControllerSettings from './components/ControllerSettings';
+import ControllerWheels from './components/ControllerWheels';
+import Keyboard from './components/Keyboard';
+import KeyBindingsSettings from './components/KeyBindingsSettings';
+import EffectsSettings from './components/EffectsSettings';
+import PatchBrowser from './components/PatchBrowser';
+import RenderPanel from './components/RenderPanel';
+import Analyzer from './components/Analyzer';
+import SequencerPanel from './components/SequencerPanel';
+import EnvelopeEditor from './components/EnvelopeEditor';
+import KeyScalingEditor from './components/KeyScalingEditor';
+import ErrorPanel from './components/ErrorPanel';
+import EditControls from './components/EditControls';
+import VariationPanel from './components/VariationPanel';
+import PerformancePanel from './components/PerformancePanel';
+import { ALGORITHMS, getAlgorithm, isCarrier, operatorDepths } from './synth/algorithms';
+import PerformanceSynth from './synth/PerformanceSynth';
+import { loadFmWorklet } from './synth/WorkletEngine';
+import { MAX_FEEDBACK } from './synth/Voice';
+import PhraseRecorder from './synth/PhraseRecorder';
+import Arpeggiator from './synth/Arpeggiator';
+import StepSequencer from './synth/StepSequencer';
+import { initialPatch } from './patch/patch';
+import { loadPatch, validatePatch, versionedPatch, formatPatchError } from './patch/schema';
+import { patchLinkHash, patchFromHash } from './patch/patchLink';
+import usePatchHistory from './patch/usePatchHistory';
+import usePerformance from './patch/usePerformance';
+import { isPerformanceFile, loadPerformance, exportPerformance } from './patch/performance';
+import { downloadJson, downloadBlob } from './utils/download';
+import { isVoiceFile, parseVoiceFile, PATCH_EXPORT_FORMATS, VOICE_FILE_EXTENSIONS } from './patch/formats';
+
+// --- React Components ---
+
+// Octave shift of the on-screen keyboard and PC keys, either way.
+const MAX_OCTAVE = 2;
+// Sizes of the on-screen keyboard, in octaves.
+const KEYBOARD_SIZES = [1, 2, 3, 4];
+
+// A patch shared as a link (#patch=...) replaces the initial patch on startup.
+const readLinkedPatch = () => {
+  try {
+    return { linked: patchFromHash(window.location.hash), error: null };
+  } catch (error) {
+    return { linked: null, error: error.message };
   }
-}
-
-
-// --- React Components (No changes below this line) ---
-
-const KEY_TO_NOTE = {
-  'a': 60, 'w': 61, 's': 62, 'e': 63, 'd': 64, 'f': 65,
-  't': 66, 'g': 67, 'y': 68, 'h': 69, 'u': 70, 'j': 71, 'k': 72,
 };
 
-const initialPatch = {
-  algorithm: 1,
-  masterGain: 0.5,
-  operators: [
-    { on: true, ratio: 1.00, detune: 0, level: 0.8, attack: 0.01, decay: 0.3, sustain: 0.8, release: 0.5, waveform: 'sine' },
-    { on: true, ratio: 1.00, detune: 0, level: 0.5, attack: 0.01, decay: 0.3, sustain: 0.8, release: 0.5, waveform: 'sine' },
-    { on: false, ratio: 5.00, detune: 0, level: 0.4, attack: 0.01, decay: 0.3, sustain: 0.8, release: 0.5, waveform: 'sine' },
-    { on: true, ratio: 1.00, detune: 0, level: 0.99, attack: 0.01, decay: 0.3, sustain: 0.8, release: 0.5, waveform: 'sine' },
-  ]
-};
-
-const algorithms = [
-  { id: 1, name: '1 > 2 > 3 > 4' },
-  { id: 2, name: '(1>2) + (3>4)' },
-  { id: 3, name: '(1+2)>3 > 4' },
-  { id: 4, name: '(1+2+3) > 4' },
-  { id: 5, name: '(1>2) + 3 + 4' },
-  { id: 6, name: '1 + 2 + 3 + 4' },
-];
-
-const AlgorithmVisualizer = ({ algoId }) => {
-  const getStyle = (op) => {
-    let carrier = false;
-    switch(algoId) {
-      case 1: carrier = op === 4; break;
-      case 2: carrier = op === 2 || op === 4; break;
-      case 3: carrier = op === 4; break;
-      case 4: carrier = op === 4; break;
-      case 5: carrier = op === 2 || op === 3 || op === 4; break;
-      case 6: carrier = true; break;
-      default: carrier = true;
-    }
-    return {
-      backgroundColor: carrier ? 'bg-sky-500' : 'bg-pink-500',
-      borderColor: carrier ? 'border-sky-300' : 'border-pink-300',
-    };
-  };
+// Draws the operator graph of an algorithm: modulators on the left, carriers on the right.
+const AlgorithmVisualizer = ({ algoId, feedback = 0 }) => {
+  const algo = getAlgorithm(algoId);
+  const depths = operatorDepths(algo);
+  const maxDepth = Math.max(...Object.values(depths));
+  const BOX = 28, COL_W = 52, ROW_H = 40, PAD = 14;
+
+  const columns = {};
+  [1, 2, 3, 4].forEach(op => { (columns[depths[op]] = columns[depths[op]] || []).push(op); });
+  const maxRows = Math.max(...Object.values(columns).map(ops => ops.length));
+  const height = maxRows * ROW_H + PAD;
+  const outX = (maxDepth + 1) * COL_W + PAD;
+
+  const pos = {};
+  Object.entries(columns).forEach(([depth, ops]) => {
+    const top = (height - ops.length * ROW_H) / 2 + (ROW_H - BOX) / 2;
+    ops.forEach((op, row) => { pos[op] = { x: (maxDepth - depth) * COL_W + PAD, y: top + row * ROW_H }; });
+  });
+  const outY = height / 2;
 
   return (
-      <div className="flex space-x-2 p-2 bg-gray-700 rounded-lg">
-        {[1, 2, 3, 4].map(op => {
-          const { backgroundColor, borderColor } = getStyle(op);
-          return (
-              <div key={op} className={`w-10 h-10 flex items-center justify-center font-bold text-white rounded ${backgroundColor} border-2 ${borderColor}`}>
-                {op}
-              </div>
-          )
-        })}
+      <div className="p-2 bg-gray-700 rounded-lg">
+        <svg width={outX + 30} height={height} role="img" aria-label={`Algorithm ${algo.name}`}>
+          {algo.modulations.map(([mod, target]) => (
+              <line key={`${mod}-${target}`} x1={pos[mod].x + BOX} y1={pos[mod].y + BOX / 2} x2={pos[target].x} y2={pos[target].y + BOX / 2} stroke="#f9a8d4" strokeWidth="2" />
+          ))}
+          {algo.carriers.map(car => (
+              <line key={`out-${car}`} x1={pos[car].x + BOX} y1={pos[car].y + BOX / 2} x2={outX} y2={outY} stroke="#7dd3fc" strokeWidth="2" />
+          ))}
+          {feedback > 0 && (
+              <path d={`M ${pos[algo.feedback].x + BOX / 2 + 6} ${pos[algo.feedback].y} q 0 -10 -6 -10 q -6 0 -6 10`} fill="none" stroke="#fde047" strokeWidth="2" />
+          )}
+          {[1, 2, 3, 4].map(op => {
+            const carrier = isCarrier(algo, op);
+            return (
+                <g key={op}>
+                  <rect x={pos[op].x} y={pos[op].y} width={BOX} height={BOX} rx="4" fill={carrier ? '#0ea5e9' : '#ec4899'} stroke={carrier ? '#7dd3fc' : '#f9a8d4'} strokeWidth="2" />
+                  <text x={pos[op].x + BOX / 2} y={pos[op].y + BOX / 2 + 5} textAnchor="middle" className="font-bold" fill="white" fontSize="14">{op}</text>
+                </g>
+            );
+          })}
+          <text x={outX + 3} y={outY + 4} fill="#d1d5db" fontSize="10">OUT</text>
+        </svg>
       </div>
   );
 };
 
 
 const OperatorControls = ({ id, params, updateOperator, isCollapsed, toggleCollapse }) => {
-  const { on, ratio, detune, level, attack, decay, sustain, release, waveform } = params;
+  const { on, ratio, fixed, fixedFreq, detune, level, velocitySens, amSens, rateScaling, waveform } = params;
   const opColor = on ? `border-teal-400` : `border-gray-600`;
   const headerColor = on ? `bg-gray-700` : `bg-gray-800`;
 
   const handleUpdate = (param, value) => updateOperator(id - 1, { ...params, [param]: value });
   const handleFloatUpdate = (param, value) => handleUpdate(param, parseFloat(value));
+  // Fixed frequencies use a log slider: 1 Hz to 20 kHz.
+  const handleFixedFreqUpdate = (value) => handleUpdate('fixedFreq', Math.min(20000, Math.max(1, Math.round(Math.pow(10, parseFloat(value)) * 10) / 10)));
 
   return (
       <div className={`bg-gray-800 rounded-xl border-2 ${opColor} transition-all duration-300`}>
@@ -265,172 +124,327 @@ const OperatorControls = ({ id, params, updateOperator, isCollapsed, toggleColla
         </div>
         {!isCollapsed && (
             <div className={`p-4 grid grid-cols-1 sm:grid-cols-2 gap-4 ${on ? 'opacity-100' : 'opacity-50 pointer-events-none'}`}>
-              <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Ratio <span>{ratio.toFixed(2)}</span></label><input type="range" min="0.01" max="16" step="0.01" value={ratio} onChange={(e) => handleFloatUpdate('ratio', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+              <div className="space-y-1">
+                <label className="text-sm font-medium text-gray-300 flex justify-between items-center">
+                  <span className="flex items-center space-x-2"><span>{fixed ? 'Fixed' : 'Ratio'}</span><button onClick={() => handleUpdate('fixed', !fixed)} aria-pressed={fixed} title="固定周波数" className={`text-[10px] font-bold px-1.5 rounded ${fixed ? 'bg-pink-500 text-white' : 'bg-gray-600 text-gray-300'}`}>FIX</button></span>
+                  <span>{fixed ? `${fixedFreq}Hz` : ratio.toFixed(2)}</span>
+                </label>
+                {fixed
+                  ? <input type="range" min="0" max={Math.log10(20000)} step="0.001" value={Math.log10(fixedFreq)} onChange={(e) => handleFixedFreqUpdate(e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" />
+                  : <input type="range" min="0.01" max="16" step="0.01" value={ratio} onChange={(e) => handleFloatUpdate('ratio', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" />}
+              </div>
               <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Detune <span>{detune}</span></label><input type="range" min="-50" max="50" step="1" value={detune} onChange={(e) => handleUpdate('detune', parseInt(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
               <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Level <span>{level.toFixed(2)}</span></label><input type="range" min="0" max="1" step="0.01" value={level} onChange={(e) => handleFloatUpdate('level', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
               <div className="space-y-1"><label className="text-sm font-medium text-gray-300">Waveform</label><select value={waveform} onChange={(e) => handleUpdate('waveform', e.target.value)} className="w-full bg-gray-700 border border-gray-600 text-white rounded-md p-2"><option value="sine">Sine</option><option value="square">Square</option><option value="sawtooth">Sawtooth</option><option value="triangle">Triangle</option></select></div>
-              <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Attack <span>{attack.toFixed(2)}s</span></label><input type="range" min="0.001" max="2" step="0.001" value={attack} onChange={(e) => handleFloatUpdate('attack', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
-              <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Decay <span>{decay.toFixed(2)}s</span></label><input type="range" min="0.01" max="2" step="0.01" value={decay} onChange={(e) => handleFloatUpdate('decay', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
-              <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Sustain <span>{sustain.toFixed(2)}</span></label><input type="range" min="0" max="1" step="0.01" value={sustain} onChange={(e) => handleFloatUpdate('sustain', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
-              <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Release <span>{release.toFixed(2)}s</span></label><input type="range" min="0.01" max="5" step="0.01" value={release} onChange={(e) => handleFloatUpdate('release', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+              <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Velocity Sens <span>{velocitySens.toFixed(2)}</span></label><input type="range" min="0" max="1" step="0.01" value={velocitySens} onChange={(e) => handleFloatUpdate('velocitySens', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+              <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">AM Sens <span>{amSens.toFixed(2)}</span></label><input type="range" min="0" max="1" step="0.01" value={amSens} onChange={(e) => handleFloatUpdate('amSens', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+              <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">Rate Scaling <span>{rateScaling.toFixed(2)}</span></label><input type="range" min="0" max="1" step="0.01" value={rateScaling} onChange={(e) => handleFloatUpdate('rateScaling', e.target.value)} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+              <div className="sm:col-span-2"><KeyScalingEditor params={params} onChange={(changes) => updateOperator(id - 1, { ...params, ...changes })} /></div>
+              <div className="sm:col-span-2"><EnvelopeEditor params={params} onChange={(changes) => updateOperator(id - 1, { ...params, ...changes })} /></div>
             </div>
         )}
       </div>
   );
 };
 
-const Keyboard = ({ onNoteOn, onNoteOff, octaveOffset = 0 }) => {
-  const [pressedKeys, setPressedKeys] = useState(new Set());
-
-  const keys = [
-    { note: 60, key: 'a', type: 'white' }, { note: 61, key: 'w', type: 'black' }, { note: 62, key: 's', type: 'white' },
-    { note: 63, key: 'e', type: 'black' }, { note: 64, key: 'd', type: 'white' }, { note: 65, key: 'f', type: 'white' },
-    { note: 66, key: 't', type: 'black' }, { note: 67, key: 'g', type: 'white' }, { note: 68, key: 'y', type: 'black' },
-    { note: 69, key: 'h', type: 'white' }, { note: 70, key: 'u', type: 'black' }, { note: 71, key: 'j', type: 'white' },
-    { note: 72, key: 'k', type: 'white' },
-  ];
-
-  const handleInteractionStart = (note) => {
-    onNoteOn(note);
-    setPressedKeys(prev => new Set(prev).add(note));
-  };
-
-  const handleInteractionEnd = (note) => {
-    onNoteOff(note);
-    setPressedKeys(prev => { const newSet = new Set(prev); newSet.delete(note); return newSet; });
-  };
-
-  return (
-      <div className="relative h-40 bg-gray-800 p-2 rounded-b-lg select-none">
-        {keys.filter(k => k.type === 'white').map((k, index) => (
-            <div key={k.note} onMouseDown={() => handleInteractionStart(k.note)} onMouseUp={() => handleInteractionEnd(k.note)} onMouseLeave={() => handleInteractionEnd(k.note)}
-                 className={`absolute bottom-2 w-[calc(100%/8-4px)] h-36 border-2 border-gray-500 rounded-md cursor-pointer flex flex-col items-center justify-end pb-2 ${pressedKeys.has(k.note) ? 'bg-sky-400' : 'bg-gray-100'} transition-colors duration-75`}
-                 style={{ left: `calc(${index * 100 / 8}% + 2px)`}}>
-              <span className="font-bold text-gray-600 text-xs uppercase">{k.key}</span>
-              <span className="font-medium text-gray-400 text-[10px] mt-1">{midiToNoteName(k.note + octaveOffset * 12)}</span>
-            </div>
-        ))}
-        {keys.filter(k => k.type === 'black').map((k) => {
-          const whiteKeyIndex = keys.filter(wk => wk.type ==='white').findIndex(wk => wk.note > k.note) - 1;
-          return (
-              <div key={k.note} onMouseDown={() => handleInteractionStart(k.note)} onMouseUp={() => handleInteractionEnd(k.note)} onMouseLeave={() => handleInteractionEnd(k.note)}
-                   className={`absolute bottom-12 w-[calc(100%/14)] h-24 border-2 border-gray-700 rounded-md cursor-pointer flex flex-col items-center justify-end pb-2 z-10 ${pressedKeys.has(k.note) ? 'bg-sky-600' : 'bg-gray-900'} transition-colors duration-75 text-white`}
-                   style={{ left: `calc(${(whiteKeyIndex + 0.62) * 100 / 8}%)`}}>
-                <span className="font-bold text-gray-300 text-xs uppercase">{k.key}</span>
-                <span className="font-medium text-gray-500 text-[10px] mt-1">{midiToNoteName(k.note + octaveOffset * 12)}</span>
-              </div>
-          )
-        })}
-      </div>
-  );
-};
-
 export default function App() {
   const [isInitialized, setIsInitialized] = useState(false);
   const synthRef = useRef(null);
-  const [patch, setPatch] = useState(initialPatch);
+  const arpRef = useRef(null);
+  const sequencerRef = useRef(null);
+  const [linkedPatch] = useState(readLinkedPatch);
+  const { patch, setPatch, replacePatch, ...editHistory } = usePatchHistory(linkedPatch.linked?.patch ?? initialPatch);
+  const { undo, redo } = editHistory;
+  const [patchName, setPatchName] = useState(linkedPatch.linked?.name ?? null);
+  // { title, messages } for a patch that failed to load (link or file) or an engine that failed to start
+  const [loadError, setLoadError] = useState(linkedPatch.error && { title: 'リンクからパッチを読み込めませんでした', messages: [linkedPatch.error] });
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [exportFormat, setExportFormat] = useState('json');
   const [collapsedOps, setCollapsedOps] = useState({ 1: false, 2: false, 3: true, 4: false });
   const [octaveOffset, setOctaveOffset] = useState(0);
+  const [keyboardOctaves, setKeyboardOctaves] = useState(2);
+  const [midiNotes, setMidiNotes] = useState(new Set());
+  const [pcNotes, setPcNotes] = useState(new Set());
+  const [wheels, setWheels] = useState({ pitchBend: 0, modWheel: 0 });
+  const [voiceOptions, setVoiceOptions] = useState({ maxVoices: 8, stealMode: 'oldest', engine: 'nodes' });
+  const recorderRef = useRef(new PhraseRecorder());
+  const [isRecording, setIsRecording] = useState(false);
+  const [phrase, setPhrase] = useState([]);
+  const { performance, parts, setPerformance, selectPart, togglePerformance, addPerformancePart, removePerformancePart, openPerformance } = usePerformance(patch, replacePatch);
 
   const initAudio = () => {
     if (!isInitialized) {
-      audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      synthRef.current = new FMSynth(audioContext);
-      synthRef.current.setPatch(patch);
+      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      synthRef.current = new PerformanceSynth(audioContext, voiceOptions);
+      synthRef.current.setParts(parts);
+      synthRef.current.setModWheel(wheels.modWheel);
+      arpRef.current = new Arpeggiator(audioContext, { noteOn: sendNoteOn, noteOff: sendNoteOff });
+      arpRef.current.setOptions(patch.arp, patch.tempo);
+      sequencerRef.current = new StepSequencer(audioContext, { noteOn: sendNoteOn, noteOff: sendNoteOff, cutNote: sendCutNote });
+      sequencerRef.current.setPattern(patch.sequence, patch.tempo);
       setIsInitialized(true);
     }
   };
 
-  useEffect(() => { if(synthRef.current) { synthRef.current.setPatch(patch); } }, [patch]);
-
-  const handleNoteOn = useCallback((note) => {
+  useEffect(() => {
+    synthRef.current?.setParts(parts);
+  }, [parts]);
+  useEffect(() => {
     if (!synthRef.current) return;
-    const finalNote = note + (octaveOffset * 12);
-    if (finalNote >= 0 && finalNote <= 127) {
-      synthRef.current.noteOn(finalNote);
-    }
-  }, [octaveOffset]);
+    arpRef.current.setOptions(patch.arp, patch.tempo);
+    sequencerRef.current.setPattern(patch.sequence, patch.tempo);
+  }, [patch]);
+  useEffect(() => {
+    const synth = synthRef.current;
+    if (!synth) return;
+    const { engine, ...options } = voiceOptions;
+    synth.setVoiceOptions(options);
+    if (engine === synth.engine) return;
+    // The worklet module loads asynchronously; fall back to the current engine if it can't.
+    (engine === 'worklet' ? loadFmWorklet(synth.context) : Promise.resolve())
+      .then(() => synth.setEngine(engine))
+      .catch((error) => {
+        setVoiceOptions(current => ({ ...current, engine: synth.engine }));
+        setLoadError({ title: 'AudioWorkletエンジンを開始できませんでした', messages: [error.message] });
+      });
+  }, [voiceOptions]);
+
+  // Every note reaching the synth goes through here so the phrase recorder sees it too.
+  // The arpeggiator and sequencer call these with times ahead on the audio clock.
+  const sendNoteOn = useCallback((note, velocity, time) => {
+    const synth = synthRef.current;
+    synth.noteOn(note, velocity, time);
+    recorderRef.current.record('noteOn', note, velocity, time ?? synth.context.currentTime);
+  }, []);
+
+  const sendNoteOff = useCallback((note, time) => {
+    const synth = synthRef.current;
+    synth.noteOff(note, time);
+    recorderRef.current.record('noteOff', note, 0, time ?? synth.context.currentTime);
+  }, []);
+
+  const sendCutNote = useCallback((note, time) => {
+    const synth = synthRef.current;
+    synth.cutNote(note, time);
+    recorderRef.current.record('noteOff', note, 0, time ?? synth.context.currentTime);
+  }, []);
+
+  // Played notes (keyboard, mouse, MIDI) are taken over by the arpeggiator when it is on.
+  const playNoteOn = useCallback((note, velocity) => {
+    if (!synthRef.current) return;
+    if (arpRef.current.enabled) arpRef.current.noteOn(note, velocity);
+    else sendNoteOn(note, velocity);
+  }, [sendNoteOn]);
 
-  const handleNoteOff = useCallback((note) => {
+  const playNoteOff = useCallback((note) => {
     if (!synthRef.current) return;
-    const finalNote = note + (octaveOffset * 12);
-    if (finalNote >= 0 && finalNote <= 127) {
-      synthRef.current.noteOff(finalNote);
+    if (arpRef.current.enabled && arpRef.current.noteOff(note)) return;
+    sendNoteOff(note);
+  }, [sendNoteOff]);
+
+  const toggleRecording = () => {
+    const recorder = recorderRef.current;
+    if (recorder.recording) {
+      setPhrase(recorder.stop(synthRef.current.context.currentTime));
+      setIsRecording(false);
+    } else {
+      recorder.start();
+      setIsRecording(true);
     }
-  }, [octaveOffset]);
+  };
 
+  // The on-screen keyboard and the PC keys both follow the octave setting, from the Z row's C.
+  const baseNote = KEYBOARD_BASE_NOTE + octaveOffset * 12;
+  const changeOctave = useCallback((delta) => setOctaveOffset(o => Math.min(MAX_OCTAVE, Math.max(-MAX_OCTAVE, o + delta))), []);
+
+  // The on-screen wheels and MIDI controllers both go through these, so the wheels show MIDI movements.
+  const handlePitchBend = useCallback((value) => {
+    synthRef.current?.setPitchBend(value);
+    setWheels(current => ({ ...current, pitchBend: value }));
+  }, []);
+
+  const handleModWheel = useCallback((value) => {
+    synthRef.current?.setModWheel(value);
+    setWheels(current => ({ ...current, modWheel: value }));
+  }, []);
+
+  // MIDI notes are absolute, so they bypass the on-screen octave offset.
+  const midiHandlers = useMemo(() => ({
+    onNoteOn: (note, velocity) => {
+      playNoteOn(note, velocity);
+      setMidiNotes(prev => new Set(prev).add(note));
+    },
+    onNoteOff: (note) => {
+      playNoteOff(note);
+      setMidiNotes(prev => { const newSet = new Set(prev); newSet.delete(note); return newSet; });
+    },
+    onAllNotesOff: () => {
+      arpRef.current?.clear();
+      synthRef.current?.allNotesOff();
+      setMidiNotes(new Set());
+    },
+    onSustain: (on) => synthRef.current?.setSustain(on),
+    onPitchBend: handlePitchBend,
+    onModWheel: handleModWheel,
+  }), [playNoteOn, playNoteOff, handlePitchBend, handleModWheel]);
+  const midi = useMidiInput(midiHandlers, isInitialized);
+
+  // PC keys (keyboard/keyBindings.js); the first note starts the audio engine, like the start button.
+  const keyboardHandlers = useMemo(() => ({
+    onNoteOn: (note) => {
+      if (!synthRef.current) initAudio();
+      playNoteOn(note, DEFAULT_VELOCITY);
+      setPcNotes(prev => new Set(prev).add(note));
+    },
+    onNoteOff: (note) => {
+      playNoteOff(note);
+      setPcNotes(prev => { const newSet = new Set(prev); newSet.delete(note); return newSet; });
+    },
+    onOctave: changeOctave,
+    onSustain: (on) => synthRef.current?.setSustain(on),
+  }), [playNoteOn, playNoteOff, changeOctave]);
+  const computerKeyboard = useComputerKeyboard(keyboardHandlers, baseNote);
+  const keyLabels = useMemo(() => noteKeyLabels(computerKeyboard.bindings, baseNote), [computerKeyboard.bindings, baseNote]);
+  const litNotes = useMemo(() => new Set([...midiNotes, ...pcNotes]), [midiNotes, pcNotes]);
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo. Text fields keep their own undo.
   useEffect(() => {
-    const keyMap = new Map();
-    const handleKeyDown = (e) => {
-      if (e.repeat || keyMap.has(e.key)) return;
-      const note = KEY_TO_NOTE[e.key];
-      if (note) {
-        if(!isInitialized) initAudio();
-        handleNoteOn(note);
-        keyMap.set(e.key, true);
+    const handleUndoKeys = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo(); else undo();
+      } else if (key === 'y') {
+        e.preventDefault();
+        redo();
       }
     };
-    const handleKeyUp = (e) => {
-      const note = KEY_TO_NOTE[e.key];
-      if (note) {
-        handleNoteOff(note);
-        keyMap.delete(e.key);
-      }
-    };
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown);
-      window.removeEventListener('keyup', handleKeyUp);
-    };
-  }, [isInitialized, handleNoteOn, handleNoteOff]);
+    window.addEventListener('keydown', handleUndoKeys);
+    return () => window.removeEventListener('keydown', handleUndoKeys);
+  }, [undo, redo]);
 
   const updateOperator = (opIndex, newParams) => setPatch({ ...patch, operators: patch.operators.map((op, i) => i === opIndex ? newParams : op) });
   const updateAlgorithm = (algoId) => setPatch({ ...patch, algorithm: algoId });
+  const updateFeedback = (amount) => setPatch({ ...patch, feedback: amount });
   const toggleOpCollapse = (id) => setCollapsedOps(prev => ({...prev, [id]: !prev[id]}));
 
+  const loadPerformanceFile = (data) => {
+    const { performance: loaded, errors } = loadPerformance(data);
+    if (loaded) {
+      openPerformance(loaded);
+      setLoadError(null);
+    } else {
+      setLoadError({ title: `パフォーマンスファイルに${errors.length}件の問題があります`, messages: errors.map(formatPatchError) });
+    }
+  };
+
   const handleExport = () => {
-    const jsonString = `data:text/json;charset=utf-8,${encodeURIComponent(JSON.stringify(patch, null, 2))}`;
-    const link = document.createElement('a');
-    link.href = jsonString;
-    link.download = 'fm-patch.json';
-    link.click();
+    if (exportFormat === 'json') {
+      downloadJson(versionedPatch(patch), 'fm-patch.json');
+      return;
+    }
+    const format = PATCH_EXPORT_FORMATS.find(f => f.id === exportFormat);
+    downloadBlob(format.write(patch, patchName || 'FM PATCH'), `fm-patch.${format.id}`, format.mimeType);
+    const warnings = format.warnings(patch);
+    if (warnings.length > 0) setLoadError({ title: `${format.label}に保存できない設定があります`, messages: warnings });
+  };
+
+  // Puts the patch into the address bar and copies the full URL.
+  const copyLink = async () => {
+    window.history.replaceState(null, '', patchLinkHash(patch, patchName));
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) { alert(`リンクをコピーできませんでした: ${error.message}`); }
+  };
+
+  // Yamaha SysEx / OPM / TFI files; banks load their first voice (the library imports whole banks).
+  const importVoiceFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const entries = parseVoiceFile(file.name, new Uint8Array(e.target.result));
+        const errors = validatePatch(entries[0].patch);
+        if (errors.length > 0) {
+          setLoadError({ title: `ボイス「${entries[0].name}」に${errors.length}件の問題があります`, messages: errors.map(formatPatchError) });
+          return;
+        }
+        setPatch(entries[0].patch);
+        setPatchName(entries[0].name);
+        setLoadError(null);
+        if (entries.length > 1) {
+          alert(`${entries.length}ボイス中、最初のボイス「${entries[0].name}」を読み込みました。すべてのボイスを読み込むにはパッチライブラリの「バンク読込」を使用してください。`);
+        }
+      } catch (error) { setLoadError({ title: 'ボイスファイルを読み込めませんでした', messages: [error.message] }); }
+    };
+    reader.readAsArrayBuffer(file);
   };
 
   const handleImport = (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    if (isVoiceFile(file.name)) {
+      importVoiceFile(file);
+      return;
+    }
     const reader = new FileReader();
     reader.onload = (e) => {
+      let data;
       try {
-        const importedPatch = JSON.parse(e.target.result);
-        if (importedPatch.algorithm && importedPatch.operators && importedPatch.operators.length === 4) {
-          setPatch(importedPatch);
-        } else { alert('無効なパッチファイル形式です。'); }
-      } catch (error) { alert('パッチファイルの読み込み中にエラーが発生しました。'); }
+        data = JSON.parse(e.target.result);
+      } catch (error) {
+        setLoadError({ title: 'パッチファイルを読み込めませんでした', messages: [`JSON: ${error.message}`] });
+        return;
+      }
+      if (isPerformanceFile(data)) {
+        loadPerformanceFile(data);
+        return;
+      }
+      const { patch: loaded, errors } = loadPatch(data);
+      if (loaded) {
+        setPatch(loaded);
+        setLoadError(null);
+      } else {
+        setLoadError({ title: `パッチファイルに${errors.length}件の問題があります`, messages: errors.map(formatPatchError) });
+      }
     };
     reader.readAsText(file);
   };
 
   if (!isInitialized) {
     return (
-        <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center p-4"><div className="text-center bg-gray-800 p-10 rounded-xl shadow-lg"><h1 className="text-4xl font-bold mb-4">4-Op FM Synthesizer</h1><p className="text-gray-400 mb-6">下のボタンをクリックしてオーディオエンジンを開始します。</p><button onClick={initAudio} className="bg-sky-500 hover:bg-sky-600 text-white font-bold py-3 px-6 rounded-lg text-xl flex items-center justify-center space-x-2 transition-all duration-200 transform hover:scale-105"><Play /><span>シンセサイザーを開始</span></button></div></div>
+        <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center p-4"><div className="text-center bg-gray-800 p-10 rounded-xl shadow-lg"><h1 className="text-4xl font-bold mb-4">4-Op FM Synthesizer</h1><p className="text-gray-400 mb-6">下のボタンをクリックしてオーディオエンジンを開始します。</p>{loadError && <p className="text-pink-400 text-sm mb-6">{loadError.title}: {loadError.messages.join(' / ')}</p>}{linkedPatch.linked && <p className="text-teal-400 text-sm mb-6">共有リンクのパッチ{linkedPatch.linked.name ? `「${linkedPatch.linked.name}」` : ''}を読み込みました。</p>}<button onClick={initAudio} className="bg-sky-500 hover:bg-sky-600 text-white font-bold py-3 px-6 rounded-lg text-xl flex items-center justify-center space-x-2 transition-all duration-200 transform hover:scale-105"><Play /><span>シンセサイザーを開始</span></button></div></div>
     );
   }
 
   return (
       <div className="min-h-screen bg-gray-900 text-white p-2 sm:p-4 md:p-6 lg:p-8 font-sans">
-        <div className="max-w-7xl mx-auto">
+        <div className="max-w-screen-2xl mx-auto">
           <header className="flex flex-col md:flex-row justify-between items-center mb-6">
             <h1 className="text-3xl sm:text-4xl font-bold text-sky-400 mb-4 md:mb-0">FM Synthesizer</h1>
-            <div className="flex items-center space-x-2 sm:space-x-4">
-              <input type="file" id="import-file" className="hidden" onChange={handleImport} accept=".json" />
+            <div className="flex flex-wrap items-center justify-center gap-2 sm:gap-4">
+              <EditControls {...editHistory} />
+              <input type="file" id="import-file" className="hidden" onChange={handleImport} accept={['.json', ...VOICE_FILE_EXTENSIONS].join(',')} />
               <button onClick={() => document.getElementById('import-file').click()} className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg flex items-center space-x-2 transition-transform transform hover:scale-105"><Upload size={20}/> <span>インポート</span></button>
+              <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-md p-2 text-sm" title="エクスポート形式">
+                <option value="json">JSON (.json)</option>
+                {PATCH_EXPORT_FORMATS.map(format => (<option key={format.id} value={format.id}>{format.label}</option>))}
+              </select>
               <button onClick={handleExport} className="bg-teal-500 hover:bg-teal-600 text-white font-semibold py-2 px-4 rounded-lg flex items-center space-x-2 transition-transform transform hover:scale-105"><Download size={20}/> <span>エクスポート</span></button>
+              <button onClick={copyLink} className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg flex items-center space-x-2 transition-transform transform hover:scale-105" title="このパッチを共有するリンクをコピー">{linkCopied ? <Check size={20}/> : <Link size={20}/>} <span>{linkCopied ? 'コピーしました' : 'リンクをコピー'}</span></button>
             </div>
           </header>
+          {loadError && <ErrorPanel title={loadError.title} messages={loadError.messages} onClose={() => setLoadError(null)} />}
+
+          <main className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            <div className="lg:col-span-1 space-y-4">
+              <PatchBrowser patch={patch} onLoadPatch={setPatch} onNameChange={setPatchName} onError={setLoadError} />
+              <PerformancePanel performance={performance} onToggle={togglePerformance} onChange={setPerformance} onSelect={selectPart} onAdd={addPerformancePart} onRemove={removePerformancePart}
+                                onExport={() => downloadJson(exportPerformance({ ...performance, parts }), 'fm-performance.json')} />
+            </div>
 
-          <main className="grid grid-cols-1 lg:grid-cols-3 gap-6">
             <div className="lg:col-span-1 bg-gray-800 p-4 rounded-xl space-y-4">
               <h2 className="text-xl font-bold flex items-center space-x-2"><SlidersHorizontal/><span>グローバル設定</span></h2>
               <div className="space-y-2">
@@ -444,14 +458,25 @@ export default function App() {
                 <label className="text-sm font-medium text-gray-300">アルゴリズム</label>
                 <div className="mt-2 p-2 bg-gray-900 rounded-lg">
                   <select value={patch.algorithm} onChange={(e) => updateAlgorithm(parseInt(e.target.value))} className="w-full bg-gray-700 border border-gray-600 text-white rounded-md p-2">
-                    {algorithms.map(algo => (<option key={algo.id} value={algo.id}>{algo.id}: {algo.name}</option>))}
+                    {ALGORITHMS.map(algo => (<option key={algo.id} value={algo.id}>{algo.ym !== null ? `ALG ${algo.ym}` : 'EXT'}: {algo.name}</option>))}
                   </select>
-                  <div className="mt-3 flex justify-center"><AlgorithmVisualizer algoId={patch.algorithm} /></div>
+                  <div className="mt-3 flex justify-center"><AlgorithmVisualizer algoId={patch.algorithm} feedback={patch.feedback} /></div>
+                  <div className="mt-3 space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">フィードバック (OP{getAlgorithm(patch.algorithm).feedback}) <span>{patch.feedback}</span></label><input type="range" min="0" max={MAX_FEEDBACK} step="1" value={patch.feedback} onChange={(e) => updateFeedback(parseInt(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
                 </div>
               </div>
+              <LfoSettings patch={patch} setPatch={setPatch} />
+              <ControllerSettings patch={patch} setPatch={setPatch} />
+              <EffectsSettings patch={patch} setPatch={setPatch} />
+              <VariationPanel patch={patch} setPatch={setPatch} />
+              <VoiceSettings patch={patch} setPatch={setPatch} voiceOptions={voiceOptions} setVoiceOptions={setVoiceOptions} />
+              <MidiSettings midi={midi} />
+              <KeyBindingsSettings keyboard={computerKeyboard} />
+              <RenderPanel patch={patch} engine={voiceOptions.engine} phrase={phrase} isRecording={isRecording} onToggleRecording={toggleRecording} />
             </div>
 
             <div className="lg:col-span-2 space-y-4">
+              <Analyzer synth={synthRef.current} />
+              <SequencerPanel patch={patch} setPatch={setPatch} sequencer={sequencerRef.current} />
               {[1, 2, 3, 4].map((id) => (
                   <OperatorControls key={id} id={id} params={patch.operators[id-1]} updateOperator={updateOperator} isCollapsed={collapsedOps[id]} toggleCollapse={() => toggleOpCollapse(id)} />
               ))}
@@ -463,15 +488,21 @@ export default function App() {
               <div className="p-3 bg-gray-700 rounded-t-lg flex justify-between items-center flex-wrap">
                 <div>
                   <h3 className="font-semibold text-lg">仮想キーボード</h3>
-                  <p className="text-xs text-gray-400">PCキーボード (A, W, S...) でも演奏できます。</p>
+                  <p className="text-xs text-gray-400">タッチ（複数指・グリッサンド）、PCキーボード (Z, S, X... / Q, 2, W...、↑↓でオクターブ、Spaceでサステイン)、MIDIキーボードで演奏できます。左のホイールでピッチベンドとモジュレーション。</p>
                 </div>
                 <div className="flex items-center space-x-2 mt-2 sm:mt-0">
+                  <select value={keyboardOctaves} onChange={(e) => setKeyboardOctaves(parseInt(e.target.value))} className="bg-gray-600 border border-gray-500 text-white rounded-md p-1 text-sm" title="鍵盤の表示範囲">
+                    {KEYBOARD_SIZES.map(size => (<option key={size} value={size}>{size}オクターブ</option>))}
+                  </select>
                   <span className="font-semibold text-sm">オクターブ: {octaveOffset > 0 ? '+' : ''}{octaveOffset}</span>
-                  <button onClick={() => setOctaveOffset(o => Math.max(-2, o - 1))} className="bg-gray-600 hover:bg-gray-500 text-white font-bold w-8 h-8 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed" disabled={octaveOffset <= -2}>-</button>
-                  <button onClick={() => setOctaveOffset(o => Math.min(2, o + 1))} className="bg-gray-600 hover:bg-gray-500 text-white font-bold w-8 h-8 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed" disabled={octaveOffset >= 2}>+</button>
+                  <button onClick={() => changeOctave(-1)} className="bg-gray-600 hover:bg-gray-500 text-white font-bold w-8 h-8 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed" disabled={octaveOffset <= -MAX_OCTAVE}>-</button>
+                  <button onClick={() => changeOctave(1)} className="bg-gray-600 hover:bg-gray-500 text-white font-bold w-8 h-8 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed" disabled={octaveOffset >= MAX_OCTAVE}>+</button>
                 </div>
               </div>
-              <Keyboard onNoteOn={handleNoteOn} onNoteOff={handleNoteOff} octaveOffset={octaveOffset} />
+              <div className="flex">
+                <ControllerWheels pitchBend={wheels.pitchBend} modWheel={wheels.modWheel} onPitchBend={handlePitchBend} onModWheel={handleModWheel} />
+                <div className="flex-1 min-w-0"><Keyboard lowNote={baseNote} highNote={baseNote + keyboardOctaves * 12} onNoteOn={playNoteOn} onNoteOff={playNoteOff} litNotes={litNotes} keyLabels={keyLabels} /></div>
+              </div>
             </div>
           </footer>
         </div>
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Activity, Eye, EyeOff } from 'lucide-react';
+import { findTrigger, frequencyToX, binFrequency, dbToY, harmonics } from '../utils/analysis';
+import { noteToFreq } from '../synth/Voice';
+import { midiToNoteName } from '../utils/notes';
+
+const FFT_SIZE = 4096;
+const WIDTH = 512, HEIGHT = 140;
+const MIN_FREQ = 20, MAX_FREQ = 20000;
+const MIN_DB = -110, MAX_DB = -10;
+const FREQ_LABELS = [100, 1000, 10000];
+
+const drawScope = (canvas, samples) => {
+  const ctx = canvas.getContext('2d');
+  const length = samples.length / 2;
+  const start = findTrigger(samples, length);
+  ctx.fillStyle = '#111827';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  ctx.strokeStyle = '#374151';
+  ctx.beginPath();
+  ctx.moveTo(0, HEIGHT / 2);
+  ctx.lineTo(WIDTH, HEIGHT / 2);
+  ctx.stroke();
+
+  ctx.strokeStyle = '#38bdf8';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  for (let i = 0; i < length; i++) {
+    const x = (i / (length - 1)) * WIDTH;
+    const y = (1 - samples[start + i]) * HEIGHT / 2;
+    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+};
+
+// Harmonic markers are drawn for the lowest held note.
+const drawSpectrum = (canvas, spectrum, sampleRate, notes) => {
+  const ctx = canvas.getContext('2d');
+  const maxFreq = Math.min(MAX_FREQ, sampleRate / 2);
+  const toX = (freq) => frequencyToX(freq, WIDTH, MIN_FREQ, maxFreq);
+  ctx.fillStyle = '#111827';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  ctx.fillStyle = '#6b7280';
+  ctx.font = '10px sans-serif';
+  FREQ_LABELS.forEach(freq => ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, toX(freq) + 2, HEIGHT - 2));
+
+  if (notes.length > 0) {
+    const note = Math.min(...notes);
+    ctx.strokeStyle = 'rgba(249, 168, 212, 0.5)';
+    ctx.fillStyle = '#f9a8d4';
+    ctx.setLineDash([3, 3]);
+    harmonics(noteToFreq(note), maxFreq).forEach((freq, i) => {
+      const x = toX(freq);
+      ctx.beginPath();
+      ctx.moveTo(x, 12);
+      ctx.lineTo(x, HEIGHT);
+      ctx.stroke();
+      if (i < 8) ctx.fillText(`${i + 1}`, x - 3, 10);
+    });
+    ctx.setLineDash([]);
+    ctx.fillText(midiToNoteName(note), WIDTH - 30, 10);
+  }
+
+  ctx.strokeStyle = '#2dd4bf';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  let started = false;
+  for (let bin = 1; bin < spectrum.length; bin++) {
+    const freq = binFrequency(bin, sampleRate, FFT_SIZE);
+    if (freq < MIN_FREQ) continue;
+    if (freq > maxFreq) break;
+    const x = toX(freq);
+    const y = dbToY(spectrum[bin], HEIGHT, MIN_DB, MAX_DB);
+    if (!started) { ctx.moveTo(x, y); started = true; } else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+};
+
+// Oscilloscope and spectrum of the synth output. The analyser is only connected, and the
+// animation loop only runs, while the display is shown.
+const Analyzer = ({ synth }) => {
+  const [visible, setVisible] = useState(false);
+  const scopeRef = useRef(null);
+  const spectrumRef = useRef(null);
+
+  useEffect(() => {
+    if (!visible || !synth) return undefined;
+    const analyser = synth.createAnalyser(FFT_SIZE);
+    const samples = new Float32Array(analyser.fftSize);
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    let frame;
+    const draw = () => {
+      analyser.getFloatTimeDomainData(samples);
+      analyser.getFloatFrequencyData(spectrum);
+      drawScope(scopeRef.current, samples);
+      drawSpectrum(spectrumRef.current, spectrum, synth.context.sampleRate, synth.activeNotes());
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => {
+      cancelAnimationFrame(frame);
+      synth.removeAnalyser(analyser);
+    };
+  }, [visible, synth]);
+
+  return (
+      <div className="bg-gray-800 p-4 rounded-xl space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold flex items-center space-x-2"><Activity/><span>アナライザー</span></h2>
+          <button onClick={() => setVisible(v => !v)} className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg transition-colors" title={visible ? '非表示' : '表示'}>
+            {visible ? <EyeOff size={18}/> : <Eye size={18}/>}
+          </button>
+        </div>
+        {visible && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <span className="text-xs text-gray-400">オシロスコープ</span>
+                <canvas ref={scopeRef} width={WIDTH} height={HEIGHT} className="w-full rounded-lg" />
+              </div>
+              <div>
+                <span className="text-xs text-gray-400">スペクトラム</span>
+                <canvas ref={spectrumRef} width={WIDTH} height={HEIGHT} className="w-full rounded-lg" />
+              </div>
+            </div>
+        )}
+      </div>
+  );
+};
+
+export default Analyzer;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { MOD_WHEEL_TARGETS, MAX_PITCH_BEND_RANGE, MAX_PITCH_ENV_AMOUNT } from '../synth/controllers';
+
+const TARGET_LABELS = { vibrato: 'ビブラート', lfo: 'LFOデプス', level: 'オペレーターレベル' };
+
+// Per-patch controller settings: bend range, where the mod wheel goes, and the pitch
+// envelope (a start offset gliding back to the played note).
+const ControllerSettings = ({ patch, setPatch }) => {
+  const { pitchBendRange, modWheel, pitchEnv } = patch;
+  const updateModWheel = (param, value) => setPatch({ ...patch, modWheel: { ...modWheel, [param]: value } });
+  const updatePitchEnv = (param, value) => setPatch({ ...patch, pitchEnv: { ...pitchEnv, [param]: value } });
+  const toggleOperator = (index) => updateModWheel('operators', modWheel.operators.map((on, i) => (i === index ? !on : on)));
+
+  return (
+      <div>
+        <label className="text-sm font-medium text-gray-300">コントローラー</label>
+        <div className="mt-2 p-2 bg-gray-900 rounded-lg space-y-3">
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">ベンド幅 <span>±{pitchBendRange}半音</span></label><input type="range" min="0" max={MAX_PITCH_BEND_RANGE} step="1" value={pitchBendRange} onChange={(e) => setPatch({ ...patch, pitchBendRange: parseInt(e.target.value) })} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-300">モジュレーションホイール</span>
+            <select value={modWheel.target} onChange={(e) => updateModWheel('target', e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm">
+              {MOD_WHEEL_TARGETS.map(t => (<option key={t} value={t}>{TARGET_LABELS[t]}</option>))}
+            </select>
+          </div>
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">ホイールの深さ <span>{modWheel.depth.toFixed(2)}</span></label><input type="range" min="0" max="1" step="0.01" value={modWheel.depth} onChange={(e) => updateModWheel('depth', parseFloat(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          {modWheel.target === 'level' && (
+              <div className="flex items-center justify-between">
+                <span className="text-xs text-gray-400">対象</span>
+                <div className="flex space-x-1">
+                  {modWheel.operators.map((on, i) => (
+                      <button key={i} onClick={() => toggleOperator(i)} aria-pressed={on} className={`text-xs font-bold px-2 py-1 rounded ${on ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>OP{i + 1}</button>
+                  ))}
+                </div>
+              </div>
+          )}
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">ピッチEG 開始 <span>{pitchEnv.amount > 0 ? '+' : ''}{pitchEnv.amount}半音</span></label><input type="range" min={-MAX_PITCH_ENV_AMOUNT} max={MAX_PITCH_ENV_AMOUNT} step="1" value={pitchEnv.amount} onChange={(e) => updatePitchEnv('amount', parseInt(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">ピッチEG タイム <span>{pitchEnv.time.toFixed(3)}s</span></label><input type="range" min="0.001" max="2" step="0.001" value={pitchEnv.time} onChange={(e) => updatePitchEnv('time', parseFloat(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+        </div>
+      </div>
+  );
+};
+
+export default ControllerSettings;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+
+// One vertical wheel from `min` to 1, dragged with mouse or touch or moved with the arrow
+// keys. A spring-loaded wheel (pitch bend) returns to 0 when let go.
+const Wheel = ({ label, value, min, onChange, spring = false, format }) => {
+  const [dragging, setDragging] = useState(false);
+  const position = (value - min) / (1 - min);
+
+  const valueFromPointer = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (!rect.height) return value;
+    const fromBottom = 1 - Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+    return min + (1 - min) * fromBottom;
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(true);
+    onChange(valueFromPointer(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragging) onChange(valueFromPointer(e));
+  };
+
+  const handlePointerUp = () => {
+    setDragging(false);
+    if (spring) onChange(0);
+  };
+
+  const handleKeyDown = (e) => {
+    const step = { ArrowUp: 0.1, ArrowRight: 0.1, ArrowDown: -0.1, ArrowLeft: -0.1 }[e.key];
+    if (step === undefined) return;
+    e.preventDefault();
+    onChange(Math.min(1, Math.max(min, value + step)));
+  };
+
+  const handleKeyUp = () => {
+    if (spring && value !== 0) onChange(0);
+  };
+
+  return (
+      <div className="flex flex-col items-center">
+        <div role="slider" tabIndex={0} aria-label={label} aria-valuemin={min} aria-valuemax={1} aria-valuenow={value} aria-valuetext={format(value)}
+             onPointerDown={handlePointerDown} onPointerMove={handlePointerMove} onPointerUp={handlePointerUp} onPointerCancel={handlePointerUp}
+             onKeyDown={handleKeyDown} onKeyUp={handleKeyUp}
+             className="relative w-8 h-28 bg-gray-900 border-2 border-gray-600 rounded-md cursor-ns-resize touch-none focus:outline-none focus:border-sky-400">
+          {min < 0 && <div className="absolute inset-x-0 top-1/2 border-t border-gray-700" />}
+          <div className="absolute inset-x-0 bottom-0 bg-teal-500/20 rounded-b" style={{ height: `${min < 0 ? 0 : position * 100}%` }} />
+          <div className="absolute inset-x-0.5 h-2 -mt-1 bg-teal-400 rounded-sm" style={{ top: `${(1 - position) * 100}%` }} />
+        </div>
+        <span className="mt-1 text-[10px] font-medium text-gray-400">{label}</span>
+        <span className="text-[10px] text-gray-500 tabular-nums">{format(value)}</span>
+      </div>
+  );
+};
+
+// Pitch bend and mod wheels beside the on-screen keyboard. The values come from App, so
+// the wheels also follow MIDI controllers.
+const ControllerWheels = ({ pitchBend, modWheel, onPitchBend, onModWheel }) => (
+    <div className="flex space-x-2 p-2 bg-gray-800 rounded-bl-lg select-none">
+      <Wheel label="PITCH" value={pitchBend} min={-1} spring onChange={onPitchBend} format={(v) => `${v > 0 ? '+' : ''}${v.toFixed(2)}`} />
+      <Wheel label="MOD" value={modWheel} min={0} onChange={onModWheel} format={(v) => v.toFixed(2)} />
+    </div>
+);
+
+export default ControllerWheels;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { Undo2, Redo2, ArrowRightLeft } from 'lucide-react';
+import { SLOTS } from '../patch/history';
+
+// Undo/redo and the A/B compare slots. Each slot keeps its own undo history.
+const EditControls = ({ canUndo, canRedo, undo, redo, activeSlot, selectSlot, copySlot }) => {
+  const otherSlot = SLOTS.find(slot => slot !== activeSlot);
+  return (
+      <div className="flex items-center space-x-2">
+        <button onClick={undo} disabled={!canUndo} className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed" title="元に戻す (Ctrl+Z)"><Undo2 size={20}/></button>
+        <button onClick={redo} disabled={!canRedo} className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed" title="やり直す (Ctrl+Shift+Z)"><Redo2 size={20}/></button>
+        <div className="flex bg-gray-800 rounded-lg p-0.5">
+          {SLOTS.map(slot => (
+              <button key={slot} onClick={() => selectSlot(slot)} className={`w-9 py-1.5 rounded-md text-sm font-bold ${activeSlot === slot ? 'bg-sky-500 text-white' : 'text-gray-400 hover:text-white'}`} title={`スロット${slot.toUpperCase()}を編集`}>{slot.toUpperCase()}</button>
+          ))}
+        </div>
+        <button onClick={() => copySlot(activeSlot, otherSlot)} className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-3 rounded-lg text-sm font-semibold flex items-center space-x-1 transition-colors" title={`現在のパッチをスロット${otherSlot.toUpperCase()}にコピー`}>
+          <ArrowRightLeft size={16}/><span>{activeSlot.toUpperCase()}→{otherSlot.toUpperCase()}</span>
+        </button>
+      </div>
+  );
+};
+
+export default EditControls;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { NOTE_DIVISIONS } from '../synth/tempo';
+
+const Slider = ({ label, value, display, min, max, step, onChange }) => (
+    <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">{label} <span>{display}</span></label><input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+);
+
+const EffectHeader = ({ title, on, onToggle }) => (
+    <div className="flex items-center justify-between">
+      <span className="text-sm font-semibold text-gray-200">{title}</span>
+      <button onClick={onToggle} className={`px-3 py-0.5 rounded-lg text-xs font-semibold ${on ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>{on ? 'ON' : 'BYPASS'}</button>
+    </div>
+);
+
+// Chorus -> delay -> reverb (fixed order), tempo for the synced delay, and the output level
+// (followed by a limiter). All of it is stored in the patch.
+const EffectsSettings = ({ patch, setPatch }) => {
+  const { effects, tempo, masterGain } = patch;
+  const { chorus, delay, reverb } = effects;
+  const updateEffect = (name, param, value) => setPatch({ ...patch, effects: { ...effects, [name]: { ...effects[name], [param]: value } } });
+  const toggle = (name) => () => updateEffect(name, 'on', !effects[name].on);
+
+  return (
+      <div>
+        <label className="text-sm font-medium text-gray-300">エフェクト</label>
+        <div className="mt-2 p-2 bg-gray-900 rounded-lg space-y-4">
+          <div className="space-y-2">
+            <EffectHeader title="コーラス" on={chorus.on} onToggle={toggle('chorus')} />
+            <Slider label="ミックス" value={chorus.mix} display={chorus.mix.toFixed(2)} min="0" max="1" step="0.01" onChange={(v) => updateEffect('chorus', 'mix', v)} />
+            <Slider label="レート" value={chorus.rate} display={`${chorus.rate.toFixed(2)}Hz`} min="0.05" max="5" step="0.05" onChange={(v) => updateEffect('chorus', 'rate', v)} />
+            <Slider label="デプス" value={chorus.depth} display={`${chorus.depth.toFixed(1)}ms`} min="0" max="10" step="0.1" onChange={(v) => updateEffect('chorus', 'depth', v)} />
+          </div>
+          <div className="space-y-2">
+            <EffectHeader title="ステレオディレイ" on={delay.on} onToggle={toggle('delay')} />
+            <Slider label="ミックス" value={delay.mix} display={delay.mix.toFixed(2)} min="0" max="1" step="0.01" onChange={(v) => updateEffect('delay', 'mix', v)} />
+            <div className="flex items-center justify-between">
+              <label className="text-sm text-gray-300 flex items-center space-x-2"><span>テンポ同期</span><input type="checkbox" checked={delay.sync} onChange={(e) => updateEffect('delay', 'sync', e.target.checked)} className="w-4 h-4 accent-teal-500" /></label>
+              {delay.sync && (
+                  <select value={delay.division} onChange={(e) => updateEffect('delay', 'division', e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm">
+                    {Object.keys(NOTE_DIVISIONS).map(d => (<option key={d} value={d}>{d}</option>))}
+                  </select>
+              )}
+            </div>
+            {delay.sync
+                ? <Slider label="テンポ" value={tempo} display={`${tempo} BPM`} min="40" max="240" step="1" onChange={(v) => setPatch({ ...patch, tempo: v })} />
+                : <Slider label="タイム" value={delay.time} display={`${delay.time.toFixed(2)}s`} min="0.01" max="2" step="0.01" onChange={(v) => updateEffect('delay', 'time', v)} />}
+            <Slider label="フィードバック" value={delay.feedback} display={delay.feedback.toFixed(2)} min="0" max="0.9" step="0.01" onChange={(v) => updateEffect('delay', 'feedback', v)} />
+          </div>
+          <div className="space-y-2">
+            <EffectHeader title="リバーブ" on={reverb.on} onToggle={toggle('reverb')} />
+            <Slider label="ミックス" value={reverb.mix} display={reverb.mix.toFixed(2)} min="0" max="1" step="0.01" onChange={(v) => updateEffect('reverb', 'mix', v)} />
+            <Slider label="ディケイ" value={reverb.decay} display={`${reverb.decay.toFixed(1)}s`} min="0.2" max="8" step="0.1" onChange={(v) => updateEffect('reverb', 'decay', v)} />
+          </div>
+          <Slider label="マスターレベル" value={masterGain} display={masterGain.toFixed(2)} min="0" max="1" step="0.01" onChange={(v) => setPatch({ ...patch, masterGain: v })} />
+        </div>
+      </div>
+  );
+};
+
+export default EffectsSettings;
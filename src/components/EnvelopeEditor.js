@@ -0,0 +1,117 @@
+import React, { useRef, useState } from 'react';
+import { rampValue, ENVELOPE_CURVES } from '../synth/envelope';
+
+const WIDTH = 320, HEIGHT = 110, PAD = 8;
+const CURVE_LABELS = { linear: 'Linear', exponential: 'Exp' };
+
+// Each stage gets a slot on the time axis; times map to widths with a square-root scale
+// so short attacks stay easy to grab. MIN_W keeps zero-length stages' handles apart.
+const MIN_W = 8;
+const STAGES = {
+  attack: { slot: 60, min: 0.001, max: 2 },
+  hold: { slot: 40, min: 0, max: 2 },
+  decay: { slot: 60, min: 0.01, max: 2 },
+  decay2: { slot: 60, min: 0, max: 20 },
+  release: { slot: 60, min: 0.01, max: 5 },
+};
+
+const widthOf = (name, time) => {
+  const { slot, max } = STAGES[name];
+  return MIN_W + (slot - MIN_W) * Math.sqrt(Math.min(1, time / max));
+};
+
+const timeOf = (name, width) => {
+  const { slot, min, max } = STAGES[name];
+  const fraction = Math.min(1, Math.max(0, (width - MIN_W) / (slot - MIN_W)));
+  return Math.max(min, Math.round(max * fraction * fraction * 1000) / 1000);
+};
+
+const yOf = (level) => PAD + (1 - level) * (HEIGHT - 2 * PAD);
+const levelOf = (y) => Math.round(Math.min(1, Math.max(0, 1 - (y - PAD) / (HEIGHT - 2 * PAD))) * 100) / 100;
+
+// Draggable envelope graph: attack, hold, decay 1 to the break level (sustain), decay 2
+// towards silence, release. Handles drag horizontally for times; the decay handle also
+// drags vertically for the break level. The release is drawn from the level decay 2 ends at.
+const EnvelopeEditor = ({ params, onChange }) => {
+  const { attack, hold = 0, decay, sustain, decay2 = 0, release, curve = 'linear' } = params;
+  const svgRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
+
+  const afterDecay2 = decay2 > 0 ? 0 : sustain;
+  const x0 = PAD;
+  const x1 = x0 + widthOf('attack', attack);
+  const x2 = x1 + widthOf('hold', hold);
+  const x3 = x2 + widthOf('decay', decay);
+  const x4 = x3 + widthOf('decay2', decay2);
+  const x5 = x4 + widthOf('release', release);
+
+  const segments = [[x0, 0, x1, 1], [x1, 1, x2, 1], [x2, 1, x3, sustain], [x3, sustain, x4, afterDecay2], [x4, afterDecay2, x5, 0]];
+  const path = segments.map(([xa, la, xb, lb], i) => {
+    const points = Array.from({ length: 13 }, (_, k) => {
+      const p = k / 12;
+      return `${(xa + (xb - xa) * p).toFixed(1)},${yOf(rampValue(la, lb, p, curve)).toFixed(1)}`;
+    });
+    return `${i === 0 ? 'M' : 'L'}${points.join(' L')}`;
+  }).join(' ');
+
+  const handles = [
+    { name: 'attack', label: 'A', x: x1, level: 1, from: x0 },
+    { name: 'hold', label: 'H', x: x2, level: 1, from: x1 },
+    { name: 'decay', label: 'D1', x: x3, level: sustain, from: x2 },
+    { name: 'decay2', label: 'D2', x: x4, level: afterDecay2, from: x3 },
+    { name: 'release', label: 'R', x: x5, level: 0, from: x4 },
+  ];
+
+  const toSvg = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) * WIDTH / rect.width, y: (e.clientY - rect.top) * HEIGHT / rect.height };
+  };
+
+  const handlePointerDown = (handle) => (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(handle);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragging) return;
+    const { x, y } = toSvg(e);
+    const changes = { [dragging.name]: timeOf(dragging.name, x - dragging.from) };
+    if (dragging.name === 'decay') changes.sustain = levelOf(y);
+    onChange(changes);
+  };
+
+  const handlePointerUp = () => setDragging(null);
+
+  return (
+      <div className="space-y-2">
+        <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-900 rounded-lg touch-none select-none" role="img" aria-label="Envelope"
+             onPointerMove={handlePointerMove} onPointerUp={handlePointerUp} onPointerCancel={handlePointerUp}>
+          <line x1={x4} y1={PAD} x2={x4} y2={HEIGHT - PAD} stroke="#4b5563" strokeDasharray="3 3" />
+          <text x={x4 + 2} y={HEIGHT - 2} fill="#6b7280" fontSize="8">KEY OFF</text>
+          <path d={`${path} L${x5},${yOf(0)} L${x0},${yOf(0)} Z`} fill="rgba(45, 212, 191, 0.15)" />
+          <path d={path} fill="none" stroke="#2dd4bf" strokeWidth="2" />
+          {handles.map(handle => (
+              <g key={handle.name} onPointerDown={handlePointerDown(handle)} className="cursor-ew-resize">
+                <circle cx={handle.x} cy={yOf(handle.level)} r="5" fill={dragging?.name === handle.name ? '#f9a8d4' : '#0ea5e9'} stroke="white" strokeWidth="1" />
+                <text x={handle.x} y={yOf(handle.level) + (handle.level > 0.5 ? 16 : -8)} textAnchor="middle" fill="#d1d5db" fontSize="9">{handle.label}</text>
+              </g>
+          ))}
+        </svg>
+        <div className="grid grid-cols-6 gap-1 text-[11px] text-gray-400 text-center">
+          <span>A {attack.toFixed(3)}s</span>
+          <span>H {hold.toFixed(2)}s</span>
+          <span>D1 {decay.toFixed(2)}s</span>
+          <span>BL {sustain.toFixed(2)}</span>
+          <span>D2 {decay2 > 0 ? `${decay2.toFixed(2)}s` : 'OFF'}</span>
+          <span>R {release.toFixed(2)}s</span>
+        </div>
+        <div className="flex space-x-2">
+          {ENVELOPE_CURVES.map(c => (
+              <button key={c} onClick={() => onChange({ curve: c })} className={`w-full font-semibold py-1 rounded-lg text-xs ${curve === c ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>{CURVE_LABELS[c]}</button>
+          ))}
+        </div>
+      </div>
+  );
+};
+
+export default EnvelopeEditor;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+// Dismissable error box with one line per problem (e.g. per invalid patch field).
+const ErrorPanel = ({ title, messages = [], onClose }) => (
+    <div className="mb-4 p-3 bg-pink-900/60 border border-pink-500 rounded-lg text-sm" role="alert">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold">{title}</span>
+        <button onClick={onClose} className="text-pink-200 hover:text-white" title="閉じる"><X size={18}/></button>
+      </div>
+      {messages.length > 0 && (
+          <ul className="mt-2 space-y-1 font-mono text-xs text-pink-100 max-h-40 overflow-y-auto">
+            {messages.map((message, i) => (<li key={i}>{message}</li>))}
+          </ul>
+      )}
+    </div>
+);
+
+export default ErrorPanel;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { Keyboard as KeyboardIcon, X, Plus } from 'lucide-react';
+import { CONTROL_ACTIONS, NOTE_OFFSETS, KEYBOARD_BASE_NOTE, noteAction, keysFor, keyLabel, bindKey, rebindKey, unbindKey } from '../keyboard/keyBindings';
+import { midiToNoteName } from '../utils/notes';
+
+const CONTROL_LABELS = { octaveDown: 'オクターブ -', octaveUp: 'オクターブ +', sustain: 'サステイン' };
+
+const actionLabel = (action) => CONTROL_LABELS[action] ?? midiToNoteName(KEYBOARD_BASE_NOTE + parseInt(action.slice(5), 10));
+
+// Remapping of the computer keyboard (keyboard/keyBindings.js). Clicking a key waits for
+// the next key press and moves the action there; '+' adds another key for the action.
+// Escape cancels. Note names are shown at octave 0.
+const KeyBindingsSettings = ({ keyboard }) => {
+  const { bindings, setBindings, resetBindings } = keyboard;
+  const [open, setOpen] = useState(false);
+  const [capturing, setCapturing] = useState(null); // { action, from? }
+
+  useEffect(() => {
+    if (!capturing) return;
+    // Capture phase, so the key press neither plays a note nor reaches the focused control.
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code !== 'Escape') {
+        setBindings(capturing.from ? rebindKey(bindings, capturing.from, e.code) : bindKey(bindings, e.code, capturing.action));
+      }
+      setCapturing(null);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [capturing, bindings, setBindings]);
+
+  const actions = [...CONTROL_ACTIONS, ...NOTE_OFFSETS.map(noteAction)];
+  const isCapturing = (action, from) => capturing?.action === action && capturing?.from === from;
+
+  return (
+      <div>
+        <div className="flex items-center justify-between">
+          <label className="text-sm font-medium text-gray-300 flex items-center space-x-1"><KeyboardIcon size={16}/><span>PCキーボード</span></label>
+          <button onClick={() => { setOpen(!open); setCapturing(null); }} aria-expanded={open} className="text-xs bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded">{open ? '閉じる' : 'キー割り当て'}</button>
+        </div>
+        {open && (
+            <div className="mt-2 p-2 bg-gray-900 rounded-lg space-y-2">
+              <p className="text-xs text-gray-400">{capturing ? '割り当てるキーを押してください（Escでキャンセル）' : 'キーをクリックして割り当てを変更します。'}</p>
+              <ul className="max-h-64 overflow-y-auto space-y-1 pr-1">
+                {actions.map(action => (
+                    <li key={action} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-300">{actionLabel(action)}</span>
+                      <span className="flex items-center flex-wrap justify-end gap-1">
+                        {keysFor(bindings, action).map(code => (
+                            <span key={code} className="flex items-center">
+                              <button onClick={() => setCapturing({ action, from: code })} className={`text-xs font-bold px-2 py-0.5 rounded-l ${isCapturing(action, code) ? 'bg-pink-500 text-white' : 'bg-gray-700 text-gray-200'}`} title="クリックして別のキーに変更">{isCapturing(action, code) ? '…' : keyLabel(code)}</button>
+                              <button onClick={() => setBindings(unbindKey(bindings, code))} className="text-gray-400 hover:text-white bg-gray-700 px-1 py-0.5 rounded-r" aria-label={`${keyLabel(code)}の割り当てを解除`}><X size={12}/></button>
+                            </span>
+                        ))}
+                        <button onClick={() => setCapturing({ action })} className={`px-1 py-0.5 rounded ${isCapturing(action, undefined) ? 'bg-pink-500 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'}`} aria-label={`${actionLabel(action)}にキーを追加`}><Plus size={12}/></button>
+                      </span>
+                    </li>
+                ))}
+              </ul>
+              <button onClick={() => { resetBindings(); setCapturing(null); }} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-semibold py-1 rounded-lg text-sm">初期設定に戻す</button>
+            </div>
+        )}
+      </div>
+  );
+};
+
+export default KeyBindingsSettings;
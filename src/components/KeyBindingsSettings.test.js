@@ -0,0 +1,49 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import KeyBindingsSettings from './KeyBindingsSettings';
+import { DEFAULT_BINDINGS } from '../keyboard/keyBindings';
+
+const setup = (bindings = DEFAULT_BINDINGS) => {
+  const keyboard = { bindings, setBindings: jest.fn(), resetBindings: jest.fn() };
+  render(<KeyBindingsSettings keyboard={keyboard} />);
+  fireEvent.click(screen.getByRole('button', { name: 'キー割り当て' }));
+  return keyboard;
+};
+
+describe('KeyBindingsSettings', () => {
+  test('moves an action to the next key pressed', () => {
+    const keyboard = setup();
+    fireEvent.click(screen.getByRole('button', { name: 'Space' }));
+    fireEvent.keyDown(document.body, { code: 'Tab' });
+    const [[bindings]] = keyboard.setBindings.mock.calls;
+    expect(bindings.Space).toBeUndefined();
+    expect(bindings.Tab).toBe('sustain');
+  });
+
+  test('adds a key for an action', () => {
+    const keyboard = setup();
+    fireEvent.click(screen.getByRole('button', { name: 'C3にキーを追加' }));
+    fireEvent.keyDown(document.body, { code: 'KeyA' });
+    const [[bindings]] = keyboard.setBindings.mock.calls;
+    expect(bindings.KeyA).toBe('note:0');
+    expect(bindings.KeyZ).toBe('note:0');
+  });
+
+  test('Escape cancels, and the captured key does not reach other listeners', () => {
+    const keyboard = setup();
+    const listener = jest.fn();
+    window.addEventListener('keydown', listener);
+    fireEvent.click(screen.getByRole('button', { name: 'C3にキーを追加' }));
+    fireEvent.keyDown(document.body, { code: 'Escape' });
+    window.removeEventListener('keydown', listener);
+    expect(keyboard.setBindings).not.toHaveBeenCalled();
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('removes a key and resets to the defaults', () => {
+    const keyboard = setup();
+    fireEvent.click(screen.getByRole('button', { name: 'Zの割り当てを解除' }));
+    expect(keyboard.setBindings.mock.calls[0][0].KeyZ).toBeUndefined();
+    fireEvent.click(screen.getByRole('button', { name: '初期設定に戻す' }));
+    expect(keyboard.resetBindings).toHaveBeenCalled();
+  });
+});
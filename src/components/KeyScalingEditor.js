@@ -0,0 +1,53 @@
+import React from 'react';
+import { keyLevelScale, KEY_SCALING_CURVES } from '../synth/keyScaling';
+import { midiToNoteName } from '../utils/notes';
+
+const WIDTH = 320, HEIGHT = 60, PAD = 6;
+// Notes shown across the graph: the range of an 88-key piano.
+const LOW_NOTE = 21, HIGH_NOTE = 108;
+const CURVE_LABELS = { '-lin': '-Lin', '-exp': '-Exp', '+exp': '+Exp', '+lin': '+Lin' };
+
+const xOf = (note) => PAD + (note - LOW_NOTE) / (HIGH_NOTE - LOW_NOTE) * (WIDTH - 2 * PAD);
+// Level factors 0..2, with 1 (unchanged) in the middle.
+const yOf = (scale) => PAD + (1 - scale / 2) * (HEIGHT - 2 * PAD);
+
+// Keyboard level scaling of one operator: the level factor across the keyboard, with the
+// breakpoint and each side's depth and curve below it.
+const KeyScalingEditor = ({ params, onChange }) => {
+  const { keyBreakpoint } = params;
+  const notes = Array.from({ length: HIGH_NOTE - LOW_NOTE + 1 }, (_, i) => LOW_NOTE + i);
+  const path = notes.map((note, i) => `${i === 0 ? 'M' : 'L'}${xOf(note).toFixed(1)},${yOf(keyLevelScale(params, note)).toFixed(1)}`).join(' ');
+
+  const side = (label, depthKey, curveKey) => (
+      <div className="space-y-1">
+        <label className="text-xs font-medium text-gray-300 flex justify-between">{label} <span>{params[depthKey].toFixed(2)}</span></label>
+        <input type="range" min="0" max="1" step="0.01" value={params[depthKey]} onChange={(e) => onChange({ [depthKey]: parseFloat(e.target.value) })} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" />
+        <div className="flex space-x-1">
+          {KEY_SCALING_CURVES.map(c => (
+              <button key={c} onClick={() => onChange({ [curveKey]: c })} className={`w-full font-semibold py-0.5 rounded text-[11px] ${params[curveKey] === c ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>{CURVE_LABELS[c]}</button>
+          ))}
+        </div>
+      </div>
+  );
+
+  return (
+      <div className="space-y-2">
+        <label className="text-sm font-medium text-gray-300">Key Level Scaling</label>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-900 rounded-lg" role="img" aria-label="Key level scaling">
+          <line x1={PAD} y1={yOf(1)} x2={WIDTH - PAD} y2={yOf(1)} stroke="#374151" strokeDasharray="3 3" />
+          <line x1={xOf(keyBreakpoint)} y1={PAD} x2={xOf(keyBreakpoint)} y2={HEIGHT - PAD} stroke="#f472b6" strokeDasharray="2 2" />
+          <path d={path} fill="none" stroke="#2dd4bf" strokeWidth="2" />
+        </svg>
+        <div className="space-y-1">
+          <label className="text-xs font-medium text-gray-300 flex justify-between">Breakpoint <span>{midiToNoteName(keyBreakpoint)}</span></label>
+          <input type="range" min={LOW_NOTE} max={HIGH_NOTE} step="1" value={keyBreakpoint} onChange={(e) => onChange({ keyBreakpoint: parseInt(e.target.value) })} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" />
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          {side('Left Depth', 'keyLeftDepth', 'keyLeftCurve')}
+          {side('Right Depth', 'keyRightDepth', 'keyRightCurve')}
+        </div>
+      </div>
+  );
+};
+
+export default KeyScalingEditor;
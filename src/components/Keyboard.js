@@ -0,0 +1,91 @@
+import React, { useState, useRef } from 'react';
+import { DEFAULT_VELOCITY } from '../keyboard/keyBindings';
+import { midiToNoteName } from '../utils/notes';
+
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+const isBlack = (note) => BLACK_KEYS.includes(note % 12);
+
+// Pressing nearer the front edge of a key plays louder, like striking a real key harder.
+const velocityFromPointer = (e) => {
+  const rect = e.currentTarget.getBoundingClientRect();
+  if (!rect.height) return DEFAULT_VELOCITY;
+  const position = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+  return 0.2 + 0.8 * position;
+};
+
+// On-screen keyboard from lowNote to highNote (both white keys). Mouse, pen and touch
+// all go through pointer events: every finger holds its own note, and sliding a pressed
+// pointer across the keys plays a glissando. `litNotes` lights notes played elsewhere
+// (PC keys, MIDI); `keyLabels` (note -> text) shows the PC key of each note.
+const Keyboard = ({ lowNote, highNote, onNoteOn, onNoteOff, litNotes = new Set(), keyLabels = new Map() }) => {
+  const pointersRef = useRef(new Map()); // pointerId -> note
+  const [pressedNotes, setPressedNotes] = useState(new Set());
+
+  const notes = Array.from({ length: highNote - lowNote + 1 }, (_, i) => lowNote + i);
+  const whiteNotes = notes.filter(note => !isBlack(note));
+  const whiteWidth = 100 / whiteNotes.length;
+
+  const isHeldByOthers = (pointerId, note) => [...pointersRef.current].some(([id, held]) => id !== pointerId && held === note);
+
+  // Moves a pointer onto `note`, releasing the note it held unless another pointer holds it too.
+  const press = (pointerId, note, velocity) => {
+    const pointers = pointersRef.current;
+    const previous = pointers.get(pointerId);
+    if (previous === note) return;
+    if (previous !== undefined && !isHeldByOthers(pointerId, previous)) onNoteOff(previous);
+    if (!isHeldByOthers(pointerId, note)) onNoteOn(note, velocity);
+    pointers.set(pointerId, note);
+    setPressedNotes(new Set(pointers.values()));
+  };
+
+  const release = (pointerId) => {
+    const pointers = pointersRef.current;
+    if (!pointers.has(pointerId)) return;
+    const note = pointers.get(pointerId);
+    pointers.delete(pointerId);
+    if (!isHeldByOthers(pointerId, note)) onNoteOff(note);
+    setPressedNotes(new Set(pointers.values()));
+  };
+
+  const keyHandlers = (note) => ({
+    onPointerDown: (e) => {
+      e.preventDefault();
+      // Touch pointers are captured by the key they start on; without releasing that,
+      // the keys slid onto would never see the pointer enter.
+      if (e.currentTarget.hasPointerCapture?.(e.pointerId)) e.currentTarget.releasePointerCapture(e.pointerId);
+      press(e.pointerId, note, velocityFromPointer(e));
+    },
+    onPointerEnter: (e) => {
+      if (pointersRef.current.has(e.pointerId)) press(e.pointerId, note, velocityFromPointer(e));
+    },
+  });
+
+  const isLit = (note) => pressedNotes.has(note) || litNotes.has(note);
+  const keyProps = (note) => ({ role: 'button', 'aria-label': midiToNoteName(note), 'aria-pressed': isLit(note), ...keyHandlers(note) });
+
+  return (
+      <div role="group" aria-label="鍵盤" className="relative h-40 bg-gray-800 p-2 rounded-b-lg select-none touch-none" onContextMenu={(e) => e.preventDefault()}
+           onPointerUp={(e) => release(e.pointerId)} onPointerCancel={(e) => release(e.pointerId)} onPointerLeave={(e) => release(e.pointerId)}>
+        {whiteNotes.map((note, index) => (
+            <div key={note} {...keyProps(note)}
+                 className={`absolute bottom-2 h-36 border-2 border-gray-500 rounded-md cursor-pointer flex flex-col items-center justify-end pb-2 ${isLit(note) ? 'bg-sky-400' : 'bg-gray-100'} transition-colors duration-75`}
+                 style={{ left: `calc(${index * whiteWidth}% + 2px)`, width: `calc(${whiteWidth}% - 4px)` }}>
+              <span className="font-bold text-gray-600 text-xs uppercase">{keyLabels.get(note)}</span>
+              {note % 12 === 0 && <span className="font-medium text-gray-400 text-[10px] mt-1">{midiToNoteName(note)}</span>}
+            </div>
+        ))}
+        {notes.filter(isBlack).map((note) => {
+          const whiteIndex = whiteNotes.indexOf(note - 1);
+          return (
+              <div key={note} {...keyProps(note)}
+                   className={`absolute bottom-12 h-24 border-2 border-gray-700 rounded-md cursor-pointer flex flex-col items-center justify-end pb-2 z-10 ${isLit(note) ? 'bg-sky-600' : 'bg-gray-900'} transition-colors duration-75 text-white`}
+                   style={{ left: `${(whiteIndex + 0.7) * whiteWidth}%`, width: `${whiteWidth * 0.6}%` }}>
+                <span className="font-bold text-gray-300 text-xs uppercase">{keyLabels.get(note)}</span>
+              </div>
+          );
+        })}
+      </div>
+  );
+};
+
+export default Keyboard;
@@ -0,0 +1,91 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import Keyboard from './Keyboard';
+
+// jsdom has no PointerEvent; a MouseEvent carrying the pointer fields is enough here.
+class TestPointerEvent extends MouseEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.pointerId = init.pointerId ?? 1;
+    this.pointerType = init.pointerType ?? 'mouse';
+  }
+}
+
+beforeAll(() => { window.PointerEvent = TestPointerEvent; });
+afterAll(() => { delete window.PointerEvent; });
+
+const setup = (props = {}) => {
+  const onNoteOn = jest.fn();
+  const onNoteOff = jest.fn();
+  render(<Keyboard lowNote={60} highNote={72} onNoteOn={onNoteOn} onNoteOff={onNoteOff} {...props} />);
+  return { onNoteOn, onNoteOff, keyboard: screen.getByRole('group', { name: '鍵盤' }) };
+};
+
+const key = (name) => screen.getByRole('button', { name });
+const notes = (mock) => mock.mock.calls.map(([note]) => note);
+
+describe('Keyboard', () => {
+  test('shows the given range', () => {
+    setup({ lowNote: 48, highNote: 84 });
+    expect(screen.getAllByRole('button')).toHaveLength(37);
+    expect(key('C3')).toBeInTheDocument();
+    expect(key('C6')).toBeInTheDocument();
+  });
+
+  test('plays and releases a pressed key', () => {
+    const { onNoteOn, onNoteOff } = setup();
+    fireEvent.pointerDown(key('E4'));
+    expect(notes(onNoteOn)).toEqual([64]);
+    expect(key('E4')).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.pointerUp(key('E4'));
+    expect(notes(onNoteOff)).toEqual([64]);
+    expect(key('E4')).toHaveAttribute('aria-pressed', 'false');
+  });
+
+  test('slides a pressed pointer across keys as a glissando', () => {
+    const { onNoteOn, onNoteOff, keyboard } = setup();
+    fireEvent.pointerDown(key('C4'), { pointerType: 'touch' });
+    fireEvent.pointerEnter(key('C#4'), { pointerType: 'touch' });
+    fireEvent.pointerEnter(key('D4'), { pointerType: 'touch' });
+    expect(notes(onNoteOn)).toEqual([60, 61, 62]);
+    expect(notes(onNoteOff)).toEqual([60, 61]);
+    fireEvent.pointerLeave(keyboard, { pointerType: 'touch' });
+    expect(notes(onNoteOff)).toEqual([60, 61, 62]);
+  });
+
+  test('ignores pointers moving over keys without pressing', () => {
+    const { onNoteOn } = setup();
+    fireEvent.pointerEnter(key('D4'));
+    expect(onNoteOn).not.toHaveBeenCalled();
+  });
+
+  test('each finger holds its own note', () => {
+    const { onNoteOn, onNoteOff } = setup();
+    fireEvent.pointerDown(key('C4'), { pointerId: 1, pointerType: 'touch' });
+    fireEvent.pointerDown(key('E4'), { pointerId: 2, pointerType: 'touch' });
+    fireEvent.pointerDown(key('G4'), { pointerId: 3, pointerType: 'touch' });
+    fireEvent.pointerUp(key('E4'), { pointerId: 2, pointerType: 'touch' });
+    expect(notes(onNoteOn)).toEqual([60, 64, 67]);
+    expect(notes(onNoteOff)).toEqual([64]);
+    expect(key('C4')).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.pointerCancel(key('C4'), { pointerId: 1, pointerType: 'touch' });
+    expect(notes(onNoteOff)).toEqual([64, 60]);
+  });
+
+  test('a note held by two fingers sounds until both let go', () => {
+    const { onNoteOn, onNoteOff } = setup();
+    fireEvent.pointerDown(key('C4'), { pointerId: 1 });
+    fireEvent.pointerDown(key('D4'), { pointerId: 2 });
+    fireEvent.pointerEnter(key('C4'), { pointerId: 2 });
+    expect(notes(onNoteOn)).toEqual([60, 62]);
+    fireEvent.pointerUp(key('C4'), { pointerId: 1 });
+    expect(notes(onNoteOff)).toEqual([62]);
+    fireEvent.pointerUp(key('C4'), { pointerId: 2 });
+    expect(notes(onNoteOff)).toEqual([62, 60]);
+  });
+
+  test('lights notes played elsewhere and shows PC key labels', () => {
+    setup({ litNotes: new Set([67]), keyLabels: new Map([[60, 'Z']]) });
+    expect(key('G4')).toHaveAttribute('aria-pressed', 'true');
+    expect(key('C4')).toHaveTextContent('Z');
+  });
+});
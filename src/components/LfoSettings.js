@@ -0,0 +1,33 @@
+import React from 'react';
+import { LFO_WAVEFORMS } from '../synth/Lfo';
+
+const WAVEFORM_LABELS = { triangle: 'Triangle', sine: 'Sine', sawtooth: 'Sawtooth', square: 'Square', sampleHold: 'S&H' };
+
+// Patch LFO: waveform, rate, delay/fade-in, key sync and PM/AM depth. AM reaches an
+// operator according to its AM Sens.
+const LfoSettings = ({ patch, setPatch }) => {
+  const { lfo } = patch;
+  const updateLfo = (param, value) => setPatch({ ...patch, lfo: { ...lfo, [param]: value } });
+  const updateFloat = (param) => (e) => updateLfo(param, parseFloat(e.target.value));
+
+  return (
+      <div>
+        <label className="text-sm font-medium text-gray-300">LFO</label>
+        <div className="mt-2 p-2 bg-gray-900 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <select value={lfo.waveform} onChange={(e) => updateLfo('waveform', e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm">
+              {LFO_WAVEFORMS.map(w => (<option key={w} value={w}>{WAVEFORM_LABELS[w]}</option>))}
+            </select>
+            <label className="text-sm text-gray-300 flex items-center space-x-2"><span>キーシンク</span><input type="checkbox" checked={lfo.keySync} onChange={(e) => updateLfo('keySync', e.target.checked)} className="w-4 h-4 accent-teal-500" /></label>
+          </div>
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">レート <span>{lfo.rate.toFixed(2)}Hz</span></label><input type="range" min="0.05" max="30" step="0.05" value={lfo.rate} onChange={updateFloat('rate')} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">ディレイ <span>{lfo.delay.toFixed(2)}s</span></label><input type="range" min="0" max="5" step="0.01" value={lfo.delay} onChange={updateFloat('delay')} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">フェードイン <span>{lfo.fade.toFixed(2)}s</span></label><input type="range" min="0" max="5" step="0.01" value={lfo.fade} onChange={updateFloat('fade')} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">PMデプス <span>{Math.round(lfo.pmDepth)}¢</span></label><input type="range" min="0" max="700" step="1" value={lfo.pmDepth} onChange={updateFloat('pmDepth')} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">AMデプス <span>{lfo.amDepth.toFixed(2)}</span></label><input type="range" min="0" max="1" step="0.01" value={lfo.amDepth} onChange={updateFloat('amDepth')} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+        </div>
+      </div>
+  );
+};
+
+export default LfoSettings;
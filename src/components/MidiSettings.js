@@ -0,0 +1,34 @@
+import React from 'react';
+import { Cable } from 'lucide-react';
+import { OMNI } from '../midi/midiMessages';
+
+const MidiSettings = ({ midi }) => {
+  const { supported, inputs, selectedInputId, setSelectedInputId, channel, setChannel, error } = midi;
+
+  return (
+      <div>
+        <label className="text-sm font-medium text-gray-300 flex items-center space-x-1"><Cable size={16}/><span>MIDI入力</span></label>
+        <div className="mt-2 p-2 bg-gray-900 rounded-lg space-y-2">
+          {!supported && <p className="text-xs text-gray-400">このブラウザはWeb MIDI APIに対応していません。</p>}
+          {error && <p className="text-xs text-pink-400">{error}</p>}
+          {supported && !error && (
+              <>
+                <select value={selectedInputId} onChange={(e) => setSelectedInputId(e.target.value)} disabled={inputs.length === 0} className="w-full bg-gray-700 border border-gray-600 text-white rounded-md p-2 disabled:opacity-50">
+                  {inputs.length === 0 && <option value="">デバイスが見つかりません</option>}
+                  {inputs.map(input => (<option key={input.id} value={input.id}>{input.name}</option>))}
+                </select>
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-300">チャンネル</span>
+                  <select value={channel} onChange={(e) => setChannel(parseInt(e.target.value))} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1">
+                    <option value={OMNI}>All</option>
+                    {Array.from({ length: 16 }, (_, i) => i + 1).map(ch => (<option key={ch} value={ch}>{ch}</option>))}
+                  </select>
+                </div>
+              </>
+          )}
+        </div>
+      </div>
+  );
+};
+
+export default MidiSettings;
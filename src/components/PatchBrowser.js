@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Library, Search, ChevronLeft, ChevronRight, Save, CopyPlus, Pencil, Trash2, FolderPlus, Upload, Download } from 'lucide-react';
+import {
+  CATEGORIES, loadLibrary, saveLibrary, findBank, findEntry, userBanks, filterPatches, stepEntry,
+  addPatch, updatePatch, renamePatch, deletePatch, addBank, deleteBank, createBank, exportBank, importBank, bankFromEntries, rejectedMessages,
+} from '../patch/library';
+import { FACTORY_BANK_ID } from '../patch/factoryBank';
+import { withPatchDefaults } from '../patch/patch';
+import { downloadJson, downloadBlob } from '../utils/download';
+import { isVoiceFile, parseVoiceFile, BANK_EXPORT_FORMATS, VOICE_FILE_EXTENSIONS } from '../patch/formats';
+
+const iconButton = 'bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Sidebar patch library: banks, search/category filter, save/rename/delete and bank files.
+// The library is persisted to localStorage on every change. Patches that fail to load
+// (from storage or a bank file) are left out and reported through onError({ title, messages }).
+const PatchBrowser = ({ patch, onLoadPatch, onNameChange, onError }) => {
+  const [stored] = useState(() => loadLibrary(window.localStorage));
+  const [library, setLibrary] = useState(stored.library);
+  const [bankId, setBankId] = useState(FACTORY_BANK_ID);
+  const [current, setCurrent] = useState(null); // { bankId, patchId }
+  const [loadedPatch, setLoadedPatch] = useState(null);
+  const [query, setQuery] = useState('');
+  const [category, setCategory] = useState('');
+  const [bankExportFormat, setBankExportFormat] = useState('json');
+  const bankFileRef = useRef(null);
+
+  useEffect(() => {
+    try {
+      saveLibrary(library, window.localStorage);
+    } catch (error) {
+      // Storage full or disabled: the library still works for this session.
+    }
+  }, [library]);
+
+  useEffect(() => {
+    if (stored.rejected.length === 0) return;
+    onError?.({ title: `ライブラリの${stored.rejected.length}件のパッチを読み込めませんでした`, messages: rejectedMessages(stored.rejected) });
+  }, [stored, onError]);
+
+  const bank = findBank(library, bankId) || library.banks[0];
+  const entries = filterPatches(bank, query, category);
+  const currentEntry = current ? findEntry(library, current.bankId, current.patchId) : null;
+  const currentBank = current ? findBank(library, current.bankId) : null;
+  const isUserEntry = !!currentEntry && !currentBank.readOnly;
+  const isDirty = !!currentEntry && patch !== loadedPatch;
+
+  const currentName = currentEntry ? currentEntry.name : null;
+  useEffect(() => { onNameChange?.(currentName); }, [currentName, onNameChange]);
+
+  const loadEntry = (targetBankId, entry) => {
+    const loaded = withPatchDefaults(entry.patch);
+    setCurrent({ bankId: targetBankId, patchId: entry.id });
+    setLoadedPatch(loaded);
+    onLoadPatch(loaded);
+  };
+
+  const step = (direction) => {
+    const next = stepEntry(entries, current?.bankId === bank.id ? current.patchId : null, direction);
+    if (next) loadEntry(bank.id, next);
+  };
+
+  // Saving a factory patch (or nothing loaded yet) goes to the selected user bank, creating one if needed.
+  const targetUserBank = (lib) => {
+    if (!bank.readOnly) return { lib, target: bank };
+    const existing = userBanks(lib)[0];
+    if (existing) return { lib, target: existing };
+    const created = createBank('User');
+    return { lib: addBank(lib, created), target: created };
+  };
+
+  const handleSave = () => {
+    if (!isUserEntry) {
+      handleSaveAs();
+      return;
+    }
+    setLibrary(updatePatch(library, current.bankId, current.patchId, { patch }));
+    setLoadedPatch(patch);
+  };
+
+  const handleSaveAs = () => {
+    const name = window.prompt('パッチ名を入力してください', currentEntry ? `${currentEntry.name} Copy` : 'New Patch');
+    if (!name) return;
+    const { lib, target } = targetUserBank(library);
+    const result = addPatch(lib, target.id, { name, category: currentEntry?.category || 'Other', patch });
+    setLibrary(result.library);
+    setBankId(target.id);
+    setCurrent({ bankId: target.id, patchId: result.entry.id });
+    setLoadedPatch(patch);
+  };
+
+  const handleRename = () => {
+    const name = window.prompt('新しいパッチ名を入力してください', currentEntry.name);
+    if (name) setLibrary(renamePatch(library, current.bankId, current.patchId, name));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`「${currentEntry.name}」を削除しますか？`)) return;
+    setLibrary(deletePatch(library, current.bankId, current.patchId));
+    setCurrent(null);
+  };
+
+  const handleNewBank = () => {
+    const name = window.prompt('バンク名を入力してください', 'New Bank');
+    if (!name) return;
+    const created = createBank(name);
+    setLibrary(addBank(library, created));
+    setBankId(created.id);
+  };
+
+  const handleDeleteBank = () => {
+    if (!window.confirm(`バンク「${bank.name}」とすべてのパッチを削除しますか？`)) return;
+    setLibrary(deleteBank(library, bank.id));
+    setBankId(FACTORY_BANK_ID);
+    if (current?.bankId === bank.id) setCurrent(null);
+  };
+
+  // A bank whose every patch was rejected is not added.
+  const addImportedBank = ({ bank: imported, rejected }) => {
+    if (rejected.length > 0) {
+      onError?.({ title: `バンクの${rejected.length}件のパッチを読み込めませんでした`, messages: rejectedMessages(rejected) });
+      if (imported.patches.length === 0) return;
+    }
+    setLibrary(lib => addBank(lib, imported));
+    setBankId(imported.id);
+  };
+
+  // JSON bank exports, or Yamaha SysEx / OPM / TFI voice files turned into a new bank.
+  const handleBankImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    if (isVoiceFile(file.name)) {
+      reader.onload = (e) => {
+        try {
+          addImportedBank(bankFromEntries(file.name.replace(/\.[^.]+$/, ''), parseVoiceFile(file.name, new Uint8Array(e.target.result))));
+        } catch (error) { onError?.({ title: 'ボイスファイルを読み込めませんでした', messages: [error.message] }); }
+      };
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.onload = (e) => {
+        try {
+          addImportedBank(importBank(JSON.parse(e.target.result)));
+        } catch (error) { onError?.({ title: 'バンクファイルを読み込めませんでした', messages: [error.message] }); }
+      };
+      reader.readAsText(file);
+    }
+    event.target.value = '';
+  };
+
+  const handleBankExport = () => {
+    if (bankExportFormat === 'json') {
+      downloadJson(exportBank(bank), `${bank.name}.fm-bank.json`);
+      return;
+    }
+    const format = BANK_EXPORT_FORMATS.find(f => f.id === bankExportFormat);
+    downloadBlob(format.write(bank.patches), `${bank.name}.${format.id}`, format.mimeType);
+    const warnings = format.warnings(bank.patches);
+    if (warnings.length > 0) onError?.({ title: `${format.label}に保存できない設定があります`, messages: warnings });
+  };
+
+  return (
+      <div className="bg-gray-800 p-4 rounded-xl space-y-3">
+        <h2 className="text-xl font-bold flex items-center space-x-2"><Library/><span>パッチライブラリ</span></h2>
+
+        <div className="flex items-center space-x-2">
+          <button onClick={() => step(-1)} className={iconButton} disabled={entries.length === 0} title="前のパッチ"><ChevronLeft size={18}/></button>
+          <div className="flex-1 text-center truncate font-semibold">{currentEntry ? `${currentEntry.name}${isDirty ? ' *' : ''}` : '（未保存）'}</div>
+          <button onClick={() => step(1)} className={iconButton} disabled={entries.length === 0} title="次のパッチ"><ChevronRight size={18}/></button>
+        </div>
+
+        <div className="flex space-x-2">
+          <button onClick={handleSave} className={iconButton} title="保存"><Save size={18}/></button>
+          <button onClick={handleSaveAs} className={iconButton} title="別名で保存"><CopyPlus size={18}/></button>
+          <button onClick={handleRename} className={iconButton} disabled={!isUserEntry} title="名前を変更"><Pencil size={18}/></button>
+          <button onClick={handleDelete} className={iconButton} disabled={!isUserEntry} title="削除"><Trash2 size={18}/></button>
+          {isUserEntry && (
+              <select value={currentEntry.category} onChange={(e) => setLibrary(updatePatch(library, current.bankId, current.patchId, { category: e.target.value }))} className="flex-1 bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm" title="カテゴリ">
+                {CATEGORIES.map(c => (<option key={c} value={c}>{c}</option>))}
+              </select>
+          )}
+        </div>
+
+        <div className="flex space-x-2">
+          <select value={bank.id} onChange={(e) => setBankId(e.target.value)} className="flex-1 min-w-0 bg-gray-700 border border-gray-600 text-white rounded-md p-2">
+            {library.banks.map(b => (<option key={b.id} value={b.id}>{b.name} ({b.patches.length})</option>))}
+          </select>
+          <button onClick={handleNewBank} className={iconButton} title="新しいバンク"><FolderPlus size={18}/></button>
+        </div>
+        <div className="flex space-x-2">
+          <input type="file" ref={bankFileRef} className="hidden" onChange={handleBankImport} accept={['.json', ...VOICE_FILE_EXTENSIONS].join(',')} />
+          <button onClick={() => bankFileRef.current.click()} className={`${iconButton} flex-1 flex items-center justify-center space-x-1 text-sm`}><Upload size={16}/><span>バンク読込</span></button>
+          <button onClick={handleBankExport} className={`${iconButton} flex-1 flex items-center justify-center space-x-1 text-sm`}><Download size={16}/><span>バンク書出</span></button>
+          <button onClick={handleDeleteBank} className={iconButton} disabled={bank.readOnly} title="バンクを削除"><Trash2 size={16}/></button>
+        </div>
+        <select value={bankExportFormat} onChange={(e) => setBankExportFormat(e.target.value)} className="w-full bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm" title="バンク書出形式">
+          <option value="json">JSON (.json)</option>
+          {BANK_EXPORT_FORMATS.map(format => (<option key={format.id} value={format.id}>{format.label}</option>))}
+        </select>
+
+        <div className="flex space-x-2">
+          <div className="relative flex-1 min-w-0">
+            <Search size={16} className="absolute left-2 top-2.5 text-gray-400"/>
+            <input type="search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="検索" className="w-full bg-gray-700 border border-gray-600 text-white rounded-md py-1.5 pl-8 pr-2" />
+          </div>
+          <select value={category} onChange={(e) => setCategory(e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm">
+            <option value="">All</option>
+            {CATEGORIES.map(c => (<option key={c} value={c}>{c}</option>))}
+          </select>
+        </div>
+
+        <ul className="max-h-80 overflow-y-auto space-y-1">
+          {entries.length === 0 && <li className="text-sm text-gray-400 p-2">パッチがありません</li>}
+          {entries.map(entry => {
+            const selected = current?.bankId === bank.id && current.patchId === entry.id;
+            return (
+                <li key={entry.id}>
+                  <button onClick={() => loadEntry(bank.id, entry)} className={`w-full flex justify-between items-center px-3 py-1.5 rounded-md text-left text-sm ${selected ? 'bg-sky-600 text-white' : 'hover:bg-gray-700 text-gray-200'}`}>
+                    <span className="truncate">{entry.name}</span>
+                    <span className="text-[10px] text-gray-400 ml-2">{entry.category}</span>
+                  </button>
+                </li>
+            );
+          })}
+        </ul>
+      </div>
+  );
+};
+
+export default PatchBrowser;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Layers, Plus, Trash2, Download } from 'lucide-react';
+import { MAX_PARTS, DEFAULT_SPLIT_NOTE, updatePart, layerParts, splitParts } from '../patch/performance';
+import { midiToNoteName } from '../utils/notes';
+
+const iconButton = 'bg-gray-700 hover:bg-gray-600 text-white p-1.5 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+const slider = 'w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer';
+
+// Performance mode: two or more parts with their own patches, played as layers or a split.
+// The patch editor works on the selected part. `performance` is { name, parts, selected }
+// or null when a single patch is played.
+const PerformancePanel = ({ performance, onToggle, onChange, onSelect, onAdd, onRemove, onExport }) => {
+  const [splitNote, setSplitNote] = useState(DEFAULT_SPLIT_NOTE);
+
+  const applySplit = (note) => {
+    setSplitNote(note);
+    onChange(splitParts(performance, note));
+  };
+
+  const partRow = (part, index) => {
+    const update = (changes) => onChange(updatePart(performance, index, changes));
+    const selected = index === performance.selected;
+    return (
+        <li key={index} className={`p-2 rounded-lg space-y-2 border ${selected ? 'border-sky-500 bg-gray-800' : 'border-gray-700'}`}>
+          <div className="flex items-center space-x-2">
+            <button onClick={() => onSelect(index)} aria-pressed={selected} title="このパートを編集" className={`text-xs font-bold px-2 py-1 rounded ${selected ? 'bg-sky-600 text-white' : 'bg-gray-700 text-gray-400'}`}>P{index + 1}</button>
+            <input type="text" value={part.name} onChange={(e) => update({ name: e.target.value })} aria-label={`パート${index + 1}の名前`} className="flex-1 min-w-0 bg-gray-700 border border-gray-600 text-white rounded-md px-2 py-1 text-sm" />
+            <button onClick={() => onRemove(index)} className={iconButton} disabled={performance.parts.length <= 1} title="パートを削除"><Trash2 size={14}/></button>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1"><label className="text-xs text-gray-300 flex justify-between">下限 <span>{midiToNoteName(part.lowKey)}</span></label><input type="range" min="0" max="127" step="1" value={part.lowKey} onChange={(e) => update({ lowKey: Math.min(parseInt(e.target.value), part.highKey) })} className={slider} /></div>
+            <div className="space-y-1"><label className="text-xs text-gray-300 flex justify-between">上限 <span>{midiToNoteName(part.highKey)}</span></label><input type="range" min="0" max="127" step="1" value={part.highKey} onChange={(e) => update({ highKey: Math.max(parseInt(e.target.value), part.lowKey) })} className={slider} /></div>
+            <div className="space-y-1"><label className="text-xs text-gray-300 flex justify-between">トランスポーズ <span>{part.transpose > 0 ? '+' : ''}{part.transpose}</span></label><input type="range" min="-24" max="24" step="1" value={part.transpose} onChange={(e) => update({ transpose: parseInt(e.target.value) })} className={slider} /></div>
+            <div className="space-y-1"><label className="text-xs text-gray-300 flex justify-between">ボリューム <span>{part.volume.toFixed(2)}</span></label><input type="range" min="0" max="1" step="0.01" value={part.volume} onChange={(e) => update({ volume: parseFloat(e.target.value) })} className={slider} /></div>
+            <div className="col-span-2 space-y-1"><label className="text-xs text-gray-300 flex justify-between">パン <span>{part.pan === 0 ? 'C' : `${part.pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(part.pan) * 100)}`}</span></label><input type="range" min="-1" max="1" step="0.01" value={part.pan} onChange={(e) => update({ pan: parseFloat(e.target.value) })} className={slider} /></div>
+          </div>
+        </li>
+    );
+  };
+
+  return (
+      <div className="bg-gray-800 p-4 rounded-xl space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold flex items-center space-x-2"><Layers/><span>パフォーマンス</span></h2>
+          <button onClick={() => onToggle(!performance)} aria-pressed={!!performance} className={`w-12 text-sm font-bold py-1 rounded ${performance ? 'bg-teal-500 text-white' : 'bg-gray-600 text-gray-400'}`}>{performance ? 'ON' : 'OFF'}</button>
+        </div>
+        {!performance ? (
+            <p className="text-xs text-gray-400">ONにすると、複数のパッチをレイヤーまたはキーボードスプリットで同時に演奏できます。</p>
+        ) : (
+            <>
+              <input type="text" value={performance.name} onChange={(e) => onChange({ ...performance, name: e.target.value })} aria-label="パフォーマンス名" className="w-full bg-gray-700 border border-gray-600 text-white rounded-md px-2 py-1 text-sm" />
+              <div className="flex space-x-2">
+                <button onClick={() => onChange(layerParts(performance))} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-semibold py-1 rounded-lg text-sm">レイヤー</button>
+                <button onClick={() => applySplit(splitNote)} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-semibold py-1 rounded-lg text-sm">スプリット</button>
+              </div>
+              <div className="space-y-1"><label className="text-xs text-gray-300 flex justify-between">スプリットポイント <span>{midiToNoteName(splitNote)}</span></label><input type="range" min="1" max="127" step="1" value={splitNote} onChange={(e) => applySplit(parseInt(e.target.value))} className={slider} /></div>
+              <ul className="space-y-2">{performance.parts.map(partRow)}</ul>
+              <div className="flex space-x-2">
+                <button onClick={onAdd} className={`${iconButton} flex-1 flex items-center justify-center space-x-1 text-sm`} disabled={performance.parts.length >= MAX_PARTS}><Plus size={14}/><span>パートを追加</span></button>
+                <button onClick={onExport} className={`${iconButton} flex-1 flex items-center justify-center space-x-1 text-sm`} title="パッチを含むJSONとして書き出し"><Download size={14}/><span>書き出し</span></button>
+              </div>
+              <p className="text-xs text-gray-400">選択中のパートのパッチを編集しています。パフォーマンスファイルはヘッダーの「インポート」で読み込めます。</p>
+            </>
+        )}
+      </div>
+  );
+};
+
+export default PerformancePanel;
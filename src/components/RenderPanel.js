@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { FileAudio, Circle, Square } from 'lucide-react';
+import { noteEvents, phraseToWav } from '../synth/offlineRender';
+import { WAV_BIT_DEPTHS } from '../utils/wav';
+import { downloadBlob } from '../utils/download';
+import { midiToNoteName } from '../utils/notes';
+
+const RENDER_NOTES = Array.from({ length: 61 }, (_, i) => 36 + i); // C2..C7
+
+// Renders the current patch to a WAV file: one held note, or a phrase recorded from the keyboard.
+// Uses the same synth engine as live playing.
+const RenderPanel = ({ patch, engine, phrase, isRecording, onToggleRecording }) => {
+  const [mode, setMode] = useState('note');
+  const [note, setNote] = useState(60);
+  const [duration, setDuration] = useState(1);
+  const [tail, setTail] = useState(1);
+  const [bitDepth, setBitDepth] = useState(16);
+  const [isRendering, setIsRendering] = useState(false);
+
+  const events = mode === 'note' ? noteEvents(note, 1, duration) : phrase;
+  const canRender = !isRendering && !isRecording && events.length > 0;
+
+  const handleRender = async () => {
+    setIsRendering(true);
+    try {
+      const wav = await phraseToWav(patch, events, { tail, bitDepth, engine });
+      downloadBlob(wav, mode === 'note' ? `fm-render-${midiToNoteName(note)}.wav` : 'fm-render-phrase.wav', 'audio/wav');
+    } catch (error) {
+      alert(`WAVの書き出し中にエラーが発生しました: ${error.message}`);
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  return (
+      <div>
+        <label className="text-sm font-medium text-gray-300">WAV書き出し</label>
+        <div className="mt-2 p-2 bg-gray-900 rounded-lg space-y-3">
+          <div className="flex space-x-2">
+            <button onClick={() => setMode('note')} className={`w-full font-semibold py-1 rounded-lg text-sm ${mode === 'note' ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>ノート</button>
+            <button onClick={() => setMode('phrase')} className={`w-full font-semibold py-1 rounded-lg text-sm ${mode === 'phrase' ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>フレーズ</button>
+          </div>
+          {mode === 'note' ? (
+              <>
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-300">ノート</span>
+                  <select value={note} onChange={(e) => setNote(parseInt(e.target.value))} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm">
+                    {RENDER_NOTES.map(n => (<option key={n} value={n}>{midiToNoteName(n)}</option>))}
+                  </select>
+                </div>
+                <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">長さ <span>{duration.toFixed(1)}s</span></label><input type="range" min="0.1" max="10" step="0.1" value={duration} onChange={(e) => setDuration(parseFloat(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+              </>
+          ) : (
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-300">{isRecording ? '録音中…' : `${phrase.filter(e => e.type === 'noteOn').length}ノート`}</span>
+                <button onClick={onToggleRecording} className={`font-semibold py-1 px-3 rounded-lg text-sm flex items-center space-x-1 ${isRecording ? 'bg-pink-500 text-white' : 'bg-gray-700 hover:bg-gray-600 text-white'}`}>
+                  {isRecording ? <Square size={14}/> : <Circle size={14}/>}<span>{isRecording ? '停止' : '録音'}</span>
+                </button>
+              </div>
+          )}
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">リリース余白 <span>{tail.toFixed(1)}s</span></label><input type="range" min="0" max="10" step="0.1" value={tail} onChange={(e) => setTail(parseFloat(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          <div className="flex space-x-2">
+            <select value={bitDepth} onChange={(e) => setBitDepth(parseInt(e.target.value))} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm" title="ビット深度">
+              {WAV_BIT_DEPTHS.map(depth => (<option key={depth} value={depth}>{depth}-bit</option>))}
+            </select>
+            <button onClick={handleRender} disabled={!canRender} className="flex-1 bg-teal-500 hover:bg-teal-600 text-white font-semibold py-1 px-3 rounded-lg text-sm flex items-center justify-center space-x-1 disabled:opacity-40 disabled:cursor-not-allowed">
+              <FileAudio size={16}/><span>{isRendering ? 'レンダリング中…' : 'WAVに書き出し'}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+  );
+};
+
+export default RenderPanel;
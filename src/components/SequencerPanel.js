@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { ListMusic, Play, Square } from 'lucide-react';
+import { ARP_MODES } from '../synth/Arpeggiator';
+import { NOTE_DIVISIONS } from '../synth/tempo';
+import { midiToNoteName } from '../utils/notes';
+
+const ARP_MODE_LABELS = { up: 'Up', down: 'Down', upDown: 'Up/Down', random: 'Random' };
+const RATES = Object.keys(NOTE_DIVISIONS);
+
+const Slider = ({ label, value, display, min, max, step, onChange }) => (
+    <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">{label} <span>{display}</span></label><input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+);
+
+const RateSelect = ({ value, onChange }) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm">
+      {RATES.map(r => (<option key={r} value={r}>{r}</option>))}
+    </select>
+);
+
+// Arpeggiator settings and the 16-step sequencer. Both are stored in the patch; the
+// sequencer's transport (play/stop) is not.
+const SequencerPanel = ({ patch, setPatch, sequencer }) => {
+  const { arp, sequence, tempo } = patch;
+  const [playing, setPlaying] = useState(false);
+  const [playhead, setPlayhead] = useState(null);
+  const [selected, setSelected] = useState(0);
+
+  const updateArp = (param, value) => setPatch({ ...patch, arp: { ...arp, [param]: value } });
+  const updateSequence = (param, value) => setPatch({ ...patch, sequence: { ...sequence, [param]: value } });
+  const updateStep = (index, changes) => updateSequence('steps', sequence.steps.map((s, i) => i === index ? { ...s, ...changes } : s));
+
+  // Follows the audio clock to light the step that is sounding.
+  useEffect(() => {
+    if (!playing || !sequencer) return undefined;
+    let frame;
+    const update = () => {
+      setPlayhead(sequencer.stepAt(sequencer.context.currentTime));
+      frame = requestAnimationFrame(update);
+    };
+    frame = requestAnimationFrame(update);
+    return () => {
+      cancelAnimationFrame(frame);
+      setPlayhead(null);
+    };
+  }, [playing, sequencer]);
+
+  useEffect(() => () => sequencer?.stop(), [sequencer]);
+
+  const togglePlaying = () => {
+    if (playing) sequencer.stop(); else sequencer.start();
+    setPlaying(!playing);
+  };
+
+  const step = sequence.steps[selected];
+
+  return (
+      <div className="bg-gray-800 p-4 rounded-xl space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold flex items-center space-x-2"><ListMusic/><span>アルペジエーター / シーケンサー</span></h2>
+          <div className="w-48"><Slider label="テンポ" value={tempo} display={`${tempo} BPM`} min="40" max="240" step="1" onChange={(v) => setPatch({ ...patch, tempo: v })} /></div>
+        </div>
+
+        <div className="p-2 bg-gray-900 rounded-lg space-y-3">
+          <div className="flex items-center justify-between flex-wrap gap-2">
+            <div className="flex items-center space-x-2">
+              <button onClick={() => updateArp('on', !arp.on)} className={`px-3 py-1 rounded-lg text-sm font-semibold ${arp.on ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>ARP {arp.on ? 'ON' : 'OFF'}</button>
+              <select value={arp.mode} onChange={(e) => updateArp('mode', e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm">
+                {ARP_MODES.map(m => (<option key={m} value={m}>{ARP_MODE_LABELS[m]}</option>))}
+              </select>
+              <RateSelect value={arp.rate} onChange={(v) => updateArp('rate', v)} />
+            </div>
+            <label className="text-sm text-gray-300 flex items-center space-x-2"><span>ラッチ</span><input type="checkbox" checked={arp.latch} onChange={(e) => updateArp('latch', e.target.checked)} className="w-4 h-4 accent-teal-500" /></label>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Slider label="オクターブ" value={arp.octaves} display={arp.octaves} min="1" max="4" step="1" onChange={(v) => updateArp('octaves', v)} />
+            <Slider label="ゲート" value={arp.gate} display={`${Math.round(arp.gate * 100)}%`} min="0.05" max="1" step="0.05" onChange={(v) => updateArp('gate', v)} />
+          </div>
+        </div>
+
+        <div className="p-2 bg-gray-900 rounded-lg space-y-3">
+          <div className="flex items-center space-x-2">
+            <button onClick={togglePlaying} disabled={!sequencer} className={`px-3 py-1 rounded-lg text-sm font-semibold flex items-center space-x-1 ${playing ? 'bg-pink-500 text-white' : 'bg-teal-500 text-white'}`}>
+              {playing ? <Square size={14}/> : <Play size={14}/>}<span>{playing ? '停止' : '再生'}</span>
+            </button>
+            <RateSelect value={sequence.rate} onChange={(v) => updateSequence('rate', v)} />
+          </div>
+          <div className="grid grid-cols-8 md:grid-cols-[repeat(16,minmax(0,1fr))] gap-1">
+            {sequence.steps.map((s, i) => (
+                <div key={i} className="flex flex-col items-center space-y-1">
+                  <button onClick={() => updateStep(i, { on: !s.on })} title={`ステップ ${i + 1}`}
+                          className={`w-full h-8 rounded ${s.on ? (s.tie ? 'bg-teal-700' : 'bg-teal-500') : 'bg-gray-700'} ${playhead === i ? 'ring-2 ring-pink-400' : ''}`} />
+                  <button onClick={() => setSelected(i)} className={`w-full text-[10px] rounded ${selected === i ? 'bg-sky-600 text-white' : 'text-gray-400'}`}>{s.tie ? '~' : midiToNoteName(s.note)}</button>
+                </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Slider label={`ステップ ${selected + 1} ノート`} value={step.note} display={midiToNoteName(step.note)} min="24" max="96" step="1" onChange={(v) => updateStep(selected, { note: v })} />
+            <Slider label="ベロシティ" value={step.velocity} display={step.velocity.toFixed(2)} min="0.05" max="1" step="0.01" onChange={(v) => updateStep(selected, { velocity: v })} />
+            <Slider label="ゲート" value={step.gate} display={`${Math.round(step.gate * 100)}%`} min="0.05" max="1" step="0.05" onChange={(v) => updateStep(selected, { gate: v })} />
+            <label className="text-sm text-gray-300 flex items-center space-x-2"><span>タイ（前のノートを延ばす）</span><input type="checkbox" checked={step.tie} onChange={(e) => updateStep(selected, { tie: e.target.checked })} className="w-4 h-4 accent-teal-500" /></label>
+          </div>
+        </div>
+      </div>
+  );
+};
+
+export default SequencerPanel;
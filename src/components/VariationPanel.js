@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { Shuffle, Lock, Unlock } from 'lucide-react';
+import { VARIATION_PARAMS, mutatePatch, morphPatches } from '../patch/variation';
+
+const PARAM_LABELS = { algorithm: 'アルゴリズム', feedback: 'フィードバック', ratio: '周波数比', level: 'レベル', envelope: 'エンベロープ', waveform: '波形' };
+
+const toggle = (list, item) => (list.includes(item) ? list.filter(x => x !== item) : [...list, item]);
+
+// Randomizer with operator/parameter locks, and a morph between two stored patches.
+// Morphing goes through setPatch, so sounding notes follow and the moves land in undo history.
+const VariationPanel = ({ patch, setPatch }) => {
+  const [amount, setAmount] = useState(0.3);
+  const [lockedOperators, setLockedOperators] = useState([]);
+  const [lockedParams, setLockedParams] = useState([]);
+  const [morphEnds, setMorphEnds] = useState([null, null]);
+  const [morph, setMorph] = useState(0);
+
+  const randomize = () => setPatch(mutatePatch(patch, amount, { locks: { operators: lockedOperators, params: lockedParams } }));
+
+  const storeEnd = (index) => {
+    setMorphEnds(ends => ends.map((end, i) => (i === index ? patch : end)));
+    setMorph(index);
+  };
+
+  const updateMorph = (e) => {
+    const t = parseFloat(e.target.value);
+    setMorph(t);
+    const [from, to] = morphEnds;
+    // Tempo, arpeggiator and sequence stay as they are now.
+    setPatch({ ...morphPatches(from, to, t), tempo: patch.tempo, arp: patch.arp, sequence: patch.sequence });
+  };
+
+  const canMorph = morphEnds.every(Boolean);
+  const lockButton = (locked) => `py-1 rounded-md text-xs font-semibold flex items-center justify-center space-x-1 ${locked ? 'bg-pink-500 text-white' : 'bg-gray-700 text-gray-400 hover:text-white'}`;
+
+  return (
+      <div>
+        <label className="text-sm font-medium text-gray-300">ランダマイズ / モーフ</label>
+        <div className="mt-2 p-2 bg-gray-900 rounded-lg space-y-3">
+          <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">変化量 <span>{Math.round(amount * 100)}%</span></label><input type="range" min="0.05" max="1" step="0.05" value={amount} onChange={(e) => setAmount(parseFloat(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+          <div className="space-y-1">
+            <span className="text-xs text-gray-400">ロック</span>
+            <div className="grid grid-cols-4 gap-1">
+              {[0, 1, 2, 3].map(i => {
+                const locked = lockedOperators.includes(i);
+                return (<button key={i} onClick={() => setLockedOperators(ops => toggle(ops, i))} className={lockButton(locked)} title={`OP${i + 1}をロック`}>{locked ? <Lock size={12}/> : <Unlock size={12}/>}<span>OP{i + 1}</span></button>);
+              })}
+            </div>
+            <div className="grid grid-cols-3 gap-1">
+              {VARIATION_PARAMS.map(param => (
+                  <button key={param} onClick={() => setLockedParams(params => toggle(params, param))} className={lockButton(lockedParams.includes(param))}>{PARAM_LABELS[param]}</button>
+              ))}
+            </div>
+          </div>
+          <button onClick={randomize} className="w-full bg-sky-500 hover:bg-sky-600 text-white font-semibold py-2 rounded-lg text-sm flex items-center justify-center space-x-2 transition-colors"><Shuffle size={16}/><span>ランダマイズ</span></button>
+          <div className="space-y-1 pt-2 border-t border-gray-700">
+            <div className="flex space-x-2">
+              {morphEnds.map((end, i) => (
+                  <button key={i} onClick={() => storeEnd(i)} className={`w-full py-1 rounded-md text-xs font-semibold ${end ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400 hover:text-white'}`} title="現在のパッチをモーフの端点に保存">{i + 1}に保存</button>
+              ))}
+            </div>
+            <label className="text-sm font-medium text-gray-300 flex justify-between">モーフ 1 ↔ 2 <span>{Math.round(morph * 100)}%</span></label>
+            <input type="range" min="0" max="1" step="0.01" value={morph} onChange={updateMorph} disabled={!canMorph} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed" />
+            {!canMorph && <p className="text-xs text-gray-500">2つのパッチを保存するとモーフできます。</p>}
+          </div>
+        </div>
+      </div>
+  );
+};
+
+export default VariationPanel;
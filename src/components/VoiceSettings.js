@@ -0,0 +1,49 @@
+import React from 'react';
+import { STEAL_MODES } from '../synth/VoiceAllocator';
+import { SYNTH_ENGINES } from '../synth/FMSynth';
+
+const STEAL_MODE_LABELS = { oldest: '最も古いボイス', quietest: '最も小さいボイス' };
+const ENGINE_LABELS = { nodes: 'Web Audio ノード (FM)', worklet: 'AudioWorklet (PM)' };
+
+// Synth engine and polyphony (synth-wide), and mono/legato/portamento (stored in the patch).
+const VoiceSettings = ({ patch, setPatch, voiceOptions, setVoiceOptions }) => {
+  const { maxVoices, stealMode, engine } = voiceOptions;
+  const { mono, legato, portamento } = patch;
+  const updatePatch = (param, value) => setPatch({ ...patch, [param]: value });
+
+  return (
+      <div>
+        <label className="text-sm font-medium text-gray-300">ボイス</label>
+        <div className="mt-2 p-2 bg-gray-900 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-300">エンジン</span>
+            <select value={engine} onChange={(e) => setVoiceOptions({ ...voiceOptions, engine: e.target.value })} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm" title="FM: 従来のノード構成 / PM: 実機と同じ位相変調（音高によって音色が変わりません）">
+              {SYNTH_ENGINES.map(id => (<option key={id} value={id}>{ENGINE_LABELS[id]}</option>))}
+            </select>
+          </div>
+          <div className="flex space-x-2">
+            <button onClick={() => updatePatch('mono', false)} className={`w-full font-semibold py-1 rounded-lg text-sm ${!mono ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>POLY</button>
+            <button onClick={() => updatePatch('mono', true)} className={`w-full font-semibold py-1 rounded-lg text-sm ${mono ? 'bg-teal-500 text-white' : 'bg-gray-700 text-gray-400'}`}>MONO</button>
+          </div>
+          {mono ? (
+              <>
+                <label className="text-sm text-gray-300 flex items-center justify-between">レガート<input type="checkbox" checked={legato} onChange={(e) => updatePatch('legato', e.target.checked)} className="w-4 h-4 accent-teal-500" /></label>
+                <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">ポルタメント <span>{portamento.toFixed(2)}s</span></label><input type="range" min="0" max="1" step="0.01" value={portamento} onChange={(e) => updatePatch('portamento', parseFloat(e.target.value))} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+              </>
+          ) : (
+              <>
+                <div className="space-y-1"><label className="text-sm font-medium text-gray-300 flex justify-between">最大同時発音数 <span>{maxVoices}</span></label><input type="range" min="1" max="16" step="1" value={maxVoices} onChange={(e) => setVoiceOptions({ ...voiceOptions, maxVoices: parseInt(e.target.value) })} className="w-full h-2 bg-gray-600 rounded-lg appearance-none cursor-pointer" /></div>
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-300">ボイススティール</span>
+                  <select value={stealMode} onChange={(e) => setVoiceOptions({ ...voiceOptions, stealMode: e.target.value })} className="bg-gray-700 border border-gray-600 text-white rounded-md p-1 text-sm">
+                    {STEAL_MODES.map(mode => (<option key={mode} value={mode}>{STEAL_MODE_LABELS[mode]}</option>))}
+                  </select>
+                </div>
+              </>
+          )}
+        </div>
+      </div>
+  );
+};
+
+export default VoiceSettings;
@@ -0,0 +1,90 @@
+// --- Computer Keyboard Bindings ---
+// What each physical key does. Keys are KeyboardEvent.code values, so the layout keeps
+// its shape on JIS, AZERTY and other keyboards. Actions:
+//   'note:<n>'   the note n semitones above the base note (KEYBOARD_BASE_NOTE plus octave)
+//   'octaveDown', 'octaveUp', 'sustain'
+// The default is the two-row tracker layout: the Z row plays from C with the black keys
+// on the A row, the Q row an octave higher with the black keys on the number row.
+
+export const BINDINGS_STORAGE_KEY = 'fm-synth-app:keyBindings';
+
+// Lowest note of the Z row at octave 0 (C3).
+export const KEYBOARD_BASE_NOTE = 48;
+
+// PC keys have no velocity, so they play at a fixed one.
+export const DEFAULT_VELOCITY = 100 / 127;
+
+export const CONTROL_ACTIONS = ['octaveDown', 'octaveUp', 'sustain'];
+
+export const noteAction = (offset) => `note:${offset}`;
+
+const LOWER_ROW = ['KeyZ', 'KeyS', 'KeyX', 'KeyD', 'KeyC', 'KeyV', 'KeyG', 'KeyB', 'KeyH', 'KeyN', 'KeyJ', 'KeyM', 'Comma', 'KeyL', 'Period', 'Semicolon', 'Slash'];
+const UPPER_ROW = ['KeyQ', 'Digit2', 'KeyW', 'Digit3', 'KeyE', 'KeyR', 'Digit5', 'KeyT', 'Digit6', 'KeyY', 'Digit7', 'KeyU', 'KeyI', 'Digit9', 'KeyO', 'Digit0', 'KeyP', 'BracketLeft', 'Equal', 'BracketRight'];
+
+// Notes the default layout reaches: offsets 0 (Z) to 31 (]).
+export const NOTE_OFFSETS = Array.from({ length: 12 + UPPER_ROW.length }, (_, i) => i);
+
+export const DEFAULT_BINDINGS = {
+  ...Object.fromEntries(LOWER_ROW.map((code, i) => [code, noteAction(i)])),
+  ...Object.fromEntries(UPPER_ROW.map((code, i) => [code, noteAction(12 + i)])),
+  ArrowDown: 'octaveDown',
+  ArrowUp: 'octaveUp',
+  Space: 'sustain',
+};
+
+// { type: 'note', offset } | { type: 'octaveDown' | 'octaveUp' | 'sustain' } | null
+export const parseAction = (action) => {
+  if (CONTROL_ACTIONS.includes(action)) return { type: action };
+  const match = /^note:(\d+)$/.exec(action ?? '');
+  return match ? { type: 'note', offset: parseInt(match[1], 10) } : null;
+};
+
+export const keysFor = (bindings, action) => Object.keys(bindings).filter(code => bindings[code] === action);
+
+// A key does one thing: binding it replaces what it did before.
+export const bindKey = (bindings, code, action) => ({ ...bindings, [code]: action });
+
+export const unbindKey = (bindings, code) => {
+  const { [code]: _, ...rest } = bindings;
+  return rest;
+};
+
+// Moves the action of `from` to `to`.
+export const rebindKey = (bindings, from, to) => (from === to ? bindings : bindKey(unbindKey(bindings, from), to, bindings[from]));
+
+const KEY_LABELS = {
+  Comma: ',', Period: '.', Semicolon: ';', Slash: '/', Quote: "'", Backquote: '`', Backslash: '\\',
+  BracketLeft: '[', BracketRight: ']', Equal: '=', Minus: '-', IntlRo: 'ろ', IntlYen: '¥',
+  Space: 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+};
+
+// Short label for a key code: 'KeyZ' -> 'Z', 'Digit2' -> '2', 'Comma' -> ','.
+export const keyLabel = (code) => KEY_LABELS[code] ?? code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num');
+
+// Keyboard note -> label of the first key playing it, for the on-screen keyboard.
+export const noteKeyLabels = (bindings, baseNote) => {
+  const labels = new Map();
+  Object.entries(bindings).forEach(([code, action]) => {
+    const parsed = parseAction(action);
+    const note = parsed?.type === 'note' ? baseNote + parsed.offset : null;
+    if (note !== null && !labels.has(note)) labels.set(note, keyLabel(code));
+  });
+  return labels;
+};
+
+// --- Persistence ---
+
+export const loadBindings = (storage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(BINDINGS_STORAGE_KEY));
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return DEFAULT_BINDINGS;
+    const valid = Object.entries(stored).filter(([, action]) => parseAction(action));
+    return valid.length > 0 ? Object.fromEntries(valid) : DEFAULT_BINDINGS;
+  } catch (error) {
+    return DEFAULT_BINDINGS;
+  }
+};
+
+export const saveBindings = (bindings, storage) => {
+  storage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+};
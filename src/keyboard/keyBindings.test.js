@@ -0,0 +1,87 @@
+import {
+  DEFAULT_BINDINGS, NOTE_OFFSETS, BINDINGS_STORAGE_KEY, parseAction, keysFor, bindKey, rebindKey, unbindKey,
+  keyLabel, noteKeyLabels, loadBindings, saveBindings, noteAction,
+} from './keyBindings';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return { getItem: (key) => data[key] ?? null, setItem: (key, value) => { data[key] = value; } };
+};
+
+describe('default layout', () => {
+  test('two rows over about two octaves', () => {
+    expect(DEFAULT_BINDINGS.KeyZ).toBe('note:0');
+    expect(DEFAULT_BINDINGS.Comma).toBe('note:12');
+    expect(DEFAULT_BINDINGS.KeyQ).toBe('note:12');
+    expect(DEFAULT_BINDINGS.BracketRight).toBe('note:31');
+    expect(NOTE_OFFSETS).toHaveLength(32);
+    expect(NOTE_OFFSETS.every(offset => keysFor(DEFAULT_BINDINGS, noteAction(offset)).length > 0)).toBe(true);
+  });
+
+  test('has octave and sustain keys', () => {
+    expect(keysFor(DEFAULT_BINDINGS, 'octaveDown')).toEqual(['ArrowDown']);
+    expect(keysFor(DEFAULT_BINDINGS, 'octaveUp')).toEqual(['ArrowUp']);
+    expect(keysFor(DEFAULT_BINDINGS, 'sustain')).toEqual(['Space']);
+  });
+});
+
+describe('actions', () => {
+  test('parses notes and controls', () => {
+    expect(parseAction('note:7')).toEqual({ type: 'note', offset: 7 });
+    expect(parseAction('sustain')).toEqual({ type: 'sustain' });
+    expect(parseAction('note:x')).toBeNull();
+    expect(parseAction(undefined)).toBeNull();
+  });
+});
+
+describe('remapping', () => {
+  test('binding a key replaces what it did', () => {
+    const bindings = bindKey(DEFAULT_BINDINGS, 'KeyZ', 'sustain');
+    expect(bindings.KeyZ).toBe('sustain');
+    expect(keysFor(bindings, 'note:0')).toEqual([]);
+  });
+
+  test('rebinding moves the action to another key', () => {
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'Space', 'KeyA');
+    expect(bindings.Space).toBeUndefined();
+    expect(bindings.KeyA).toBe('sustain');
+    expect(rebindKey(DEFAULT_BINDINGS, 'Space', 'Space')).toBe(DEFAULT_BINDINGS);
+  });
+
+  test('unbinding removes the key', () => {
+    expect(unbindKey(DEFAULT_BINDINGS, 'KeyZ').KeyZ).toBeUndefined();
+    expect(DEFAULT_BINDINGS.KeyZ).toBe('note:0');
+  });
+});
+
+describe('labels', () => {
+  test('short key labels', () => {
+    expect(keyLabel('KeyZ')).toBe('Z');
+    expect(keyLabel('Digit2')).toBe('2');
+    expect(keyLabel('Comma')).toBe(',');
+    expect(keyLabel('Numpad4')).toBe('Num4');
+  });
+
+  test('notes show the first key playing them', () => {
+    const labels = noteKeyLabels(DEFAULT_BINDINGS, 48);
+    expect(labels.get(48)).toBe('Z');
+    expect(labels.get(60)).toBe(',');
+    expect(labels.get(79)).toBe(']');
+    expect(labels.has(80)).toBe(false);
+  });
+});
+
+describe('persistence', () => {
+  test('round-trips bindings', () => {
+    const storage = memoryStorage();
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'Space', 'Tab');
+    saveBindings(bindings, storage);
+    expect(loadBindings(storage)).toEqual(bindings);
+  });
+
+  test('falls back to the defaults and drops unknown actions', () => {
+    expect(loadBindings(memoryStorage())).toBe(DEFAULT_BINDINGS);
+    expect(loadBindings(memoryStorage({ [BINDINGS_STORAGE_KEY]: 'not json' }))).toBe(DEFAULT_BINDINGS);
+    expect(loadBindings(memoryStorage({ [BINDINGS_STORAGE_KEY]: JSON.stringify({ KeyA: 'note:0', KeyB: 'jump' }) }))).toEqual({ KeyA: 'note:0' });
+  });
+});
@@ -0,0 +1,89 @@
+import { useState, useEffect, useRef } from 'react';
+import { parseAction, loadBindings, saveBindings, DEFAULT_BINDINGS } from './keyBindings';
+
+// Keys typed into text fields (e.g. the library search) are not notes or shortcuts.
+export const isTextField = (target) => target.isContentEditable || target.tagName === 'TEXTAREA'
+  || (target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'file'].includes(target.type));
+
+const ARROW_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+const SLIDER_KEYS = [...ARROW_KEYS, 'Home', 'End', 'PageUp', 'PageDown'];
+const PRESS_KEYS = ['Space', 'Enter'];
+
+// Does the focused control use this key itself? Sliders step with the arrows, selects
+// change with the arrows and open with Space, buttons and checkboxes are pressed with
+// Space, radio groups move with the arrows.
+const isControlKey = (target, code) => {
+  if (isTextField(target)) return true;
+  if (target.tagName === 'SELECT') return ARROW_KEYS.includes(code) || code === 'Space';
+  if (target.tagName === 'BUTTON') return PRESS_KEYS.includes(code);
+  if (target.tagName !== 'INPUT') return false;
+  if (target.type === 'range') return SLIDER_KEYS.includes(code);
+  if (target.type === 'radio') return ARROW_KEYS.includes(code) || code === 'Space';
+  return ['checkbox', 'button', 'file'].includes(target.type) && PRESS_KEYS.includes(code);
+};
+
+// React hook playing from the computer keyboard with remappable bindings (keyBindings.js),
+// persisted to localStorage. Handlers: onNoteOn(note), onNoteOff(note), onOctave(±1),
+// onSustain(on). Bound keys lose their browser default (scrolling), except where the
+// focused control uses the key itself (a slider's arrows, a button's Space); a held key
+// releases the note it started even after an octave change.
+export default function useComputerKeyboard(handlers, baseNote) {
+  const [bindings, setBindings] = useState(() => loadBindings(window.localStorage));
+  useEffect(() => { saveBindings(bindings, window.localStorage); }, [bindings]);
+
+  // Keep the latest handlers and layout without re-binding the listeners on every render.
+  const latestRef = useRef({ handlers, bindings, baseNote });
+  useEffect(() => { latestRef.current = { handlers, bindings, baseNote }; }, [handlers, bindings, baseNote]);
+
+  useEffect(() => {
+    const held = new Map(); // code -> { type: 'note', note } | { type: 'sustain' }
+
+    const release = (code) => {
+      const action = held.get(code);
+      held.delete(code);
+      const { handlers: current } = latestRef.current;
+      if (action.type === 'note') current.onNoteOff(action.note);
+      else current.onSustain(false);
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isControlKey(e.target, e.code)) return;
+      const { handlers: current, bindings: currentBindings, baseNote: base } = latestRef.current;
+      const action = parseAction(currentBindings[e.code]);
+      if (!action) return;
+      e.preventDefault();
+      if (e.repeat || held.has(e.code)) return;
+      if (action.type === 'note') {
+        const note = base + action.offset;
+        if (note < 0 || note > 127) return;
+        held.set(e.code, { type: 'note', note });
+        current.onNoteOn(note);
+      } else if (action.type === 'sustain') {
+        held.set(e.code, { type: 'sustain' });
+        current.onSustain(true);
+      } else {
+        current.onOctave(action.type === 'octaveUp' ? 1 : -1);
+      }
+    };
+
+    const handleKeyUp = (e) => {
+      if (!held.has(e.code)) return;
+      e.preventDefault();
+      release(e.code);
+    };
+
+    // Key-ups are missed while the window is in the background, so let go of everything.
+    const handleBlur = () => [...held.keys()].forEach(release);
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, []);
+
+  return { bindings, setBindings, resetBindings: () => setBindings(DEFAULT_BINDINGS) };
+}
@@ -0,0 +1,87 @@
+import { renderHook, fireEvent, act } from '@testing-library/react';
+import useComputerKeyboard from './useComputerKeyboard';
+import { BINDINGS_STORAGE_KEY, DEFAULT_BINDINGS, rebindKey } from './keyBindings';
+
+const setup = (baseNote = 48) => {
+  const handlers = { onNoteOn: jest.fn(), onNoteOff: jest.fn(), onOctave: jest.fn(), onSustain: jest.fn() };
+  const { result, rerender } = renderHook(({ base }) => useComputerKeyboard(handlers, base), { initialProps: { base: baseNote } });
+  return { handlers, result, rerender };
+};
+
+beforeEach(() => window.localStorage.clear());
+
+describe('useComputerKeyboard', () => {
+  test('plays both rows from the base note', () => {
+    const { handlers } = setup(48);
+    fireEvent.keyDown(window, { code: 'KeyZ' });
+    fireEvent.keyDown(window, { code: 'KeyQ' });
+    fireEvent.keyUp(window, { code: 'KeyZ' });
+    expect(handlers.onNoteOn.mock.calls).toEqual([[48], [60]]);
+    expect(handlers.onNoteOff.mock.calls).toEqual([[48]]);
+  });
+
+  test('ignores auto-repeat, modifiers and text fields', () => {
+    const { handlers } = setup();
+    fireEvent.keyDown(window, { code: 'KeyZ' });
+    fireEvent.keyDown(window, { code: 'KeyZ', repeat: true });
+    fireEvent.keyDown(window, { code: 'KeyX', ctrlKey: true });
+    const input = document.createElement('input');
+    document.body.appendChild(input);
+    fireEvent.keyDown(input, { code: 'KeyC' });
+    input.remove();
+    expect(handlers.onNoteOn.mock.calls).toEqual([[48]]);
+  });
+
+  test.each([
+    ['a slider', () => Object.assign(document.createElement('input'), { type: 'range' }), ['ArrowUp', 'ArrowDown']],
+    ['a select', () => document.createElement('select'), ['ArrowUp', 'Space']],
+    ['a button', () => document.createElement('button'), ['Space']],
+  ])('leaves the keys of a focused %s to it', (_, create, codes) => {
+    const { handlers } = setup();
+    const control = create();
+    document.body.appendChild(control);
+    control.focus();
+    codes.forEach(code => expect(fireEvent.keyDown(control, { code })).toBe(true)); // default kept
+    fireEvent.keyDown(control, { code: 'KeyZ' });
+    control.remove();
+    expect(handlers.onOctave).not.toHaveBeenCalled();
+    expect(handlers.onSustain).not.toHaveBeenCalled();
+    expect(handlers.onNoteOn.mock.calls).toEqual([[48]]);
+  });
+
+  test('releases the note a key started after the octave changed', () => {
+    const { handlers, rerender } = setup(48);
+    fireEvent.keyDown(window, { code: 'KeyZ' });
+    fireEvent.keyDown(window, { code: 'ArrowUp' });
+    expect(handlers.onOctave).toHaveBeenCalledWith(1);
+    rerender({ base: 60 });
+    fireEvent.keyUp(window, { code: 'KeyZ' });
+    fireEvent.keyDown(window, { code: 'KeyZ' });
+    expect(handlers.onNoteOff).toHaveBeenCalledWith(48);
+    expect(handlers.onNoteOn).toHaveBeenLastCalledWith(60);
+  });
+
+  test('holds the sustain key and takes its default action', () => {
+    const { handlers } = setup();
+    const down = fireEvent.keyDown(window, { code: 'Space' });
+    fireEvent.keyUp(window, { code: 'Space' });
+    expect(down).toBe(false); // default prevented
+    expect(handlers.onSustain.mock.calls).toEqual([[true], [false]]);
+  });
+
+  test('lets go of held keys when the window loses focus', () => {
+    const { handlers } = setup();
+    fireEvent.keyDown(window, { code: 'KeyZ' });
+    fireEvent.blur(window);
+    expect(handlers.onNoteOff).toHaveBeenCalledWith(48);
+  });
+
+  test('uses and saves remapped bindings', () => {
+    const { result, handlers } = setup();
+    act(() => result.current.setBindings(rebindKey(DEFAULT_BINDINGS, 'KeyZ', 'KeyA')));
+    fireEvent.keyDown(window, { code: 'KeyZ' });
+    fireEvent.keyDown(window, { code: 'KeyA' });
+    expect(handlers.onNoteOn.mock.calls).toEqual([[48]]);
+    expect(JSON.parse(window.localStorage.getItem(BINDINGS_STORAGE_KEY)).KeyA).toBe('note:0');
+  });
+});
@@ -0,0 +1,46 @@
+// --- MIDI message parsing ---
+// Pure helpers that turn raw Web MIDI byte arrays into plain event objects.
+
+export const OMNI = 0;
+
+export const CC_MOD_WHEEL = 1;
+export const CC_SUSTAIN = 64;
+
+const STATUS_NOTE_OFF = 0x80;
+const STATUS_NOTE_ON = 0x90;
+const STATUS_CONTROL_CHANGE = 0xb0;
+const STATUS_PITCH_BEND = 0xe0;
+
+// Parses a single MIDI message (Uint8Array or plain array of bytes).
+// Returns null for anything the synth does not handle (system messages, aftertouch, ...).
+export const parseMidiMessage = (data) => {
+  if (!data || data.length < 2) return null;
+  const status = data[0] & 0xf0;
+  const channel = (data[0] & 0x0f) + 1;
+  const data1 = data[1] & 0x7f;
+  const data2 = data.length > 2 ? data[2] & 0x7f : 0;
+
+  switch (status) {
+    case STATUS_NOTE_ON:
+      // A note-on with velocity 0 is a note-off by convention (running status optimisation).
+      if (data2 === 0) return { type: 'noteOff', channel, note: data1, velocity: 0 };
+      return { type: 'noteOn', channel, note: data1, velocity: data2 };
+    case STATUS_NOTE_OFF:
+      return { type: 'noteOff', channel, note: data1, velocity: data2 };
+    case STATUS_CONTROL_CHANGE:
+      if (data1 === CC_SUSTAIN) return { type: 'sustain', channel, on: data2 >= 64 };
+      if (data1 === CC_MOD_WHEEL) return { type: 'modWheel', channel, value: data2 / 127 };
+      return { type: 'controlChange', channel, controller: data1, value: data2 };
+    case STATUS_PITCH_BEND: {
+      // 14-bit value, LSB first. Centre is 8192; normalise to -1..1.
+      const raw = ((data2 << 7) | data1) - 8192;
+      return { type: 'pitchBend', channel, value: raw < 0 ? raw / 8192 : raw / 8191 };
+    }
+    default:
+      return null;
+  }
+};
+
+// Channel filter: OMNI accepts every channel, otherwise 1-16.
+export const matchesChannel = (message, channelFilter) =>
+  channelFilter === OMNI || message.channel === channelFilter;
@@ -0,0 +1,54 @@
+import { parseMidiMessage, matchesChannel, OMNI } from './midiMessages';
+
+describe('parseMidiMessage', () => {
+  test('parses note-on with channel and velocity', () => {
+    expect(parseMidiMessage([0x90, 60, 100])).toEqual({ type: 'noteOn', channel: 1, note: 60, velocity: 100 });
+    expect(parseMidiMessage(new Uint8Array([0x9f, 72, 1]))).toEqual({ type: 'noteOn', channel: 16, note: 72, velocity: 1 });
+  });
+
+  test('treats note-on with velocity 0 as note-off', () => {
+    expect(parseMidiMessage([0x93, 64, 0])).toEqual({ type: 'noteOff', channel: 4, note: 64, velocity: 0 });
+  });
+
+  test('parses note-off', () => {
+    expect(parseMidiMessage([0x80, 60, 64])).toEqual({ type: 'noteOff', channel: 1, note: 60, velocity: 64 });
+  });
+
+  test('parses sustain pedal (CC64)', () => {
+    expect(parseMidiMessage([0xb0, 64, 127])).toEqual({ type: 'sustain', channel: 1, on: true });
+    expect(parseMidiMessage([0xb0, 64, 63])).toEqual({ type: 'sustain', channel: 1, on: false });
+  });
+
+  test('parses mod wheel (CC1) as 0..1', () => {
+    expect(parseMidiMessage([0xb1, 1, 127])).toEqual({ type: 'modWheel', channel: 2, value: 1 });
+    expect(parseMidiMessage([0xb1, 1, 0])).toEqual({ type: 'modWheel', channel: 2, value: 0 });
+  });
+
+  test('passes other controllers through', () => {
+    expect(parseMidiMessage([0xb0, 7, 90])).toEqual({ type: 'controlChange', channel: 1, controller: 7, value: 90 });
+  });
+
+  test('parses 14-bit pitch bend normalised to -1..1', () => {
+    expect(parseMidiMessage([0xe0, 0x00, 0x40])).toEqual({ type: 'pitchBend', channel: 1, value: 0 });
+    expect(parseMidiMessage([0xe0, 0x00, 0x00]).value).toBe(-1);
+    expect(parseMidiMessage([0xe0, 0x7f, 0x7f]).value).toBe(1);
+  });
+
+  test('ignores unsupported and malformed messages', () => {
+    expect(parseMidiMessage([0xf8])).toBeNull();
+    expect(parseMidiMessage([0xd0, 40])).toBeNull();
+    expect(parseMidiMessage([])).toBeNull();
+    expect(parseMidiMessage(null)).toBeNull();
+  });
+});
+
+describe('matchesChannel', () => {
+  test('omni accepts every channel', () => {
+    expect(matchesChannel({ channel: 9 }, OMNI)).toBe(true);
+  });
+
+  test('specific channel filters others', () => {
+    expect(matchesChannel({ channel: 2 }, 2)).toBe(true);
+    expect(matchesChannel({ channel: 3 }, 2)).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react';
+import { parseMidiMessage, matchesChannel, OMNI } from './midiMessages';
+
+// React hook wrapping the Web MIDI API: lists input devices, listens to the selected
+// one and dispatches parsed messages to the given handlers.
+export default function useMidiInput(handlers, enabled = true) {
+  const [supported] = useState(() => typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess);
+  const [access, setAccess] = useState(null);
+  const [inputs, setInputs] = useState([]);
+  const [selectedInputId, setSelectedInputId] = useState('');
+  const [channel, setChannel] = useState(OMNI);
+  const [error, setError] = useState(null);
+
+  // Keep the latest handlers without re-binding the MIDI listener on every render.
+  const handlersRef = useRef(handlers);
+  useEffect(() => { handlersRef.current = handlers; }, [handlers]);
+
+  useEffect(() => {
+    if (!supported || !enabled || access) return;
+    let cancelled = false;
+    navigator.requestMIDIAccess().then((midiAccess) => {
+      if (!cancelled) setAccess(midiAccess);
+    }).catch(() => {
+      if (!cancelled) setError('MIDIデバイスへのアクセスが拒否されました。');
+    });
+    return () => { cancelled = true; };
+  }, [supported, enabled, access]);
+
+  useEffect(() => {
+    if (!access) return;
+    const refreshInputs = () => {
+      const list = Array.from(access.inputs.values()).map(input => ({ id: input.id, name: input.name }));
+      setInputs(list);
+      setSelectedInputId(current => {
+        if (list.some(input => input.id === current)) return current;
+        return list.length > 0 ? list[0].id : '';
+      });
+    };
+    refreshInputs();
+    access.addEventListener('statechange', refreshInputs);
+    return () => access.removeEventListener('statechange', refreshInputs);
+  }, [access]);
+
+  useEffect(() => {
+    if (!access || !selectedInputId) return;
+    const input = access.inputs.get(selectedInputId);
+    if (!input) return;
+
+    const handleMessage = (event) => {
+      const message = parseMidiMessage(event.data);
+      if (!message || !matchesChannel(message, channel)) return;
+      const h = handlersRef.current;
+      switch (message.type) {
+        case 'noteOn': h.onNoteOn?.(message.note, message.velocity / 127); break;
+        case 'noteOff': h.onNoteOff?.(message.note); break;
+        case 'sustain': h.onSustain?.(message.on); break;
+        case 'pitchBend': h.onPitchBend?.(message.value); break;
+        case 'modWheel': h.onModWheel?.(message.value); break;
+        default: break;
+      }
+    };
+
+    input.addEventListener('midimessage', handleMessage);
+    return () => {
+      input.removeEventListener('midimessage', handleMessage);
+      // Don't leave notes hanging when switching device or channel.
+      handlersRef.current.onAllNotesOff?.();
+    };
+  }, [access, selectedInputId, channel]);
+
+  return { supported, inputs, selectedInputId, setSelectedInputId, channel, setChannel, error };
+}
@@ -0,0 +1,149 @@
+// --- Factory Presets ---
+// Read-only bank shipped with the app. Algorithm ids refer to synth/algorithms.js;
+// modulator levels are kept low because they are scaled to a deviation in Hz.
+
+import { initialPatch } from './patch';
+
+export const FACTORY_BANK_ID = 'factory';
+
+const op = (ratio, level, attack, decay, sustain, release, extra = {}) => ({
+  on: true, ratio, detune: 0, level, velocitySens: 0.5, attack, decay, sustain, release, waveform: 'sine', ...extra,
+});
+const off = () => op(1, 0, 0.01, 0.3, 0.8, 0.5, { on: false, velocitySens: 0 });
+
+const patch = (settings, operators) => ({
+  algorithm: 1, feedback: 0, mono: false, legato: true, portamento: 0, masterGain: 0.5,
+  ...settings,
+  operators,
+});
+
+const FACTORY_PRESETS = [
+  { name: 'Init', category: 'Other', patch: initialPatch },
+
+  // Electric pianos: a bright tine pair layered over a mellow body pair (YM ALG 4). Key
+  // level scaling takes the tine down towards the top so high notes don't turn shrill.
+  { name: 'Tine EP', category: 'EP', patch: patch({ algorithm: 2, feedback: 2 }, [
+    op(14, 0.04, 0.001, 0.3, 0, 0.3, { velocitySens: 0.9, keyBreakpoint: 60, keyRightDepth: 0.6 }),
+    op(1, 0.5, 0.001, 1.8, 0.15, 0.6, { detune: 3 }),
+    op(1, 0.12, 0.001, 1.2, 0.2, 0.5, { velocitySens: 0.8 }),
+    op(1, 0.6, 0.001, 2.0, 0.25, 0.7, { detune: -3 }),
+  ]) },
+  { name: 'Soft EP', category: 'EP', patch: patch({ algorithm: 2 }, [
+    op(1, 0.06, 0.005, 1.0, 0.1, 0.5, { velocitySens: 0.8 }),
+    op(1, 0.55, 0.005, 2.0, 0.2, 0.6),
+    op(2, 0.03, 0.005, 0.6, 0.1, 0.4, { velocitySens: 0.7 }),
+    op(1, 0.45, 0.005, 2.0, 0.2, 0.6, { detune: 2 }),
+  ]) },
+
+  // Basses
+  { name: 'FM Bass', category: 'Bass', patch: patch({ algorithm: 1, feedback: 3 }, [
+    op(1, 0.1, 0.001, 0.2, 0.2, 0.1),
+    op(1, 0.15, 0.001, 0.25, 0.3, 0.1),
+    op(0.5, 0.1, 0.001, 0.3, 0.4, 0.1, { velocitySens: 0.7 }),
+    op(0.5, 0.9, 0.001, 0.5, 0.7, 0.12),
+  ]) },
+  { name: 'Slap Bass', category: 'Bass', patch: patch({ algorithm: 8, feedback: 5 }, [
+    op(3, 0.12, 0.001, 0.08, 0, 0.05, { velocitySens: 0.9 }),
+    op(1, 0.2, 0.001, 0.15, 0.1, 0.1),
+    op(0.5, 0.08, 0.001, 0.4, 0.3, 0.1),
+    op(0.5, 0.9, 0.001, 0.8, 0.5, 0.15),
+  ]) },
+  { name: 'Sub Mono Bass', category: 'Bass', patch: patch({ algorithm: 5, mono: true, portamento: 0.06 }, [
+    op(1, 0.05, 0.005, 0.3, 0.3, 0.1),
+    op(0.5, 0.6, 0.005, 0.2, 0.9, 0.1, { velocitySens: 0.3 }),
+    op(0.5, 0.25, 0.005, 0.2, 0.9, 0.1, { waveform: 'triangle', velocitySens: 0.3 }),
+    off(),
+  ]) },
+
+  // Bells and mallets: inharmonic ratios with long decays.
+  { name: 'Tubular Bell', category: 'Bell', patch: patch({ algorithm: 2 }, [
+    op(3.5, 0.25, 0.001, 4.0, 0, 3.0),
+    op(1, 0.5, 0.001, 4.0, 0, 3.0),
+    op(1.41, 0.18, 0.001, 3.0, 0, 2.5),
+    op(1, 0.4, 0.001, 4.0, 0, 3.0, { detune: 5 }),
+  ]) },
+  { name: 'Glass Bell', category: 'Bell', patch: patch({ algorithm: 9 }, [
+    op(7.07, 0.12, 0.001, 1.5, 0, 1.5, { velocitySens: 0.8 }),
+    op(1, 0.35, 0.001, 3.0, 0, 2.5),
+    op(3.5, 0.2, 0.001, 1.2, 0, 1.2),
+    op(2, 0.25, 0.001, 2.5, 0, 2.0),
+  ]) },
+  { name: 'Marimba', category: 'Bell', patch: patch({ algorithm: 2 }, [
+    op(10, 0.05, 0.001, 0.05, 0, 0.05, { velocitySens: 0.9 }),
+    op(1, 0.6, 0.001, 0.6, 0, 0.3),
+    op(4, 0.06, 0.001, 0.1, 0, 0.1),
+    op(1, 0.35, 0.001, 0.4, 0, 0.3),
+  ]) },
+
+  // Brass: modulators with a slower attack than the carrier give the "blat", a short
+  // pitch envelope the scoop up into the note.
+  { name: 'Brass Section', category: 'Brass', patch: patch({ algorithm: 3, feedback: 4, pitchEnv: { amount: -1, time: 0.06 } }, [
+    op(1, 0.08, 0.08, 0.3, 0.6, 0.25, { velocitySens: 0.7 }),
+    op(1, 0.06, 0.06, 0.3, 0.7, 0.25, { detune: 4 }),
+    op(1, 0.1, 0.05, 0.4, 0.8, 0.25),
+    op(1, 0.8, 0.04, 0.3, 0.85, 0.25),
+  ]) },
+  { name: 'Synth Brass', category: 'Brass', patch: patch({ algorithm: 2, feedback: 5 }, [
+    op(1, 0.12, 0.15, 0.5, 0.5, 0.3),
+    op(1, 0.45, 0.02, 0.3, 0.9, 0.3, { detune: -6 }),
+    op(1, 0.1, 0.2, 0.5, 0.5, 0.3),
+    op(1, 0.45, 0.02, 0.3, 0.9, 0.3, { detune: 6 }),
+  ]) },
+
+  // Organs: additive drawbars, optionally with a percussive harmonic.
+  { name: 'Drawbar Organ', category: 'Organ', patch: patch({ algorithm: 6 }, [
+    op(0.5, 0.3, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+    op(1, 0.3, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+    op(2, 0.2, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+    op(3, 0.15, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+  ]) },
+  { name: 'Perc Organ', category: 'Organ', patch: patch({ algorithm: 6, feedback: 1 }, [
+    op(1, 0.35, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+    op(2, 0.25, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+    op(3, 0.3, 0.001, 0.25, 0, 0.05, { velocitySens: 0 }),
+    op(4, 0.12, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+  ]) },
+  { name: 'Rock Organ', category: 'Organ', patch: patch({ algorithm: 5, feedback: 3 }, [
+    op(1, 0.04, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+    op(1, 0.35, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+    op(2, 0.25, 0.005, 0.1, 1, 0.05, { velocitySens: 0, waveform: 'triangle' }),
+    op(0.5, 0.25, 0.005, 0.1, 1, 0.05, { velocitySens: 0 }),
+  ]) },
+
+  // Leads and pads
+  { name: 'Sync Lead', category: 'Lead', patch: patch({ algorithm: 1, feedback: 6, mono: true, portamento: 0.08 }, [
+    op(1, 0.05, 0.01, 0.2, 0.8, 0.2),
+    op(2, 0.08, 0.01, 0.3, 0.6, 0.2),
+    op(1, 0.1, 0.01, 0.3, 0.7, 0.2),
+    op(1, 0.85, 0.01, 0.2, 0.9, 0.2, { velocitySens: 0.3 }),
+  ]) },
+  { name: 'Warm Pad', category: 'Pad', patch: patch({ algorithm: 2 }, [
+    op(1, 0.04, 1.2, 1.0, 0.8, 1.5, { velocitySens: 0.2 }),
+    op(1, 0.45, 0.8, 1.0, 0.9, 2.0, { detune: -7, velocitySens: 0.2 }),
+    op(2, 0.03, 1.5, 1.0, 0.7, 1.5, { velocitySens: 0.2 }),
+    op(1, 0.45, 0.8, 1.0, 0.9, 2.0, { detune: 7, velocitySens: 0.2 }),
+  ]) },
+
+  // Percussion: the pitch envelope drops an octave in the first moments of the hit.
+  { name: 'FM Tom', category: 'Other', patch: patch({ algorithm: 1, pitchEnv: { amount: 12, time: 0.12 } }, [
+    off(),
+    off(),
+    op(1.5, 0.06, 0.001, 0.15, 0, 0.1, { velocitySens: 0.8 }),
+    op(1, 0.9, 0.001, 0.6, 0, 0.4, { velocitySens: 0.6 }),
+  ]) },
+  // Fixed-frequency operators: the same metallic hit on every key.
+  { name: 'Cowbell', category: 'Other', patch: patch({ algorithm: 2 }, [
+    op(1, 0.03, 0.001, 0.1, 0, 0.1, { fixed: true, fixedFreq: 1620 }),
+    op(1, 0.5, 0.001, 0.4, 0, 0.3, { fixed: true, fixedFreq: 540, waveform: 'square' }),
+    op(1, 0.03, 0.001, 0.1, 0, 0.1, { fixed: true, fixedFreq: 2400 }),
+    op(1, 0.45, 0.001, 0.3, 0, 0.25, { fixed: true, fixedFreq: 800, waveform: 'square' }),
+  ]) },
+];
+
+// Entries get stable ids so the browser can navigate them like user patches.
+export const createFactoryBank = () => ({
+  id: FACTORY_BANK_ID,
+  name: 'Factory',
+  readOnly: true,
+  patches: FACTORY_PRESETS.map((preset, i) => ({ id: `factory-${i}`, ...preset })),
+});
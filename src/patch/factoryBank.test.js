@@ -0,0 +1,35 @@
+import { createFactoryBank } from './factoryBank';
+import { CATEGORIES } from './library';
+import { getAlgorithm } from '../synth/algorithms';
+import { isPatchLike } from './patch';
+
+const bank = createFactoryBank();
+
+test('ships at least a dozen presets', () => {
+  expect(bank.patches.length).toBeGreaterThanOrEqual(12);
+  expect(bank.readOnly).toBe(true);
+});
+
+test('covers the core categories', () => {
+  const categories = new Set(bank.patches.map(entry => entry.category));
+  ['EP', 'Bass', 'Bell', 'Brass', 'Organ'].forEach(c => expect(categories).toContain(c));
+});
+
+test.each(bank.patches.map(entry => [entry.name, entry]))('%s is a complete patch', (name, entry) => {
+  expect(CATEGORIES).toContain(entry.category);
+  expect(isPatchLike(entry.patch)).toBe(true);
+  expect(getAlgorithm(entry.patch.algorithm).id).toBe(entry.patch.algorithm);
+  entry.patch.operators.forEach(op => {
+    ['ratio', 'detune', 'level', 'velocitySens', 'attack', 'decay', 'sustain', 'release'].forEach(key => {
+      expect(typeof op[key]).toBe('number');
+    });
+    expect(op.ratio).toBeGreaterThan(0);
+    expect(op.level).toBeLessThanOrEqual(1);
+  });
+});
+
+test('ids are unique and stable', () => {
+  const ids = bank.patches.map(entry => entry.id);
+  expect(new Set(ids).size).toBe(ids.length);
+  expect(createFactoryBank().patches.map(entry => entry.id)).toEqual(ids);
+});
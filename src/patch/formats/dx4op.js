@@ -0,0 +1,359 @@
+// --- Yamaha DX21/DX27/DX100/TX81Z Voice SysEx ---
+// Reads single-voice (VCED) and 32-voice bank (VMEM) dumps and writes them back.
+// DX operators are numbered in reverse: DX OP4 is the feedback operator, which is our
+// operator 1, and DX OP1 is our operator 4. Parameters the patch has no place for
+// (level scaling, pitch EG, ...) are written with neutral defaults on export.
+// Fixed-frequency operators are a TX81Z addition: single voices carry them in an ACED
+// block sent before the VCED one (only written when a patch uses them, so other voices
+// stay plain DX21/27/100 dumps), banks in VMEM bytes the older models ignore.
+
+import { getAlgorithm, getAlgorithmByYm } from '../../synth/algorithms';
+import { withPatchDefaults } from '../patch';
+import {
+  clamp, MAX_RATIO, nearestIndex,
+  attackFromRate, rateFromAttack, decayFromRate, rateFromDecay, releaseFromRate, rateFromRelease,
+  decay2FromRate, rateFromDecay2, rateScalingFromRs, rsFromRateScaling,
+  levelFromAttenuation, attenuationFromLevel, sustainFromAttenuation, attenuationFromSustain,
+  detuneFromSteps, stepsFromDetune,
+  lfoWaveFromCode, codeFromLfoWave, lfoRateFromDxSpeed, dxSpeedFromLfoRate, lfoDelayFromDx, dxDelayFromLfoDelay,
+  depthFromRegisters, registersFromDepth, DX_PMS_CENTS, AMS_DEPTHS,
+} from './fmUnits';
+
+const YAMAHA_ID = 0x43;
+const FORMAT_VCED = 0x03;
+const FORMAT_VMEM = 0x04;
+const FORMAT_ACED = 0x7e;
+const ACED_HEADER = 'LM  8976AE';
+const ACED_SIZE = 33; // header + 5 parameters per operator + reverb and foot controller
+const VCED_SIZE = 93;
+const VMEM_VOICE_SIZE = 128;
+const VMEM_VOICES = 32;
+const NAME_LENGTH = 10;
+
+// Operators appear in the dumps in the order DX OP4, OP2, OP3, OP1; as our indices:
+const DUMP_ORDER = [0, 2, 1, 3];
+
+// Coarse frequency (CRS 0-63) to ratio, from the DX21/DX100 frequency table.
+export const DX_RATIOS = [
+  0.50, 0.71, 0.78, 0.87, 1.00, 1.41, 1.57, 1.73, 2.00, 2.82, 3.00, 3.14, 3.46, 4.00, 4.24, 4.71,
+  5.00, 5.19, 5.65, 6.00, 6.28, 6.92, 7.00, 7.07, 7.85, 8.00, 8.48, 8.65, 9.00, 9.42, 9.89, 10.00,
+  10.38, 10.99, 11.00, 11.30, 12.00, 12.11, 12.56, 12.72, 13.00, 13.84, 14.00, 14.10, 14.13, 15.00, 15.55, 15.57,
+  15.70, 16.96, 17.27, 17.30, 18.37, 18.84, 19.03, 19.78, 20.41, 20.76, 21.20, 21.98, 22.49, 23.55, 24.22, 25.95,
+];
+
+// Fixed frequency: CRS and FINE make 8-255 Hz, doubled by the range (FIXRG 0-7).
+const fixedFreqFromDx = (crs, range, fine) => Math.max(8, (crs & 0x0f) * 16 + fine) * Math.pow(2, range);
+const dxFixedFromFreq = (freq) => {
+  let range = 0;
+  while (range < 7 && Math.round(freq / Math.pow(2, range)) > 255) range++;
+  const value = clamp(Math.round(freq / Math.pow(2, range)), 8, 255);
+  return { crs: value >> 4, fixrg: range, fin: value & 0x0f };
+};
+
+const PORTAMENTO_MAX_SECONDS = 1;
+const DX_MAX_BEND_RANGE = 12; // semitones
+
+// --- Voice parameters <-> patch ---
+// `voice` is the unpacked (VCED-style) parameter set: { name, algorithm, feedback, mono,
+// portamentoTime, pitchBendRange, lfo: { speed, delay, pmd, amd, sync, wave, pms, ams },
+// operators: [{ ar, d1r, d2r, rr, d1l, rs, ame, kvs, out, crs, det, fix, fixrg, fin }] } in
+// our operator order. In fixed mode CRS is part of the frequency, not a ratio.
+
+const operatorFromVoice = (v) => ({
+  on: true,
+  ratio: Math.min(MAX_RATIO, DX_RATIOS[v.crs]),
+  fixed: v.fix === 1,
+  ...(v.fix === 1 && { fixedFreq: fixedFreqFromDx(v.crs, v.fixrg, v.fin) }),
+  detune: detuneFromSteps(v.det - 3),
+  level: v.out === 0 ? 0 : levelFromAttenuation(99 - v.out),
+  velocitySens: v.kvs / 7,
+  amSens: v.ame ? 1 : 0,
+  attack: attackFromRate(v.ar),
+  hold: 0,
+  decay: decayFromRate(v.d1r),
+  sustain: sustainFromAttenuation(15 - v.d1l),
+  decay2: decay2FromRate(v.d2r),
+  release: releaseFromRate(v.rr),
+  curve: 'linear',
+  rateScaling: rateScalingFromRs(v.rs),
+  waveform: 'sine',
+});
+
+const voiceOperatorFromPatch = (op) => ({
+  ar: rateFromAttack(op.attack),
+  d1r: rateFromDecay(op.decay),
+  d2r: rateFromDecay2(op.decay2),
+  rr: Math.max(1, rateFromRelease(op.release)),
+  d1l: 15 - attenuationFromSustain(op.sustain),
+  rs: rsFromRateScaling(op.rateScaling),
+  ame: op.amSens >= 0.5 ? 1 : 0,
+  kvs: clamp(Math.round(op.velocitySens * 7), 0, 7),
+  out: !op.on || op.level <= 0 ? 0 : 99 - attenuationFromLevel(op.level, 99),
+  det: stepsFromDetune(op.detune) + 3,
+  ...(op.fixed ? { fix: 1, ...dxFixedFromFreq(op.fixedFreq) } : { crs: nearestIndex(DX_RATIOS, op.ratio), fix: 0, fixrg: 0, fin: 0 }),
+});
+
+export const patchFromDxVoice = (voice) => withPatchDefaults({
+  algorithm: getAlgorithmByYm(voice.algorithm).id,
+  feedback: voice.feedback,
+  mono: voice.mono,
+  legato: true,
+  portamento: voice.portamentoTime / 99 * PORTAMENTO_MAX_SECONDS,
+  pitchBendRange: Math.min(DX_MAX_BEND_RANGE, voice.pitchBendRange),
+  masterGain: 0.5,
+  lfo: {
+    waveform: lfoWaveFromCode(voice.lfo.wave),
+    rate: lfoRateFromDxSpeed(voice.lfo.speed),
+    delay: lfoDelayFromDx(voice.lfo.delay),
+    fade: 0,
+    keySync: voice.lfo.sync === 1,
+    pmDepth: depthFromRegisters(voice.lfo.pmd, 99, voice.lfo.pms, DX_PMS_CENTS),
+    amDepth: depthFromRegisters(voice.lfo.amd, 99, voice.lfo.ams, AMS_DEPTHS),
+  },
+  operators: voice.operators.map(operatorFromVoice),
+});
+
+const dxLfoFromPatch = (lfo = {}) => {
+  const pm = registersFromDepth(lfo.pmDepth, 99, DX_PMS_CENTS);
+  const am = registersFromDepth(lfo.amDepth, 99, AMS_DEPTHS);
+  return {
+    speed: dxSpeedFromLfoRate(lfo.rate ?? 5),
+    delay: dxDelayFromLfoDelay(lfo.delay || 0),
+    pmd: pm.depth,
+    amd: am.depth,
+    sync: lfo.keySync ? 1 : 0,
+    wave: codeFromLfoWave(lfo.waveform || 'triangle'),
+    pms: pm.sens,
+    ams: am.sens,
+  };
+};
+
+export const dxVoiceFromPatch = (patch, name = '') => {
+  const algo = getAlgorithm(patch.algorithm);
+  // Algorithms without a chip equivalent fall back to the closest all-into-one-carrier routing.
+  const ym = algo.ym !== null ? algo.ym : 1;
+  return {
+    name,
+    algorithm: ym,
+    feedback: patch.feedback,
+    mono: !!patch.mono,
+    portamentoTime: clamp(Math.round(patch.portamento / PORTAMENTO_MAX_SECONDS * 99), 0, 99),
+    pitchBendRange: clamp(patch.pitchBendRange ?? 2, 0, DX_MAX_BEND_RANGE),
+    lfo: dxLfoFromPatch(patch.lfo),
+    operators: patch.operators.map(voiceOperatorFromPatch),
+  };
+};
+
+// --- Byte helpers ---
+
+const readName = (bytes, offset) =>
+  String.fromCharCode(...bytes.slice(offset, offset + NAME_LENGTH)).replace(/[^\x20-\x7e]/g, ' ').trimEnd();
+
+const writeName = (bytes, offset, name) => {
+  const padded = (name || '').padEnd(NAME_LENGTH).slice(0, NAME_LENGTH);
+  for (let i = 0; i < NAME_LENGTH; i++) {
+    const code = padded.charCodeAt(i);
+    bytes[offset + i] = code >= 0x20 && code < 0x7f ? code : 0x20;
+  }
+};
+
+const checksum = (data) => (128 - (data.reduce((sum, b) => sum + b, 0) & 0x7f)) & 0x7f;
+
+const wrapSysex = (format, data, channel) => {
+  const size = data.length;
+  return Uint8Array.from([0xf0, YAMAHA_ID, channel & 0x0f, format, (size >> 7) & 0x7f, size & 0x7f, ...data, checksum(data), 0xf7]);
+};
+
+// Splits a file into individual SysEx messages (files often hold several, e.g. TX81Z ACED + VCED).
+const splitSysex = (bytes) => {
+  const messages = [];
+  let start = -1;
+  bytes.forEach((b, i) => {
+    if (b === 0xf0) start = i;
+    if (b === 0xf7 && start !== -1) {
+      messages.push(bytes.slice(start, i + 1));
+      start = -1;
+    }
+  });
+  return messages;
+};
+
+// --- ACED (TX81Z additional voice parameters) ---
+// Per operator, in dump order: FIX, FIXRG, FIN, OSW, SHFT; then reverb and foot controller.
+
+const isAced = (data) => String.fromCharCode(...data.slice(0, ACED_HEADER.length)) === ACED_HEADER;
+
+// Returns the fixed-frequency fields of each operator, in our order.
+const unpackAced = (data) => {
+  const operators = [];
+  DUMP_ORDER.forEach((opIndex, slot) => {
+    const o = ACED_HEADER.length + slot * 5;
+    operators[opIndex] = { fix: data[o] & 0x01, fixrg: data[o + 1] & 0x07, fin: data[o + 2] & 0x0f };
+  });
+  return operators;
+};
+
+const packAced = (voice) => {
+  const data = new Array(ACED_SIZE).fill(0);
+  Array.from(ACED_HEADER).forEach((c, i) => { data[i] = c.charCodeAt(0); });
+  DUMP_ORDER.forEach((opIndex, slot) => {
+    const v = voice.operators[opIndex];
+    data.splice(ACED_HEADER.length + slot * 5, 3, v.fix, v.fixrg, v.fin);
+  });
+  return data;
+};
+
+// --- VCED (single voice, unpacked) ---
+
+// `aced`: the operators of the ACED block sent before this voice, if there was one.
+const unpackVced = (data, aced) => {
+  const operators = [];
+  DUMP_ORDER.forEach((opIndex, slot) => {
+    const o = slot * 13;
+    operators[opIndex] = {
+      ar: data[o], d1r: data[o + 1], d2r: data[o + 2], rr: data[o + 3], d1l: data[o + 4], rs: data[o + 6] & 0x03,
+      ame: data[o + 8] & 0x01, kvs: data[o + 9], out: data[o + 10], crs: data[o + 11], det: data[o + 12],
+      ...(aced ? aced[opIndex] : { fix: 0, fixrg: 0, fin: 0 }),
+    };
+  });
+  return {
+    name: readName(data, 77),
+    algorithm: data[52] & 0x07,
+    feedback: data[53] & 0x07,
+    mono: data[63] === 1,
+    portamentoTime: data[66],
+    pitchBendRange: data[64],
+    lfo: {
+      speed: data[54], delay: data[55], pmd: data[56], amd: data[57],
+      sync: data[58] & 0x01, wave: data[59] & 0x03, pms: data[60] & 0x07, ams: data[61] & 0x03,
+    },
+    operators,
+  };
+};
+
+const packVced = (voice) => {
+  const data = new Array(VCED_SIZE).fill(0);
+  DUMP_ORDER.forEach((opIndex, slot) => {
+    const v = voice.operators[opIndex];
+    const o = slot * 13;
+    data[o] = v.ar; data[o + 1] = v.d1r; data[o + 2] = v.d2r; data[o + 3] = v.rr; data[o + 4] = v.d1l;
+    data[o + 6] = v.rs; data[o + 8] = v.ame; data[o + 9] = v.kvs; data[o + 10] = v.out; data[o + 11] = v.crs; data[o + 12] = v.det;
+  });
+  data[52] = voice.algorithm;
+  data[53] = voice.feedback;
+  const { lfo } = voice;
+  data.splice(54, 8, lfo.speed, lfo.delay, lfo.pmd, lfo.amd, lfo.sync, lfo.wave, lfo.pms, lfo.ams);
+  data[62] = 24; // transpose: centre
+  data[63] = voice.mono ? 1 : 0;
+  data[64] = voice.pitchBendRange;
+  data[66] = voice.portamentoTime;
+  data[71] = 50; // mod wheel pitch depth
+  writeName(data, 77, voice.name);
+  data.splice(87, 6, 99, 99, 99, 50, 50, 50); // pitch EG: flat
+  return data;
+};
+
+// --- VMEM (bank, packed 128 bytes per voice) ---
+
+const unpackVmem = (data) => {
+  const operators = [];
+  DUMP_ORDER.forEach((opIndex, slot) => {
+    const o = slot * 10;
+    operators[opIndex] = {
+      ar: data[o], d1r: data[o + 1], d2r: data[o + 2], rr: data[o + 3], d1l: data[o + 4],
+      rs: (data[o + 9] >> 3) & 0x03, ame: (data[o + 6] >> 6) & 0x01, kvs: data[o + 6] & 0x07, out: data[o + 7], crs: data[o + 8], det: data[o + 9] & 0x07,
+      fix: (data[73 + slot * 2] >> 3) & 0x01, fixrg: data[73 + slot * 2] & 0x07, fin: data[74 + slot * 2] & 0x0f,
+    };
+  });
+  return {
+    name: readName(data, 57),
+    algorithm: data[40] & 0x07,
+    feedback: (data[40] >> 3) & 0x07,
+    mono: ((data[48] >> 3) & 0x01) === 1,
+    portamentoTime: data[49],
+    pitchBendRange: data[47],
+    lfo: {
+      speed: data[41], delay: data[42], pmd: data[43], amd: data[44], sync: (data[40] >> 6) & 0x01,
+      wave: data[45] & 0x03, pms: (data[45] >> 4) & 0x07, ams: (data[45] >> 2) & 0x03,
+    },
+    operators,
+  };
+};
+
+const packVmem = (voice) => {
+  const data = new Array(VMEM_VOICE_SIZE).fill(0);
+  DUMP_ORDER.forEach((opIndex, slot) => {
+    const v = voice.operators[opIndex];
+    const o = slot * 10;
+    data[o] = v.ar; data[o + 1] = v.d1r; data[o + 2] = v.d2r; data[o + 3] = v.rr; data[o + 4] = v.d1l;
+    data[o + 6] = (v.ame << 6) | v.kvs; data[o + 7] = v.out; data[o + 8] = v.crs; data[o + 9] = (v.rs << 3) | v.det;
+    data[73 + slot * 2] = (v.fix << 3) | v.fixrg; data[74 + slot * 2] = v.fin; // TX81Z only
+  });
+  const { lfo } = voice;
+  data[40] = (lfo.sync << 6) | (voice.feedback << 3) | voice.algorithm;
+  data.splice(41, 4, lfo.speed, lfo.delay, lfo.pmd, lfo.amd);
+  data[45] = (lfo.pms << 4) | (lfo.ams << 2) | lfo.wave;
+  data[46] = 24; // transpose: centre
+  data[47] = voice.pitchBendRange;
+  data[48] = voice.mono ? 0x08 : 0;
+  data[49] = voice.portamentoTime;
+  data[51] = 50; // mod wheel pitch depth
+  writeName(data, 57, voice.name);
+  data.splice(67, 6, 99, 99, 99, 50, 50, 50); // pitch EG: flat
+  return data;
+};
+
+// --- Public API ---
+
+export const isDxSysex = (bytes) => bytes.length > 6 && bytes[0] === 0xf0 && bytes[1] === YAMAHA_ID;
+
+// Returns [{ name, patch }] for every VCED and VMEM message in the file. An ACED block
+// applies to the VCED voice following it.
+export const parseDxSysex = (bytes) => {
+  const voices = [];
+  let aced = null;
+  splitSysex(Array.from(bytes)).forEach((message) => {
+    if (message[1] !== YAMAHA_ID) return;
+    const format = message[3];
+    if (format !== FORMAT_VCED && format !== FORMAT_VMEM && format !== FORMAT_ACED) return;
+    const size = (message[4] << 7) | message[5];
+    const data = message.slice(6, 6 + size);
+    if (data.length !== size || message[6 + size] !== checksum(data)) {
+      throw new Error('SysEx checksum mismatch');
+    }
+    if (format === FORMAT_ACED) {
+      // The same format number carries other TX81Z blocks (performance, system): skip those.
+      if (size === ACED_SIZE && isAced(data)) aced = unpackAced(data);
+      return;
+    }
+    if (format === FORMAT_VCED && size === VCED_SIZE) {
+      voices.push(unpackVced(data, aced));
+      aced = null;
+    } else if (format === FORMAT_VMEM && size === VMEM_VOICE_SIZE * VMEM_VOICES) {
+      for (let i = 0; i < VMEM_VOICES; i++) {
+        voices.push(unpackVmem(data.slice(i * VMEM_VOICE_SIZE, (i + 1) * VMEM_VOICE_SIZE)));
+      }
+    } else {
+      throw new Error(`Unexpected SysEx size ${size}`);
+    }
+  });
+  if (voices.length === 0) throw new Error('No DX voice data found');
+  return voices.map(voice => ({ name: voice.name, patch: patchFromDxVoice(voice) }));
+};
+
+export const exportDxVoice = (patch, name, channel = 0) => {
+  const voice = dxVoiceFromPatch(patch, name);
+  const vced = wrapSysex(FORMAT_VCED, packVced(voice), channel);
+  if (!voice.operators.some(op => op.fix)) return vced;
+  return Uint8Array.from([...wrapSysex(FORMAT_ACED, packAced(voice), channel), ...vced]);
+};
+
+// Banks always hold 32 voices; missing slots are filled with copies of an init voice.
+export const exportDxBank = (entries, initPatch, channel = 0) => {
+  const data = [];
+  for (let i = 0; i < VMEM_VOICES; i++) {
+    const entry = entries[i] || { name: 'INIT VOICE', patch: initPatch };
+    data.push(...packVmem(dxVoiceFromPatch(entry.patch, entry.name)));
+  }
+  return wrapSysex(FORMAT_VMEM, data, channel);
+};
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDxSysex, exportDxVoice, exportDxBank, DX_RATIOS } from './dx4op';
+import { getAlgorithm } from '../../synth/algorithms';
+import { initialPatch } from '../patch';
+
+const fixture = (name) => new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', name)));
+
+// The fixtures only use values the patch format can hold and neutral defaults for the
+// parameters it cannot, so an import/export round-trip reproduces them byte for byte.
+
+describe('single voice (VCED)', () => {
+  const bytes = fixture('tx81z-single.syx');
+  const [voice] = parseDxSysex(bytes);
+
+  test('skips the TX81Z ACED block and reads the voice', () => {
+    expect(parseDxSysex(bytes)).toHaveLength(1);
+    expect(voice.name).toBe('E.PIANO 1');
+  });
+
+  test('maps algorithm, feedback and portamento', () => {
+    expect(getAlgorithm(voice.patch.algorithm).ym).toBe(4);
+    expect(voice.patch.feedback).toBe(5);
+    expect(voice.patch.mono).toBe(false);
+    expect(voice.patch.portamento).toBeCloseTo(20 / 99);
+  });
+
+  test('reverses the DX operator numbering', () => {
+    const [op1, op2, op3, op4] = voice.patch.operators;
+    // DX OP4 (feedback operator) -> our operator 1
+    expect(op1.ratio).toBe(DX_RATIOS[40]);
+    expect(op1.velocitySens).toBeCloseTo(6 / 7);
+    // DX OP1 -> our operator 4, full output level
+    expect(op4.level).toBe(1);
+    expect(op4.ratio).toBe(1);
+    // DX OP2 -> our operator 3, DX OP3 -> our operator 2
+    expect(op3.detune).toBe(2);
+    expect(op2.detune).toBe(-2);
+    expect(op2.ratio).toBe(2);
+  });
+
+  test('maps envelope rates to times, faster rates to shorter times', () => {
+    const op4 = voice.patch.operators[3];
+    expect(op4.attack).toBeCloseTo(0.001);
+    expect(op4.decay).toBeGreaterThan(voice.patch.operators[0].decay);
+    expect(op4.sustain).toBeCloseTo(Math.pow(10, -3 / 20));
+  });
+
+  test('round-trips to identical bytes', () => {
+    const vcedOnly = bytes.slice(bytes.indexOf(0xf7) + 1);
+    expect(Array.from(exportDxVoice(voice.patch, voice.name))).toEqual(Array.from(vcedOnly));
+  });
+});
+
+describe('32-voice bank (VMEM)', () => {
+  const bytes = fixture('dx100-bank.syx');
+  const voices = parseDxSysex(bytes);
+
+  test('reads all 32 voices', () => {
+    expect(voices).toHaveLength(32);
+    expect(voices[0].name).toBe('VOICE 01');
+    expect(voices[31].name).toBe('VOICE 32');
+    expect(voices[0].patch.mono).toBe(true);
+    expect(voices[1].patch.mono).toBe(false);
+    voices.forEach((voice, i) => expect(getAlgorithm(voice.patch.algorithm).ym).toBe(i % 8));
+  });
+
+  test('round-trips to identical bytes', () => {
+    expect(Array.from(exportDxBank(voices, initialPatch))).toEqual(Array.from(bytes));
+  });
+
+  test('pads short banks with init voices', () => {
+    const exported = exportDxBank(voices.slice(0, 2), initialPatch);
+    const reparsed = parseDxSysex(exported);
+    expect(reparsed).toHaveLength(32);
+    expect(reparsed[2].name).toBe('INIT VOICE');
+  });
+});
+
+describe('errors', () => {
+  test('rejects corrupted checksums', () => {
+    const bytes = fixture('tx81z-single.syx');
+    bytes[bytes.length - 2] ^= 0x01;
+    expect(() => parseDxSysex(bytes)).toThrow(/checksum/);
+  });
+
+  test('rejects files without voice data', () => {
+    expect(() => parseDxSysex(Uint8Array.from([0xf0, 0x43, 0x00, 0x7e, 0x00, 0x00, 0x00, 0xf7]))).toThrow(/No DX voice/);
+  });
+});
+
+test('exports patches that were not imported', () => {
+  const [voice] = parseDxSysex(exportDxVoice(initialPatch, 'INIT'));
+  expect(voice.name).toBe('INIT');
+  expect(voice.patch.algorithm).toBe(initialPatch.algorithm);
+  expect(voice.patch.operators[2].level).toBe(0); // operator 3 is off in the init patch
+  expect(voice.patch.operators[3].level).toBeCloseTo(initialPatch.operators[3].level, 1);
+});
+
+test('carries second decay and rate scaling through VCED and VMEM', () => {
+  const operators = initialPatch.operators.map(op => ({ ...op, decay2: 3, rateScaling: 2 / 3 }));
+  const patch = { ...initialPatch, operators };
+  const [single] = parseDxSysex(exportDxVoice(patch, 'D2'));
+  const [banked] = parseDxSysex(exportDxBank([{ name: 'D2', patch }], initialPatch));
+  [single, banked].forEach(({ patch: parsed }) => {
+    expect(parsed.operators[0].decay2).toBeCloseTo(3, 0);
+    expect(parsed.operators[0].rateScaling).toBeCloseTo(2 / 3);
+    expect(parsed.operators[1].decay2).toBeCloseTo(3, 0);
+  });
+});
+
+test('carries LFO settings and AM enable through VCED and VMEM', () => {
+  const lfo = { waveform: 'square', rate: 6.3, delay: 1.2, fade: 0, keySync: true, pmDepth: 45, amDepth: 0.5 };
+  const operators = initialPatch.operators.map((op, i) => ({ ...op, amSens: i === 1 ? 1 : 0 }));
+  const patch = { ...initialPatch, lfo, operators };
+  const [single] = parseDxSysex(exportDxVoice(patch, 'LFO'));
+  const [banked] = parseDxSysex(exportDxBank([{ name: 'LFO', patch }], initialPatch));
+  [single, banked].forEach(({ patch: parsed }) => {
+    expect(parsed.lfo.waveform).toBe('square');
+    expect(parsed.lfo.rate).toBeCloseTo(6.3, 0);
+    expect(parsed.lfo.delay).toBeCloseTo(1.2, 1);
+    expect(parsed.lfo.keySync).toBe(true);
+    expect(parsed.lfo.pmDepth).toBeCloseTo(45, 0);
+    expect(parsed.lfo.amDepth).toBeCloseTo(0.5);
+    expect(parsed.operators.map(op => op.amSens)).toEqual([0, 1, 0, 0]);
+  });
+});
+
+test('carries the pitch bend range through VCED and VMEM, within the DX limit', () => {
+  const [single] = parseDxSysex(exportDxVoice({ ...initialPatch, pitchBendRange: 7 }, 'PB'));
+  const [banked] = parseDxSysex(exportDxBank([{ name: 'PB', patch: { ...initialPatch, pitchBendRange: 7 } }], initialPatch));
+  expect(single.patch.pitchBendRange).toBe(7);
+  expect(banked.patch.pitchBendRange).toBe(7);
+  expect(parseDxSysex(exportDxVoice({ ...initialPatch, pitchBendRange: 24 }, 'PB'))[0].patch.pitchBendRange).toBe(12);
+});
+
+describe('fixed-frequency operators', () => {
+  const operators = initialPatch.operators.map((op, i) => (i === 1 ? { ...op, fixed: true, fixedFreq: 1000 } : op));
+  const patch = { ...initialPatch, operators };
+
+  test('round-trip through ACED + VCED and VMEM', () => {
+    const exported = exportDxVoice(patch, 'FIXED');
+    const [single] = parseDxSysex(exported);
+    const [banked] = parseDxSysex(exportDxBank([{ name: 'FIXED', patch }], initialPatch));
+    [single, banked].forEach(({ patch: parsed }) => {
+      expect(parsed.operators.map(op => op.fixed)).toEqual([false, true, false, false]);
+      expect(parsed.operators[1].fixedFreq).toBe(1000);
+    });
+    expect(Array.from(exportDxVoice(single.patch, single.name))).toEqual(Array.from(exported));
+  });
+
+  test('pick the finest range that reaches the frequency', () => {
+    const fixedAt = (freqs) => ({ ...initialPatch, operators: initialPatch.operators.map((op, i) => ({ ...op, fixed: true, fixedFreq: freqs[i] })) });
+    const [voice] = parseDxSysex(exportDxVoice(fixedAt([100, 1000, 15000, 3]), 'RANGES'));
+    const [low, mid, high, tooLow] = voice.patch.operators.map(op => op.fixedFreq);
+    expect(low).toBe(100);
+    expect(mid).toBe(1000);
+    expect(high / 15000).toBeCloseTo(1, 2);
+    expect(tooLow).toBe(8);
+  });
+
+  test('single voices get an ACED block only when an operator is fixed', () => {
+    expect(exportDxVoice(initialPatch, 'PLAIN')[3]).toBe(0x03); // VCED only
+    expect(exportDxVoice(patch, 'FIXED')[3]).toBe(0x7e);
+  });
+});
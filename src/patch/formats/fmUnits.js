@@ -0,0 +1,93 @@
+// --- Chip Parameter Conversions ---
+// Shared mappings between integer register values of Yamaha FM chips (DX/TX 4-op,
+// YM2151, YM2612) and the continuous values of our patch format. Each mapping has
+// an exact inverse on the values it produces, so import -> export round-trips.
+
+export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Envelope rates are exponential: each step shortens the segment by a constant factor.
+// Rate 0 is the slowest segment our UI allows, the maximum rate the fastest.
+const rateToSeconds = (rate, maxRate, slowest, fastest) => slowest * Math.pow(fastest / slowest, rate / maxRate);
+const secondsToRate = (seconds, maxRate, slowest, fastest) =>
+  clamp(Math.round(maxRate * Math.log(seconds / slowest) / Math.log(fastest / slowest)), 0, maxRate);
+
+export const ATTACK_RANGE = [2, 0.001];
+export const DECAY_RANGE = [2, 0.01];
+export const RELEASE_RANGE = [5, 0.01];
+
+export const attackFromRate = (ar) => rateToSeconds(ar, 31, ...ATTACK_RANGE);
+export const rateFromAttack = (seconds) => secondsToRate(seconds, 31, ...ATTACK_RANGE);
+export const decayFromRate = (dr) => rateToSeconds(dr, 31, ...DECAY_RANGE);
+export const rateFromDecay = (seconds) => secondsToRate(seconds, 31, ...DECAY_RANGE);
+export const releaseFromRate = (rr) => rateToSeconds(rr, 15, ...RELEASE_RANGE);
+export const rateFromRelease = (seconds) => secondsToRate(seconds, 15, ...RELEASE_RANGE);
+
+// Second decay (D2R / SR): rate 0 means the break level is held.
+export const DECAY2_RANGE = [20, 0.05];
+export const decay2FromRate = (d2r) => (d2r === 0 ? 0 : rateToSeconds(d2r, 31, ...DECAY2_RANGE));
+export const rateFromDecay2 = (seconds = 0) => (seconds <= 0 ? 0 : Math.max(1, secondsToRate(seconds, 31, ...DECAY2_RANGE)));
+
+// Keyboard rate scaling (RS / KS, 0-3) to our 0..1 amount.
+export const rateScalingFromRs = (rs) => rs / 3;
+export const rsFromRateScaling = (amount = 0) => clamp(Math.round(amount * 3), 0, 3);
+
+// --- LFO ---
+// Waveform codes shared by DX (LFW) and OPM (WF): saw up, square, triangle, S&H/noise.
+// Our sine has no chip equivalent and is written as triangle.
+const LFO_WAVE_CODES = ['sawtooth', 'square', 'triangle', 'sampleHold'];
+export const lfoWaveFromCode = (code) => LFO_WAVE_CODES[code & 0x03];
+export const codeFromLfoWave = (waveform) => Math.max(0, LFO_WAVE_CODES.indexOf(waveform === 'sine' ? 'triangle' : waveform));
+
+// DX LFO speed and delay (0-99) follow a square law; OPM LFRQ (0-255) is exponential.
+const squareLaw = (value, maxValue, lo, hi) => lo + (hi - lo) * Math.pow(value / maxValue, 2);
+const inverseSquareLaw = (x, maxValue, lo, hi) =>
+  clamp(Math.round(maxValue * Math.sqrt(Math.max(0, (x - lo) / (hi - lo)))), 0, maxValue);
+
+export const DX_LFO_RATE_RANGE = [0.06, 50];
+export const DX_LFO_DELAY_MAX = 5;
+export const lfoRateFromDxSpeed = (speed) => squareLaw(speed, 99, ...DX_LFO_RATE_RANGE);
+export const dxSpeedFromLfoRate = (rate) => inverseSquareLaw(rate, 99, ...DX_LFO_RATE_RANGE);
+export const lfoDelayFromDx = (delay) => squareLaw(delay, 99, 0, DX_LFO_DELAY_MAX);
+export const dxDelayFromLfoDelay = (seconds) => inverseSquareLaw(seconds, 99, 0, DX_LFO_DELAY_MAX);
+
+export const OPM_LFO_RATE_RANGE = [0.008, 52];
+export const lfoRateFromLfrq = (lfrq) => rateToSeconds(lfrq, 255, ...OPM_LFO_RATE_RANGE);
+export const lfrqFromLfoRate = (rate) => secondsToRate(rate, 255, ...OPM_LFO_RATE_RANGE);
+
+// Modulation depth is a depth register scaled by a sensitivity table (PMS in cents, AMS
+// as a fraction of full attenuation). Exports use the smallest sensitivity that reaches the depth.
+export const DX_PMS_CENTS = [0, 10, 20, 50, 100, 200, 400, 700];
+export const OPM_PMS_CENTS = [0, 5, 10, 20, 50, 100, 400, 700];
+export const AMS_DEPTHS = [0, 0.25, 0.5, 1];
+
+export const depthFromRegisters = (depth, maxDepth, sens, table) => depth / maxDepth * table[sens];
+export const registersFromDepth = (value, maxDepth, table) => {
+  if (!(value > 0)) return { depth: 0, sens: 0 };
+  const index = table.findIndex(v => v >= value);
+  const sens = index === -1 ? table.length - 1 : index;
+  return { depth: clamp(Math.round(value / table[sens] * maxDepth), 1, maxDepth), sens };
+};
+
+// Total level: attenuation in 0.75 dB steps (YM TL, or 99 - DX output level).
+export const levelFromAttenuation = (steps) => Math.pow(10, -steps * 0.75 / 20);
+export const attenuationFromLevel = (level, maxSteps) =>
+  (level <= 0 ? maxSteps : clamp(Math.round(-20 * Math.log10(level) / 0.75), 0, maxSteps));
+
+// Sustain (first decay) level: attenuation in 3 dB steps, 15 steps is silence.
+export const sustainFromAttenuation = (steps) => (steps >= 15 ? 0 : Math.pow(10, -steps * 3 / 20));
+export const attenuationFromSustain = (sustain) =>
+  (sustain <= 0 ? 15 : clamp(Math.round(-20 * Math.log10(sustain) / 3), 0, 15));
+
+// Fine detune steps (-3..+3) to our detune units (1/1000 of the frequency).
+const DETUNE_STEP = 2;
+export const detuneFromSteps = (steps) => steps * DETUNE_STEP;
+export const stepsFromDetune = (detune) => clamp(Math.round(detune / DETUNE_STEP), -3, 3);
+
+// YM2151/YM2612 frequency multiplier: 0 means x0.5.
+export const ratioFromMultiple = (mul) => (mul === 0 ? 0.5 : mul);
+
+// Our patches allow ratios up to 16.
+export const MAX_RATIO = 16;
+
+export const nearestIndex = (values, target) =>
+  values.reduce((best, value, i) => (Math.abs(value - target) < Math.abs(values[best] - target) ? i : best), 0);
@@ -0,0 +1,55 @@
+// --- Voice File Formats ---
+// Entry points used by the UI: pick a converter by file extension and wrap the results
+// as { name, patch } entries, the same shape the patch library stores.
+
+import { parseDxSysex, isDxSysex, exportDxVoice, exportDxBank } from './dx4op';
+import { parseOpm, exportOpm } from './opm';
+import { parseTfi, exportTfi } from './tfi';
+import { initialPatch } from '../patch';
+
+export const VOICE_FILE_EXTENSIONS = ['.syx', '.opm', '.tfi'];
+
+const extensionOf = (fileName) => (fileName.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+export const isVoiceFile = (fileName) => VOICE_FILE_EXTENSIONS.includes(extensionOf(fileName));
+
+// OPM files are plain ASCII (names may be Shift_JIS, which we don't try to decode).
+const bytesToText = (bytes) => Array.from(bytes, b => String.fromCharCode(b)).join('');
+
+// bytes: Uint8Array of the file contents. Returns [{ name, patch }].
+export const parseVoiceFile = (fileName, bytes) => {
+  switch (extensionOf(fileName)) {
+    case '.syx':
+      if (!isDxSysex(bytes)) throw new Error('Not a Yamaha SysEx file');
+      return parseDxSysex(bytes);
+    case '.opm':
+      return parseOpm(bytesToText(bytes));
+    case '.tfi':
+      return [parseTfi(bytes, baseName(fileName))];
+    default:
+      throw new Error(`Unsupported file type: ${fileName}`);
+  }
+};
+
+// Export warnings: patch features a format has no place for. The file is still written,
+// but reads back sounding different. The YM2151 and YM2612 have no fixed-frequency mode.
+const noWarnings = () => [];
+const fixedFrequencyWarnings = (patch) => patch.operators.flatMap((op, i) => (op.on && op.fixed
+  ? [`OP${i + 1}: fixed frequency ${op.fixedFreq} Hz is not supported, written as ratio ${op.ratio}`]
+  : []));
+const bankWarnings = (check) => (entries) => entries.flatMap(({ name, patch }) => check(patch).map(message => `${name}: ${message}`));
+
+// Single-patch export formats offered next to JSON. warnings(patch) -> [message].
+export const PATCH_EXPORT_FORMATS = [
+  { id: 'syx', label: 'DX21/TX81Z SysEx (.syx)', mimeType: 'application/octet-stream', write: (patch, name) => exportDxVoice(patch, name), warnings: noWarnings },
+  { id: 'opm', label: 'OPM (.opm)', mimeType: 'text/plain', write: (patch, name) => exportOpm([{ name, patch }]), warnings: fixedFrequencyWarnings },
+  { id: 'tfi', label: 'TFI (.tfi)', mimeType: 'application/octet-stream', write: (patch) => exportTfi(patch), warnings: fixedFrequencyWarnings },
+];
+
+// Bank export formats offered next to JSON. DX banks hold exactly 32 voices.
+// warnings(entries) -> [message], prefixed with the patch name.
+export const BANK_EXPORT_FORMATS = [
+  { id: 'syx', label: 'DX21/TX81Z 32-voice SysEx (.syx)', mimeType: 'application/octet-stream', write: (entries) => exportDxBank(entries, initialPatch), warnings: noWarnings },
+  { id: 'opm', label: 'OPM (.opm)', mimeType: 'text/plain', write: (entries) => exportOpm(entries), warnings: bankWarnings(fixedFrequencyWarnings) },
+];
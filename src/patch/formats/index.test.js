@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { parseVoiceFile, isVoiceFile, PATCH_EXPORT_FORMATS, BANK_EXPORT_FORMATS } from './index';
+import { initialPatch } from '../patch';
+
+const fixture = (name) => new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', name)));
+
+test('detects voice files by extension', () => {
+  expect(isVoiceFile('bank.SYX')).toBe(true);
+  expect(isVoiceFile('song.opm')).toBe(true);
+  expect(isVoiceFile('patch.json')).toBe(false);
+});
+
+test('dispatches to the right parser', () => {
+  expect(parseVoiceFile('dx100-bank.syx', fixture('dx100-bank.syx'))).toHaveLength(32);
+  expect(parseVoiceFile('sample.opm', fixture('sample.opm')).map(v => v.name)).toEqual(['Brass', 'Bell']);
+  expect(parseVoiceFile('slap-bass.tfi', fixture('slap-bass.tfi'))[0].name).toBe('slap-bass');
+  expect(() => parseVoiceFile('sample.opm', fixture('slap-bass.tfi'))).toThrow();
+  expect(() => parseVoiceFile('sample.opm.txt', fixture('sample.opm'))).toThrow(/Unsupported/);
+});
+
+test('every export format can be read back', () => {
+  PATCH_EXPORT_FORMATS.forEach(format => {
+    const data = format.write(initialPatch, 'INIT');
+    const bytes = typeof data === 'string' ? Uint8Array.from(data, c => c.charCodeAt(0)) : data;
+    const [voice] = parseVoiceFile(`init.${format.id}`, bytes);
+    expect(voice.patch.algorithm).toBe(initialPatch.algorithm);
+  });
+  BANK_EXPORT_FORMATS.forEach(format => {
+    const data = format.write([{ name: 'A', patch: initialPatch }, { name: 'B', patch: initialPatch }]);
+    const bytes = typeof data === 'string' ? Uint8Array.from(data, c => c.charCodeAt(0)) : data;
+    expect(parseVoiceFile(`bank.${format.id}`, bytes)[1].name).toBe('B');
+  });
+});
+
+test('formats without fixed frequency warn about fixed operators', () => {
+  const operators = initialPatch.operators.map((op, i) => (i === 0 ? { ...op, fixed: true, fixedFreq: 220 } : op));
+  const patch = { ...initialPatch, operators };
+  const warnings = Object.fromEntries(PATCH_EXPORT_FORMATS.map(format => [format.id, format.warnings(patch)]));
+  expect(warnings).toEqual({
+    syx: [],
+    opm: ['OP1: fixed frequency 220 Hz is not supported, written as ratio 1'],
+    tfi: ['OP1: fixed frequency 220 Hz is not supported, written as ratio 1'],
+  });
+  expect(PATCH_EXPORT_FORMATS.every(format => format.warnings(initialPatch).length === 0)).toBe(true);
+  const opmBank = BANK_EXPORT_FORMATS.find(format => format.id === 'opm');
+  expect(opmBank.warnings([{ name: 'A', patch: initialPatch }, { name: 'B', patch }])).toEqual([
+    'B: OP1: fixed frequency 220 Hz is not supported, written as ratio 1',
+  ]);
+});
+
+test('fixed-frequency operators survive every export format or are warned about', () => {
+  const operators = initialPatch.operators.map((op, i) => (i === 1 ? { ...op, fixed: true, fixedFreq: 440 } : op));
+  const patch = { ...initialPatch, operators };
+  PATCH_EXPORT_FORMATS.forEach(format => {
+    const data = format.write(patch, 'FIXED');
+    const bytes = typeof data === 'string' ? Uint8Array.from(data, c => c.charCodeAt(0)) : data;
+    const [voice] = parseVoiceFile(`fixed.${format.id}`, bytes);
+    const kept = voice.patch.operators[1].fixed && voice.patch.operators[1].fixedFreq === 440;
+    expect([format.id, kept || format.warnings(patch).length > 0]).toEqual([format.id, true]);
+  });
+});
@@ -0,0 +1,150 @@
+// --- YM2151 OPM Text Format (VOPM / MiOPMdrv) ---
+// Instruments look like:
+//   @:0 Name
+//   LFO: LFRQ AMD PMD WF NFRQ
+//   CH: PAN FL CON AMS PMS SLOT NE
+//   M1: AR D1R D2R RR D1L TL KS MUL DT1 DT2 AMS-EN   (also C1, M2, C2)
+// In the YM2151 algorithm diagrams M1, C1, M2, C2 are operators 1-4, so they map
+// straight onto ours. SLOT is a bit mask (M1=8, C1=16, M2=32, C2=64) of enabled operators.
+
+import { getAlgorithm, getAlgorithmByYm } from '../../synth/algorithms';
+import { withPatchDefaults } from '../patch';
+import {
+  clamp, MAX_RATIO,
+  attackFromRate, rateFromAttack, decayFromRate, rateFromDecay, releaseFromRate, rateFromRelease,
+  decay2FromRate, rateFromDecay2, rateScalingFromRs, rsFromRateScaling,
+  levelFromAttenuation, attenuationFromLevel, sustainFromAttenuation, attenuationFromSustain,
+  detuneFromSteps, stepsFromDetune, ratioFromMultiple,
+  lfoWaveFromCode, codeFromLfoWave, lfoRateFromLfrq, lfrqFromLfoRate,
+  depthFromRegisters, registersFromDepth, OPM_PMS_CENTS, AMS_DEPTHS,
+} from './fmUnits';
+
+const OPERATOR_NAMES = ['M1', 'C1', 'M2', 'C2'];
+const SLOT_BITS = [8, 16, 32, 64];
+// DT2 multiplies the frequency by an inharmonic factor.
+const DT2_FACTORS = [1, 1.41, 1.57, 1.73];
+
+// DT1 0-3 is +0..+3, 4-7 is -0..-3.
+const stepsFromDt1 = (dt1) => (dt1 & 0x04 ? -(dt1 & 0x03) : dt1 & 0x03);
+const dt1FromSteps = (steps) => (steps < 0 ? 0x04 | -steps : steps);
+
+// Finds the MUL/DT2 pair closest to a ratio, preferring plain multiples.
+const multipleFromRatio = (ratio) => {
+  let best = { mul: 1, dt2: 0, error: Infinity };
+  DT2_FACTORS.forEach((factor, dt2) => {
+    for (let mul = 0; mul <= 15; mul++) {
+      const error = Math.abs(ratioFromMultiple(mul) * factor - ratio);
+      if (error < best.error - 1e-9) best = { mul, dt2, error };
+    }
+  });
+  return best;
+};
+
+// AMS-EN is written as 0 or 128, as VOPM does; any non-zero value enables AM on import.
+const AMS_ENABLED = 128;
+
+const operatorFromOpm = ([ar, d1r, d2r, rr, d1l, tl, ks, mul, dt1, dt2, amsEn = 0], on) => ({
+  on,
+  ratio: Math.min(MAX_RATIO, ratioFromMultiple(mul) * DT2_FACTORS[dt2 & 0x03]),
+  detune: detuneFromSteps(stepsFromDt1(dt1)),
+  level: levelFromAttenuation(tl),
+  velocitySens: 0,
+  amSens: amsEn ? 1 : 0,
+  attack: attackFromRate(ar),
+  hold: 0,
+  decay: decayFromRate(d1r),
+  sustain: sustainFromAttenuation(d1l),
+  decay2: decay2FromRate(d2r),
+  release: releaseFromRate(rr),
+  curve: 'linear',
+  rateScaling: rateScalingFromRs(ks & 0x03),
+  waveform: 'sine',
+});
+
+const opmFromOperator = (op) => {
+  const { mul, dt2 } = multipleFromRatio(op.ratio);
+  return [
+    rateFromAttack(op.attack), rateFromDecay(op.decay), rateFromDecay2(op.decay2), rateFromRelease(op.release),
+    attenuationFromSustain(op.sustain), attenuationFromLevel(op.level, 127), rsFromRateScaling(op.rateScaling), mul,
+    dt1FromSteps(stepsFromDetune(op.detune)), dt2, op.amSens >= 0.5 ? AMS_ENABLED : 0,
+  ];
+};
+
+const numbers = (line) => line.slice(line.indexOf(':') + 1).trim().split(/\s+/).map(Number);
+
+// Returns [{ name, patch }] for every instrument in the file.
+export const parseOpm = (text) => {
+  const voices = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/\/\/.*$/, '').trim();
+    if (!line) return;
+    const header = line.match(/^@:\s*(\d+)\s*(.*)$/);
+    if (header) {
+      current = { number: Number(header[1]), name: header[2].trim(), ops: [] };
+      voices.push(current);
+      return;
+    }
+    if (!current) return;
+    const key = line.slice(0, line.indexOf(':')).trim().toUpperCase();
+    if (key === 'CH') current.ch = numbers(line);
+    if (key === 'LFO') current.lfo = numbers(line);
+    const opIndex = OPERATOR_NAMES.indexOf(key);
+    if (opIndex !== -1) current.ops[opIndex] = numbers(line);
+  });
+
+  const complete = voices.filter(v => v.ch && v.ch.length >= 6 && OPERATOR_NAMES.every((_, i) => v.ops[i] && v.ops[i].length >= 10));
+  if (complete.length === 0) throw new Error('No OPM instruments found');
+
+  return complete.map(({ name, ch, ops, lfo = [] }) => {
+    const [, feedback, connection, ams, pms, slot] = ch;
+    const [lfrq = 0, amd = 0, pmd = 0, wf = 0] = lfo;
+    return {
+      name,
+      patch: withPatchDefaults({
+        algorithm: getAlgorithmByYm(clamp(connection, 0, 7)).id,
+        feedback: clamp(feedback, 0, 7),
+        mono: false,
+        legato: true,
+        portamento: 0,
+        masterGain: 0.5,
+        lfo: {
+          waveform: lfoWaveFromCode(wf),
+          rate: lfoRateFromLfrq(clamp(lfrq, 0, 255)),
+          delay: 0,
+          fade: 0,
+          keySync: false,
+          pmDepth: depthFromRegisters(clamp(pmd, 0, 127), 127, pms & 0x07, OPM_PMS_CENTS),
+          amDepth: depthFromRegisters(clamp(amd, 0, 127), 127, ams & 0x03, AMS_DEPTHS),
+        },
+        operators: ops.map((values, i) => operatorFromOpm(values, (slot & SLOT_BITS[i]) !== 0)),
+      }),
+    };
+  });
+};
+
+const pad = (values) => values.map(v => String(v).padStart(4)).join('');
+
+export const exportOpm = (entries) => {
+  const lines = [
+    '//MiOPMdrv sound bank Paramer Ver2002.04.22',
+    '//LFO: LFRQ AMD PMD WF NFRQ',
+    '//@:[Num] [Name]',
+    '//CH: PAN FL CON AMS PMS SLOT NE',
+    '//[OPname]: AR D1R D2R RR D1L TL KS MUL DT1 DT2 AMS-EN',
+  ];
+  entries.forEach(({ name, patch }, number) => {
+    const algo = getAlgorithm(patch.algorithm);
+    const slot = patch.operators.reduce((mask, op, i) => (op.on ? mask | SLOT_BITS[i] : mask), 0);
+    const lfo = patch.lfo || {};
+    const pm = registersFromDepth(lfo.pmDepth, 127, OPM_PMS_CENTS);
+    const am = registersFromDepth(lfo.amDepth, 127, AMS_DEPTHS);
+    lines.push('');
+    lines.push(`@:${number} ${name}`);
+    lines.push(`LFO:${pad([lfrqFromLfoRate(lfo.rate ?? 5), am.depth, pm.depth, codeFromLfoWave(lfo.waveform || 'triangle'), 0])}`);
+    lines.push(`CH:${pad([64, patch.feedback, algo.ym !== null ? algo.ym : 1, am.sens, pm.sens, slot, 0])}`);
+    patch.operators.forEach((op, i) => lines.push(`${OPERATOR_NAMES[i]}:${pad(opmFromOperator(op))}`));
+  });
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import { parseOpm, exportOpm } from './opm';
+import { getAlgorithm } from '../../synth/algorithms';
+
+const text = fs.readFileSync(path.join(__dirname, '__fixtures__', 'sample.opm'), 'latin1');
+
+describe('OPM text', () => {
+  const voices = parseOpm(text);
+
+  test('reads every instrument with its name', () => {
+    expect(voices.map(v => v.name)).toEqual(['Brass', 'Bell']);
+  });
+
+  test('maps CH parameters and the slot mask', () => {
+    const [brass, bell] = voices;
+    expect(getAlgorithm(brass.patch.algorithm).ym).toBe(3);
+    expect(brass.patch.feedback).toBe(6);
+    expect(brass.patch.operators.every(op => op.on)).toBe(true);
+    expect(bell.patch.operators.map(op => op.on)).toEqual([true, true, false, true]);
+  });
+
+  test('maps MUL, DT1 and DT2 onto ratio and detune', () => {
+    const [brass, bell] = voices;
+    expect(brass.patch.operators[1].ratio).toBe(2);
+    expect(brass.patch.operators[1].detune).toBe(-4); // DT1 6 = -2 steps
+    expect(brass.patch.operators[0].detune).toBe(6); // DT1 3 = +3 steps
+    expect(brass.patch.operators[2].ratio).toBeCloseTo(1.41);
+    expect(bell.patch.operators[2].ratio).toBeCloseTo(0.5 * 1.57);
+  });
+
+  test('maps TL to level', () => {
+    expect(voices[0].patch.operators[3].level).toBe(1);
+    expect(voices[0].patch.operators[0].level).toBeCloseTo(Math.pow(10, -30 * 0.75 / 20));
+  });
+
+  test('round-trips to identical text', () => {
+    expect(exportOpm(voices)).toBe(text);
+  });
+
+  test('ignores comments and rejects files without instruments', () => {
+    expect(() => parseOpm('// nothing here\n')).toThrow(/No OPM instruments/);
+  });
+});
+
+test('carries LFO settings and AM enable through export and import', () => {
+  const [brass] = parseOpm(text);
+  const lfo = { ...brass.patch.lfo, waveform: 'sampleHold', rate: 6, pmDepth: 30, amDepth: 0.4 };
+  const operators = brass.patch.operators.map((op, i) => ({ ...op, amSens: i === 3 ? 1 : 0 }));
+  const [parsed] = parseOpm(exportOpm([{ name: 'LFO', patch: { ...brass.patch, lfo, operators } }]));
+  expect(parsed.patch.lfo.waveform).toBe('sampleHold');
+  expect(parsed.patch.lfo.rate).toBeCloseTo(6, 0);
+  expect(parsed.patch.lfo.pmDepth).toBeCloseTo(30, 0);
+  expect(parsed.patch.lfo.amDepth).toBeCloseTo(0.4, 2);
+  expect(parsed.patch.operators.map(op => op.amSens)).toEqual([0, 0, 0, 1]);
+});
+
+test('writes fixed-frequency operators at their ratio', () => {
+  const [brass] = parseOpm(text);
+  const operators = brass.patch.operators.map((op, i) => (i === 0 ? { ...op, ratio: 3, fixed: true, fixedFreq: 880 } : op));
+  const [parsed] = parseOpm(exportOpm([{ name: 'FIXED', patch: { ...brass.patch, operators } }]));
+  expect(parsed.patch.operators[0].fixed).toBe(false);
+  expect(parsed.patch.operators[0].ratio).toBe(3);
+});
@@ -0,0 +1,79 @@
+// --- YM2612 TFI Instrument (TFM Music Maker) ---
+// 42 bytes: algorithm, feedback, then 10 bytes per operator in register order
+// (operators 1, 3, 2, 4): MUL DT TL RS AR DR SR RR SL SSG-EG. DT is 0-6 with 3 as centre.
+// TFI files carry no name; it comes from the file name.
+
+import { getAlgorithm, getAlgorithmByYm } from '../../synth/algorithms';
+import { withPatchDefaults } from '../patch';
+import {
+  clamp, MAX_RATIO,
+  attackFromRate, rateFromAttack, decayFromRate, rateFromDecay, releaseFromRate, rateFromRelease,
+  decay2FromRate, rateFromDecay2, rateScalingFromRs, rsFromRateScaling,
+  levelFromAttenuation, attenuationFromLevel, sustainFromAttenuation, attenuationFromSustain,
+  detuneFromSteps, stepsFromDetune, ratioFromMultiple,
+} from './fmUnits';
+
+export const TFI_SIZE = 42;
+const REGISTER_ORDER = [0, 2, 1, 3];
+
+const multipleFromRatio = (ratio) => (ratio < 0.75 ? 0 : clamp(Math.round(ratio), 1, 15));
+
+export const parseTfi = (bytes, name = '') => {
+  if (bytes.length !== TFI_SIZE) throw new Error(`TFI files are ${TFI_SIZE} bytes, got ${bytes.length}`);
+  const operators = [];
+  REGISTER_ORDER.forEach((opIndex, slot) => {
+    const [mul, dt, tl, rs, ar, dr, sr, rr, sl] = Array.from(bytes.slice(2 + slot * 10, 12 + slot * 10));
+    operators[opIndex] = {
+      on: true,
+      ratio: Math.min(MAX_RATIO, ratioFromMultiple(mul & 0x0f)),
+      detune: detuneFromSteps(clamp(dt, 0, 6) - 3),
+      level: levelFromAttenuation(tl & 0x7f),
+      velocitySens: 0,
+      attack: attackFromRate(ar & 0x1f),
+      hold: 0,
+      decay: decayFromRate(dr & 0x1f),
+      sustain: sustainFromAttenuation(sl & 0x0f),
+      decay2: decay2FromRate(sr & 0x1f),
+      release: releaseFromRate(rr & 0x0f),
+      curve: 'linear',
+      rateScaling: rateScalingFromRs(rs & 0x03),
+      waveform: 'sine',
+    };
+  });
+  return {
+    name,
+    patch: withPatchDefaults({
+      algorithm: getAlgorithmByYm(bytes[0] & 0x07).id,
+      feedback: bytes[1] & 0x07,
+      mono: false,
+      legato: true,
+      portamento: 0,
+      masterGain: 0.5,
+      operators,
+    }),
+  };
+};
+
+// Operators that are switched off are written at full attenuation.
+export const exportTfi = (patch) => {
+  const algo = getAlgorithm(patch.algorithm);
+  const bytes = new Uint8Array(TFI_SIZE);
+  bytes[0] = algo.ym !== null ? algo.ym : 1;
+  bytes[1] = patch.feedback;
+  REGISTER_ORDER.forEach((opIndex, slot) => {
+    const op = patch.operators[opIndex];
+    bytes.set([
+      multipleFromRatio(op.ratio),
+      stepsFromDetune(op.detune) + 3,
+      op.on ? attenuationFromLevel(op.level, 127) : 127,
+      rsFromRateScaling(op.rateScaling),
+      rateFromAttack(op.attack),
+      rateFromDecay(op.decay),
+      rateFromDecay2(op.decay2),
+      rateFromRelease(op.release),
+      attenuationFromSustain(op.sustain),
+      0,
+    ], 2 + slot * 10);
+  });
+  return bytes;
+};
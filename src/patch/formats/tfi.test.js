@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+import { parseTfi, exportTfi } from './tfi';
+import { getAlgorithm } from '../../synth/algorithms';
+
+const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', 'slap-bass.tfi')));
+
+describe('TFI', () => {
+  const voice = parseTfi(bytes, 'slap-bass');
+
+  test('maps algorithm and feedback', () => {
+    expect(voice.name).toBe('slap-bass');
+    expect(getAlgorithm(voice.patch.algorithm).ym).toBe(2);
+    expect(voice.patch.feedback).toBe(6);
+  });
+
+  test('reads operators in register order 1, 3, 2, 4', () => {
+    const [op1, op2, op3, op4] = voice.patch.operators;
+    expect(op1.ratio).toBe(1);
+    expect(op2.ratio).toBe(3);
+    expect(op3.ratio).toBe(0.5);
+    expect(op3.detune).toBe(2);
+    expect(op2.detune).toBe(-4);
+    expect(op4.level).toBe(1);
+  });
+
+  test('round-trips to identical bytes', () => {
+    expect(Array.from(exportTfi(voice.patch))).toEqual(Array.from(bytes));
+  });
+
+  test('rejects files of the wrong size', () => {
+    expect(() => parseTfi(bytes.slice(0, 40))).toThrow(/42 bytes/);
+  });
+});
+
+test('writes fixed-frequency operators at their ratio', () => {
+  const { patch } = parseTfi(bytes);
+  const operators = patch.operators.map((op, i) => (i === 3 ? { ...op, ratio: 2, fixed: true, fixedFreq: 880 } : op));
+  const { patch: parsed } = parseTfi(exportTfi({ ...patch, operators }));
+  expect(parsed.operators[3].fixed).toBe(false);
+  expect(parsed.operators[3].ratio).toBe(2);
+});
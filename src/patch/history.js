@@ -0,0 +1,100 @@
+// --- Edit History ---
+// Undo/redo for patch edits, with two compare slots (A/B) that each keep their own
+// history. Pure reducer; the usePatchHistory hook wraps it for the app.
+//
+// Continuous controls (slider drags) send an edit per move. Edits that change the same
+// fields as the previous one, less than COALESCE_MS after it, replace that step instead
+// of adding a new one, so a whole drag undoes in one go.
+
+export const COALESCE_MS = 800;
+export const MAX_HISTORY = 100;
+export const SLOTS = ['a', 'b'];
+
+// Paths of the leaf values that differ between two patches, e.g. 'operators.1.level'.
+export const changedPaths = (before, after, prefix = '') => {
+  if (before === after) return [];
+  const isContainer = (v) => v !== null && typeof v === 'object';
+  if (!isContainer(before) || !isContainer(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return [prefix];
+  }
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].flatMap(key => changedPaths(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+};
+
+const sameFields = (a, b) => a !== null && b !== null && a.length === b.length && a.every((path, i) => path === b[i]);
+
+// One slot's history: { past, present, future, lastEdit: { paths, time } | null }
+export const createHistory = (present) => ({ past: [], present, future: [], lastEdit: null });
+
+export const recordEdit = (history, patch, time) => {
+  const paths = changedPaths(history.present, patch);
+  if (paths.length === 0) return history;
+  const { lastEdit } = history;
+  if (lastEdit && sameFields(lastEdit.paths, paths) && time - lastEdit.time < COALESCE_MS) {
+    return { ...history, present: patch, future: [], lastEdit: { paths, time } };
+  }
+  return {
+    past: [...history.past, history.present].slice(-MAX_HISTORY),
+    present: patch,
+    future: [],
+    lastEdit: { paths, time },
+  };
+};
+
+export const undo = (history) => {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastEdit: null,
+  };
+};
+
+export const redo = (history) => {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastEdit: null,
+  };
+};
+
+// --- A/B slots ---
+// { active: 'a' | 'b', slots: { a: history, b: history | null } }. Slot B starts empty
+// and is filled with a copy of A the first time it is selected.
+
+export const createCompare = (patch) => ({ active: 'a', slots: { a: createHistory(patch), b: null } });
+
+export const currentPatch = (state) => state.slots[state.active].present;
+
+const updateActive = (state, fn) => ({ ...state, slots: { ...state.slots, [state.active]: fn(state.slots[state.active]) } });
+
+export const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'edit':
+      return updateActive(state, history => recordEdit(history, action.patch, action.time));
+    case 'undo':
+      return updateActive(state, undo);
+    case 'redo':
+      return updateActive(state, redo);
+    case 'select': {
+      const slots = state.slots[action.slot] ? state.slots : { ...state.slots, [action.slot]: createHistory(currentPatch(state)) };
+      return { active: action.slot, slots };
+    }
+    // Loading a patch that is not an edit of the current one (e.g. another performance
+    // part) starts over: no steps to undo into it, both slots reset.
+    case 'load':
+      return createCompare(action.patch);
+    // Copying is an undoable edit in the target slot.
+    case 'copy': {
+      if (!state.slots[action.from]) return state;
+      const source = state.slots[action.from].present;
+      const target = state.slots[action.to];
+      return { ...state, slots: { ...state.slots, [action.to]: target ? recordEdit({ ...target, lastEdit: null }, source, 0) : createHistory(source) } };
+    }
+    default:
+      throw new Error(`Unknown history action ${action.type}`);
+  }
+};
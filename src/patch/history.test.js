@@ -0,0 +1,140 @@
+import { initialPatch } from './patch';
+import {
+  changedPaths, createHistory, recordEdit, undo, redo, createCompare, currentPatch, historyReducer, COALESCE_MS, MAX_HISTORY,
+} from './history';
+
+const withLevel = (patch, index, level) => ({
+  ...patch,
+  operators: patch.operators.map((op, i) => (i === index ? { ...op, level } : op)),
+});
+
+describe('changedPaths', () => {
+  test('lists the leaf values that differ', () => {
+    expect(changedPaths(initialPatch, withLevel(initialPatch, 1, 0.2))).toEqual(['operators.1.level']);
+    expect(changedPaths(initialPatch, { ...initialPatch, feedback: 3, mono: true })).toEqual(['feedback', 'mono']);
+    expect(changedPaths(initialPatch, initialPatch)).toEqual([]);
+  });
+
+  test('treats added and removed fields as changes', () => {
+    const { tempo, ...patch } = initialPatch;
+    expect(changedPaths(initialPatch, patch)).toEqual(['tempo']);
+  });
+});
+
+describe('recordEdit', () => {
+  test('coalesces a slider drag into one step', () => {
+    let history = createHistory(initialPatch);
+    [0.7, 0.6, 0.5, 0.4].forEach((level, i) => {
+      history = recordEdit(history, withLevel(history.present, 0, level), i * 50);
+    });
+    expect(history.past).toEqual([initialPatch]);
+    expect(history.present.operators[0].level).toBe(0.4);
+    expect(undo(history).present).toBe(initialPatch);
+  });
+
+  test('starts a new step for a different control', () => {
+    let history = createHistory(initialPatch);
+    history = recordEdit(history, withLevel(history.present, 0, 0.5), 0);
+    history = recordEdit(history, withLevel(history.present, 1, 0.3), 10);
+    expect(history.past).toHaveLength(2);
+  });
+
+  test('starts a new step after a pause', () => {
+    let history = createHistory(initialPatch);
+    history = recordEdit(history, withLevel(history.present, 0, 0.5), 0);
+    history = recordEdit(history, withLevel(history.present, 0, 0.4), COALESCE_MS + 1);
+    expect(history.past).toHaveLength(2);
+  });
+
+  test('ignores edits that change nothing', () => {
+    const history = createHistory(initialPatch);
+    expect(recordEdit(history, { ...initialPatch }, 0)).toBe(history);
+  });
+
+  test('drops the redo branch on a new edit', () => {
+    let history = recordEdit(createHistory(initialPatch), withLevel(initialPatch, 0, 0.5), 0);
+    history = undo(history);
+    expect(history.future).toHaveLength(1);
+    history = recordEdit(history, { ...initialPatch, feedback: 2 }, 10);
+    expect(history.future).toEqual([]);
+  });
+
+  test('keeps a bounded number of steps', () => {
+    let history = createHistory(initialPatch);
+    for (let i = 0; i <= MAX_HISTORY + 5; i++) {
+      history = recordEdit(history, { ...history.present, feedback: i % 2, portamento: i / 1000 }, i * 10000);
+    }
+    expect(history.past).toHaveLength(MAX_HISTORY);
+  });
+});
+
+describe('undo and redo', () => {
+  test('walk back and forth through the steps', () => {
+    const a = { ...initialPatch, feedback: 1 };
+    const b = { ...initialPatch, feedback: 2 };
+    let history = recordEdit(recordEdit(createHistory(initialPatch), a, 0), b, COALESCE_MS * 2);
+    history = undo(history);
+    expect(history.present).toBe(a);
+    history = undo(history);
+    expect(history.present).toBe(initialPatch);
+    expect(undo(history)).toBe(history);
+    history = redo(redo(history));
+    expect(history.present).toBe(b);
+    expect(redo(history)).toBe(history);
+  });
+
+  test('an edit after undo is never merged into the undone step', () => {
+    let history = recordEdit(createHistory(initialPatch), withLevel(initialPatch, 0, 0.5), 0);
+    history = redo(undo(history));
+    history = recordEdit(history, withLevel(history.present, 0, 0.4), 10);
+    expect(history.past).toHaveLength(2);
+  });
+});
+
+describe('A/B compare', () => {
+  test('slot B starts as a copy of A and keeps its own history', () => {
+    let state = createCompare(initialPatch);
+    state = historyReducer(state, { type: 'edit', patch: { ...initialPatch, feedback: 4 }, time: 0 });
+    state = historyReducer(state, { type: 'select', slot: 'b' });
+    expect(currentPatch(state).feedback).toBe(4);
+    expect(state.slots.b.past).toEqual([]);
+
+    state = historyReducer(state, { type: 'edit', patch: { ...currentPatch(state), feedback: 6 }, time: 10 });
+    state = historyReducer(state, { type: 'select', slot: 'a' });
+    expect(currentPatch(state).feedback).toBe(4);
+    state = historyReducer(state, { type: 'undo' });
+    expect(currentPatch(state).feedback).toBe(0);
+    state = historyReducer(state, { type: 'select', slot: 'b' });
+    expect(currentPatch(state).feedback).toBe(6);
+  });
+
+  test('copying a slot is an undoable edit of the target', () => {
+    let state = createCompare(initialPatch);
+    state = historyReducer(state, { type: 'select', slot: 'b' });
+    state = historyReducer(state, { type: 'edit', patch: { ...initialPatch, feedback: 5 }, time: 0 });
+    state = historyReducer(state, { type: 'copy', from: 'b', to: 'a' });
+    state = historyReducer(state, { type: 'select', slot: 'a' });
+    expect(currentPatch(state).feedback).toBe(5);
+    state = historyReducer(state, { type: 'undo' });
+    expect(currentPatch(state).feedback).toBe(0);
+  });
+
+  test('copying into an empty slot fills it', () => {
+    const state = historyReducer(createCompare(initialPatch), { type: 'copy', from: 'a', to: 'b' });
+    expect(state.slots.b.present).toBe(initialPatch);
+    expect(historyReducer(createCompare(initialPatch), { type: 'copy', from: 'b', to: 'a' }).slots.a.present).toBe(initialPatch);
+  });
+});
+
+describe('load', () => {
+  test('replaces the patch without an undo step', () => {
+    let state = createCompare(initialPatch);
+    state = historyReducer(state, { type: 'edit', patch: { ...initialPatch, feedback: 4 }, time: 0 });
+    state = historyReducer(state, { type: 'select', slot: 'b' });
+    const loaded = { ...initialPatch, feedback: 7 };
+    state = historyReducer(state, { type: 'load', patch: loaded });
+    expect(currentPatch(state)).toBe(loaded);
+    expect(historyReducer(state, { type: 'undo' })).toEqual(state);
+    expect(state.slots.b).toBeNull();
+  });
+});
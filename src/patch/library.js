@@ -0,0 +1,171 @@
+// --- Patch Library ---
+// Pure helpers for banks of named patches. Every update returns a new library object,
+// so the React state holding it can be replaced wholesale.
+//
+// Library shape:
+//   { banks: [{ id, name, readOnly?, patches: [{ id, name, category, patch }] }] }
+// Only user banks are persisted; the factory bank is rebuilt from code on load.
+// Patches are stored and exported in the versioned file form and go through loadPatch
+// when read back, so they are migrated and validated like single patch files.
+
+import { createFactoryBank, FACTORY_BANK_ID } from './factoryBank';
+import { loadPatch, validatePatch, versionedPatch, formatPatchError } from './schema';
+
+export const CATEGORIES = ['EP', 'Bass', 'Bell', 'Brass', 'Organ', 'Lead', 'Pad', 'Other'];
+
+export const STORAGE_KEY = 'fm-synth-app:library';
+const STORAGE_VERSION = 1;
+export const BANK_FILE_TYPE = 'fm-synth-bank';
+
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createBank = (name, patches = []) => ({ id: createId(), name, patches });
+
+export const createLibrary = (userBanks = [createBank('User')]) => ({
+  banks: [createFactoryBank(), ...userBanks],
+});
+
+export const findBank = (library, bankId) => library.banks.find(bank => bank.id === bankId) || null;
+
+export const findEntry = (library, bankId, patchId) =>
+  findBank(library, bankId)?.patches.find(entry => entry.id === patchId) || null;
+
+export const userBanks = (library) => library.banks.filter(bank => !bank.readOnly);
+
+const mapBank = (library, bankId, fn) => {
+  const bank = findBank(library, bankId);
+  if (!bank) throw new Error(`Unknown bank: ${bankId}`);
+  if (bank.readOnly) throw new Error(`Bank "${bank.name}" is read-only`);
+  return { ...library, banks: library.banks.map(b => (b.id === bankId ? fn(b) : b)) };
+};
+
+// --- Patch operations ---
+
+export const addPatch = (library, bankId, { name, category = 'Other', patch }) => {
+  const entry = { id: createId(), name, category, patch };
+  return { library: mapBank(library, bankId, bank => ({ ...bank, patches: [...bank.patches, entry] })), entry };
+};
+
+export const updatePatch = (library, bankId, patchId, changes) =>
+  mapBank(library, bankId, bank => ({
+    ...bank,
+    patches: bank.patches.map(entry => (entry.id === patchId ? { ...entry, ...changes } : entry)),
+  }));
+
+export const renamePatch = (library, bankId, patchId, name) => updatePatch(library, bankId, patchId, { name });
+
+export const deletePatch = (library, bankId, patchId) =>
+  mapBank(library, bankId, bank => ({ ...bank, patches: bank.patches.filter(entry => entry.id !== patchId) }));
+
+// --- Bank operations ---
+
+export const addBank = (library, bank) => ({ ...library, banks: [...library.banks, bank] });
+
+export const renameBank = (library, bankId, name) => mapBank(library, bankId, bank => ({ ...bank, name }));
+
+export const deleteBank = (library, bankId) => {
+  mapBank(library, bankId, bank => bank); // read-only check
+  return { ...library, banks: library.banks.filter(bank => bank.id !== bankId) };
+};
+
+// --- Browsing ---
+
+// Case-insensitive name search, optionally restricted to one category ('' for all).
+export const filterPatches = (bank, query = '', category = '') => {
+  const q = query.trim().toLowerCase();
+  return bank.patches.filter(entry =>
+    (!category || entry.category === category) && (!q || entry.name.toLowerCase().includes(q)));
+};
+
+// Previous/next entry in a list, wrapping around. Starts at the first entry if the
+// current one is not in the list.
+export const stepEntry = (entries, currentId, direction) => {
+  if (entries.length === 0) return null;
+  const index = entries.findIndex(entry => entry.id === currentId);
+  if (index === -1) return entries[0];
+  return entries[(index + direction + entries.length) % entries.length];
+};
+
+// Splits entries into those whose patch loads and the rejected ones, as
+// [{ name, errors: [{ path, message }] }] for the error panel. `check` turns an entry's
+// patch into { patch, errors }: loadPatch for files and storage, validation only for
+// voices fresh from a converter.
+const checkEntries = (entries, check = loadPatch) => {
+  const accepted = [];
+  const rejected = [];
+  entries.forEach((entry, i) => {
+    const name = String(entry?.name || `Patch ${i + 1}`);
+    const { patch, errors } = check(entry?.patch);
+    if (patch) accepted.push({ ...entry, name, patch });
+    else rejected.push({ name, errors });
+  });
+  return { accepted, rejected };
+};
+
+const checkConverted = (patch) => {
+  const errors = validatePatch(patch);
+  return { patch: errors.length === 0 ? patch : null, errors };
+};
+
+// --- Persistence ---
+
+// Returns { library, rejected }; stored patches that no longer load are dropped and listed.
+export const loadLibrary = (storage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (!stored || stored.version !== STORAGE_VERSION || !Array.isArray(stored.banks)) return { library: createLibrary(), rejected: [] };
+    const rejected = [];
+    const banks = stored.banks
+      .filter(bank => bank.id !== FACTORY_BANK_ID && Array.isArray(bank.patches))
+      .map(bank => {
+        const checked = checkEntries(bank.patches);
+        rejected.push(...checked.rejected.map(entry => ({ ...entry, name: `${bank.name} / ${entry.name}` })));
+        return { ...bank, patches: checked.accepted };
+      });
+    return { library: createLibrary(banks), rejected };
+  } catch (error) {
+    return { library: createLibrary(), rejected: [] };
+  }
+};
+
+export const saveLibrary = (library, storage) => {
+  const banks = userBanks(library).map(bank => ({ ...bank, patches: bank.patches.map(entry => ({ ...entry, patch: versionedPatch(entry.patch) })) }));
+  storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, banks }));
+};
+
+// --- Bank files ---
+
+export const exportBank = (bank) => ({
+  type: BANK_FILE_TYPE,
+  version: 1,
+  name: bank.name,
+  patches: bank.patches.map(({ name, category, patch }) => ({ name, category, patch: versionedPatch(patch) })),
+});
+
+// Wraps converted voices ({ name, patch }, e.g. from a SysEx bank) in a new user bank.
+// Returns { bank, rejected } like importBank.
+export const bankFromEntries = (name, entries) => {
+  const { accepted, rejected } = checkEntries(entries, checkConverted);
+  const bank = createBank(name, accepted.map(({ name: patchName, patch }) => ({ id: createId(), name: patchName, category: 'Other', patch })));
+  return { bank, rejected };
+};
+
+// Returns { bank, rejected }: a new user bank with fresh ids holding the patches that
+// load, and the ones that don't. Throws on files that are not bank exports.
+export const importBank = (data) => {
+  if (!data || data.type !== BANK_FILE_TYPE || !Array.isArray(data.patches)) {
+    throw new Error('Not a bank file');
+  }
+  const { accepted, rejected } = checkEntries(data.patches);
+  const patches = accepted.map(entry => ({
+    id: createId(),
+    name: entry.name,
+    category: CATEGORIES.includes(entry.category) ? entry.category : 'Other',
+    patch: entry.patch,
+  }));
+  return { bank: createBank(String(data.name || 'Imported Bank'), patches), rejected };
+};
+
+// One error panel line per problem, prefixed with the patch name.
+export const rejectedMessages = (rejected) =>
+  rejected.flatMap(({ name, errors }) => errors.map(error => `${name}: ${formatPatchError(error)}`));
@@ -0,0 +1,188 @@
+import {
+  createLibrary, createBank, findBank, findEntry, userBanks, addPatch, updatePatch, renamePatch, deletePatch,
+  addBank, renameBank, deleteBank, filterPatches, stepEntry, loadLibrary, saveLibrary, exportBank, importBank, bankFromEntries,
+  rejectedMessages, STORAGE_KEY,
+} from './library';
+import { FACTORY_BANK_ID } from './factoryBank';
+import { initialPatch } from './patch';
+import { PATCH_VERSION } from './schema';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data,
+  };
+};
+
+const libraryWithPatches = () => {
+  let library = createLibrary();
+  const bankId = userBanks(library)[0].id;
+  ['Bright EP', 'Sub Bass', 'Dark EP'].forEach((name, i) => {
+    ({ library } = addPatch(library, bankId, { name, category: i === 1 ? 'Bass' : 'EP', patch: initialPatch }));
+  });
+  return { library, bankId };
+};
+
+describe('library operations', () => {
+  test('a new library has the factory bank and one user bank', () => {
+    const library = createLibrary();
+    expect(library.banks[0].id).toBe(FACTORY_BANK_ID);
+    expect(userBanks(library)).toHaveLength(1);
+  });
+
+  test('add, rename, update and delete patches without mutating the input', () => {
+    const { library, bankId } = libraryWithPatches();
+    const entry = findBank(library, bankId).patches[0];
+
+    const renamed = renamePatch(library, bankId, entry.id, 'Renamed');
+    expect(findEntry(renamed, bankId, entry.id).name).toBe('Renamed');
+    expect(findEntry(library, bankId, entry.id).name).toBe('Bright EP');
+
+    const newPatch = { ...initialPatch, algorithm: 2 };
+    const updated = updatePatch(renamed, bankId, entry.id, { patch: newPatch });
+    expect(findEntry(updated, bankId, entry.id).patch).toBe(newPatch);
+
+    const deleted = deletePatch(updated, bankId, entry.id);
+    expect(findEntry(deleted, bankId, entry.id)).toBeNull();
+    expect(findBank(deleted, bankId).patches).toHaveLength(2);
+  });
+
+  test('the factory bank is read-only', () => {
+    const library = createLibrary();
+    expect(() => addPatch(library, FACTORY_BANK_ID, { name: 'x', patch: initialPatch })).toThrow(/read-only/);
+    expect(() => deleteBank(library, FACTORY_BANK_ID)).toThrow(/read-only/);
+  });
+
+  test('banks can be added, renamed and deleted', () => {
+    const bank = createBank('Mine');
+    let library = addBank(createLibrary(), bank);
+    library = renameBank(library, bank.id, 'Ours');
+    expect(findBank(library, bank.id).name).toBe('Ours');
+    library = deleteBank(library, bank.id);
+    expect(findBank(library, bank.id)).toBeNull();
+  });
+});
+
+describe('browsing', () => {
+  test('filters by name and category', () => {
+    const { library, bankId } = libraryWithPatches();
+    const bank = findBank(library, bankId);
+    expect(filterPatches(bank, 'ep').map(e => e.name)).toEqual(['Bright EP', 'Dark EP']);
+    expect(filterPatches(bank, '', 'Bass').map(e => e.name)).toEqual(['Sub Bass']);
+    expect(filterPatches(bank, 'dark', 'EP').map(e => e.name)).toEqual(['Dark EP']);
+    expect(filterPatches(bank, '  ')).toHaveLength(3);
+  });
+
+  test('steps to previous and next entries with wrap-around', () => {
+    const entries = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    expect(stepEntry(entries, 'a', 1).id).toBe('b');
+    expect(stepEntry(entries, 'c', 1).id).toBe('a');
+    expect(stepEntry(entries, 'a', -1).id).toBe('c');
+    expect(stepEntry(entries, 'missing', 1).id).toBe('a');
+    expect(stepEntry([], 'a', 1)).toBeNull();
+  });
+});
+
+describe('persistence', () => {
+  test('round-trips user banks through storage', () => {
+    const { library, bankId } = libraryWithPatches();
+    const storage = memoryStorage();
+    saveLibrary(library, storage);
+
+    const stored = JSON.parse(storage.data[STORAGE_KEY]);
+    expect(stored.banks.some(bank => bank.id === FACTORY_BANK_ID)).toBe(false);
+    expect(stored.banks[0].patches[0].patch.version).toBe(PATCH_VERSION);
+
+    const { library: loaded, rejected } = loadLibrary(storage);
+    expect(rejected).toEqual([]);
+    expect(loaded.banks[0].id).toBe(FACTORY_BANK_ID);
+    expect(findBank(loaded, bankId).patches.map(e => e.name)).toEqual(['Bright EP', 'Sub Bass', 'Dark EP']);
+    expect(findBank(loaded, bankId).patches[0].patch).toEqual(initialPatch);
+  });
+
+  test('falls back to a fresh library on missing or corrupt data', () => {
+    expect(userBanks(loadLibrary(memoryStorage()).library)).toHaveLength(1);
+    expect(userBanks(loadLibrary(memoryStorage({ [STORAGE_KEY]: '{not json' })).library)).toHaveLength(1);
+    expect(userBanks(loadLibrary(memoryStorage({ [STORAGE_KEY]: '{"version":99}' })).library)).toHaveLength(1);
+  });
+
+  test('fills defaults into stored patches from older versions', () => {
+    const oldPatch = { algorithm: 1, operators: initialPatch.operators.map(({ velocitySens, ...op }) => op) };
+    const storage = memoryStorage({
+      [STORAGE_KEY]: JSON.stringify({ version: 1, banks: [{ id: 'b', name: 'Old', patches: [{ id: 'p', name: 'Old', category: 'EP', patch: oldPatch }] }] }),
+    });
+    const entry = findEntry(loadLibrary(storage).library, 'b', 'p');
+    expect(entry.patch.feedback).toBe(0);
+    expect(entry.patch.operators[0].velocitySens).toBe(0);
+  });
+
+  test('drops and reports stored patches that fail to load', () => {
+    const patches = [
+      { id: 'ok', name: 'Good', category: 'EP', patch: initialPatch },
+      { id: 'bad', name: 'Broken', category: 'EP', patch: { algorithm: 1 } },
+    ];
+    const storage = memoryStorage({ [STORAGE_KEY]: JSON.stringify({ version: 1, banks: [{ id: 'b', name: 'Mine', patches }] }) });
+    const { library, rejected } = loadLibrary(storage);
+    expect(findBank(library, 'b').patches.map(e => e.id)).toEqual(['ok']);
+    expect(rejectedMessages(rejected)).toEqual(['Mine / Broken: operators: expected a list of 4, got missing']);
+  });
+});
+
+describe('bank files', () => {
+  test('export and import round-trip with fresh ids', () => {
+    const { library, bankId } = libraryWithPatches();
+    const bank = findBank(library, bankId);
+    const file = JSON.parse(JSON.stringify(exportBank(bank)));
+    expect(file.patches[0].patch.version).toBe(PATCH_VERSION);
+    const { bank: imported, rejected } = importBank(file);
+
+    expect(rejected).toEqual([]);
+
+    expect(imported.id).not.toBe(bank.id);
+    expect(imported.name).toBe(bank.name);
+    expect(imported.patches.map(e => [e.name, e.category])).toEqual(bank.patches.map(e => [e.name, e.category]));
+    expect(imported.patches[0].patch).toEqual(bank.patches[0].patch);
+  });
+
+  test('rejects files that are not banks', () => {
+    expect(() => importBank(initialPatch)).toThrow(/Not a bank file/);
+  });
+
+  test('leaves out and reports broken patches', () => {
+    const { bank, rejected } = importBank({
+      type: 'fm-synth-bank',
+      patches: [
+        { name: 'x', patch: { algorithm: 1, operators: [] } },
+        { name: 'y', patch: initialPatch },
+        { patch: { ...initialPatch, version: 99 } },
+      ],
+    });
+    expect(bank.patches.map(e => e.name)).toEqual(['y']);
+    expect(rejectedMessages(rejected)).toEqual([
+      'x: operators: expected a list of 4, got []',
+      'Patch 3: version: Patch version 99 is newer than this app supports (4)',
+    ]);
+  });
+
+  test('unknown categories become Other', () => {
+    const { bank } = importBank({ type: 'fm-synth-bank', name: 'B', patches: [{ name: 'x', category: 'Weird', patch: initialPatch }] });
+    expect(bank.patches[0].category).toBe('Other');
+  });
+});
+
+test('bankFromEntries wraps converted voices', () => {
+  const { bank, rejected } = bankFromEntries('DX', [{ name: 'A', patch: initialPatch }, { name: 'B', patch: initialPatch }]);
+  expect(rejected).toEqual([]);
+  expect(bank.name).toBe('DX');
+  expect(bank.patches.map(e => [e.name, e.category])).toEqual([['A', 'Other'], ['B', 'Other']]);
+  expect(bank.patches[0].id).not.toBe(bank.patches[1].id);
+});
+
+test('bankFromEntries leaves out voices that fail validation', () => {
+  const { bank, rejected } = bankFromEntries('DX', [{ name: 'A', patch: initialPatch }, { name: 'B', patch: { ...initialPatch, algorithm: 99 } }]);
+  expect(bank.patches.map(e => e.name)).toEqual(['A']);
+  expect(rejected.map(entry => entry.name)).toEqual(['B']);
+  expect(rejected[0].errors[0].path).toBe('algorithm');
+});
@@ -0,0 +1,73 @@
+// --- Patch Structure ---
+
+// Keyboard level scaling (synth/keyScaling.js): off until a side gets some depth.
+const KEY_SCALING_DEFAULTS = { keyBreakpoint: 60, keyLeftDepth: 0, keyRightDepth: 0, keyLeftCurve: '-lin', keyRightCurve: '-lin' };
+
+// Sequencer pattern: 16 steps, every other one playing middle C.
+const defaultSteps = () => Array.from({ length: 16 }, (_, i) => ({ on: i % 2 === 0, note: 60, velocity: 0.8, gate: 0.5, tie: false }));
+
+export const initialPatch = {
+  algorithm: 1,
+  feedback: 0,
+  mono: false,
+  legato: true,
+  portamento: 0,
+  masterGain: 0.5,
+  tempo: 120,
+  lfo: { waveform: 'triangle', rate: 5, delay: 0, fade: 0, keySync: false, pmDepth: 0, amDepth: 0 },
+  pitchBendRange: 2,
+  modWheel: { target: 'vibrato', depth: 0.5, operators: [false, false, false, false] },
+  pitchEnv: { amount: 0, time: 0.1 },
+  effects: {
+    chorus: { on: false, mix: 0.5, rate: 0.8, depth: 3 },
+    delay: { on: false, mix: 0.3, sync: true, division: '1/8d', time: 0.3, feedback: 0.35 },
+    reverb: { on: false, mix: 0.25, decay: 2 },
+  },
+  arp: { on: false, mode: 'up', octaves: 1, rate: '1/16', gate: 0.5, latch: false },
+  sequence: { rate: '1/16', steps: defaultSteps() },
+  operators: [
+    { on: true, ratio: 1.00, detune: 0, level: 0.8, velocitySens: 0.5, amSens: 0, attack: 0.01, hold: 0, decay: 0.3, sustain: 0.8, decay2: 0, release: 0.5, curve: 'linear', rateScaling: 0, waveform: 'sine', fixed: false, fixedFreq: 440, ...KEY_SCALING_DEFAULTS },
+    { on: true, ratio: 1.00, detune: 0, level: 0.5, velocitySens: 0.5, amSens: 0, attack: 0.01, hold: 0, decay: 0.3, sustain: 0.8, decay2: 0, release: 0.5, curve: 'linear', rateScaling: 0, waveform: 'sine', fixed: false, fixedFreq: 440, ...KEY_SCALING_DEFAULTS },
+    { on: false, ratio: 5.00, detune: 0, level: 0.4, velocitySens: 0, amSens: 0, attack: 0.01, hold: 0, decay: 0.3, sustain: 0.8, decay2: 0, release: 0.5, curve: 'linear', rateScaling: 0, waveform: 'sine', fixed: false, fixedFreq: 440, ...KEY_SCALING_DEFAULTS },
+    { on: true, ratio: 1.00, detune: 0, level: 0.99, velocitySens: 0.5, amSens: 0, attack: 0.01, hold: 0, decay: 0.3, sustain: 0.8, decay2: 0, release: 0.5, curve: 'linear', rateScaling: 0, waveform: 'sine', fixed: false, fixedFreq: 440, ...KEY_SCALING_DEFAULTS },
+  ]
+};
+
+// Fields added after the first patch format, filled in when loading older patches.
+export const PATCH_DEFAULTS = { feedback: 0, mono: false, legato: true, portamento: 0, masterGain: 0.5, tempo: 120, pitchBendRange: 2 };
+// pmDepth is in cents, amDepth 0..1 (scaled per operator by amSens).
+export const LFO_DEFAULTS = { waveform: 'triangle', rate: 5, delay: 0, fade: 0, keySync: false, pmDepth: 0, amDepth: 0 };
+// Mod wheel routing (synth/controllers.js); `operators` selects the levels the 'level' target scales.
+export const MOD_WHEEL_DEFAULTS = { target: 'vibrato', depth: 0.5, operators: [false, false, false, false] };
+// Start offset in semitones, gliding back to the played pitch over `time` seconds.
+export const PITCH_ENV_DEFAULTS = { amount: 0, time: 0.1 };
+// Chorus depth in ms, delay time in seconds (used when not synced to the tempo), reverb decay in seconds.
+export const EFFECTS_DEFAULTS = {
+  chorus: { on: false, mix: 0.5, rate: 0.8, depth: 3 },
+  delay: { on: false, mix: 0.3, sync: true, division: '1/8d', time: 0.3, feedback: 0.35 },
+  reverb: { on: false, mix: 0.25, decay: 2 },
+};
+// Arpeggiator and sequencer rates are note divisions (synth/tempo.js) at the patch tempo.
+export const ARP_DEFAULTS = { on: false, mode: 'up', octaves: 1, rate: '1/16', gate: 0.5, latch: false };
+export const SEQUENCE_DEFAULTS = { rate: '1/16', steps: defaultSteps() };
+export const STEP_DEFAULTS = { on: false, note: 60, velocity: 0.8, gate: 0.5, tie: false };
+export const OPERATOR_DEFAULTS = { velocitySens: 0, amSens: 0, hold: 0, decay2: 0, curve: 'linear', rateScaling: 0, fixed: false, fixedFreq: 440, ...KEY_SCALING_DEFAULTS };
+
+export const withPatchDefaults = (patch) => ({
+  ...PATCH_DEFAULTS,
+  ...patch,
+  lfo: { ...LFO_DEFAULTS, ...patch.lfo },
+  modWheel: { ...MOD_WHEEL_DEFAULTS, ...patch.modWheel },
+  pitchEnv: { ...PITCH_ENV_DEFAULTS, ...patch.pitchEnv },
+  effects: Object.fromEntries(Object.entries(EFFECTS_DEFAULTS).map(([name, defaults]) => [name, { ...defaults, ...patch.effects?.[name] }])),
+  arp: { ...ARP_DEFAULTS, ...patch.arp },
+  sequence: patch.sequence
+    ? { ...SEQUENCE_DEFAULTS, ...patch.sequence, steps: SEQUENCE_DEFAULTS.steps.map((_, i) => ({ ...STEP_DEFAULTS, ...patch.sequence.steps?.[i] })) }
+    : SEQUENCE_DEFAULTS,
+  // A missing or malformed list is left for validatePatch to report.
+  operators: Array.isArray(patch.operators) ? patch.operators.map(op => ({ ...OPERATOR_DEFAULTS, ...op })) : patch.operators,
+});
+
+// Minimal shape check for patches coming from files or storage.
+export const isPatchLike = (patch) =>
+  !!patch && !!patch.algorithm && Array.isArray(patch.operators) && patch.operators.length === 4;
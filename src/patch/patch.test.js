@@ -0,0 +1,55 @@
+import { initialPatch, withPatchDefaults, isPatchLike, LFO_DEFAULTS, EFFECTS_DEFAULTS, ARP_DEFAULTS, SEQUENCE_DEFAULTS, STEP_DEFAULTS, MOD_WHEEL_DEFAULTS, PITCH_ENV_DEFAULTS } from './patch';
+
+describe('withPatchDefaults', () => {
+  test('fills in fields missing from older patches', () => {
+    const { lfo, ...legacy } = initialPatch;
+    const patch = withPatchDefaults({ ...legacy, operators: legacy.operators.map(({ amSens, hold, ...op }) => op) });
+    expect(patch.lfo).toEqual(LFO_DEFAULTS);
+    expect(patch.operators.every(op => op.amSens === 0 && op.hold === 0)).toBe(true);
+  });
+
+  test('keeps LFO settings through a JSON export and import', () => {
+    const patch = { ...initialPatch, lfo: { ...initialPatch.lfo, waveform: 'sampleHold', rate: 7, keySync: true, pmDepth: 25 } };
+    expect(withPatchDefaults(JSON.parse(JSON.stringify(patch)))).toEqual(patch);
+  });
+
+  test('merges partial LFO settings with the defaults', () => {
+    expect(withPatchDefaults({ ...initialPatch, lfo: { rate: 2 } }).lfo).toEqual({ ...LFO_DEFAULTS, rate: 2 });
+  });
+
+  test('fills in effects per effect, keeping the ones a patch sets', () => {
+    const { effects, tempo, ...legacy } = initialPatch;
+    expect(withPatchDefaults(legacy).effects).toEqual(EFFECTS_DEFAULTS);
+    expect(withPatchDefaults(legacy).tempo).toBe(120);
+    const patch = withPatchDefaults({ ...legacy, effects: { reverb: { on: true } } });
+    expect(patch.effects.reverb).toEqual({ ...EFFECTS_DEFAULTS.reverb, on: true });
+    expect(patch.effects.delay).toEqual(EFFECTS_DEFAULTS.delay);
+  });
+
+  test('fills in the arpeggiator and a full 16-step sequence', () => {
+    const { arp, sequence, ...legacy } = initialPatch;
+    expect(withPatchDefaults(legacy).arp).toEqual(ARP_DEFAULTS);
+    expect(withPatchDefaults(legacy).sequence).toEqual(SEQUENCE_DEFAULTS);
+    const patch = withPatchDefaults({ ...legacy, sequence: { rate: '1/8', steps: [{ on: true, note: 48 }] } });
+    expect(patch.sequence.rate).toBe('1/8');
+    expect(patch.sequence.steps).toHaveLength(16);
+    expect(patch.sequence.steps[0]).toEqual({ ...STEP_DEFAULTS, on: true, note: 48 });
+    expect(patch.sequence.steps[1]).toEqual(STEP_DEFAULTS);
+  });
+
+  test('fills in the controller settings', () => {
+    const { pitchBendRange, modWheel, pitchEnv, ...legacy } = initialPatch;
+    const patch = withPatchDefaults({ ...legacy, modWheel: { target: 'lfo' } });
+    expect(patch.pitchBendRange).toBe(2);
+    expect(patch.modWheel).toEqual({ ...MOD_WHEEL_DEFAULTS, target: 'lfo' });
+    expect(patch.pitchEnv).toEqual(PITCH_ENV_DEFAULTS);
+  });
+});
+
+describe('isPatchLike', () => {
+  test('requires an algorithm and four operators', () => {
+    expect(isPatchLike(initialPatch)).toBe(true);
+    expect(isPatchLike({ algorithm: 1, operators: [] })).toBe(false);
+    expect(isPatchLike(null)).toBe(false);
+  });
+});
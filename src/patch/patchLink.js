@@ -0,0 +1,54 @@
+// --- Patch Links ---
+// Patches encoded into the URL hash so a sound can be shared as a link:
+// #patch=<version>.<base64url of the lz-string compressed JSON { name, patch }>.
+// The version names the link format; the patch inside carries its own schema version
+// and goes through the same migration and validation as imported files.
+
+import { compressToUint8Array, decompressFromUint8Array } from 'lz-string';
+import { loadPatch, versionedPatch, formatPatchError } from './schema';
+
+export const PATCH_LINK_VERSION = 1;
+const HASH_KEY = 'patch';
+
+export const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const fromBase64Url = (text) => {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('Malformed patch link');
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+export const encodePatch = (patch, name = null) =>
+  `${PATCH_LINK_VERSION}.${toBase64Url(compressToUint8Array(JSON.stringify({ name, patch: versionedPatch(patch) })))}`;
+
+// Returns { name, patch }; throws with a readable message for bad links.
+export const decodePatch = (encoded) => {
+  const match = /^(\d+)\.(.+)$/.exec(encoded);
+  if (!match) throw new Error('Malformed patch link');
+  const version = parseInt(match[1]);
+  if (version !== PATCH_LINK_VERSION) throw new Error(`Unsupported patch link version ${version}`);
+
+  let payload;
+  try {
+    const json = decompressFromUint8Array(fromBase64Url(match[2]));
+    if (!json) throw new Error('Empty payload');
+    payload = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Malformed patch link');
+  }
+  const { patch, errors } = loadPatch(payload?.patch);
+  if (!patch) throw new Error(`Patch link does not contain a valid patch (${formatPatchError(errors[0])})`);
+  return { name: typeof payload.name === 'string' ? payload.name : null, patch };
+};
+
+export const patchLinkHash = (patch, name) => `#${HASH_KEY}=${encodePatch(patch, name)}`;
+
+// Reads a patch from a location hash. Returns null when the hash has no patch.
+export const patchFromHash = (hash) => {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+  return encoded === null ? null : decodePatch(encoded);
+};
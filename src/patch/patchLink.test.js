@@ -0,0 +1,57 @@
+import { initialPatch, withPatchDefaults } from './patch';
+import { encodePatch, decodePatch, patchLinkHash, patchFromHash, toBase64Url, fromBase64Url, PATCH_LINK_VERSION } from './patchLink';
+import { createFactoryBank } from './factoryBank';
+
+describe('base64url', () => {
+  test('round-trips bytes without URL-unsafe characters', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    const text = toBase64Url(bytes);
+    expect(text).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(fromBase64Url(text)).toEqual(bytes);
+  });
+});
+
+describe('patch links', () => {
+  test('round-trips the initial patch and its name', () => {
+    expect(decodePatch(encodePatch(initialPatch, 'My Sound'))).toEqual({ name: 'My Sound', patch: initialPatch });
+  });
+
+  test('round-trips every factory preset', () => {
+    createFactoryBank().patches.forEach(({ patch }) => {
+      const loaded = withPatchDefaults(patch);
+      expect(decodePatch(encodePatch(loaded)).patch).toEqual(loaded);
+    });
+  });
+
+  test('is shorter than the JSON it encodes', () => {
+    expect(encodePatch(initialPatch).length).toBeLessThan(JSON.stringify(initialPatch).length * 0.75);
+  });
+
+  test('starts with the format version', () => {
+    expect(encodePatch(initialPatch).startsWith(`${PATCH_LINK_VERSION}.`)).toBe(true);
+  });
+
+  test('rejects links from an unsupported version', () => {
+    const [, data] = encodePatch(initialPatch).split('.');
+    expect(() => decodePatch(`99.${data}`)).toThrow('Unsupported patch link version 99');
+  });
+
+  test('rejects malformed links', () => {
+    expect(() => decodePatch('garbage')).toThrow('Malformed patch link');
+    expect(() => decodePatch('1.$$$')).toThrow('Malformed patch link');
+    expect(() => decodePatch('1.AAAA')).toThrow('Malformed patch link');
+    const truncated = encodePatch(initialPatch).slice(0, 40);
+    expect(() => decodePatch(truncated)).toThrow();
+  });
+
+  test('rejects valid data that is not a patch', () => {
+    const link = encodePatch({ algorithm: 1, operators: [] });
+    expect(() => decodePatch(link)).toThrow('Patch link does not contain a valid patch (feedback: expected an integer from 0 to 7, got missing)');
+  });
+
+  test('reads the patch from a location hash', () => {
+    expect(patchFromHash(patchLinkHash(initialPatch, 'Init')).name).toBe('Init');
+    expect(patchFromHash('')).toBe(null);
+    expect(patchFromHash('#other=1')).toBe(null);
+  });
+});
@@ -0,0 +1,106 @@
+// --- Performances ---
+// Several parts played together from one keyboard, each with its own patch, key range,
+// transpose, volume and pan. Parts whose ranges overlap sound as layers; parts with
+// separate ranges split the keyboard. Pure helpers; PerformanceSynth plays the result.
+//
+// Performance shape:
+//   { name, parts: [{ name, lowKey, highKey, transpose, volume, pan, patch }] }
+// Files wrap it as { type, version, name, parts } with versioned part patches.
+
+import { loadPatch, validatePart, versionedPatch } from './schema';
+
+export const PERFORMANCE_FILE_TYPE = 'fm-synth-performance';
+const PERFORMANCE_VERSION = 1;
+
+export const MAX_PARTS = 4;
+// Split point of a new split: middle C and up for the first part.
+export const DEFAULT_SPLIT_NOTE = 60;
+
+export const PART_DEFAULTS = { name: '', lowKey: 0, highKey: 127, transpose: 0, volume: 0.8, pan: 0 };
+
+export const createPart = (patch, settings = {}) => ({ ...PART_DEFAULTS, name: 'Part', ...settings, patch });
+
+// Two full-range parts, both starting from `patch`.
+export const createPerformance = (patch, name = 'Performance') => ({
+  name,
+  parts: [createPart(patch, { name: 'Part 1' }), createPart(patch, { name: 'Part 2' })],
+});
+
+export const updatePart = (performance, index, changes) => ({
+  ...performance,
+  parts: performance.parts.map((part, i) => (i === index ? { ...part, ...changes } : part)),
+});
+
+export const addPart = (performance, patch) => {
+  if (performance.parts.length >= MAX_PARTS) throw new Error(`A performance has at most ${MAX_PARTS} parts`);
+  const part = createPart(patch, { name: `Part ${performance.parts.length + 1}` });
+  return { ...performance, parts: [...performance.parts, part] };
+};
+
+export const removePart = (performance, index) => {
+  if (performance.parts.length <= 1) throw new Error('A performance needs at least one part');
+  return { ...performance, parts: performance.parts.filter((_, i) => i !== index) };
+};
+
+// Every part over the whole keyboard.
+export const layerParts = (performance) => ({
+  ...performance,
+  parts: performance.parts.map(part => ({ ...part, lowKey: 0, highKey: 127 })),
+});
+
+// The first part from `splitNote` up, the second below it; further parts keep their ranges.
+export const splitParts = (performance, splitNote = DEFAULT_SPLIT_NOTE) => ({
+  ...performance,
+  parts: performance.parts.map((part, i) => {
+    if (i === 0) return { ...part, lowKey: splitNote, highKey: 127 };
+    if (i === 1) return { ...part, lowKey: 0, highKey: splitNote - 1 };
+    return part;
+  }),
+});
+
+// Notes the parts play for keyboard `note`: [{ index, note }], transposed, skipping parts
+// whose range does not include the key or whose transposed note is off the MIDI range.
+export const routeNote = (parts, note) => parts.flatMap((part, index) => {
+  if (note < part.lowKey || note > part.highKey) return [];
+  const played = note + part.transpose;
+  return played >= 0 && played <= 127 ? [{ index, note: played }] : [];
+});
+
+// --- Performance files ---
+
+export const isPerformanceFile = (data) => data?.type === PERFORMANCE_FILE_TYPE;
+
+export const exportPerformance = ({ name, parts }) => ({
+  type: PERFORMANCE_FILE_TYPE,
+  version: PERFORMANCE_VERSION,
+  name,
+  parts: parts.map(({ patch, ...settings }) => ({ ...settings, patch: versionedPatch(patch) })),
+});
+
+// Parsed JSON -> { performance, errors }, like loadPatch; part patches are migrated and
+// checked in full, with error paths such as 'parts[1].patch.operators[0].level'.
+export const loadPerformance = (data) => {
+  if (!isPerformanceFile(data) || !Array.isArray(data.parts)) {
+    return { performance: null, errors: [{ path: '', message: 'expected a performance file' }] };
+  }
+  if (data.version !== PERFORMANCE_VERSION) {
+    return { performance: null, errors: [{ path: 'version', message: `unsupported performance version ${JSON.stringify(data.version)}` }] };
+  }
+  const errors = [];
+  if (data.parts.length < 1 || data.parts.length > MAX_PARTS) {
+    errors.push({ path: 'parts', message: `expected 1 to ${MAX_PARTS} parts, got ${data.parts.length}` });
+  }
+  const parts = data.parts.map((part, i) => {
+    const path = `parts[${i}]`;
+    const { patch: patchData, ...settings } = part ?? {};
+    errors.push(...validatePart(settings, path));
+    if (settings.lowKey > settings.highKey) {
+      errors.push({ path: `${path}.highKey`, message: `expected at least lowKey (${settings.lowKey}), got ${settings.highKey}` });
+    }
+    const { patch, errors: patchErrors } = loadPatch(patchData);
+    errors.push(...patchErrors.map(error => ({ ...error, path: error.path ? `${path}.patch.${error.path}` : `${path}.patch` })));
+    return { ...settings, patch };
+  });
+  const name = typeof data.name === 'string' ? data.name : 'Performance';
+  return { performance: errors.length === 0 ? { name, parts } : null, errors };
+};
@@ -0,0 +1,79 @@
+import {
+  createPart, createPerformance, addPart, removePart, updatePart, layerParts, splitParts, routeNote,
+  exportPerformance, loadPerformance, isPerformanceFile, MAX_PARTS, PART_DEFAULTS,
+} from './performance';
+import { initialPatch } from './patch';
+import { PATCH_VERSION } from './schema';
+
+describe('performance editing', () => {
+  test('a new performance layers two copies of the patch', () => {
+    const performance = createPerformance(initialPatch);
+    expect(performance.parts).toHaveLength(2);
+    expect(performance.parts.every(part => part.patch === initialPatch && part.lowKey === 0 && part.highKey === 127)).toBe(true);
+  });
+
+  test('adds and removes parts within limits', () => {
+    let performance = createPerformance(initialPatch);
+    while (performance.parts.length < MAX_PARTS) performance = addPart(performance, initialPatch);
+    expect(() => addPart(performance, initialPatch)).toThrow(`at most ${MAX_PARTS}`);
+    const single = { name: 'x', parts: [createPart(initialPatch)] };
+    expect(() => removePart(single, 0)).toThrow('at least one part');
+    expect(removePart(createPerformance(initialPatch), 0).parts).toHaveLength(1);
+  });
+
+  test('split gives the first part the upper keys and the second the lower', () => {
+    const split = splitParts(createPerformance(initialPatch), 54);
+    expect(split.parts.map(({ lowKey, highKey }) => [lowKey, highKey])).toEqual([[54, 127], [0, 53]]);
+    const layered = layerParts(split);
+    expect(layered.parts.map(({ lowKey, highKey }) => [lowKey, highKey])).toEqual([[0, 127], [0, 127]]);
+  });
+
+  test('updatePart changes one part', () => {
+    const performance = updatePart(createPerformance(initialPatch), 1, { volume: 0.2 });
+    expect(performance.parts.map(part => part.volume)).toEqual([PART_DEFAULTS.volume, 0.2]);
+  });
+
+  test('routeNote transposes and filters by range', () => {
+    const parts = [{ lowKey: 60, highKey: 127, transpose: 0 }, { lowKey: 0, highKey: 72, transpose: -12 }];
+    expect(routeNote(parts, 64)).toEqual([{ index: 0, note: 64 }, { index: 1, note: 52 }]);
+    expect(routeNote(parts, 48)).toEqual([{ index: 1, note: 36 }]);
+    expect(routeNote(parts, 5)).toEqual([]);
+  });
+});
+
+describe('performance files', () => {
+  const performance = { name: 'Split', parts: [createPart(initialPatch, { name: 'EP', lowKey: 60 }), createPart(initialPatch, { name: 'Bass', highKey: 59, transpose: -12, pan: -0.5 })] };
+
+  test('round-trips with versioned part patches', () => {
+    const file = JSON.parse(JSON.stringify(exportPerformance(performance)));
+    expect(isPerformanceFile(file)).toBe(true);
+    expect(file.parts[0].patch.version).toBe(PATCH_VERSION);
+    const { performance: loaded, errors } = loadPerformance(file);
+    expect(errors).toEqual([]);
+    expect(loaded).toEqual(performance);
+  });
+
+  test('migrates older part patches', () => {
+    const file = exportPerformance(performance);
+    const { operators, algorithm, masterGain } = initialPatch;
+    file.parts[1].patch = { algorithm, masterGain, operators: operators.map(({ on, ratio, detune, level, attack, decay, sustain, release, waveform }) => ({ on, ratio, detune, level, attack, decay, sustain, release, waveform })) };
+    const { performance: loaded, errors } = loadPerformance(file);
+    expect(errors).toEqual([]);
+    expect(loaded.parts[1].patch.pitchBendRange).toBe(2);
+  });
+
+  test('reports part and patch errors with their paths', () => {
+    const file = exportPerformance(performance);
+    file.parts[0] = { ...file.parts[0], lowKey: 100, highKey: 90, pan: 2 };
+    file.parts[1].patch = { ...file.parts[1].patch, feedback: 99 };
+    const { performance: loaded, errors } = loadPerformance(file);
+    expect(loaded).toBeNull();
+    expect(errors.map(error => error.path)).toEqual(['parts[0].pan', 'parts[0].highKey', 'parts[1].patch.feedback']);
+  });
+
+  test('rejects other files and unknown versions', () => {
+    expect(loadPerformance(initialPatch).errors[0].message).toBe('expected a performance file');
+    expect(loadPerformance({ ...exportPerformance(performance), version: 2 }).errors[0].path).toBe('version');
+    expect(loadPerformance({ ...exportPerformance(performance), parts: [] }).errors[0].path).toBe('parts');
+  });
+});
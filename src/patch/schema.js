@@ -0,0 +1,205 @@
+// --- Patch Schema ---
+// Type and range checks for every patch field, and migration of older patch files.
+// Exported JSON carries `version`; files without one are version 1. Migrations run
+// in order up to PATCH_VERSION, then the result is validated field by field.
+
+import { withPatchDefaults } from './patch';
+import { ALGORITHMS } from '../synth/algorithms';
+import { MAX_FEEDBACK } from '../synth/Voice';
+import { LFO_WAVEFORMS } from '../synth/Lfo';
+import { ENVELOPE_CURVES } from '../synth/envelope';
+import { ARP_MODES } from '../synth/Arpeggiator';
+import { SEQUENCER_STEPS } from '../synth/StepSequencer';
+import { NOTE_DIVISIONS } from '../synth/tempo';
+import { MOD_WHEEL_TARGETS, MAX_PITCH_BEND_RANGE, MAX_PITCH_ENV_AMOUNT } from '../synth/controllers';
+import { KEY_SCALING_CURVES } from '../synth/keyScaling';
+
+export const PATCH_VERSION = 4;
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const boolean = { type: 'boolean' };
+const string = { type: 'string' };
+const oneOf = (values) => ({ type: 'enum', values });
+const object = (fields) => ({ type: 'object', fields });
+const list = (length, item) => ({ type: 'array', length, item });
+
+const OPERATOR_WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle'];
+const DIVISIONS = Object.keys(NOTE_DIVISIONS);
+
+// Ranges cover the editor controls, the factory presets and everything the voice file
+// importers produce; envelope times allow for longer settings than the graph editor shows.
+const OPERATOR_SCHEMA = object({
+  on: boolean,
+  ratio: number(0.01, 16),
+  detune: number(-50, 50),
+  level: number(0, 1),
+  velocitySens: number(0, 1),
+  amSens: number(0, 1),
+  attack: number(0.001, 10),
+  hold: number(0, 10),
+  decay: number(0.01, 10),
+  sustain: number(0, 1),
+  decay2: number(0, 20),
+  release: number(0.01, 10),
+  curve: oneOf(ENVELOPE_CURVES),
+  rateScaling: number(0, 1),
+  waveform: oneOf(OPERATOR_WAVEFORMS),
+  fixed: boolean,
+  fixedFreq: number(1, 20000),
+  keyBreakpoint: integer(0, 127),
+  keyLeftDepth: number(0, 1),
+  keyRightDepth: number(0, 1),
+  keyLeftCurve: oneOf(KEY_SCALING_CURVES),
+  keyRightCurve: oneOf(KEY_SCALING_CURVES),
+});
+
+export const PATCH_SCHEMA = object({
+  algorithm: oneOf(ALGORITHMS.map(a => a.id)),
+  feedback: integer(0, MAX_FEEDBACK),
+  mono: boolean,
+  legato: boolean,
+  portamento: number(0, 1),
+  masterGain: number(0, 1),
+  tempo: number(40, 240),
+  lfo: object({
+    waveform: oneOf(LFO_WAVEFORMS),
+    rate: number(0.008, 52),
+    delay: number(0, 5),
+    fade: number(0, 5),
+    keySync: boolean,
+    pmDepth: number(0, 700),
+    amDepth: number(0, 1),
+  }),
+  pitchBendRange: integer(0, MAX_PITCH_BEND_RANGE),
+  modWheel: object({ target: oneOf(MOD_WHEEL_TARGETS), depth: number(0, 1), operators: list(4, boolean) }),
+  pitchEnv: object({ amount: number(-MAX_PITCH_ENV_AMOUNT, MAX_PITCH_ENV_AMOUNT), time: number(0.001, 5) }),
+  effects: object({
+    chorus: object({ on: boolean, mix: number(0, 1), rate: number(0.05, 5), depth: number(0, 10) }),
+    delay: object({ on: boolean, mix: number(0, 1), sync: boolean, division: oneOf(DIVISIONS), time: number(0.01, 2), feedback: number(0, 0.9) }),
+    reverb: object({ on: boolean, mix: number(0, 1), decay: number(0.2, 8) }),
+  }),
+  arp: object({
+    on: boolean,
+    mode: oneOf(ARP_MODES),
+    octaves: integer(1, 4),
+    rate: oneOf(DIVISIONS),
+    gate: number(0.05, 1),
+    latch: boolean,
+  }),
+  sequence: object({
+    rate: oneOf(DIVISIONS),
+    steps: list(SEQUENCER_STEPS, object({ on: boolean, note: integer(0, 127), velocity: number(0, 1), gate: number(0.05, 1), tie: boolean })),
+  }),
+  operators: list(4, OPERATOR_SCHEMA),
+});
+
+// A part of a performance (performance.js), without its patch, which is checked as above.
+export const PART_SCHEMA = object({
+  name: string,
+  lowKey: integer(0, 127),
+  highKey: integer(0, 127),
+  transpose: integer(-48, 48),
+  volume: number(0, 1),
+  pan: number(-1, 1),
+});
+
+const show = (value) => (value === undefined ? 'missing' : JSON.stringify(value));
+
+const check = (value, schema, path, errors) => {
+  const fail = (expected) => errors.push({ path, message: `expected ${expected}, got ${show(value)}` });
+  switch (schema.type) {
+    case 'number':
+    case 'integer': {
+      const isNumber = typeof value === 'number' && Number.isFinite(value);
+      if (!isNumber || (schema.type === 'integer' && !Number.isInteger(value)) || value < schema.min || value > schema.max) {
+        fail(`${schema.type === 'integer' ? 'an integer' : 'a number'} from ${schema.min} to ${schema.max}`);
+      }
+      break;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('true or false');
+      break;
+    case 'string':
+      if (typeof value !== 'string') fail('a string');
+      break;
+    case 'enum':
+      if (!schema.values.includes(value)) fail(`one of ${schema.values.join(', ')}`);
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        fail('an object');
+        break;
+      }
+      Object.entries(schema.fields).forEach(([key, field]) => check(value[key], field, path ? `${path}.${key}` : key, errors));
+      break;
+    case 'array':
+      if (!Array.isArray(value) || value.length !== schema.length) {
+        fail(`a list of ${schema.length}`);
+        break;
+      }
+      value.forEach((item, i) => check(item, schema.item, `${path}[${i}]`, errors));
+      break;
+    default:
+      throw new Error(`Unknown schema type ${schema.type}`);
+  }
+};
+
+// Returns [{ path, message }], empty when the patch is valid.
+export const validatePatch = (patch) => {
+  const errors = [];
+  check(patch, PATCH_SCHEMA, '', errors);
+  return errors;
+};
+
+// Same for a performance part; `path` prefixes the error paths.
+export const validatePart = (part, path = '') => {
+  const errors = [];
+  check(part, PART_SCHEMA, path, errors);
+  return errors;
+};
+
+// MIGRATIONS[n] turns a version n patch into version n + 1.
+const MIGRATIONS = {
+  // Version 1 is every patch saved before `version` was written: the original
+  // { algorithm, masterGain, operators } format plus whichever later fields (feedback,
+  // voice, LFO, envelope, effects, sequencer) the app had at the time.
+  1: (patch) => withPatchDefaults(patch),
+  // Version 3 added the bend range, mod wheel routing and pitch envelope.
+  2: (patch) => withPatchDefaults(patch),
+  // Version 4 added fixed-frequency operators and keyboard level scaling.
+  3: (patch) => withPatchDefaults(patch),
+};
+
+// Brings a patch up to PATCH_VERSION. The result has no `version`; it is added on export.
+export const migratePatch = (data) => {
+  const version = data.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid patch version ${show(version)}`);
+  if (version > PATCH_VERSION) throw new Error(`Patch version ${version} is newer than this app supports (${PATCH_VERSION})`);
+  let patch = data;
+  for (let v = version; v < PATCH_VERSION; v++) {
+    patch = MIGRATIONS[v](patch);
+  }
+  const { version: _, ...current } = patch;
+  return current;
+};
+
+// Parsed JSON -> { patch, errors }. `patch` is null unless there are no errors.
+export const loadPatch = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { patch: null, errors: [{ path: '', message: 'expected a patch object' }] };
+  }
+  let patch;
+  try {
+    patch = migratePatch(data);
+  } catch (error) {
+    return { patch: null, errors: [{ path: 'version', message: error.message }] };
+  }
+  const errors = validatePatch(patch);
+  return { patch: errors.length === 0 ? patch : null, errors };
+};
+
+// For export: the patch as written to files.
+export const versionedPatch = (patch) => ({ version: PATCH_VERSION, ...patch });
+
+export const formatPatchError = ({ path, message }) => (path ? `${path}: ${message}` : message);
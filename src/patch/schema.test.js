@@ -0,0 +1,204 @@
+import fs from 'fs';
+import path from 'path';
+import { initialPatch, withPatchDefaults } from './patch';
+import { validatePatch, migratePatch, loadPatch, versionedPatch, formatPatchError, PATCH_VERSION } from './schema';
+import { createFactoryBank } from './factoryBank';
+import { parseVoiceFile } from './formats';
+
+const withOperator = (index, changes) => ({
+  ...initialPatch,
+  operators: initialPatch.operators.map((op, i) => (i === index ? { ...op, ...changes } : op)),
+});
+
+const paths = (patch) => validatePatch(patch).map(e => e.path);
+
+// The patch format of the first release: no version and only these fields.
+const firstReleasePatch = {
+  algorithm: 1,
+  masterGain: 0.5,
+  operators: initialPatch.operators.map(({ on, ratio, detune, level, attack, decay, sustain, release, waveform }) => ({ on, ratio, detune, level, attack, decay, sustain, release, waveform })),
+};
+
+describe('validatePatch', () => {
+  test('accepts the initial patch', () => {
+    expect(validatePatch(initialPatch)).toEqual([]);
+  });
+
+  test('accepts every factory preset', () => {
+    createFactoryBank().patches.forEach(({ patch }) => expect(validatePatch(withPatchDefaults(patch))).toEqual([]));
+  });
+
+  test('accepts every patch the voice file importers produce', () => {
+    const dir = path.join(__dirname, 'formats', '__fixtures__');
+    fs.readdirSync(dir).forEach(file => {
+      parseVoiceFile(file, new Uint8Array(fs.readFileSync(path.join(dir, file)))).forEach(({ patch }) => {
+        expect(validatePatch(patch)).toEqual([]);
+      });
+    });
+  });
+
+  test('reports a missing operator field with its path', () => {
+    const { ratio, ...op } = initialPatch.operators[1];
+    const patch = { ...initialPatch, operators: initialPatch.operators.map((o, i) => (i === 1 ? op : o)) };
+    expect(validatePatch(patch)).toEqual([{ path: 'operators[1].ratio', message: 'expected a number from 0.01 to 16, got missing' }]);
+  });
+
+  test('rejects numbers given as strings', () => {
+    expect(validatePatch(withOperator(0, { level: '0.8' }))).toEqual([{ path: 'operators[0].level', message: 'expected a number from 0 to 1, got "0.8"' }]);
+  });
+
+  test('rejects NaN and infinite numbers', () => {
+    expect(paths(withOperator(0, { ratio: NaN, detune: Infinity }))).toEqual(['operators[0].ratio', 'operators[0].detune']);
+  });
+
+  test.each([
+    ['ratio', 0.005],
+    ['ratio', 16.5],
+    ['detune', -51],
+    ['detune', 50.5],
+    ['level', 1.2],
+    ['sustain', -0.1],
+    ['attack', 0],
+    ['release', 12],
+  ])('rejects out-of-range operator %s %p', (field, value) => {
+    expect(paths(withOperator(2, { [field]: value }))).toEqual([`operators[2].${field}`]);
+  });
+
+  test('accepts the range limits', () => {
+    expect(validatePatch(withOperator(0, { ratio: 0.01, detune: -50 }))).toEqual([]);
+    expect(validatePatch(withOperator(0, { ratio: 16, detune: 50 }))).toEqual([]);
+  });
+
+  test('checks enums', () => {
+    expect(validatePatch(withOperator(3, { waveform: 'noise' }))[0]).toEqual({
+      path: 'operators[3].waveform', message: 'expected one of sine, square, sawtooth, triangle, got "noise"',
+    });
+    expect(paths({ ...initialPatch, algorithm: 42 })).toEqual(['algorithm']);
+    expect(paths({ ...initialPatch, lfo: { ...initialPatch.lfo, waveform: 'noise' } })).toEqual(['lfo.waveform']);
+  });
+
+  test('checks integers', () => {
+    expect(paths({ ...initialPatch, feedback: 2.5 })).toEqual(['feedback']);
+    expect(paths({ ...initialPatch, feedback: 8 })).toEqual(['feedback']);
+    expect(paths({ ...initialPatch, arp: { ...initialPatch.arp, octaves: 0 } })).toEqual(['arp.octaves']);
+  });
+
+  test('checks booleans', () => {
+    expect(paths({ ...initialPatch, mono: 'yes' })).toEqual(['mono']);
+    expect(paths(withOperator(0, { on: 1 }))).toEqual(['operators[0].on']);
+  });
+
+  test('checks nested blocks', () => {
+    const effects = { ...initialPatch.effects, delay: { ...initialPatch.effects.delay, division: '1/5', feedback: 1 } };
+    expect(paths({ ...initialPatch, effects })).toEqual(['effects.delay.division', 'effects.delay.feedback']);
+    expect(paths({ ...initialPatch, lfo: null })).toEqual(['lfo']);
+  });
+
+  test('checks fixed frequency and key scaling', () => {
+    expect(paths(withOperator(1, { fixed: 'yes', fixedFreq: 0, keyBreakpoint: 60.5, keyLeftCurve: 'log', keyRightDepth: 2 }))).toEqual([
+      'operators[1].fixed', 'operators[1].fixedFreq', 'operators[1].keyBreakpoint', 'operators[1].keyRightDepth', 'operators[1].keyLeftCurve',
+    ]);
+  });
+
+  test('checks the controller settings', () => {
+    expect(paths({ ...initialPatch, pitchBendRange: 25 })).toEqual(['pitchBendRange']);
+    expect(paths({ ...initialPatch, modWheel: { ...initialPatch.modWheel, target: 'cutoff', operators: [true] } })).toEqual(['modWheel.target', 'modWheel.operators']);
+    expect(paths({ ...initialPatch, pitchEnv: { amount: -60, time: 0 } })).toEqual(['pitchEnv.amount', 'pitchEnv.time']);
+  });
+
+  test('checks list lengths and items', () => {
+    expect(paths({ ...initialPatch, operators: initialPatch.operators.slice(0, 3) })).toEqual(['operators']);
+    expect(paths({ ...initialPatch, operators: 'none' })).toEqual(['operators']);
+    const steps = initialPatch.sequence.steps.map((s, i) => (i === 5 ? { ...s, note: 128 } : s));
+    expect(paths({ ...initialPatch, sequence: { ...initialPatch.sequence, steps } })).toEqual(['sequence.steps[5].note']);
+  });
+
+  test('collects every problem, not just the first', () => {
+    const patch = { ...withOperator(0, { ratio: 'x', level: 3 }), tempo: 0 };
+    expect(paths(patch)).toEqual(['tempo', 'operators[0].ratio', 'operators[0].level']);
+  });
+
+  test('rejects values that are not objects', () => {
+    expect(paths(null)).toEqual(['']);
+    expect(paths([])).toEqual(['']);
+  });
+});
+
+describe('migratePatch', () => {
+  test('brings a first-release patch up to date', () => {
+    const patch = migratePatch(firstReleasePatch);
+    expect(validatePatch(patch)).toEqual([]);
+    expect(patch.operators[0].ratio).toBe(initialPatch.operators[0].ratio);
+    expect(patch.lfo).toEqual(withPatchDefaults(firstReleasePatch).lfo);
+  });
+
+  test('adds the controller settings to version 2 patches', () => {
+    const { pitchBendRange, modWheel, pitchEnv, ...older } = initialPatch;
+    const patch = migratePatch({ ...older, version: 2 });
+    expect(validatePatch(patch)).toEqual([]);
+    expect(patch).toEqual(initialPatch);
+  });
+
+  test('adds fixed frequency and key scaling to version 3 operators', () => {
+    const operators = initialPatch.operators.map(({ fixed, fixedFreq, keyBreakpoint, keyLeftDepth, keyRightDepth, keyLeftCurve, keyRightCurve, ...op }) => op);
+    expect(migratePatch({ ...initialPatch, operators, version: 3 })).toEqual(initialPatch);
+  });
+
+  test('treats a missing version as version 1', () => {
+    expect(migratePatch({ ...firstReleasePatch, version: 1 })).toEqual(migratePatch(firstReleasePatch));
+  });
+
+  test('leaves current patches unchanged apart from the version', () => {
+    expect(migratePatch(versionedPatch(initialPatch))).toEqual(initialPatch);
+  });
+
+  test('does not fill in fields missing from a current-version patch', () => {
+    const { tempo, ...patch } = initialPatch;
+    expect(migratePatch({ ...patch, version: PATCH_VERSION }).tempo).toBeUndefined();
+  });
+
+  test('rejects newer and invalid versions', () => {
+    expect(() => migratePatch({ ...initialPatch, version: PATCH_VERSION + 1 })).toThrow(`Patch version ${PATCH_VERSION + 1} is newer than this app supports`);
+    expect(() => migratePatch({ ...initialPatch, version: '2' })).toThrow('Invalid patch version "2"');
+    expect(() => migratePatch({ ...initialPatch, version: 0 })).toThrow('Invalid patch version 0');
+  });
+});
+
+describe('loadPatch', () => {
+  test('round-trips an exported patch', () => {
+    const exported = JSON.parse(JSON.stringify(versionedPatch(initialPatch)));
+    expect(exported.version).toBe(PATCH_VERSION);
+    expect(loadPatch(exported)).toEqual({ patch: initialPatch, errors: [] });
+  });
+
+  test('loads first-release files', () => {
+    const { patch, errors } = loadPatch(JSON.parse(JSON.stringify(firstReleasePatch)));
+    expect(errors).toEqual([]);
+    expect(patch.feedback).toBe(0);
+  });
+
+  test('returns no patch and the field errors for invalid files', () => {
+    const { patch, errors } = loadPatch(versionedPatch(withOperator(0, { ratio: undefined })));
+    expect(patch).toBe(null);
+    expect(errors.map(formatPatchError)).toEqual(['operators[0].ratio: expected a number from 0.01 to 16, got missing']);
+  });
+
+  test('reports version problems as errors', () => {
+    const { patch, errors } = loadPatch({ ...initialPatch, version: 99 });
+    expect(patch).toBe(null);
+    expect(errors[0].path).toBe('version');
+  });
+
+  test('rejects data that is not an object', () => {
+    expect(loadPatch([1, 2]).errors.map(formatPatchError)).toEqual(['expected a patch object']);
+    expect(loadPatch(null).patch).toBe(null);
+  });
+
+  test('reports missing or malformed operators per field instead of failing the migration', () => {
+    const missing = loadPatch({ algorithm: 1 });
+    expect(missing.patch).toBe(null);
+    expect(missing.errors.map(formatPatchError)).toEqual(['operators: expected a list of 4, got missing']);
+    const notAList = loadPatch({ algorithm: 1, operators: 'sine' });
+    expect(notAList.errors.map(formatPatchError)).toEqual(['operators: expected a list of 4, got "sine"']);
+  });
+});
@@ -0,0 +1,30 @@
+import { useReducer, useCallback } from 'react';
+import { historyReducer, createCompare } from './history';
+
+// The patch being edited, with undo/redo and A/B compare slots (see history.js).
+// `setPatch` is a drop-in replacement for a useState setter taking a value; `replacePatch`
+// loads a patch without an undo step, clearing the history.
+export default function usePatchHistory(initialPatch) {
+  const [state, dispatch] = useReducer(historyReducer, initialPatch, createCompare);
+  const history = state.slots[state.active];
+
+  const setPatch = useCallback((patch) => dispatch({ type: 'edit', patch, time: Date.now() }), []);
+  const replacePatch = useCallback((patch) => dispatch({ type: 'load', patch }), []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const selectSlot = useCallback((slot) => dispatch({ type: 'select', slot }), []);
+  const copySlot = useCallback((from, to) => dispatch({ type: 'copy', from, to }), []);
+
+  return {
+    patch: history.present,
+    setPatch,
+    replacePatch,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    activeSlot: state.active,
+    selectSlot,
+    copySlot,
+  };
+}
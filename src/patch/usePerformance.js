@@ -0,0 +1,43 @@
+import { useState, useMemo, useCallback } from 'react';
+import { PART_DEFAULTS, createPerformance, addPart, removePart } from './performance';
+
+// Performance mode for the app (see performance.js): { name, parts, selected }, or null to
+// play `patch` alone. The patch editor works on the selected part, so the selected part's
+// stored patch goes stale while it is edited; `parts` has the live one.
+// Parts are loaded into the editor with `replacePatch` (usePatchHistory), not as an edit:
+// undo must never carry one part's patch into another.
+export default function usePerformance(patch, replacePatch) {
+  const [performance, setPerformance] = useState(null);
+  const parts = useMemo(() => (performance
+    ? performance.parts.map((part, i) => (i === performance.selected ? { ...part, patch } : part))
+    : [{ ...PART_DEFAULTS, patch }]), [performance, patch]);
+
+  // Switching parts stores the edited patch in its part and loads the other one.
+  const selectPart = useCallback((index) => {
+    setPerformance({ ...performance, parts, selected: index });
+    replacePatch(parts[index].patch);
+  }, [performance, parts, replacePatch]);
+
+  const togglePerformance = useCallback((on) => {
+    setPerformance(on ? { ...createPerformance(patch), selected: 0 } : null);
+  }, [patch]);
+
+  const addPerformancePart = useCallback(() => {
+    setPerformance({ ...addPart({ ...performance, parts }, patch), selected: performance.selected });
+  }, [performance, parts, patch]);
+
+  const removePerformancePart = useCallback((index) => {
+    const next = removePart({ ...performance, parts }, index);
+    const selected = index < performance.selected ? performance.selected - 1 : Math.min(performance.selected, next.parts.length - 1);
+    setPerformance({ ...next, selected });
+    if (index === performance.selected) replacePatch(next.parts[selected].patch);
+  }, [performance, parts, replacePatch]);
+
+  // A loaded performance (loadPerformance) replaces the current one, editing its first part.
+  const openPerformance = useCallback((loaded) => {
+    setPerformance({ ...loaded, selected: 0 });
+    replacePatch(loaded.parts[0].patch);
+  }, [replacePatch]);
+
+  return { performance, parts, setPerformance, selectPart, togglePerformance, addPerformancePart, removePerformancePart, openPerformance };
+}
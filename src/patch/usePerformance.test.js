@@ -0,0 +1,51 @@
+import { renderHook, act } from '@testing-library/react';
+import usePatchHistory from './usePatchHistory';
+import usePerformance from './usePerformance';
+import { initialPatch } from './patch';
+import { createPart } from './performance';
+
+// The app wires the two hooks together like this.
+const setup = () => renderHook(() => {
+  const { patch, setPatch, replacePatch, undo, canUndo } = usePatchHistory(initialPatch);
+  return { patch, setPatch, undo, canUndo, ...usePerformance(patch, replacePatch) };
+});
+
+describe('usePerformance', () => {
+  test('edits go to the selected part', () => {
+    const { result } = setup();
+    act(() => result.current.togglePerformance(true));
+    act(() => result.current.setPatch({ ...initialPatch, feedback: 3 }));
+    expect(result.current.parts.map(part => part.patch.feedback)).toEqual([3, 0]);
+  });
+
+  test('undo after switching parts leaves the selected part alone', () => {
+    const { result } = setup();
+    act(() => result.current.togglePerformance(true));
+    act(() => result.current.setPatch({ ...initialPatch, feedback: 3 }));
+    act(() => result.current.selectPart(1));
+    const selected = result.current.parts[1].patch;
+    expect(result.current.canUndo).toBe(false);
+    act(() => result.current.undo());
+    expect(result.current.parts[1].patch).toBe(selected);
+    expect(result.current.parts.map(part => part.patch.feedback)).toEqual([3, 0]);
+  });
+
+  test('removing the selected part loads another without an undo step', () => {
+    const { result } = setup();
+    act(() => result.current.togglePerformance(true));
+    act(() => result.current.selectPart(1));
+    act(() => result.current.setPatch({ ...initialPatch, feedback: 5 }));
+    act(() => result.current.removePerformancePart(1));
+    expect(result.current.performance.selected).toBe(0);
+    expect(result.current.patch.feedback).toBe(0);
+    expect(result.current.canUndo).toBe(false);
+  });
+
+  test('opening a performance edits its first part', () => {
+    const { result } = setup();
+    const loaded = { name: 'Split', parts: [createPart({ ...initialPatch, feedback: 2 }), createPart(initialPatch)] };
+    act(() => result.current.openPerformance(loaded));
+    expect(result.current.patch.feedback).toBe(2);
+    expect(result.current.canUndo).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+// --- Patch Variation ---
+// Exploratory sound design on top of the patch structure: a randomizer that mutates a
+// patch by a variation amount (0..1), and a morph between two patches. Both are pure;
+// the randomizer takes its random source as an option so results can be reproduced.
+
+import { ALGORITHMS, getAlgorithm, isCarrier } from '../synth/algorithms';
+import { PATCH_SCHEMA } from './schema';
+
+// Seeded PRNG (mulberry32) returning floats in [0, 1), a drop-in for Math.random.
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Parameter groups that can be locked: 'ratio' covers detune, 'level' velocity sensitivity.
+export const VARIATION_PARAMS = ['algorithm', 'feedback', 'ratio', 'level', 'envelope', 'waveform'];
+
+// Ratios the randomizer steps through: harmonic, plus 0.5 and 1.5 for sub and fifth tones.
+const RATIOS = [0.5, 1, 1.5, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 14];
+const WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+const MAX_VARIED_FEEDBACK = 6;
+
+// Musically useful ranges. Modulator levels stay low because they scale to a deviation
+// in Hz. A value already outside its range (e.g. from a preset) is never pushed further out.
+const RANGES = {
+  detune: { min: -20, max: 20, digits: 0 },
+  carrierLevel: { min: 0.4, max: 1, digits: 2 },
+  modulatorLevel: { min: 0, max: 0.4, digits: 2 },
+  velocitySens: { min: 0, max: 1, digits: 2 },
+  attack: { min: 0.001, max: 2, digits: 3, log: true },
+  decay: { min: 0.05, max: 4, digits: 3, log: true },
+  sustain: { min: 0, max: 1, digits: 2 },
+  release: { min: 0.02, max: 4, digits: 3, log: true },
+};
+const ENVELOPE_PARAMS = ['attack', 'decay', 'sustain', 'release'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+const pick = (values, rng) => values[Math.floor(rng() * values.length)];
+
+// Moves a value by up to `amount` of its range; times move on a log scale.
+const vary = (value, range, amount, rng) => {
+  if (amount <= 0) return value;
+  const offset = (rng() * 2 - 1) * amount;
+  const moved = range.log ? value * Math.pow(range.max / range.min, offset) : value + offset * (range.max - range.min);
+  return clamp(round(moved, range.digits), Math.min(range.min, value), Math.max(range.max, value));
+};
+
+// One to four places up or down the ratio list from the nearest entry, further with more variation.
+const stepRatio = (ratio, amount, rng) => {
+  const nearest = RATIOS.reduce((best, r, i) => (Math.abs(r - ratio) < Math.abs(RATIOS[best] - ratio) ? i : best), 0);
+  const steps = 1 + Math.floor(rng() * Math.max(1, Math.round(amount * 4)));
+  return RATIOS[clamp(nearest + (rng() < 0.5 ? -steps : steps), 0, RATIOS.length - 1)];
+};
+
+// Returns a mutated copy of `patch`. `amount` scales how far values move and how likely
+// discrete settings (ratio, algorithm, feedback, waveform) change; 0 changes nothing.
+// `locks.operators` lists operator indices (0-3) to leave alone, `locks.params` lists
+// VARIATION_PARAMS groups to leave alone on every operator. Operators are not switched
+// on or off; levels are kept in the range for the operator's role in the algorithm.
+export const mutatePatch = (patch, amount, { rng = Math.random, locks = {} } = {}) => {
+  const lockedOperators = locks.operators ?? [];
+  const lockedParams = locks.params ?? [];
+  const varies = (param) => !lockedParams.includes(param);
+  const chance = (probability) => rng() < probability;
+
+  const algorithm = varies('algorithm') && chance(amount / 2) ? pick(ALGORITHMS, rng).id : patch.algorithm;
+  const feedback = varies('feedback') && chance(amount / 2)
+    ? clamp(patch.feedback + (rng() < 0.5 ? -1 : 1), 0, Math.max(MAX_VARIED_FEEDBACK, patch.feedback))
+    : patch.feedback;
+
+  const before = getAlgorithm(patch.algorithm);
+  const after = getAlgorithm(algorithm);
+  const operators = patch.operators.map((op, i) => {
+    if (lockedOperators.includes(i)) return op;
+    const next = { ...op };
+    if (varies('ratio')) {
+      if (chance(amount)) next.ratio = stepRatio(op.ratio, amount, rng);
+      next.detune = vary(op.detune, RANGES.detune, amount, rng);
+    }
+    if (varies('level')) {
+      const range = isCarrier(after, i + 1) ? RANGES.carrierLevel : RANGES.modulatorLevel;
+      // An operator changing role starts from a level that suits the new one.
+      const level = isCarrier(before, i + 1) === isCarrier(after, i + 1) ? op.level : clamp(op.level, range.min, range.max);
+      next.level = vary(level, range, amount, rng);
+      next.velocitySens = vary(op.velocitySens, RANGES.velocitySens, amount, rng);
+    }
+    if (varies('envelope')) {
+      ENVELOPE_PARAMS.forEach(param => { next[param] = vary(op[param], RANGES[param], amount, rng); });
+    }
+    if (varies('waveform') && chance(amount / 4)) next.waveform = pick(WAVEFORMS, rng);
+    return next;
+  });
+
+  return { ...patch, algorithm, feedback, operators };
+};
+
+// Tempo, arpeggiator and sequencer are performance settings, not sound, and are kept from `a`.
+const MORPH_SKIPPED = ['tempo', 'arp', 'sequence'];
+
+// Walks the patch schema: numbers interpolate, integers round, and everything else
+// (algorithm, waveforms, switches) flips to `b` halfway.
+const interpolate = (a, b, t, schema) => {
+  if (a === b || t <= 0) return a;
+  if (t >= 1) return b;
+  switch (schema.type) {
+    case 'number':
+      // Ranges above zero (ratios, times, rates) morph geometrically so equal steps sound even.
+      return schema.min > 0 ? a * Math.pow(b / a, t) : a + (b - a) * t;
+    case 'integer':
+      return Math.round(a + (b - a) * t);
+    case 'object':
+      return { ...a, ...Object.fromEntries(Object.entries(schema.fields).map(([key, field]) => [key, interpolate(a[key], b[key], t, field)])) };
+    case 'array':
+      return a.map((item, i) => interpolate(item, b[i], t, schema.item));
+    default:
+      return t < 0.5 ? a : b;
+  }
+};
+
+// Patch between `a` (t = 0) and `b` (t = 1). Both must be valid current-version patches.
+export const morphPatches = (a, b, t) => {
+  const fields = Object.entries(PATCH_SCHEMA.fields).filter(([key]) => !MORPH_SKIPPED.includes(key));
+  const amount = clamp(t, 0, 1);
+  return { ...a, ...Object.fromEntries(fields.map(([key, field]) => [key, interpolate(a[key], b[key], amount, field)])) };
+};
@@ -0,0 +1,152 @@
+import { initialPatch, withPatchDefaults } from './patch';
+import { validatePatch } from './schema';
+import { createFactoryBank } from './factoryBank';
+import { createRng, mutatePatch, morphPatches } from './variation';
+
+const presets = createFactoryBank().patches.map(({ patch }) => withPatchDefaults(patch));
+
+const withOperator = (patch, index, changes) => ({
+  ...patch,
+  operators: patch.operators.map((op, i) => (i === index ? { ...op, ...changes } : op)),
+});
+
+describe('createRng', () => {
+  test('repeats the same sequence for the same seed', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const values = Array.from({ length: 5 }, () => a());
+    expect(Array.from({ length: 5 }, () => b())).toEqual(values);
+    expect(createRng(43)()).not.toBe(values[0]);
+    values.forEach(v => {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    });
+  });
+});
+
+describe('mutatePatch', () => {
+  test('is reproducible from a seed', () => {
+    const first = mutatePatch(initialPatch, 0.5, { rng: createRng(7) });
+    expect(mutatePatch(initialPatch, 0.5, { rng: createRng(7) })).toEqual(first);
+    expect(first).not.toEqual(initialPatch);
+  });
+
+  test('changes nothing at amount 0', () => {
+    expect(mutatePatch(initialPatch, 0, { rng: createRng(1) })).toEqual(initialPatch);
+  });
+
+  test('does not modify its input', () => {
+    const copy = JSON.parse(JSON.stringify(initialPatch));
+    mutatePatch(initialPatch, 1, { rng: createRng(3) });
+    expect(initialPatch).toEqual(copy);
+  });
+
+  test('always produces valid patches, even at full variation', () => {
+    [initialPatch, ...presets].forEach((patch, i) => {
+      const rng = createRng(i);
+      for (let round = 0; round < 20; round++) {
+        expect(validatePatch(mutatePatch(patch, 1, { rng }))).toEqual([]);
+      }
+    });
+  });
+
+  test('keeps carriers audible and modulators moderate', () => {
+    const rng = createRng(11);
+    const start = withOperator({ ...initialPatch, algorithm: 2 }, 0, { level: 0.2 });
+    for (let round = 0; round < 50; round++) {
+      const patch = mutatePatch(start, 1, { rng, locks: { params: ['algorithm'] } });
+      expect(patch.operators[1].level).toBeGreaterThanOrEqual(0.4);
+      expect(patch.operators[3].level).toBeGreaterThanOrEqual(0.4);
+      expect(patch.operators[0].level).toBeLessThanOrEqual(0.4);
+    }
+  });
+
+  test('small amounts make small changes', () => {
+    const rng = createRng(5);
+    const patch = mutatePatch(initialPatch, 0.05, { rng, locks: { params: ['algorithm', 'ratio', 'waveform', 'feedback'] } });
+    patch.operators.forEach((op, i) => {
+      expect(Math.abs(op.level - initialPatch.operators[i].level)).toBeLessThanOrEqual(0.05);
+      expect(op.attack / initialPatch.operators[i].attack).toBeLessThan(1.5);
+    });
+  });
+
+  test('moves an operator that changes role into the range for its new role', () => {
+    const rng = createRng(19);
+    // Algorithm 6 makes every operator a carrier; operator 1 starts as a quiet modulator.
+    const start = withOperator(initialPatch, 0, { level: 0.1 });
+    let changed = 0;
+    for (let round = 0; round < 50; round++) {
+      const patch = mutatePatch(start, 1, { rng, locks: { params: ['ratio', 'envelope', 'waveform'] } });
+      if (patch.algorithm !== 6) continue;
+      changed++;
+      expect(patch.operators[0].level).toBeGreaterThanOrEqual(0.4);
+    }
+    expect(changed).toBeGreaterThan(0);
+  });
+
+  test('leaves locked operators untouched', () => {
+    const rng = createRng(9);
+    for (let round = 0; round < 10; round++) {
+      const patch = mutatePatch(initialPatch, 1, { rng, locks: { operators: [0, 3] } });
+      expect(patch.operators[0]).toBe(initialPatch.operators[0]);
+      expect(patch.operators[3]).toBe(initialPatch.operators[3]);
+    }
+  });
+
+  test('leaves locked parameter groups untouched on every operator', () => {
+    const rng = createRng(13);
+    for (let round = 0; round < 10; round++) {
+      const patch = mutatePatch(initialPatch, 1, { rng, locks: { params: ['algorithm', 'feedback', 'ratio', 'envelope'] } });
+      expect(patch.algorithm).toBe(initialPatch.algorithm);
+      expect(patch.feedback).toBe(initialPatch.feedback);
+      patch.operators.forEach((op, i) => {
+        const { ratio, detune, attack, decay, sustain, release } = initialPatch.operators[i];
+        expect(op).toMatchObject({ ratio, detune, attack, decay, sustain, release });
+      });
+    }
+  });
+
+  test('does not switch operators on or off', () => {
+    const rng = createRng(17);
+    const patch = mutatePatch(initialPatch, 1, { rng });
+    expect(patch.operators.map(op => op.on)).toEqual(initialPatch.operators.map(op => op.on));
+  });
+});
+
+describe('morphPatches', () => {
+  const a = withOperator({ ...initialPatch, feedback: 0 }, 0, { ratio: 1, level: 0.2, detune: -10, waveform: 'sine' });
+  const b = withOperator({ ...initialPatch, feedback: 6, algorithm: 5 }, 0, { ratio: 4, level: 0.6, detune: 10, waveform: 'square' });
+
+  test('returns the end points at 0 and 1', () => {
+    expect(morphPatches(a, b, 0)).toEqual(a);
+    expect(morphPatches(a, b, 1)).toEqual(b);
+  });
+
+  test('interpolates levels linearly and ratios geometrically', () => {
+    const { operators: [op] } = morphPatches(a, b, 0.5);
+    expect(op.level).toBeCloseTo(0.4);
+    expect(op.detune).toBeCloseTo(0);
+    expect(op.ratio).toBeCloseTo(2);
+  });
+
+  test('rounds integers and switches discrete settings halfway', () => {
+    expect(morphPatches(a, b, 0.25)).toMatchObject({ feedback: 2, algorithm: 1 });
+    expect(morphPatches(a, b, 0.25).operators[0].waveform).toBe('sine');
+    expect(morphPatches(a, b, 0.75)).toMatchObject({ feedback: 5, algorithm: 5 });
+    expect(morphPatches(a, b, 0.75).operators[0].waveform).toBe('square');
+  });
+
+  test('keeps tempo, arpeggiator and sequence from the first patch', () => {
+    const other = { ...b, tempo: 90, arp: { ...b.arp, on: true } };
+    const morphed = morphPatches(a, other, 1);
+    expect(morphed.tempo).toBe(a.tempo);
+    expect(morphed.arp).toBe(a.arp);
+    expect(morphed.sequence).toBe(a.sequence);
+  });
+
+  test('stays valid between any two factory presets', () => {
+    presets.slice(1).forEach((preset, i) => {
+      [0.1, 0.5, 0.9].forEach(t => expect(validatePatch(morphPatches(presets[i], preset, t))).toEqual([]));
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import StepClock from './StepClock';
+import { divisionSeconds } from './tempo';
+
+// --- Arpeggiator ---
+// Turns held notes into a rhythmic pattern on the audio clock. Notes go out through
+// `output` ({ noteOn(note, velocity, time), noteOff(note, time) }), normally the synth.
+// With latch on, notes keep playing after the keys are released until a new chord is
+// started with all keys up.
+
+export const ARP_MODES = ['up', 'down', 'upDown', 'random'];
+
+// Notes of one pass through the pattern; `random` picks from the `up` order.
+export const arpeggioPattern = (notes, mode, octaves = 1) => {
+  const sorted = [...notes].sort((a, b) => a - b);
+  const up = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    sorted.forEach(note => { if (note + octave * 12 <= 127) up.push(note + octave * 12); });
+  }
+  if (mode === 'down') return up.reverse();
+  // Up then down without repeating the top and bottom notes.
+  if (mode === 'upDown' && up.length > 2) return up.concat(up.slice(1, -1).reverse());
+  return up;
+};
+
+export default class Arpeggiator {
+  constructor(context, output, { random = Math.random } = {}) {
+    this.output = output;
+    this.random = random;
+    this.options = { on: false, mode: 'up', octaves: 1, rate: '1/16', gate: 0.5, latch: false };
+    this.pressed = new Set(); // keys physically down
+    this.notes = new Set(); // notes being arpeggiated (includes latched ones)
+    this.velocity = 1;
+    this.position = 0;
+    this.clock = new StepClock(context, (index, time, duration) => this.step(time, duration));
+  }
+
+  get enabled() {
+    return this.options.on;
+  }
+
+  // `arp` is the patch's arpeggiator block.
+  setOptions(arp, tempo) {
+    if (this.options.on && !arp.on) this.clear();
+    if (this.options.latch && !arp.latch) this.notes = new Set(this.pressed);
+    this.options = arp;
+    this.clock.setStepDuration(divisionSeconds(arp.rate, tempo));
+  }
+
+  noteOn(note, velocity) {
+    if (this.options.latch && this.pressed.size === 0) this.notes.clear();
+    this.pressed.add(note);
+    this.notes.add(note);
+    this.velocity = velocity;
+    if (!this.clock.running) {
+      this.position = 0;
+      this.clock.start();
+    }
+  }
+
+  // Returns false if the key was pressed before the arpeggiator was switched on, so the
+  // caller can release it directly.
+  noteOff(note) {
+    const wasPressed = this.pressed.delete(note);
+    if (!this.options.latch) this.notes.delete(note);
+    return wasPressed;
+  }
+
+  step(time, duration) {
+    if (this.notes.size === 0) {
+      this.clock.stop();
+      return;
+    }
+    const { mode, octaves, gate } = this.options;
+    const pattern = arpeggioPattern(this.notes, mode, octaves);
+    const index = mode === 'random' ? Math.floor(this.random() * pattern.length) : this.position % pattern.length;
+    this.position++;
+    const note = pattern[index];
+    this.output.noteOn(note, this.velocity, time);
+    this.output.noteOff(note, time + duration * gate);
+  }
+
+  clear() {
+    this.clock.stop();
+    this.pressed.clear();
+    this.notes.clear();
+  }
+}
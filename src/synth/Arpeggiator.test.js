@@ -0,0 +1,100 @@
+import MockAudioContext from './mockAudioContext';
+import Arpeggiator, { arpeggioPattern } from './Arpeggiator';
+
+const ARP = { on: true, mode: 'up', octaves: 1, rate: '1/16', gate: 0.5, latch: false };
+
+// Steps the arpeggiator directly instead of through its clock.
+const setup = (options = {}, random) => {
+  const context = new MockAudioContext();
+  const events = [];
+  const output = {
+    noteOn: (note, velocity, time) => events.push({ type: 'noteOn', note, velocity, time }),
+    noteOff: (note, time) => events.push({ type: 'noteOff', note, time }),
+  };
+  const arp = new Arpeggiator(context, output, { random });
+  arp.setOptions({ ...ARP, ...options }, 120);
+  arp.clock.start = jest.fn(() => { arp.clock.intervalId = 1; });
+  arp.clock.stop = jest.fn(() => { arp.clock.intervalId = null; });
+  const play = (count) => {
+    for (let i = 0; i < count; i++) arp.step(i * 0.125, 0.125);
+    return events.filter(e => e.type === 'noteOn').map(e => e.note);
+  };
+  return { arp, events, play };
+};
+
+describe('arpeggioPattern', () => {
+  test('orders held notes by pitch across the octave range', () => {
+    expect(arpeggioPattern([64, 60, 67], 'up', 2)).toEqual([60, 64, 67, 72, 76, 79]);
+    expect(arpeggioPattern([64, 60, 67], 'down')).toEqual([67, 64, 60]);
+  });
+
+  test('up/down does not repeat the turning notes', () => {
+    expect(arpeggioPattern([60, 64, 67], 'upDown')).toEqual([60, 64, 67, 64]);
+    expect(arpeggioPattern([60, 64], 'upDown')).toEqual([60, 64]);
+  });
+
+  test('leaves out notes above the MIDI range', () => {
+    expect(arpeggioPattern([120], 'up', 2)).toEqual([120]);
+  });
+});
+
+describe('Arpeggiator', () => {
+  test('cycles through held notes with the gate applied', () => {
+    const { arp, events, play } = setup();
+    arp.noteOn(60, 0.7);
+    arp.noteOn(64, 0.7);
+    expect(play(3)).toEqual([60, 64, 60]);
+    expect(events[0]).toEqual({ type: 'noteOn', note: 60, velocity: 0.7, time: 0 });
+    expect(events[1]).toEqual({ type: 'noteOff', note: 60, time: 0.0625 });
+  });
+
+  test('random mode picks from the held notes', () => {
+    const { arp, play } = setup({ mode: 'random' }, () => 0.99);
+    arp.noteOn(60, 1);
+    arp.noteOn(67, 1);
+    expect(play(2)).toEqual([67, 67]);
+  });
+
+  test('stops its clock when no notes are left', () => {
+    const { arp, play } = setup();
+    arp.noteOn(60, 1);
+    expect(arp.clock.start).toHaveBeenCalled();
+    arp.noteOff(60);
+    expect(play(1)).toEqual([]);
+    expect(arp.clock.stop).toHaveBeenCalled();
+  });
+
+  test('latch keeps notes until a new chord starts', () => {
+    const { arp, play } = setup({ latch: true });
+    arp.noteOn(60, 1);
+    arp.noteOn(64, 1);
+    arp.noteOff(60);
+    arp.noteOff(64);
+    expect(play(2)).toEqual([60, 64]);
+    arp.noteOn(67, 1);
+    expect([...arp.notes]).toEqual([67]);
+  });
+
+  test('turning latch off drops the released notes', () => {
+    const { arp } = setup({ latch: true });
+    arp.noteOn(60, 1);
+    arp.noteOn(64, 1);
+    arp.noteOff(60);
+    arp.setOptions({ ...ARP, latch: false }, 120);
+    expect([...arp.notes]).toEqual([64]);
+  });
+
+  test('reports keys it did not take so they can be released directly', () => {
+    const { arp } = setup();
+    expect(arp.noteOff(72)).toBe(false);
+    arp.noteOn(60, 1);
+    expect(arp.noteOff(60)).toBe(true);
+  });
+
+  test('follows the rate and tempo', () => {
+    const { arp } = setup({ rate: '1/8' });
+    expect(arp.clock.stepDuration).toBe(0.25);
+    arp.setOptions({ ...ARP, rate: '1/16' }, 60);
+    expect(arp.clock.stepDuration).toBe(0.25);
+  });
+});
@@ -0,0 +1,193 @@
+import { divisionSeconds } from './tempo';
+
+// --- Effects Chain ---
+// Global effects between the voices and the output, in a fixed order:
+// voices -> chorus -> delay -> reverb -> master level -> limiter -> destination.
+// Each effect has a dry path and a wet path through a send; bypassing closes the send
+// and opens the dry path, so delay and reverb tails ring out instead of cutting off.
+// The first parameters (the patch the synth starts with) apply at once, so an offline
+// render does not fade in; later changes glide to avoid clicks.
+
+const SMOOTHING = 0.02; // setTargetAtTime time constant for live parameter changes
+
+// Chorus: two modulated delay lines panned left and right, modulated in opposite phase.
+const CHORUS_BASE_DELAY = 0.012; // seconds
+const MAX_DELAY_TIME = 2; // seconds, for the stereo delay lines
+
+export const delaySeconds = ({ sync, division, time }, tempo) =>
+  Math.min(MAX_DELAY_TIME, sync ? divisionSeconds(division, tempo) : time);
+
+// Equal-power crossfade, so the level stays even across the mix range.
+export const mixGains = (mix) => ({ dry: Math.cos(mix * Math.PI / 2), wet: Math.sin(mix * Math.PI / 2) });
+
+// Stereo impulse response for the reverb: decorrelated noise per channel with an
+// exponential decay reaching -60 dB after `decay` seconds.
+export const reverbImpulse = (decay, sampleRate, channels = 2, random = Math.random) => {
+  const length = Math.max(1, Math.round(decay * sampleRate));
+  return Array.from({ length: channels }, () => {
+    const data = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      data[i] = (random() * 2 - 1) * Math.pow(0.001, i / length);
+    }
+    return data;
+  });
+};
+
+// Limiter settings: a fast, hard-kneed compressor just under full scale.
+const LIMITER = { threshold: -3, knee: 0, ratio: 20, attack: 0.003, release: 0.1 };
+
+const applyParam = (param, value, now, smooth) => (smooth
+  ? param.setTargetAtTime(value, now, SMOOTHING)
+  : param.setValueAtTime(value, now));
+
+// One effect slot: input -> dry -> output, input -> send -> (effect) -> wet -> output.
+class EffectSlot {
+  constructor(context) {
+    this.context = context;
+    this.input = context.createGain();
+    this.output = context.createGain();
+    this.dry = context.createGain();
+    this.send = context.createGain();
+    this.wet = context.createGain();
+    this.input.connect(this.dry);
+    this.dry.connect(this.output);
+    this.input.connect(this.send);
+    this.wet.connect(this.output);
+    // Start bypassed
+    this.send.gain.value = 0;
+    this.wet.gain.value = 0;
+    this.live = false; // set once the first parameters are applied
+  }
+
+  setParam(param, value) {
+    applyParam(param, value, this.context.currentTime, this.live);
+  }
+
+  // Called last by every setParams.
+  setMix(on, mix) {
+    const gains = mixGains(mix);
+    this.setParam(this.dry.gain, on ? gains.dry : 1);
+    this.setParam(this.send.gain, on ? 1 : 0);
+    this.setParam(this.wet.gain, gains.wet);
+    this.live = true;
+  }
+}
+
+class Chorus extends EffectSlot {
+  constructor(context) {
+    super(context);
+    this.lfo = context.createOscillator();
+    this.depthLeft = context.createGain();
+    this.depthRight = context.createGain();
+    this.lfo.connect(this.depthLeft);
+    this.lfo.connect(this.depthRight);
+    [[this.depthLeft, -1], [this.depthRight, 1]].forEach(([depth, pan]) => {
+      const delay = context.createDelay(0.05);
+      delay.delayTime.value = CHORUS_BASE_DELAY;
+      const panner = context.createStereoPanner();
+      panner.pan.value = pan;
+      depth.connect(delay.delayTime);
+      this.send.connect(delay);
+      delay.connect(panner);
+      panner.connect(this.wet);
+    });
+    this.lfo.start();
+  }
+
+  // rate in Hz, depth in milliseconds
+  setParams({ on, mix, rate, depth }) {
+    this.setParam(this.lfo.frequency, rate);
+    this.setParam(this.depthLeft.gain, depth / 1000);
+    this.setParam(this.depthRight.gain, -depth / 1000);
+    this.setMix(on, mix);
+  }
+}
+
+// Ping-pong delay: the left line feeds the right one and back.
+class StereoDelay extends EffectSlot {
+  constructor(context) {
+    super(context);
+    this.left = context.createDelay(MAX_DELAY_TIME);
+    this.right = context.createDelay(MAX_DELAY_TIME);
+    this.feedback = context.createGain();
+    const panLeft = context.createStereoPanner();
+    const panRight = context.createStereoPanner();
+    panLeft.pan.value = -1;
+    panRight.pan.value = 1;
+
+    this.send.connect(this.left);
+    this.left.connect(panLeft);
+    this.left.connect(this.right);
+    this.right.connect(panRight);
+    this.right.connect(this.feedback);
+    this.feedback.connect(this.left);
+    panLeft.connect(this.wet);
+    panRight.connect(this.wet);
+  }
+
+  setParams(params, tempo) {
+    const seconds = delaySeconds(params, tempo);
+    this.setParam(this.left.delayTime, seconds);
+    this.setParam(this.right.delayTime, seconds);
+    this.setParam(this.feedback.gain, params.feedback);
+    this.setMix(params.on, params.mix);
+  }
+}
+
+class Reverb extends EffectSlot {
+  constructor(context) {
+    super(context);
+    this.convolver = context.createConvolver();
+    this.send.connect(this.convolver);
+    this.convolver.connect(this.wet);
+    this.decay = null;
+  }
+
+  // decay in seconds; the impulse response is only rebuilt when it changes.
+  setParams({ on, mix, decay }) {
+    if (decay !== this.decay) {
+      this.decay = decay;
+      const { sampleRate } = this.context;
+      const channels = reverbImpulse(decay, sampleRate);
+      const buffer = this.context.createBuffer(channels.length, channels[0].length, sampleRate);
+      channels.forEach((data, ch) => buffer.getChannelData(ch).set(data));
+      this.convolver.buffer = buffer;
+    }
+    this.setMix(on, mix);
+  }
+}
+
+export default class EffectsChain {
+  constructor(context, destination) {
+    this.context = context;
+    this.chorus = new Chorus(context);
+    this.delay = new StereoDelay(context);
+    this.reverb = new Reverb(context);
+    this.input = this.chorus.input;
+    this.chorus.output.connect(this.delay.input);
+    this.delay.output.connect(this.reverb.input);
+
+    this.masterGain = context.createGain();
+    this.masterGain.gain.value = 0.5;
+    this.masterGainSet = false; // the first setMasterGain applies at once, like the slots
+    this.reverb.output.connect(this.masterGain);
+
+    this.limiter = context.createDynamicsCompressor();
+    Object.entries(LIMITER).forEach(([param, value]) => { this.limiter[param].value = value; });
+    this.masterGain.connect(this.limiter);
+    this.output = this.limiter;
+    this.output.connect(destination);
+  }
+
+  // `effects` is the patch's effects block; `tempo` is used by the synced delay.
+  setParams({ chorus, delay, reverb }, tempo) {
+    this.chorus.setParams(chorus);
+    this.delay.setParams(delay, tempo);
+    this.reverb.setParams(reverb);
+  }
+
+  setMasterGain(value) {
+    applyParam(this.masterGain.gain, value, this.context.currentTime, this.masterGainSet);
+    this.masterGainSet = true;
+  }
+}
@@ -0,0 +1,129 @@
+import MockAudioContext from './mockAudioContext';
+import EffectsChain, { delaySeconds, mixGains, reverbImpulse } from './EffectsChain';
+import FMSynth from './FMSynth';
+import { initialPatch, EFFECTS_DEFAULTS } from '../patch/patch';
+
+const effects = (overrides = {}) => Object.fromEntries(Object.entries(EFFECTS_DEFAULTS)
+  .map(([name, defaults]) => [name, { ...defaults, ...overrides[name] }]));
+
+// Last scheduled target of a param.
+const target = (param) => param.events[param.events.length - 1].value;
+
+describe('effect helpers', () => {
+  test('synced delay time follows the tempo and division', () => {
+    expect(delaySeconds({ sync: true, division: '1/4', time: 0.3 }, 120)).toBe(0.5);
+    expect(delaySeconds({ sync: true, division: '1/8d', time: 0.3 }, 100)).toBeCloseTo(0.45);
+    expect(delaySeconds({ sync: false, division: '1/4', time: 0.3 }, 120)).toBe(0.3);
+  });
+
+  test('delay time is limited to the delay line length', () => {
+    expect(delaySeconds({ sync: true, division: '1/2', time: 0.3 }, 40)).toBe(2);
+  });
+
+  test('mix is an equal-power crossfade', () => {
+    expect(mixGains(0)).toEqual({ dry: 1, wet: 0 });
+    const { dry, wet } = mixGains(0.5);
+    expect(dry * dry + wet * wet).toBeCloseTo(1);
+    expect(mixGains(1).dry).toBeCloseTo(0);
+  });
+
+  test('reverb impulse decays to -60 dB over the decay time', () => {
+    const [left, right] = reverbImpulse(1, 1000, 2, () => 1);
+    expect(left.length).toBe(1000);
+    expect(left[0]).toBe(1);
+    expect(left[999]).toBeCloseTo(0.001, 3);
+    expect(right).toEqual(left);
+  });
+});
+
+describe('EffectsChain', () => {
+  test('connects the effects in a fixed order to the destination through a limiter', () => {
+    const context = new MockAudioContext();
+    const chain = new EffectsChain(context, context.destination);
+    expect(chain.input).toBe(chain.chorus.input);
+    expect(chain.chorus.output.connections.has(chain.delay.input)).toBe(true);
+    expect(chain.delay.output.connections.has(chain.reverb.input)).toBe(true);
+    expect(chain.reverb.output.connections.has(chain.masterGain)).toBe(true);
+    expect(chain.masterGain.connections.has(chain.limiter)).toBe(true);
+    expect(chain.limiter.kind).toBe('compressor');
+    expect(chain.limiter.connections.has(context.destination)).toBe(true);
+  });
+
+  test('starts with every effect bypassed', () => {
+    const context = new MockAudioContext();
+    const { chorus, delay, reverb } = new EffectsChain(context, context.destination);
+    [chorus, delay, reverb].forEach(slot => {
+      expect(slot.dry.gain.value).toBe(1);
+      expect(slot.send.gain.value).toBe(0);
+    });
+  });
+
+  test('bypass closes the send but leaves the wet return for the tail', () => {
+    const context = new MockAudioContext();
+    const chain = new EffectsChain(context, context.destination);
+    chain.setParams(effects({ delay: { on: true, mix: 0.5 } }), 120);
+    expect(target(chain.delay.send.gain)).toBe(1);
+    expect(target(chain.delay.dry.gain)).toBeCloseTo(Math.SQRT1_2);
+
+    chain.setParams(effects({ delay: { on: false, mix: 0.5 } }), 120);
+    expect(target(chain.delay.send.gain)).toBe(0);
+    expect(target(chain.delay.dry.gain)).toBe(1);
+    expect(target(chain.delay.wet.gain)).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  test('the delay follows the tempo', () => {
+    const context = new MockAudioContext();
+    const chain = new EffectsChain(context, context.destination);
+    chain.setParams(effects({ delay: { sync: true, division: '1/8' } }), 150);
+    expect(target(chain.delay.left.delayTime)).toBe(0.2);
+    expect(target(chain.delay.right.delayTime)).toBe(0.2);
+  });
+
+  test('applies the first parameters at once and glides to later ones', () => {
+    const context = new MockAudioContext();
+    const chain = new EffectsChain(context, context.destination);
+    const lastType = (param) => param.events[param.events.length - 1].type;
+    chain.setParams(effects({ chorus: { on: true } }), 120);
+    chain.setMasterGain(0.8);
+    expect(lastType(chain.chorus.send.gain)).toBe('set');
+    expect(lastType(chain.chorus.lfo.frequency)).toBe('set');
+    expect(lastType(chain.delay.left.delayTime)).toBe('set');
+    expect(lastType(chain.masterGain.gain)).toBe('set');
+
+    chain.setParams(effects({ chorus: { on: false } }), 120);
+    chain.setMasterGain(0.5);
+    expect(lastType(chain.chorus.send.gain)).toBe('target');
+    expect(lastType(chain.delay.left.delayTime)).toBe('target');
+    expect(lastType(chain.masterGain.gain)).toBe('target');
+  });
+
+  test('only rebuilds the reverb impulse when the decay changes', () => {
+    const context = new MockAudioContext();
+    const chain = new EffectsChain(context, context.destination);
+    chain.setParams(effects({ reverb: { decay: 1 } }), 120);
+    const buffer = chain.reverb.convolver.buffer;
+    expect(buffer.length).toBe(44100);
+    chain.setParams(effects({ reverb: { decay: 1, mix: 0.8 } }), 120);
+    expect(chain.reverb.convolver.buffer).toBe(buffer);
+    chain.setParams(effects({ reverb: { decay: 2 } }), 120);
+    expect(chain.reverb.convolver.buffer).not.toBe(buffer);
+  });
+});
+
+describe('FMSynth output', () => {
+  test('voices play into the effects chain', () => {
+    const context = new MockAudioContext();
+    const synth = new FMSynth(context);
+    synth.setPatch(initialPatch);
+    synth.noteOn(60);
+    const [voice] = synth.voices.voices;
+    expect(voice.output.connections.has(synth.effects.input)).toBe(true);
+  });
+
+  test('applies the patch master gain', () => {
+    const context = new MockAudioContext();
+    const synth = new FMSynth(context);
+    synth.setPatch({ ...initialPatch, masterGain: 0.8 });
+    expect(target(synth.effects.masterGain.gain)).toBe(0.8);
+  });
+});
@@ -0,0 +1,193 @@
+import Voice from './Voice';
+import VoiceAllocator from './VoiceAllocator';
+import Lfo from './Lfo';
+import EffectsChain from './EffectsChain';
+import WorkletEngine from './WorkletEngine';
+import WorkletVoice from './WorkletVoice';
+import { VIBRATO_RATE, pitchBendCents, modWheelVibrato, modWheelLfoScale, withModWheelLevels } from './controllers';
+
+// 'nodes' builds a Web Audio graph per voice (frequency modulation through the oscillators'
+// frequency params); 'worklet' renders phase modulation in an AudioWorklet (WorkletEngine.js),
+// whose module has to be loaded with loadFmWorklet first.
+export const SYNTH_ENGINES = ['nodes', 'worklet'];
+
+// Main synth class. Works on any BaseAudioContext: pass `offline: true` for an
+// OfflineAudioContext, which is started by startRendering() rather than resume().
+export default class FMSynth {
+  constructor(context, { destination = context.destination, offline = false, engine = 'nodes', ...voiceOptions } = {}) {
+    this.context = context;
+    this.offline = offline;
+    // Voices -> effects -> master level -> limiter -> destination
+    this.effects = new EffectsChain(context, destination);
+    this.patch = null;
+    this.playedPatch = null; // `patch` with mod wheel level scaling (see applyModWheel)
+
+    // Performance controller state (MIDI or on-screen)
+    this.pitchBend = 0;
+    this.modWheel = 0;
+    this.sustainOn = false;
+    this.sustainedNotes = new Set();
+
+    // Shared vibrato source, depth controlled by the mod wheel when the patch routes it there
+    this.vibrato = context.createOscillator();
+    this.vibrato.frequency.value = VIBRATO_RATE;
+    this.vibratoDepth = context.createGain();
+    this.vibratoDepth.gain.value = 0;
+    this.vibrato.connect(this.vibratoDepth);
+    this.vibrato.start();
+
+    // Patch LFO, free-running and shared by all voices unless the patch uses key sync.
+    this.lfo = null;
+
+    this.engine = null;
+    this.worklet = null; // WorkletEngine, created the first time the worklet engine is selected
+    this.voices = new VoiceAllocator((note, velocity, options) => this.createVoice(note, velocity, options), voiceOptions);
+    this.setEngine(engine);
+  }
+
+  createVoice(note, velocity, options) {
+    const settings = { note, velocity, detune: this.pitchBendCents(), ...options };
+    if (this.engine === 'worklet') return new WorkletVoice(this.worklet, this.playedPatch, settings);
+    return new Voice(this.context, this.playedPatch, {
+      ...settings,
+      destination: this.effects.input,
+      vibrato: this.vibratoDepth,
+      lfo: this.lfo,
+      lfoScale: modWheelLfoScale(this.patch, this.modWheel),
+    });
+  }
+
+  // Held notes are released; voices already sounding finish on the engine that started them.
+  setEngine(engine) {
+    if (!SYNTH_ENGINES.includes(engine)) throw new Error(`Unknown synth engine ${engine}`);
+    if (engine === this.engine) return;
+    this.voices.releaseAll();
+    this.engine = engine;
+    if (engine === 'worklet' && !this.worklet) {
+      this.worklet = new WorkletEngine(this.context, this.effects.input);
+      this.worklet.setVibrato(VIBRATO_RATE, modWheelVibrato(this.patch, this.modWheel));
+      this.worklet.setLfoScale(modWheelLfoScale(this.patch, this.modWheel));
+      if (this.patch?.lfo) this.worklet.setLfo(this.patch.lfo);
+    }
+  }
+
+  // Sounding voices follow edits of continuous parameters (see Voice.updatePatch), and
+  // of the bend range and mod wheel routing.
+  setPatch(patch) {
+    const previous = this.patch;
+    this.patch = patch;
+    const { mono = false, legato = true, portamento = 0 } = patch;
+    this.voices.setOptions({ mono, legato, portamento });
+    if (patch.lfo) this.updateLfo(patch.lfo);
+    if (patch.effects) this.effects.setParams(patch.effects, patch.tempo);
+    this.effects.setMasterGain(patch.masterGain ?? 0.5);
+    this.applyModWheel();
+    if (this.pitchBend !== 0 && pitchBendCents(previous, 1) !== pitchBendCents(patch, 1)) this.setPitchBend(this.pitchBend);
+  }
+
+  updateLfo({ waveform, rate }) {
+    if (!this.lfo) {
+      this.lfo = new Lfo(this.context, { waveform, rate });
+    } else {
+      this.lfo.setWaveform(waveform);
+      if (rate !== this.lfo.rate) this.lfo.setRate(rate);
+    }
+    this.worklet?.setLfo({ waveform, rate });
+  }
+
+  // maxVoices, stealMode
+  setVoiceOptions(options) {
+    this.voices.setOptions(options);
+  }
+
+  // `time` (audio clock, optional) schedules the event ahead; omitted means now.
+  noteOn(note, velocity = 1, time) {
+    if (this.context.state === 'suspended' && !this.offline) {
+      this.context.resume();
+    }
+    this.sustainedNotes.delete(note);
+    this.voices.noteOn(note, velocity, time);
+  }
+
+  noteOff(note, time) {
+    if (this.sustainOn) {
+      this.sustainedNotes.add(note);
+      return;
+    }
+    this.voices.noteOff(note, time);
+  }
+
+  // Unlike noteOff, also stops a note whose release was scheduled ahead (see VoiceAllocator.cutNote).
+  cutNote(note, time) {
+    this.sustainedNotes.delete(note);
+    this.voices.cutNote(note, time);
+  }
+
+  allNotesOff() {
+    this.sustainOn = false;
+    this.sustainedNotes.clear();
+    this.voices.releaseAll();
+  }
+
+  setSustain(on) {
+    this.sustainOn = on;
+    if (!on) {
+      this.sustainedNotes.forEach(note => this.voices.noteOff(note));
+      this.sustainedNotes.clear();
+    }
+  }
+
+  pitchBendCents() {
+    return pitchBendCents(this.patch, this.pitchBend);
+  }
+
+  // value: -1..1, scaled by the patch's bend range
+  setPitchBend(value) {
+    this.pitchBend = value;
+    const cents = this.pitchBendCents();
+    this.voices.forEachVoice(voice => voice.setDetune(cents));
+  }
+
+  activeNotes() {
+    return this.voices.activeNotes();
+  }
+
+  // Taps the final output (after effects and limiter) for the scope/spectrum display. Remove it again when the
+  // display is hidden so no analysis runs in the audio thread.
+  createAnalyser(fftSize = 2048) {
+    const analyser = this.context.createAnalyser();
+    analyser.fftSize = fftSize;
+    analyser.smoothingTimeConstant = 0.6;
+    this.effects.output.connect(analyser);
+    return analyser;
+  }
+
+  removeAnalyser(analyser) {
+    this.effects.output.disconnect(analyser);
+  }
+
+  // value: 0..1, routed by the patch (see controllers.js)
+  setModWheel(value) {
+    this.modWheel = value;
+    this.applyModWheel();
+  }
+
+  // Vibrato and LFO depth are set on the shared sources (and key-synced voices' LFOs);
+  // operator levels reach voices as a scaled copy of the patch, smoothed by updatePatch.
+  applyModWheel() {
+    const now = this.context.currentTime;
+    const vibrato = modWheelVibrato(this.patch, this.modWheel);
+    const lfoScale = modWheelLfoScale(this.patch, this.modWheel);
+    this.vibratoDepth.gain.setTargetAtTime(vibrato, now, 0.02);
+    this.lfo?.output.gain.setTargetAtTime(lfoScale, now, 0.02);
+    this.worklet?.setVibrato(VIBRATO_RATE, vibrato);
+    this.worklet?.setLfoScale(lfoScale);
+    if (!this.patch) return;
+    const played = withModWheelLevels(this.patch, this.modWheel);
+    this.voices.forEachVoice(voice => {
+      if (played !== this.playedPatch) voice.updatePatch(played);
+      voice.setLfoScale(lfoScale);
+    });
+    this.playedPatch = played;
+  }
+}
@@ -0,0 +1,75 @@
+import MockAudioContext from './mockAudioContext';
+import FMSynth from './FMSynth';
+import { MAX_VIBRATO_DEPTH } from './controllers';
+import { initialPatch } from '../patch/patch';
+
+const setup = (changes = {}) => {
+  const context = new MockAudioContext();
+  const synth = new FMSynth(context);
+  const patch = { ...initialPatch, ...changes };
+  synth.setPatch(patch);
+  return { context, synth, patch };
+};
+
+const lastEvent = (param) => param.events[param.events.length - 1];
+const levelGain = (voice, opIndex) => voice.levelGains.find(entry => entry.opIndex === opIndex).gain;
+
+describe('FMSynth pitch bend', () => {
+  test('uses the patch bend range for held and new notes', () => {
+    const { synth } = setup({ pitchBendRange: 12 });
+    synth.noteOn(60);
+    synth.setPitchBend(0.5);
+    const [held] = synth.voices.voices;
+    expect(lastEvent(held.operators[0].osc.detune)).toMatchObject({ type: 'target', value: 600 });
+    synth.noteOn(64);
+    expect(synth.voices.voices[1].operators[0].osc.detune.value).toBe(600);
+  });
+
+  test('re-applies a held bend when the range changes', () => {
+    const { synth, patch } = setup({ pitchBendRange: 12 });
+    synth.noteOn(60);
+    synth.setPitchBend(-1);
+    synth.setPatch({ ...patch, pitchBendRange: 2 });
+    expect(lastEvent(synth.voices.voices[0].operators[0].osc.detune)).toMatchObject({ type: 'target', value: -200 });
+  });
+});
+
+describe('FMSynth mod wheel', () => {
+  const routed = (target, operators = [false, false, false, false]) => ({ modWheel: { target, depth: 1, operators } });
+
+  test('drives the vibrato by default', () => {
+    const { synth } = setup(routed('vibrato'));
+    synth.setModWheel(1);
+    expect(synth.vibratoDepth.gain.value).toBe(MAX_VIBRATO_DEPTH);
+    expect(synth.lfo.output.gain.value).toBe(1);
+  });
+
+  test('can scale the shared LFO instead', () => {
+    const { synth } = setup(routed('lfo'));
+    expect(synth.lfo.output.gain.value).toBe(0);
+    synth.setModWheel(0.75);
+    expect(synth.lfo.output.gain.value).toBe(0.75);
+    expect(synth.vibratoDepth.gain.value).toBe(0);
+  });
+
+  test('can scale operator levels of held and new notes', () => {
+    const { synth } = setup(routed('level', [true, false, false, false]));
+    synth.noteOn(60, 1);
+    const [held] = synth.voices.voices;
+    const full = initialPatch.operators[0].level * 5000;
+    expect(levelGain(held, 0).gain.value).toBe(0);
+    synth.setModWheel(0.5);
+    expect(lastEvent(levelGain(held, 0).gain)).toMatchObject({ type: 'target', value: full / 2 });
+    expect(levelGain(held, 3).gain.events).toHaveLength(0);
+    synth.noteOn(64, 1);
+    expect(levelGain(synth.voices.voices[1], 0).gain.value).toBe(full / 2);
+  });
+
+  test('follows a routing change while the wheel is up', () => {
+    const { synth, patch } = setup(routed('vibrato'));
+    synth.setModWheel(1);
+    synth.setPatch({ ...patch, ...routed('lfo') });
+    expect(synth.vibratoDepth.gain.value).toBe(0);
+    expect(synth.lfo.output.gain.value).toBe(1);
+  });
+});
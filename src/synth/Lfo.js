@@ -0,0 +1,92 @@
+// --- LFO ---
+// Low-frequency modulation source. Standard waveforms use an OscillatorNode; sample-and-hold
+// loops a short buffer of random steps. `output` stays the same node when the waveform
+// changes, so voices connected to a shared LFO keep working.
+
+export const LFO_WAVEFORMS = ['triangle', 'sine', 'sawtooth', 'square', 'sampleHold'];
+
+// Sample-and-hold buffer: 64 steps of 100 samples at 3000 Hz (the lowest buffer rate
+// browsers must support), i.e. 30 steps per second at playbackRate 1.
+const SH_STEPS = 64;
+const SH_STEP_SAMPLES = 100;
+const SH_SAMPLE_RATE = 3000;
+const SH_BASE_RATE = SH_SAMPLE_RATE / SH_STEP_SAMPLES;
+
+// Random step values in -1..1.
+export const sampleHoldSteps = (count, random = Math.random) => Array.from({ length: count }, () => random() * 2 - 1);
+
+// Delay, then fade-in: holds `from` for `delay` seconds after `start`, then ramps to `to`.
+export const scheduleLfoFade = (param, from, to, { delay = 0, fade = 0 }, start) => {
+  param.setValueAtTime(from, start);
+  if (fade > 0) {
+    param.setValueAtTime(from, start + delay);
+    param.linearRampToValueAtTime(to, start + delay + fade);
+  } else {
+    param.setValueAtTime(to, start + delay);
+  }
+};
+
+export default class Lfo {
+  constructor(context, { waveform = 'triangle', rate = 5 } = {}, time) {
+    this.context = context;
+    this.output = context.createGain();
+    this.rate = rate;
+    this.waveform = null;
+    this.source = null;
+    this.setWaveform(waveform, time);
+  }
+
+  createSource(waveform) {
+    if (waveform === 'sampleHold') {
+      const buffer = this.context.createBuffer(1, SH_STEPS * SH_STEP_SAMPLES, SH_SAMPLE_RATE);
+      const data = buffer.getChannelData(0);
+      sampleHoldSteps(SH_STEPS).forEach((value, i) => data.fill(value, i * SH_STEP_SAMPLES, (i + 1) * SH_STEP_SAMPLES));
+      const source = this.context.createBufferSource();
+      source.buffer = buffer;
+      source.loop = true;
+      source.playbackRate.value = this.rate / SH_BASE_RATE;
+      return source;
+    }
+    const osc = this.context.createOscillator();
+    osc.type = waveform;
+    osc.frequency.value = this.rate;
+    return osc;
+  }
+
+  // Restarts the source, so a new waveform starts from its first cycle.
+  setWaveform(waveform, time) {
+    if (waveform === this.waveform) return;
+    const now = time ?? this.context.currentTime;
+    if (this.source) {
+      this.source.stop(now);
+      this.source.disconnect();
+    }
+    this.waveform = waveform;
+    this.source = this.createSource(waveform);
+    this.source.connect(this.output);
+    this.source.start(now);
+  }
+
+  setRate(rate, time) {
+    this.rate = rate;
+    const now = time ?? this.context.currentTime;
+    if (this.waveform === 'sampleHold') {
+      this.source.playbackRate.setTargetAtTime(rate / SH_BASE_RATE, now, 0.02);
+    } else {
+      this.source.frequency.setTargetAtTime(rate, now, 0.02);
+    }
+  }
+
+  stop(time) {
+    try {
+      this.source.stop(time);
+    } catch (e) {
+      // Already stopped
+    }
+  }
+
+  disconnect() {
+    this.source.disconnect();
+    this.output.disconnect();
+  }
+}
@@ -0,0 +1,121 @@
+import MockAudioContext from './mockAudioContext';
+import Lfo, { sampleHoldSteps, scheduleLfoFade } from './Lfo';
+import Voice from './Voice';
+
+const operator = (overrides = {}) => ({
+  on: true, ratio: 1, detune: 0, level: 0.8, velocitySens: 0, amSens: 0,
+  attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.1, waveform: 'sine', ...overrides,
+});
+
+const lfoPatch = (lfo, operators = [operator(), operator(), operator(), operator()]) => ({
+  algorithm: 1,
+  feedback: 0,
+  lfo: { waveform: 'triangle', rate: 5, delay: 0, fade: 0, keySync: false, pmDepth: 0, amDepth: 0, ...lfo },
+  operators,
+});
+
+describe('scheduleLfoFade', () => {
+  const events = (delay, fade) => {
+    const context = new MockAudioContext();
+    const { gain } = context.createGain();
+    scheduleLfoFade(gain, 0, 10, { delay, fade }, 1);
+    return gain.events;
+  };
+
+  test('switches straight to the target without delay or fade', () => {
+    expect(events(0, 0)).toEqual([
+      { type: 'set', value: 0, time: 1 },
+      { type: 'set', value: 10, time: 1 },
+    ]);
+  });
+
+  test('holds during the delay and then fades in', () => {
+    expect(events(0.5, 2)).toEqual([
+      { type: 'set', value: 0, time: 1 },
+      { type: 'set', value: 0, time: 1.5 },
+      { type: 'linear', value: 10, time: 3.5 },
+    ]);
+  });
+});
+
+describe('Lfo', () => {
+  test('sample-and-hold steps stay within -1..1', () => {
+    expect(sampleHoldSteps(3, () => 0)).toEqual([-1, -1, -1]);
+    sampleHoldSteps(100).forEach(v => {
+      expect(v).toBeGreaterThanOrEqual(-1);
+      expect(v).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('keeps its output node when the waveform changes', () => {
+    const context = new MockAudioContext();
+    const lfo = new Lfo(context, { waveform: 'sine', rate: 2 });
+    const { output, source: first } = lfo;
+    expect(first.kind).toBe('oscillator');
+    expect(first.frequency.value).toBe(2);
+
+    lfo.setWaveform('sampleHold');
+    expect(lfo.output).toBe(output);
+    expect(first.stopTime).not.toBeNull();
+    expect(lfo.source.kind).toBe('bufferSource');
+    expect(lfo.source.loop).toBe(true);
+    expect(lfo.source.connections.has(output)).toBe(true);
+  });
+
+  test('sample-and-hold holds each random value for a whole step', () => {
+    const context = new MockAudioContext();
+    const data = new Lfo(context, { waveform: 'sampleHold', rate: 30 }).source.buffer.getChannelData(0);
+    expect(data[0]).toBe(data[99]);
+    expect(data[100]).toBe(data[199]);
+  });
+});
+
+describe('Voice LFO routing', () => {
+  test('pitch modulation reaches every operator detune', () => {
+    const context = new MockAudioContext();
+    const lfo = new Lfo(context);
+    const voice = new Voice(context, lfoPatch({ pmDepth: 50 }), { note: 60, destination: context.destination, lfo });
+    const [pmGain] = [...lfo.output.connections];
+    expect(pmGain.gain.value).toBe(50);
+    voice.operators.forEach(op => expect(pmGain.connections.has(op.osc.detune)).toBe(true));
+  });
+
+  test('amplitude modulation only applies to operators with AM sensitivity', () => {
+    const context = new MockAudioContext();
+    const lfo = new Lfo(context);
+    const operators = [operator(), operator(), operator(), operator({ amSens: 1 })];
+    const voice = new Voice(context, lfoPatch({ amDepth: 0.5 }, operators), { note: 60, destination: context.destination, lfo });
+    const [amScale] = [...lfo.output.connections];
+    expect(amScale.gain.value).toBe(-0.25);
+    expect(voice.operators[3].output).not.toBe(voice.operators[3].env);
+    expect(voice.operators[3].output.gain.value).toBe(0.75);
+    expect(voice.operators[0].output).toBe(voice.operators[0].env);
+  });
+
+  test('does not touch the LFO when the patch has no depth', () => {
+    const context = new MockAudioContext();
+    const lfo = new Lfo(context);
+    new Voice(context, lfoPatch({}), { note: 60, destination: context.destination, lfo });
+    expect(lfo.output.connections.size).toBe(0);
+  });
+
+  test('key sync gives each voice its own LFO started at note-on', () => {
+    const context = new MockAudioContext();
+    const shared = new Lfo(context);
+    context.currentTime = 2;
+    const voice = new Voice(context, lfoPatch({ pmDepth: 20, keySync: true }), { note: 60, destination: context.destination, lfo: shared });
+    expect(voice.lfo).not.toBe(shared);
+    expect(voice.lfo.source.startTime).toBe(2);
+    expect(shared.output.connections.size).toBe(0);
+  });
+
+  test('disconnects from the shared LFO when the voice ends', () => {
+    const context = new MockAudioContext();
+    const lfo = new Lfo(context);
+    const voice = new Voice(context, lfoPatch({ pmDepth: 20 }), { note: 60, destination: context.destination, lfo });
+    voice.release();
+    context.advance(1);
+    expect(voice.state).toBe('done');
+    expect(lfo.output.connections.size).toBe(0);
+  });
+});
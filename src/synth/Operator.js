@@ -0,0 +1,75 @@
+import { envelopeStages, envelopeLevelAt, releaseStage, EXP_FLOOR } from './envelope';
+
+// Ramps an AudioParam to the end of an envelope stage. Exponential ramps stop at the
+// floor level and then drop to silence.
+const scheduleRamp = (param, { to, curve }, end) => {
+  if (curve === 'exponential') {
+    param.exponentialRampToValueAtTime(Math.max(EXP_FLOOR, to), end);
+    if (to < EXP_FLOOR) param.setValueAtTime(to, end);
+  } else {
+    param.linearRampToValueAtTime(to, end);
+  }
+};
+
+// Operator class to manage Oscillator and Envelope Gain
+export default class Operator {
+  constructor(context) {
+    this.context = context;
+    this.osc = context.createOscillator();
+    this.env = context.createGain();
+    this.env.gain.value = 0;
+    this.osc.connect(this.env);
+    this.output = this.env; // This is the raw (osc * envelope) output
+    this.osc.start();
+  }
+
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  // Key-on envelope (see synth/envelope.js); `note` drives keyboard rate scaling.
+  scheduleEnvelope(params, time, note = 60) {
+    const now = time || this.context.currentTime;
+    const gain = this.env.gain;
+    this.envStart = now;
+    this.envNote = note;
+    // Envelope always peaks at 1.0. The 'level' param is applied separately.
+    this.stages = envelopeStages(params, note);
+
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(params.curve === 'exponential' ? EXP_FLOOR : 0, now);
+    this.stages.forEach(stage => scheduleRamp(gain, stage, now + stage.end));
+  }
+
+  // Envelope value at a given time, computed from the stages rather than read from the
+  // AudioParam, so releases can be scheduled ahead of the audio clock.
+  levelAt(time) {
+    if (!this.stages) return this.env.gain.value;
+    return envelopeLevelAt(this.stages, time - this.envStart);
+  }
+
+  // Returns the (rate-scaled) release time.
+  triggerRelease(params, time) {
+    const now = time || this.context.currentTime;
+    const gain = this.env.gain;
+    const stage = releaseStage(params, this.envNote, this.levelAt(now));
+
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(stage.from, now);
+    scheduleRamp(gain, stage, now + stage.duration);
+    return stage.duration;
+  }
+
+  stop(time) {
+    try {
+      this.osc.stop(time);
+    } catch(e) {
+      // Already stopped
+    }
+  }
+
+  disconnect() {
+    this.osc.disconnect();
+    this.env.disconnect();
+  }
+}
@@ -0,0 +1,135 @@
+import FMSynth from './FMSynth';
+import { routeNote } from '../patch/performance';
+
+const SMOOTHING = 0.02; // setTargetAtTime time constant for part volume and pan
+
+// Plays the parts of a performance (patch/performance.js): one FMSynth per part, each
+// through its own volume and pan into a shared output. Keys are routed by the parts'
+// ranges and transposed per part; controllers (sustain, bend, mod wheel) reach every part.
+// Single-patch playing is a performance of one full-range part.
+//
+// part synth -> volume -> pan -> output -> destination
+export default class PerformanceSynth {
+  constructor(context, { destination = context.destination, offline = false, engine = 'nodes', ...voiceOptions } = {}) {
+    this.context = context;
+    this.synthOptions = { offline, ...voiceOptions };
+    this.engine = engine;
+    this.output = context.createGain();
+    this.output.connect(destination);
+    // Part synths are kept when parts are removed, silent and unrouted, for reuse.
+    this.parts = []; // [{ synth, volume, panner, settings }]
+    this.partCount = 0;
+    this.heldNotes = new Map(); // keyboard note -> [{ index, note }] it started
+    this.pitchBend = 0;
+    this.modWheel = 0;
+    this.sustainOn = false;
+  }
+
+  // parts: [{ patch, lowKey, highKey, transpose, volume, pan }]. Each part's synth gets
+  // setPatch only when its patch object changed, so sounding voices keep playing.
+  setParts(parts) {
+    const now = this.context.currentTime;
+    parts.forEach((settings, index) => {
+      const part = this.parts[index] ?? this.createPart();
+      if (index >= this.partCount) part.volume.gain.setValueAtTime(settings.volume, now);
+      if (part.settings?.patch !== settings.patch) part.synth.setPatch(settings.patch);
+      part.volume.gain.setTargetAtTime(settings.volume, now, SMOOTHING);
+      part.panner.pan.setTargetAtTime(settings.pan, now, SMOOTHING);
+      part.settings = settings;
+    });
+    this.parts.slice(parts.length, this.partCount).forEach(part => {
+      part.synth.allNotesOff();
+      part.volume.gain.setTargetAtTime(0, now, SMOOTHING);
+    });
+    this.partCount = parts.length;
+  }
+
+  createPart() {
+    const volume = this.context.createGain();
+    const panner = this.context.createStereoPanner();
+    volume.gain.value = 0;
+    volume.connect(panner);
+    panner.connect(this.output);
+    const synth = new FMSynth(this.context, { ...this.synthOptions, engine: this.engine, destination: volume });
+    synth.setPitchBend(this.pitchBend);
+    synth.setSustain(this.sustainOn);
+    synth.setModWheel(this.modWheel);
+    const part = { synth, volume, panner, settings: null };
+    this.parts.push(part);
+    return part;
+  }
+
+  activeParts() {
+    return this.parts.slice(0, this.partCount);
+  }
+
+  noteOn(note, velocity = 1, time) {
+    const routed = routeNote(this.activeParts().map(part => part.settings), note);
+    routed.forEach(({ index, note: played }) => this.parts[index].synth.noteOn(played, velocity, time));
+    this.heldNotes.set(note, routed);
+  }
+
+  // Releases what the key started, even if the parts were edited meanwhile.
+  noteOff(note, time) {
+    const routed = this.heldNotes.get(note) ?? [];
+    routed.forEach(({ index, note: played }) => this.parts[index].synth.noteOff(played, time));
+    this.heldNotes.delete(note);
+  }
+
+  // A note whose noteOff was scheduled ahead has no routing left, so it is routed again.
+  cutNote(note, time) {
+    const routed = this.heldNotes.get(note) ?? routeNote(this.activeParts().map(part => part.settings), note);
+    routed.forEach(({ index, note: played }) => this.parts[index].synth.cutNote(played, time));
+    this.heldNotes.delete(note);
+  }
+
+  allNotesOff() {
+    this.sustainOn = false;
+    this.heldNotes.clear();
+    this.parts.forEach(part => part.synth.allNotesOff());
+  }
+
+  setSustain(on) {
+    this.sustainOn = on;
+    this.parts.forEach(part => part.synth.setSustain(on));
+  }
+
+  setPitchBend(value) {
+    this.pitchBend = value;
+    this.parts.forEach(part => part.synth.setPitchBend(value));
+  }
+
+  setModWheel(value) {
+    this.modWheel = value;
+    this.parts.forEach(part => part.synth.setModWheel(value));
+  }
+
+  // maxVoices, stealMode; each part has its own voices.
+  setVoiceOptions(options) {
+    this.synthOptions = { ...this.synthOptions, ...options };
+    this.parts.forEach(part => part.synth.setVoiceOptions(options));
+  }
+
+  setEngine(engine) {
+    this.engine = engine;
+    this.parts.forEach(part => part.synth.setEngine(engine));
+  }
+
+  // Sounding notes as played by the parts (after transpose), without duplicates.
+  activeNotes() {
+    return [...new Set(this.activeParts().flatMap(part => part.synth.activeNotes()))];
+  }
+
+  // Taps the mix of all parts; see FMSynth.createAnalyser.
+  createAnalyser(fftSize = 2048) {
+    const analyser = this.context.createAnalyser();
+    analyser.fftSize = fftSize;
+    analyser.smoothingTimeConstant = 0.6;
+    this.output.connect(analyser);
+    return analyser;
+  }
+
+  removeAnalyser(analyser) {
+    this.output.disconnect(analyser);
+  }
+}
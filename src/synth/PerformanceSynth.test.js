@@ -0,0 +1,108 @@
+import MockAudioContext from './mockAudioContext';
+import PerformanceSynth from './PerformanceSynth';
+import { createPart } from '../patch/performance';
+import { initialPatch } from '../patch/patch';
+
+const setup = (parts) => {
+  const context = new MockAudioContext();
+  const synth = new PerformanceSynth(context);
+  synth.setParts(parts);
+  return { context, synth };
+};
+
+const notesOf = (synth, index) => synth.parts[index].synth.activeNotes();
+const lastEvent = (param) => param.events[param.events.length - 1];
+
+describe('PerformanceSynth routing', () => {
+  test('layers play every part', () => {
+    const { synth } = setup([createPart(initialPatch), createPart(initialPatch, { transpose: 12 })]);
+    synth.noteOn(60);
+    expect(notesOf(synth, 0)).toEqual([60]);
+    expect(notesOf(synth, 1)).toEqual([72]);
+    expect(synth.activeNotes()).toEqual([60, 72]);
+  });
+
+  test('splits route keys by range', () => {
+    const { synth } = setup([createPart(initialPatch, { lowKey: 60 }), createPart(initialPatch, { highKey: 59 })]);
+    synth.noteOn(64);
+    synth.noteOn(48);
+    expect(notesOf(synth, 0)).toEqual([64]);
+    expect(notesOf(synth, 1)).toEqual([48]);
+  });
+
+  test('releases the notes a key started after the parts change', () => {
+    const { synth } = setup([createPart(initialPatch, { transpose: -12 })]);
+    synth.noteOn(60);
+    synth.setParts([createPart(initialPatch, { transpose: 7 })]);
+    synth.noteOff(60);
+    expect(notesOf(synth, 0)).toEqual([]);
+  });
+
+  test('cuts a sequenced note in every part after its release was scheduled', () => {
+    const { synth } = setup([createPart(initialPatch), createPart(initialPatch, { transpose: 12 })]);
+    synth.noteOn(60, 1, 0);
+    synth.noteOff(60, 2);
+    synth.cutNote(60, 0.5);
+    expect(synth.parts.map(part => part.synth.voices.activeVoiceCount)).toEqual([0, 0]);
+  });
+
+  test('skips transposed notes off the MIDI range', () => {
+    const { synth } = setup([createPart(initialPatch, { transpose: 24 })]);
+    synth.noteOn(120);
+    expect(notesOf(synth, 0)).toEqual([]);
+  });
+});
+
+describe('PerformanceSynth parts', () => {
+  test('each part has its own volume and pan into the shared output', () => {
+    const { context, synth } = setup([createPart(initialPatch, { volume: 0.5, pan: -1 })]);
+    const [part] = synth.parts;
+    expect(part.volume.connections.has(part.panner)).toBe(true);
+    expect(part.panner.connections.has(synth.output)).toBe(true);
+    expect(synth.output.connections.has(context.destination)).toBe(true);
+    expect(part.volume.gain.value).toBe(0.5);
+    expect(part.panner.pan.value).toBe(-1);
+  });
+
+  test('sets a patch only when it changed', () => {
+    const part = createPart(initialPatch);
+    const { synth } = setup([part]);
+    const partSynth = synth.parts[0].synth;
+    const setPatch = jest.spyOn(partSynth, 'setPatch');
+    synth.setParts([{ ...part, volume: 0.3 }]);
+    expect(setPatch).not.toHaveBeenCalled();
+    synth.setParts([{ ...part, patch: { ...initialPatch, feedback: 3 } }]);
+    expect(setPatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('removed parts are silenced and no longer routed, then reused', () => {
+    const { synth } = setup([createPart(initialPatch), createPart(initialPatch)]);
+    synth.noteOn(60);
+    const removed = synth.parts[1];
+    synth.setParts([createPart(initialPatch)]);
+    expect(lastEvent(removed.volume.gain)).toMatchObject({ type: 'target', value: 0 });
+    synth.noteOn(62);
+    expect(notesOf(synth, 1)).toEqual([]);
+    synth.setParts([createPart(initialPatch), createPart(initialPatch)]);
+    expect(synth.parts[1]).toBe(removed);
+  });
+
+  test('controllers reach every part, including parts added later', () => {
+    const { synth } = setup([createPart(initialPatch)]);
+    synth.setPitchBend(1);
+    synth.setSustain(true);
+    synth.setParts([createPart(initialPatch), createPart(initialPatch)]);
+    synth.parts.forEach(part => {
+      expect(part.synth.pitchBend).toBe(1);
+      expect(part.synth.sustainOn).toBe(true);
+    });
+  });
+
+  test('the analyser taps the mix of all parts', () => {
+    const { synth } = setup([createPart(initialPatch)]);
+    const analyser = synth.createAnalyser();
+    expect(synth.output.connections.has(analyser)).toBe(true);
+    synth.removeAnalyser(analyser);
+    expect(synth.output.connections.has(analyser)).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+// Records note events played live so they can be rendered offline. Times come from
+// the caller (the audio clock) and are stored relative to the first note, so silence
+// before the first key press is dropped.
+
+export const MAX_PHRASE_SECONDS = 60;
+
+export default class PhraseRecorder {
+  constructor() {
+    this.recording = false;
+    this.events = [];
+  }
+
+  start() {
+    this.recording = true;
+    this.events = [];
+  }
+
+  record(type, note, velocity, time) {
+    if (!this.recording) return;
+    if (this.events.length === 0 && type !== 'noteOn') return;
+    const origin = this.events.length > 0 ? this.events[0].at : time;
+    if (time - origin > MAX_PHRASE_SECONDS) return;
+    this.events.push({ at: time, type, note, velocity });
+  }
+
+  // Stops recording and returns the phrase; notes still held are released at `time`.
+  stop(time) {
+    this.recording = false;
+    if (this.events.length === 0) return [];
+    const origin = this.events[0].at;
+    const held = new Set();
+    const phrase = this.events.map(({ at, type, note, velocity }) => {
+      if (type === 'noteOn') held.add(note); else held.delete(note);
+      return type === 'noteOn' ? { time: at - origin, type, note, velocity } : { time: at - origin, type, note };
+    });
+    const end = Math.min(time, origin + MAX_PHRASE_SECONDS) - origin;
+    held.forEach(note => phrase.push({ time: end, type: 'noteOff', note }));
+    this.events = [];
+    return phrase;
+  }
+}
@@ -0,0 +1,39 @@
+import PhraseRecorder from './PhraseRecorder';
+
+describe('PhraseRecorder', () => {
+  test('stores events relative to the first note', () => {
+    const recorder = new PhraseRecorder();
+    recorder.start();
+    recorder.record('noteOn', 60, 0.8, 10);
+    recorder.record('noteOff', 60, 0, 10.5);
+    expect(recorder.stop(11)).toEqual([
+      { time: 0, type: 'noteOn', note: 60, velocity: 0.8 },
+      { time: 0.5, type: 'noteOff', note: 60 },
+    ]);
+  });
+
+  test('ignores events while stopped and note-offs before the first note', () => {
+    const recorder = new PhraseRecorder();
+    recorder.record('noteOn', 60, 1, 0);
+    recorder.start();
+    recorder.record('noteOff', 60, 0, 1);
+    recorder.record('noteOn', 62, 1, 2);
+    const phrase = recorder.stop(3);
+    expect(phrase[0]).toEqual({ time: 0, type: 'noteOn', note: 62, velocity: 1 });
+  });
+
+  test('releases notes still held when recording stops', () => {
+    const recorder = new PhraseRecorder();
+    recorder.start();
+    recorder.record('noteOn', 60, 1, 1);
+    recorder.record('noteOn', 64, 1, 1.25);
+    recorder.record('noteOff', 60, 0, 1.5);
+    expect(recorder.stop(3).slice(3)).toEqual([{ time: 2, type: 'noteOff', note: 64 }]);
+  });
+
+  test('returns an empty phrase when nothing was played', () => {
+    const recorder = new PhraseRecorder();
+    recorder.start();
+    expect(recorder.stop(5)).toEqual([]);
+  });
+});
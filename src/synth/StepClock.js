@@ -0,0 +1,51 @@
+// --- Step Clock ---
+// Lookahead scheduler for the arpeggiator and sequencer. A coarse timer only wakes the
+// scheduler; every step is placed on the audio clock a little ahead of time, so timing
+// stays tight even when the timer (or the main thread) is late.
+
+const LOOKAHEAD = 0.1; // seconds scheduled ahead of currentTime
+const INTERVAL = 25; // ms between scheduler wake-ups
+
+export default class StepClock {
+  // onStep(index, time, duration) is called once per step, ahead of `time`.
+  constructor(context, onStep) {
+    this.context = context;
+    this.onStep = onStep;
+    this.stepDuration = 0.125;
+    this.intervalId = null;
+    this.nextTime = 0;
+    this.index = 0;
+  }
+
+  get running() {
+    return this.intervalId !== null;
+  }
+
+  setStepDuration(seconds) {
+    this.stepDuration = seconds;
+  }
+
+  start(time = this.context.currentTime) {
+    if (this.running) return;
+    this.nextTime = time;
+    this.index = 0;
+    this.intervalId = setInterval(() => this.schedule(), INTERVAL);
+    this.schedule();
+  }
+
+  stop() {
+    if (!this.running) return;
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  schedule() {
+    const until = this.context.currentTime + LOOKAHEAD;
+    while (this.running && this.nextTime < until) {
+      const time = this.nextTime;
+      const duration = this.stepDuration;
+      this.nextTime += duration;
+      this.onStep(this.index++, time, duration);
+    }
+  }
+}
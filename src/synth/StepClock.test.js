@@ -0,0 +1,47 @@
+import MockAudioContext from './mockAudioContext';
+import StepClock from './StepClock';
+
+describe('StepClock', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('schedules steps on the audio clock a little ahead of time', () => {
+    const context = new MockAudioContext();
+    const steps = [];
+    const clock = new StepClock(context, (index, time, duration) => steps.push({ index, time, duration }));
+    clock.setStepDuration(0.04);
+    clock.start(1);
+    expect(steps).toEqual([]);
+
+    context.currentTime = 0.95;
+    jest.advanceTimersByTime(25);
+    expect(steps.map(s => s.time)).toEqual([1, 1.04]);
+    expect(steps[1]).toEqual({ index: 1, time: 1.04, duration: 0.04 });
+    clock.stop();
+  });
+
+  test('catches up on late timer callbacks without drifting', () => {
+    const context = new MockAudioContext();
+    const times = [];
+    const clock = new StepClock(context, (index, time) => times.push(time));
+    clock.setStepDuration(0.25);
+    clock.start();
+    context.currentTime = 0.9;
+    jest.advanceTimersByTime(500);
+    expect(times).toEqual([0, 0.25, 0.5, 0.75]);
+    clock.stop();
+  });
+
+  test('stops scheduling when stopped', () => {
+    const context = new MockAudioContext();
+    const onStep = jest.fn();
+    const clock = new StepClock(context, onStep);
+    clock.start();
+    clock.stop();
+    onStep.mockClear();
+    context.currentTime = 5;
+    jest.advanceTimersByTime(100);
+    expect(onStep).not.toHaveBeenCalled();
+    expect(clock.running).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+import StepClock from './StepClock';
+import { divisionSeconds } from './tempo';
+
+// --- Step Sequencer ---
+// 16-step monophonic pattern player on the audio clock. Each step is
+// { on, note, velocity, gate, tie }; a tied step holds the previous note through it
+// instead of retriggering. The pattern is read at every step, so edits apply while playing.
+// `output` is { noteOn(note, velocity, time), noteOff(note, time), cutNote(note, time) }:
+// note-offs are scheduled together with their notes, so Stop needs cutNote to end a note
+// whose release is already on the clock.
+
+export const SEQUENCER_STEPS = 16;
+
+// Steps covered by the note starting at `index`: itself plus the tied steps after it
+// (wrapping around the end of the pattern).
+export const noteLength = (steps, index) => {
+  let length = 1;
+  while (length < steps.length) {
+    const next = steps[(index + length) % steps.length];
+    if (!next.on || !next.tie) break;
+    length++;
+  }
+  return length;
+};
+
+export default class StepSequencer {
+  constructor(context, output) {
+    this.context = context;
+    this.output = output;
+    this.sequence = null;
+    this.current = null; // { note, end } of the last note started
+    this.tiedSteps = 0;
+    this.played = []; // recent { index, time }, for the playhead display
+    this.clock = new StepClock(context, (index, time, duration) => this.step(index, time, duration));
+  }
+
+  get playing() {
+    return this.clock.running;
+  }
+
+  // `sequence` is the patch's { rate, steps } block.
+  setPattern(sequence, tempo) {
+    this.sequence = sequence;
+    this.clock.setStepDuration(divisionSeconds(sequence.rate, tempo));
+  }
+
+  start() {
+    this.tiedSteps = 0;
+    this.played = [];
+    this.clock.start();
+  }
+
+  // Cuts the current note short if it is still sounding.
+  stop() {
+    this.clock.stop();
+    const now = this.context.currentTime;
+    if (this.current && this.current.end > now) this.output.cutNote(this.current.note, now);
+    this.current = null;
+    this.played = [];
+  }
+
+  step(count, time, duration) {
+    const { steps } = this.sequence;
+    const index = count % steps.length;
+    this.played = this.played.slice(-7).concat({ index, time });
+    if (this.tiedSteps > 0) {
+      this.tiedSteps--;
+      return;
+    }
+    const step = steps[index];
+    if (!step.on) return;
+    const length = noteLength(steps, index);
+    const end = time + (length - 1 + step.gate) * duration;
+    this.output.noteOn(step.note, step.velocity, time);
+    this.output.noteOff(step.note, end);
+    this.current = { note: step.note, end };
+    this.tiedSteps = length - 1;
+  }
+
+  // Index of the step sounding at `time`, or null when stopped.
+  stepAt(time) {
+    const played = this.played.filter(p => p.time <= time);
+    return played.length > 0 ? played[played.length - 1].index : null;
+  }
+}
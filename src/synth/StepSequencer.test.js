@@ -0,0 +1,88 @@
+import MockAudioContext from './mockAudioContext';
+import StepSequencer, { noteLength, SEQUENCER_STEPS } from './StepSequencer';
+import FMSynth from './FMSynth';
+import { initialPatch } from '../patch/patch';
+
+const step = (overrides = {}) => ({ on: false, note: 60, velocity: 0.8, gate: 0.5, tie: false, ...overrides });
+const pattern = (steps) => Array.from({ length: SEQUENCER_STEPS }, (_, i) => steps[i] || step());
+
+const setup = (steps) => {
+  const context = new MockAudioContext();
+  const events = [];
+  const sequencer = new StepSequencer(context, {
+    noteOn: (note, velocity, time) => events.push({ type: 'noteOn', note, velocity, time }),
+    noteOff: (note, time) => events.push({ type: 'noteOff', note, time }),
+    cutNote: (note, time) => events.push({ type: 'cutNote', note, time }),
+  });
+  sequencer.setPattern({ rate: '1/16', steps: pattern(steps) }, 120);
+  const play = (count) => {
+    for (let i = 0; i < count; i++) sequencer.step(i, i * 0.125, 0.125);
+  };
+  return { context, sequencer, events, play };
+};
+
+describe('noteLength', () => {
+  test('counts the tied steps after a note, wrapping around', () => {
+    const steps = pattern({ 0: step({ on: true, tie: true }), 14: step({ on: true }), 15: step({ on: true, tie: true }) });
+    expect(noteLength(steps, 14)).toBe(3);
+    expect(noteLength(steps, 1)).toBe(1);
+  });
+});
+
+describe('StepSequencer', () => {
+  test('plays each step with its note, velocity and gate', () => {
+    const { events, play } = setup({ 0: step({ on: true, note: 48, velocity: 1 }), 2: step({ on: true, note: 55, gate: 1 }) });
+    play(4);
+    expect(events).toEqual([
+      { type: 'noteOn', note: 48, velocity: 1, time: 0 },
+      { type: 'noteOff', note: 48, time: 0.0625 },
+      { type: 'noteOn', note: 55, velocity: 0.8, time: 0.25 },
+      { type: 'noteOff', note: 55, time: 0.375 },
+    ]);
+  });
+
+  test('tied steps hold the previous note instead of retriggering', () => {
+    const { events, play } = setup({ 0: step({ on: true }), 1: step({ on: true, note: 72, tie: true }), 2: step({ on: true, tie: true }) });
+    play(3);
+    expect(events).toEqual([
+      { type: 'noteOn', note: 60, velocity: 0.8, time: 0 },
+      { type: 'noteOff', note: 60, time: 0.3125 },
+    ]);
+  });
+
+  test('loops the pattern', () => {
+    const { events, play } = setup({ 0: step({ on: true }) });
+    play(17);
+    expect(events.filter(e => e.type === 'noteOn').map(e => e.time)).toEqual([0, 2]);
+  });
+
+  test('stopping cuts a note that is still sounding', () => {
+    const { context, sequencer, events, play } = setup({ 0: step({ on: true, gate: 1 }) });
+    play(1);
+    context.currentTime = 0.05;
+    sequencer.stop();
+    expect(events[events.length - 1]).toEqual({ type: 'cutNote', note: 60, time: 0.05 });
+  });
+
+  test.each([false, true])('stopping silences a tied note on the synth (mono: %s)', (mono) => {
+    const context = new MockAudioContext();
+    const synth = new FMSynth(context);
+    synth.setPatch({ ...initialPatch, mono });
+    const sequencer = new StepSequencer(context, synth);
+    sequencer.setPattern({ rate: '1/16', steps: pattern({ 0: step({ on: true }), 1: step({ on: true, tie: true }) }) }, 120);
+    sequencer.step(0, 0, 0.125);
+    const [voice] = synth.voices.voices;
+    context.currentTime = 0.05;
+    sequencer.stop();
+    expect(synth.activeNotes()).toEqual([]);
+    expect(synth.voices.activeVoiceCount).toBe(0);
+    expect(voice.output.gain.events.find(e => e.type === 'linear').time).toBeCloseTo(0.055);
+  });
+
+  test('reports the step sounding at a given time', () => {
+    const { sequencer, play } = setup({});
+    play(3);
+    expect(sequencer.stepAt(0.2)).toBe(1);
+    expect(sequencer.stepAt(-1)).toBe(null);
+  });
+});
@@ -0,0 +1,328 @@
+import Operator from './Operator';
+import Lfo, { scheduleLfoFade } from './Lfo';
+import { getAlgorithm } from './algorithms';
+import { keyLevelScale } from './keyScaling';
+
+// Extra time after the longest release before the oscillators are stopped.
+const RELEASE_TAIL = 0.05;
+// Fade time used when a voice is stolen or retriggered.
+const KILL_TIME = 0.005;
+// Time constant for parameter edits reaching a sounding voice.
+const EDIT_SMOOTHING = 0.01;
+// Modulator level -> frequency deviation in Hz.
+const MOD_DEPTH_SCALE = 5000;
+
+export const noteToFreq = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+// Scales an operator level by note velocity (0..1) according to its sensitivity (0..1).
+// Sensitivity 0 ignores velocity, 1 maps velocity straight onto the level.
+export const velocityScale = (sensitivity, velocity) => 1 - sensitivity + sensitivity * velocity;
+
+// Operator frequency in Hz: a ratio of the note frequency, or fixed (percussion, bells).
+// Detune applies to both; pitch bend, vibrato and the pitch envelope move fixed operators too.
+export const operatorFreq = (params, note) =>
+  (params.fixed ? params.fixedFreq : noteToFreq(note) * params.ratio) * (1 + params.detune / 1000);
+
+// Operator level for a note: the patch level scaled by velocity and keyboard level scaling.
+export const operatorLevel = (params, note, velocity) =>
+  params.level * velocityScale(params.velocitySens, velocity) * keyLevelScale(params, note);
+
+// Operator settings each of which, when edited, needs the frequency or the level redone.
+const FREQUENCY_PARAMS = ['ratio', 'detune', 'fixed', 'fixedFreq'];
+const LEVEL_PARAMS = ['level', 'velocitySens', 'keyBreakpoint', 'keyLeftDepth', 'keyRightDepth', 'keyLeftCurve', 'keyRightCurve'];
+
+// Feedback amount 0-7 as on OPM/OPN chips; each step doubles the modulation index.
+export const MAX_FEEDBACK = 7;
+export const feedbackIndex = (amount) => (amount > 0 ? Math.PI / 16 * Math.pow(2, amount - 1) : 0);
+
+// One sounding note: the operators of a patch wired up according to its algorithm.
+// Every node created here is disconnected once the voice has finished.
+export default class Voice {
+  // `time` schedules the note on the audio clock (defaults to now).
+  // `lfo` is the synth's free-running LFO; key-synced patches get one of their own instead,
+  // with its depth scaled by `lfoScale` (the mod wheel, see setLfoScale).
+  constructor(context, patch, { note, velocity = 1, destination, detune = 0, vibrato = null, lfo = null, lfoScale = 1, glideFrom = null, portamento = 0, time }) {
+    const now = time ?? context.currentTime;
+    this.context = context;
+    this.patch = patch;
+    this.note = note;
+    this.velocity = velocity;
+    this.vibrato = vibrato;
+    this.state = 'active';
+    this.startTime = now;
+    this.releaseTime = null;
+    this.endTime = null;
+    this.onEnded = null;
+
+    this.nodes = [];
+    this.carrierGains = [];
+    this.levelGains = []; // { opIndex, gain, scale } for modulators and carriers
+    this.feedbackGains = [];
+
+    this.output = this.createGain(1);
+    this.output.connect(destination);
+
+    const { algorithm, feedback, operators: opParams } = patch;
+    const startNote = glideFrom ?? note;
+
+    // Only operators that are switched on get oscillators.
+    this.operators = opParams.map((params) => {
+      if (!params.on) return null;
+      const op = new Operator(context);
+      op.osc.type = params.waveform;
+      op.osc.frequency.setValueAtTime(operatorFreq(params, startNote), now);
+      op.osc.detune.value = detune;
+      if (vibrato) vibrato.connect(op.osc.detune);
+      op.scheduleEnvelope(params, now, note);
+      return op;
+    });
+    this.connectLfo(lfo, now);
+    if (this.ownsLfo) this.lfo.output.gain.value = lfoScale;
+    this.connectPitchEnv(now);
+    if (glideFrom !== null && glideFrom !== note) this.glideTo(note, portamento, glideFrom, now);
+
+    // --- ALGORITHM ROUTING (see synth/algorithms.js) ---
+    // Helper to connect a modulator to a carrier
+    const connectModulator = (modIndex, carIndex) => {
+      const modulator = this.operators[modIndex];
+      const carrier = this.operators[carIndex];
+      if (!modulator || !carrier) return;
+      const modP = opParams[modIndex];
+
+      // Scale the modulator's output significantly. 'level' now controls modulation depth.
+      const modGain = this.createGain(operatorLevel(modP, note, velocity) * MOD_DEPTH_SCALE);
+      this.levelGains.push({ opIndex: modIndex, gain: modGain, scale: MOD_DEPTH_SCALE });
+      modulator.output.connect(modGain);
+      modGain.connect(carrier.osc.frequency);
+    };
+
+    // Helper to connect a carrier to the voice output
+    const connectCarrier = (carIndex) => {
+      const carrier = this.operators[carIndex];
+      if (!carrier) return;
+      const carP = opParams[carIndex];
+
+      // For carriers, 'level' controls the final volume.
+      const carGain = this.createGain(operatorLevel(carP, note, velocity));
+      this.levelGains.push({ opIndex: carIndex, gain: carGain, scale: 1 });
+      carrier.output.connect(carGain);
+      carGain.connect(this.output);
+      this.carrierGains.push({ op: carrier, gain: carGain });
+    };
+
+    // Self-feedback needs a delay in the loop; Web Audio rounds it up to one render quantum.
+    const connectFeedback = (opIndex) => {
+      const op = this.operators[opIndex];
+      if (!feedback || !op) return;
+      const fbDelay = context.createDelay();
+      fbDelay.delayTime.value = 0;
+      this.nodes.push(fbDelay);
+      const fbGain = this.createGain(feedbackIndex(feedback) * operatorFreq(opParams[opIndex], note));
+
+      op.output.connect(fbDelay);
+      fbDelay.connect(fbGain);
+      fbGain.connect(op.osc.frequency);
+      this.feedbackGains.push({ opIndex, gain: fbGain });
+    };
+
+    const algo = getAlgorithm(algorithm);
+    algo.modulations.forEach(([mod, target]) => connectModulator(mod - 1, target - 1));
+    algo.carriers.forEach(car => connectCarrier(car - 1));
+    connectFeedback(algo.feedback - 1);
+  }
+
+  // --- LFO (see synth/Lfo.js) ---
+  // Pitch modulation goes to every operator's detune (in cents). Amplitude modulation
+  // is unipolar like on OPM/OPN: an operator's gain dips by up to amDepth * amSens.
+  connectLfo(sharedLfo, now) {
+    this.lfo = null;
+    this.ownsLfo = false;
+    this.lfoTargets = [];
+    const params = this.patch.lfo;
+    if (!params) return;
+    const amDepths = this.patch.operators.map(op => params.amDepth * (op.amSens || 0));
+    if (params.pmDepth <= 0 && !amDepths.some((depth, i) => depth > 0 && this.operators[i])) return;
+
+    this.ownsLfo = params.keySync || !sharedLfo;
+    this.lfo = this.ownsLfo ? new Lfo(this.context, params, now) : sharedLfo;
+    const connectToLfo = (node) => {
+      this.lfo.output.connect(node);
+      this.lfoTargets.push(node);
+    };
+
+    if (params.pmDepth > 0) {
+      const pmGain = this.createGain(0);
+      connectToLfo(pmGain);
+      scheduleLfoFade(pmGain.gain, 0, params.pmDepth, params, now);
+      this.operators.forEach(op => op && pmGain.connect(op.osc.detune));
+    }
+
+    this.operators.forEach((op, i) => {
+      const depth = amDepths[i];
+      if (!op || depth <= 0) return;
+      const amGain = this.createGain(1);
+      const amScale = this.createGain(0);
+      connectToLfo(amScale);
+      amScale.connect(amGain.gain);
+      scheduleLfoFade(amGain.gain, 1, 1 - depth / 2, params, now);
+      scheduleLfoFade(amScale.gain, 0, -depth / 2, params, now);
+      op.output.connect(amGain);
+      op.output = amGain;
+    });
+  }
+
+  // --- Pitch envelope ---
+  // The note starts `amount` semitones off and slides back over `time` seconds (drum
+  // thumps, brass scoops). A ramp in cents on every operator's detune, so it adds to
+  // pitch bend, vibrato and the LFO.
+  connectPitchEnv(now) {
+    this.pitchEnv = null;
+    const { amount = 0, time = 0 } = this.patch.pitchEnv ?? {};
+    if (!amount || !this.operators.some(Boolean)) return;
+    this.pitchEnv = this.context.createConstantSource();
+    this.pitchEnv.offset.setValueAtTime(amount * 100, now);
+    this.pitchEnv.offset.linearRampToValueAtTime(0, now + time);
+    this.operators.forEach(op => op && this.pitchEnv.connect(op.osc.detune));
+    this.pitchEnv.start(now);
+    this.nodes.push(this.pitchEnv);
+  }
+
+  createGain(value) {
+    const gain = this.context.createGain();
+    gain.gain.value = value;
+    this.nodes.push(gain);
+    return gain;
+  }
+
+  // Moves the pitch of a sounding voice to another note without retriggering (mono/legato).
+  glideTo(note, portamento = 0, fromNote = null, time) {
+    const now = time ?? this.context.currentTime;
+    // A param's value can't be read ahead of the audio clock, so scheduled glides start from the previous note.
+    const from = fromNote ?? (time !== undefined ? this.note : null);
+    this.note = note;
+    this.operators.forEach((op, i) => {
+      if (!op) return;
+      const params = this.patch.operators[i];
+      const freq = op.osc.frequency;
+      const target = operatorFreq(params, note);
+      freq.cancelScheduledValues(now);
+      freq.setValueAtTime(from !== null ? operatorFreq(params, from) : freq.value, now);
+      if (portamento > 0) {
+        freq.exponentialRampToValueAtTime(target, now + portamento);
+      } else {
+        freq.setValueAtTime(target, now);
+      }
+    });
+    this.feedbackGains.forEach(({ opIndex, gain }) => {
+      gain.gain.setValueAtTime(feedbackIndex(this.patch.feedback) * operatorFreq(this.patch.operators[opIndex], note), now);
+    });
+  }
+
+  // Lets edits of continuous parameters (frequency, level, velocity sensitivity, key
+  // scaling, feedback, waveform) reach a sounding note, e.g. while morphing. The algorithm,
+  // operator on/off, LFO routing and the key-on envelope stay as the note started.
+  updatePatch(patch) {
+    const previous = this.patch;
+    this.patch = patch;
+    if (this.state === 'done') return;
+    const now = this.context.currentTime;
+    const changed = (i, keys) => keys.some(key => patch.operators[i][key] !== previous.operators[i][key]);
+
+    this.operators.forEach((op, i) => {
+      if (!op) return;
+      const params = patch.operators[i];
+      if (changed(i, FREQUENCY_PARAMS)) op.osc.frequency.setTargetAtTime(operatorFreq(params, this.note), now, EDIT_SMOOTHING);
+      if (changed(i, ['waveform'])) op.osc.type = params.waveform;
+    });
+    this.levelGains.forEach(({ opIndex, gain, scale }) => {
+      if (!changed(opIndex, LEVEL_PARAMS)) return;
+      gain.gain.setTargetAtTime(operatorLevel(patch.operators[opIndex], this.note, this.velocity) * scale, now, EDIT_SMOOTHING);
+    });
+    this.feedbackGains.forEach(({ opIndex, gain }) => {
+      if (patch.feedback === previous.feedback && !changed(opIndex, FREQUENCY_PARAMS)) return;
+      gain.gain.setTargetAtTime(feedbackIndex(patch.feedback) * operatorFreq(patch.operators[opIndex], this.note), now, EDIT_SMOOTHING);
+    });
+  }
+
+  setDetune(cents) {
+    const now = this.context.currentTime;
+    this.operators.forEach(op => op && op.osc.detune.setTargetAtTime(cents, now, 0.01));
+  }
+
+  // Mod wheel depth on a key-synced LFO; the shared one is scaled by FMSynth.
+  setLfoScale(scale) {
+    if (this.ownsLfo) this.lfo.output.gain.setTargetAtTime(scale, this.context.currentTime, 0.02);
+  }
+
+  // Rough current loudness, used to pick the quietest voice to steal.
+  currentLevel() {
+    return this.carrierGains.reduce((sum, { op, gain }) => sum + op.env.gain.value * gain.gain.value, 0) * this.output.gain.value;
+  }
+
+  // Still audible at the given time (defaults to now)? Voices scheduled to stop earlier
+  // no longer count against the polyphony limit, even before their `onended` fires.
+  isSoundingAt(time) {
+    return this.state !== 'done' && (this.endTime === null || this.endTime > (time ?? this.context.currentTime));
+  }
+
+  release(time) {
+    if (this.state !== 'active') return;
+    this.state = 'releasing';
+    const now = time ?? this.context.currentTime;
+    this.releaseTime = now;
+
+    let end = now;
+    this.operators.forEach((op, i) => {
+      if (!op) return;
+      end = Math.max(end, now + op.triggerRelease(this.patch.operators[i], now));
+    });
+    this.scheduleStop(end + RELEASE_TAIL);
+  }
+
+  // Fast fade-out for voice stealing and retriggering.
+  kill(time) {
+    if (this.state === 'done') return;
+    const now = time ?? this.context.currentTime;
+    if (this.state === 'active') this.releaseTime = now;
+    this.state = 'releasing';
+    const gain = this.output.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(0, now + KILL_TIME);
+    this.scheduleStop(now + KILL_TIME + RELEASE_TAIL);
+  }
+
+  scheduleStop(time) {
+    const running = this.operators.filter(Boolean);
+    if (running.length === 0) {
+      this.finish();
+      return;
+    }
+    this.endTime = time;
+    running.forEach(op => op.stop(time));
+    if (this.ownsLfo) this.lfo.stop(time);
+    if (this.pitchEnv) this.pitchEnv.stop(time);
+    running[0].osc.onended = () => this.finish();
+  }
+
+  finish() {
+    if (this.state === 'done') return;
+    this.state = 'done';
+    this.disconnect();
+    if (this.onEnded) this.onEnded(this);
+  }
+
+  disconnect() {
+    if (this.ownsLfo) {
+      this.lfo.disconnect();
+    } else if (this.lfo) {
+      this.lfoTargets.forEach(node => this.lfo.output.disconnect(node));
+    }
+    this.operators.forEach(op => {
+      if (!op) return;
+      if (this.vibrato) this.vibrato.disconnect(op.osc.detune);
+      op.disconnect();
+    });
+    this.nodes.forEach(node => node.disconnect());
+  }
+}
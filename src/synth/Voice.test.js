@@ -0,0 +1,144 @@
+import MockAudioContext from './mockAudioContext';
+import Voice, { feedbackIndex, noteToFreq } from './Voice';
+
+const operator = (overrides = {}) => ({
+  on: true, ratio: 1, detune: 0, level: 0.8, velocitySens: 0,
+  attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.5, waveform: 'sine', ...overrides,
+});
+
+// Algorithm 2: (1>2) + (3>4), feedback on operator 1.
+const patch = {
+  algorithm: 2,
+  feedback: 3,
+  operators: [operator(), operator(), operator(), operator()],
+};
+
+const withOperator = (index, changes, base = patch) => ({
+  ...base,
+  operators: base.operators.map((op, i) => (i === index ? { ...op, ...changes } : op)),
+});
+
+const setup = () => {
+  const context = new MockAudioContext();
+  const voice = new Voice(context, patch, { note: 69, destination: context.destination });
+  context.currentTime = 1;
+  return { context, voice };
+};
+
+const lastEvent = (param) => param.events[param.events.length - 1];
+const levelGain = (voice, opIndex) => voice.levelGains.find(entry => entry.opIndex === opIndex).gain;
+
+describe('Voice.updatePatch', () => {
+  test('glides operator frequencies to a new ratio', () => {
+    const { voice } = setup();
+    voice.updatePatch(withOperator(1, { ratio: 2 }));
+    expect(lastEvent(voice.operators[1].osc.frequency)).toEqual({ type: 'target', value: noteToFreq(69) * 2, time: 1 });
+    expect(voice.operators[0].osc.frequency.events).toHaveLength(1);
+  });
+
+  test('scales modulator levels to a frequency deviation and carrier levels as gain', () => {
+    const { voice } = setup();
+    voice.updatePatch(withOperator(2, { level: 0.5 }, withOperator(3, { level: 0.25 })));
+    expect(levelGain(voice, 2).gain.value).toBe(2500);
+    expect(levelGain(voice, 3).gain.value).toBe(0.25);
+    expect(levelGain(voice, 1).gain.events).toHaveLength(0);
+  });
+
+  test('follows feedback changes on the feedback operator', () => {
+    const { voice } = setup();
+    const [{ gain }] = voice.feedbackGains;
+    voice.updatePatch({ ...patch, feedback: 5 });
+    expect(gain.gain.value).toBeCloseTo(feedbackIndex(5) * 440);
+  });
+
+  test('keeps the new patch for the release but ignores finished voices', () => {
+    const { context, voice } = setup();
+    voice.release();
+    context.advance(1);
+    expect(voice.state).toBe('done');
+    const events = voice.operators[0].osc.frequency.events.length;
+    voice.updatePatch(withOperator(0, { ratio: 3 }));
+    expect(voice.operators[0].osc.frequency.events).toHaveLength(events);
+    expect(voice.patch.operators[0].ratio).toBe(3);
+  });
+});
+
+describe('Voice pitch envelope', () => {
+  const start = (pitchEnv) => {
+    const context = new MockAudioContext();
+    const voice = new Voice(context, { ...patch, pitchEnv }, { note: 60, destination: context.destination, time: 2 });
+    return { context, voice };
+  };
+
+  test('ramps every operator from the start offset back to the note', () => {
+    const { voice } = start({ amount: 12, time: 0.2 });
+    expect(voice.pitchEnv.offset.events).toEqual([{ type: 'set', value: 1200, time: 2 }, { type: 'linear', value: 0, time: 2.2 }]);
+    voice.operators.forEach(op => expect(voice.pitchEnv.connections.has(op.osc.detune)).toBe(true));
+    expect(voice.pitchEnv.startTime).toBe(2);
+  });
+
+  test('stops with the voice', () => {
+    const { voice } = start({ amount: -3, time: 0.05 });
+    voice.release(3);
+    expect(voice.pitchEnv.stopTime).toBe(voice.endTime);
+  });
+
+  test('adds no node when the offset is zero', () => {
+    const { context, voice } = start({ amount: 0, time: 0.2 });
+    expect(voice.pitchEnv).toBeNull();
+    expect(context.nodes.some(node => node.kind === 'constant')).toBe(false);
+  });
+});
+
+describe('Voice.setLfoScale', () => {
+  const lfo = { waveform: 'sine', rate: 5, delay: 0, fade: 0, keySync: true, pmDepth: 20, amDepth: 0 };
+
+  test('scales a key-synced LFO from the start and while held', () => {
+    const context = new MockAudioContext();
+    const voice = new Voice(context, { ...patch, lfo }, { note: 60, destination: context.destination, lfoScale: 0.25 });
+    expect(voice.lfo.output.gain.value).toBe(0.25);
+    voice.setLfoScale(1);
+    expect(lastEvent(voice.lfo.output.gain)).toMatchObject({ type: 'target', value: 1 });
+  });
+
+  test('leaves the shared LFO alone', () => {
+    const context = new MockAudioContext();
+    const shared = { output: context.createGain() };
+    const voice = new Voice(context, { ...patch, lfo: { ...lfo, keySync: false } }, { note: 60, destination: context.destination, lfo: shared, lfoScale: 0 });
+    voice.setLfoScale(0.5);
+    expect(shared.output.gain.value).toBe(1);
+  });
+});
+
+describe('Voice fixed frequency and key scaling', () => {
+  test('fixed operators keep their frequency on every note', () => {
+    const context = new MockAudioContext();
+    const fixed = withOperator(0, { fixed: true, fixedFreq: 1000, detune: 10 });
+    [48, 84].forEach(note => {
+      const voice = new Voice(context, fixed, { note, destination: context.destination });
+      expect(voice.operators[0].osc.frequency.value).toBeCloseTo(1010);
+      expect(voice.operators[1].osc.frequency.value).toBeCloseTo(noteToFreq(note));
+    });
+  });
+
+  test('follows a switch to fixed frequency on a held note', () => {
+    const { voice } = setup();
+    voice.updatePatch(withOperator(1, { fixed: true, fixedFreq: 200 }));
+    expect(lastEvent(voice.operators[1].osc.frequency)).toMatchObject({ type: 'target', value: 200 });
+  });
+
+  test('scales levels by the note distance from the breakpoint', () => {
+    const context = new MockAudioContext();
+    const scaled = withOperator(3, { keyBreakpoint: 60, keyRightDepth: 1, keyRightCurve: '-lin' });
+    const voice = new Voice(context, scaled, { note: 84, destination: context.destination });
+    // Two of the four octaves to full depth
+    expect(levelGain(voice, 3).gain.value).toBeCloseTo(0.8 * 0.5);
+    expect(levelGain(voice, 2).gain.value).toBeCloseTo(0.8 * 5000);
+  });
+
+  test('re-scales held notes when key scaling is edited', () => {
+    const { voice } = setup();
+    voice.updatePatch(withOperator(3, { keyBreakpoint: 57, keyRightDepth: 1, keyRightCurve: '+lin' }));
+    expect(levelGain(voice, 3).gain.value).toBeCloseTo(0.8 * 1.25);
+  });
+});
@@ -0,0 +1,145 @@
+// --- Voice Allocation ---
+// Decides which voice plays which note: polyphony limit, voice stealing, retriggering
+// and mono/legato handling. Voices come from a factory, so this class knows nothing
+// about Web Audio beyond the Voice interface (release, kill, glideTo, currentLevel,
+// isSoundingAt, onEnded). All note methods take an optional audio-clock `time` so that
+// events can be scheduled ahead (offline rendering, sequencing); omitted means now.
+
+export const STEAL_MODES = ['oldest', 'quietest'];
+
+const DEFAULT_OPTIONS = {
+  maxVoices: 8,
+  stealMode: 'oldest',
+  mono: false,
+  legato: true,
+  portamento: 0,
+};
+
+export default class VoiceAllocator {
+  // createVoice(note, velocity, { glideFrom, portamento, time }) => Voice
+  constructor(createVoice, options = {}) {
+    this.createVoice = createVoice;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.voices = []; // every voice still producing sound, including releasing ones
+    this.noteVoices = new Map(); // note -> held (not releasing) voice, poly mode
+    this.heldNotes = []; // mono mode note stack, most recent last
+    this.monoVoice = null;
+    this.lastNote = null;
+  }
+
+  setOptions(options) {
+    const wasMono = this.options.mono;
+    this.options = { ...this.options, ...options };
+    if (wasMono !== this.options.mono) this.releaseAll();
+  }
+
+  get activeVoiceCount() {
+    return this.voices.length;
+  }
+
+  forEachVoice(fn) {
+    this.voices.forEach(fn);
+  }
+
+  // Notes of voices that are sounding and not yet released (sustained notes included).
+  activeNotes() {
+    return this.voices.filter(v => v.state === 'active').map(v => v.note);
+  }
+
+  noteOn(note, velocity = 1, time) {
+    if (this.options.mono) {
+      this.heldNotes = this.heldNotes.filter(n => n !== note).concat(note);
+      this.playMono(note, velocity, time);
+      return;
+    }
+
+    // Retrigger: any voice still sounding this note (held by sustain or releasing) is cut short.
+    this.sounding(time).filter(v => v.note === note).forEach(v => this.steal(v, time));
+
+    while (this.sounding(time).length >= Math.max(1, this.options.maxVoices)) {
+      this.steal(this.chooseVictim(time), time);
+    }
+    this.noteVoices.set(note, this.spawn(note, velocity, { time }));
+  }
+
+  noteOff(note, time) {
+    if (this.options.mono) {
+      this.heldNotes = this.heldNotes.filter(n => n !== note);
+      if (note !== this.lastNote || !this.monoVoice) return;
+      if (this.heldNotes.length > 0) {
+        // Fall back to the previously held note, like a mono synth's last-note priority.
+        this.playMono(this.heldNotes[this.heldNotes.length - 1], this.monoVoice.velocity, time);
+      } else {
+        this.monoVoice.release(time);
+      }
+      return;
+    }
+
+    const voice = this.noteVoices.get(note);
+    if (!voice) return;
+    voice.release(time);
+    this.noteVoices.delete(note);
+  }
+
+  // Fades out whatever sounds `note` at `time`, even a voice whose release is already
+  // scheduled for later (a sequenced note cut short by Stop).
+  cutNote(note, time) {
+    this.heldNotes = this.heldNotes.filter(n => n !== note);
+    this.sounding(time).filter(v => v.note === note).forEach(v => this.steal(v, time));
+  }
+
+  releaseAll(time) {
+    this.noteVoices.forEach(voice => voice.release(time));
+    this.noteVoices.clear();
+    if (this.monoVoice) this.monoVoice.release(time);
+    this.heldNotes = [];
+  }
+
+  playMono(note, velocity, time) {
+    const { legato, portamento } = this.options;
+    const current = this.monoVoice;
+
+    if (current && current.state === 'active' && legato) {
+      current.glideTo(note, portamento, null, time);
+    } else {
+      const glideFrom = portamento > 0 ? this.lastNote : null;
+      if (current) this.steal(current, time);
+      this.monoVoice = this.spawn(note, velocity, { glideFrom, portamento, time });
+    }
+    this.lastNote = note;
+  }
+
+  spawn(note, velocity, options) {
+    const voice = this.createVoice(note, velocity, options);
+    voice.onEnded = (ended) => this.remove(ended);
+    this.voices.push(voice);
+    return voice;
+  }
+
+  sounding(time) {
+    return this.voices.filter(v => v.isSoundingAt(time));
+  }
+
+  // Prefer voices that are already releasing; among those (or among all, if none are),
+  // pick the oldest or the quietest.
+  chooseVictim(time) {
+    const sounding = this.sounding(time);
+    const releasing = sounding.filter(v => v.state === 'releasing');
+    const candidates = releasing.length > 0 ? releasing : sounding;
+    const score = this.options.stealMode === 'quietest'
+      ? (v) => v.currentLevel()
+      : (v) => (v.state === 'releasing' ? v.releaseTime : v.startTime);
+    return candidates.reduce((victim, v) => (score(v) < score(victim) ? v : victim));
+  }
+
+  steal(voice, time) {
+    voice.kill(time);
+    this.remove(voice);
+  }
+
+  remove(voice) {
+    this.voices = this.voices.filter(v => v !== voice);
+    if (this.noteVoices.get(voice.note) === voice) this.noteVoices.delete(voice.note);
+    if (this.monoVoice === voice) this.monoVoice = null;
+  }
+}
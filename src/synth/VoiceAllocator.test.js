@@ -0,0 +1,199 @@
+import MockAudioContext from './mockAudioContext';
+import Voice from './Voice';
+import VoiceAllocator from './VoiceAllocator';
+
+const operator = (overrides = {}) => ({
+  on: true, ratio: 1, detune: 0, level: 0.8, velocitySens: 0,
+  attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.5, waveform: 'sine', ...overrides,
+});
+
+const patch = {
+  algorithm: 1,
+  feedback: 3,
+  operators: [operator(), operator(), operator(), operator()],
+};
+
+const setup = (options = {}) => {
+  const context = new MockAudioContext();
+  const output = context.createGain();
+  const vibrato = context.createGain();
+  const allocator = new VoiceAllocator((note, velocity, options) => new Voice(context, patch, {
+    note, velocity, destination: output, vibrato, ...options,
+  }), options);
+  return { context, output, vibrato, allocator };
+};
+
+const notesOf = (allocator) => allocator.voices.map(v => v.note);
+
+describe('VoiceAllocator (poly)', () => {
+  test('allocates one voice per note', () => {
+    const { allocator } = setup();
+    allocator.noteOn(60);
+    allocator.noteOn(64);
+    expect(notesOf(allocator)).toEqual([60, 64]);
+  });
+
+  test('steals the oldest voice when the limit is reached', () => {
+    const { context, allocator } = setup({ maxVoices: 2 });
+    allocator.noteOn(60);
+    context.advance(0.1);
+    allocator.noteOn(64);
+    context.advance(0.1);
+    const first = allocator.voices[0];
+    allocator.noteOn(67);
+    expect(notesOf(allocator)).toEqual([64, 67]);
+    expect(first.state).toBe('releasing');
+  });
+
+  test('steals the quietest voice in quietest mode', () => {
+    const { context, allocator } = setup({ maxVoices: 2, stealMode: 'quietest' });
+    allocator.noteOn(60);
+    allocator.noteOn(64);
+    allocator.voices[0].operators[3].env.gain.value = 0.9;
+    allocator.voices[1].operators[3].env.gain.value = 0.1;
+    context.advance(0.1);
+    allocator.noteOn(67);
+    expect(notesOf(allocator)).toEqual([60, 67]);
+  });
+
+  test('prefers releasing voices over held ones', () => {
+    const { context, allocator } = setup({ maxVoices: 2 });
+    allocator.noteOn(60);
+    allocator.noteOn(64);
+    allocator.noteOff(64);
+    context.advance(0.01);
+    allocator.noteOn(67);
+    expect(notesOf(allocator)).toEqual([60, 67]);
+  });
+
+  test('retriggers a note that is still releasing', () => {
+    const { context, allocator } = setup();
+    allocator.noteOn(60);
+    allocator.noteOff(60);
+    context.advance(0.1);
+    const releasing = allocator.voices[0];
+    allocator.noteOn(60);
+    expect(allocator.voices).toHaveLength(1);
+    expect(allocator.voices[0]).not.toBe(releasing);
+    expect(allocator.voices[0].state).toBe('active');
+    expect(releasing.state).toBe('releasing');
+  });
+
+  test('disconnects every per-voice node once the release has finished', () => {
+    const { context, output, vibrato, allocator } = setup();
+    const sharedNodes = context.nodes.slice();
+    allocator.noteOn(60);
+    const voiceNodes = context.nodes.filter(node => !sharedNodes.includes(node));
+    expect(voiceNodes.length).toBeGreaterThan(0);
+
+    allocator.noteOff(60);
+    context.advance(0.2);
+    expect(allocator.activeVoiceCount).toBe(1);
+
+    context.advance(1);
+    expect(allocator.activeVoiceCount).toBe(0);
+    voiceNodes.forEach(node => expect(node.connections.size).toBe(0));
+    expect(vibrato.connections.size).toBe(0);
+    expect(output.connections.size).toBe(0);
+  });
+
+  test('stolen voices are cleaned up after their short fade', () => {
+    const { context, allocator } = setup({ maxVoices: 1 });
+    allocator.noteOn(60);
+    const stolen = allocator.voices[0];
+    allocator.noteOn(62);
+    context.advance(0.1);
+    expect(stolen.state).toBe('done');
+    stolen.nodes.forEach(node => expect(node.connections.size).toBe(0));
+  });
+
+  test('voices scheduled to have ended do not count against the limit', () => {
+    const { allocator } = setup({ maxVoices: 1 });
+    allocator.noteOn(60, 1, 0);
+    allocator.noteOff(60, 0.5);
+    allocator.noteOn(64, 1, 2);
+    expect(allocator.voices.map(v => v.state)).toEqual(['releasing', 'active']);
+    expect(allocator.voices[1].startTime).toBe(2);
+  });
+
+  test('steals at the scheduled time', () => {
+    const { allocator } = setup({ maxVoices: 1 });
+    allocator.noteOn(60, 1, 0);
+    const first = allocator.voices[0];
+    allocator.noteOn(64, 1, 1);
+    expect(notesOf(allocator)).toEqual([64]);
+    expect(first.output.gain.events.find(e => e.type === 'linear').time).toBeCloseTo(1.005);
+  });
+
+  test('cutNote fades out a note whose release is scheduled later', () => {
+    const { allocator } = setup();
+    allocator.noteOn(60, 1, 0);
+    allocator.noteOff(60, 2);
+    const [voice] = allocator.voices;
+    allocator.cutNote(60, 0.5);
+    expect(allocator.voices).toEqual([]);
+    expect(voice.output.gain.events.find(e => e.type === 'linear').time).toBeCloseTo(0.505);
+  });
+});
+
+describe('VoiceAllocator (mono)', () => {
+  test('legato glides a single voice without retriggering', () => {
+    const { allocator } = setup({ mono: true, legato: true, portamento: 0.2 });
+    allocator.noteOn(60);
+    const voice = allocator.voices[0];
+    allocator.noteOn(64);
+    expect(allocator.voices).toEqual([voice]);
+    expect(voice.note).toBe(64);
+    const events = voice.operators[0].osc.frequency.events;
+    expect(events[events.length - 1].type).toBe('exponential');
+  });
+
+  test('returns to the previously held note on release', () => {
+    const { allocator } = setup({ mono: true });
+    allocator.noteOn(60);
+    allocator.noteOn(64);
+    allocator.noteOff(64);
+    expect(allocator.voices[0].note).toBe(60);
+    expect(allocator.voices[0].state).toBe('active');
+    allocator.noteOff(60);
+    expect(allocator.voices[0].state).toBe('releasing');
+  });
+
+  test('releasing a note that is not sounding keeps the current one', () => {
+    const { allocator } = setup({ mono: true });
+    allocator.noteOn(60);
+    allocator.noteOn(64);
+    allocator.noteOff(60);
+    expect(allocator.voices[0].note).toBe(64);
+    expect(allocator.voices[0].state).toBe('active');
+  });
+
+  test('non-legato mode retriggers a fresh voice each note', () => {
+    const { allocator } = setup({ mono: true, legato: false });
+    allocator.noteOn(60);
+    const first = allocator.voices[0];
+    allocator.noteOn(64);
+    expect(allocator.voices).toHaveLength(1);
+    expect(allocator.voices[0]).not.toBe(first);
+    expect(first.state).toBe('releasing');
+  });
+
+  test('cutNote stops the mono voice after its release was scheduled', () => {
+    const { allocator } = setup({ mono: true });
+    allocator.noteOn(60, 1, 0);
+    allocator.noteOff(60, 2);
+    allocator.cutNote(60, 0.5);
+    expect(allocator.voices).toEqual([]);
+    expect(allocator.monoVoice).toBeNull();
+  });
+
+  test('portamento glides new voices from the last note', () => {
+    const { allocator } = setup({ mono: true, legato: false, portamento: 0.1 });
+    allocator.noteOn(57);
+    allocator.noteOff(57);
+    allocator.noteOn(69);
+    const events = allocator.voices[0].operators[0].osc.frequency.events;
+    expect(events.find(e => e.type === 'set').value).toBeCloseTo(220);
+    expect(events[events.length - 1]).toMatchObject({ type: 'exponential', value: 440 });
+  });
+});
@@ -0,0 +1,86 @@
+import { createFmCore } from './fmCore';
+
+// --- AudioWorklet Engine ---
+// Alternative to the per-voice node graph: one AudioWorkletNode runs the phase-modulation
+// core (fmCore.js) for every voice, so a voice costs no audio nodes at all. The module
+// must be loaded with loadFmWorklet before an engine is created on a context.
+
+export const FM_PROCESSOR_NAME = 'fm-synth';
+
+// The worklet module: the core's source text plus a processor feeding it port messages.
+// Built as text so it needs no separate bundler entry; fmCore.js explains the constraints.
+export const fmWorkletSource = () => `
+const createFmCore = ${createFmCore.toString()};
+
+class FmSynthProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.core = createFmCore(sampleRate);
+    this.port.onmessage = (event) => this.core.post(event.data);
+  }
+
+  process(inputs, outputs) {
+    const ended = this.core.process(outputs[0][0], currentTime);
+    ended.forEach((id) => this.port.postMessage({ type: 'ended', id }));
+    return true;
+  }
+}
+
+registerProcessor('${FM_PROCESSOR_NAME}', FmSynthProcessor);
+`;
+
+const loadedContexts = new WeakMap();
+
+// Resolves once the processor is registered on `context`; loads it only once per context.
+export const loadFmWorklet = (context) => {
+  if (!context.audioWorklet) return Promise.reject(new Error('AudioWorklet is not supported in this browser'));
+  if (!loadedContexts.has(context)) {
+    const url = URL.createObjectURL(new Blob([fmWorkletSource()], { type: 'application/javascript' }));
+    const loading = context.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+    loading.catch(() => loadedContexts.delete(context));
+    loadedContexts.set(context, loading);
+  }
+  return loadedContexts.get(context);
+};
+
+export default class WorkletEngine {
+  constructor(context, destination) {
+    this.context = context;
+    this.node = new AudioWorkletNode(context, FM_PROCESSOR_NAME, { numberOfInputs: 0, numberOfOutputs: 1, outputChannelCount: [1] });
+    this.node.connect(destination);
+    this.voices = new Map(); // id -> WorkletVoice
+    this.nextId = 1;
+    this.node.port.onmessage = ({ data }) => {
+      if (data.type === 'ended') this.voices.get(data.id)?.finish();
+    };
+  }
+
+  post(message) {
+    this.node.port.postMessage(message);
+  }
+
+  register(voice) {
+    const id = this.nextId++;
+    this.voices.set(id, voice);
+    return id;
+  }
+
+  unregister(voice) {
+    this.voices.delete(voice.id);
+  }
+
+  // The shared (not key-synced) patch LFO.
+  setLfo({ waveform, rate }) {
+    this.post({ type: 'lfo', waveform, rate });
+  }
+
+  // Mod wheel factor on LFO depth.
+  setLfoScale(value) {
+    this.post({ type: 'lfoScale', value });
+  }
+
+  // Mod wheel vibrato; depth in cents.
+  setVibrato(rate, depth) {
+    this.post({ type: 'vibrato', rate, depth });
+  }
+}
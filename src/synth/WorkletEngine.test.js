@@ -0,0 +1,190 @@
+import MockAudioContext, { MockAudioWorkletNode } from './mockAudioContext';
+import FMSynth from './FMSynth';
+import Voice from './Voice';
+import { createFmCore } from './fmCore';
+import { fmWorkletSource, loadFmWorklet, FM_PROCESSOR_NAME } from './WorkletEngine';
+import { describeVoice, PM_INDEX_SCALE } from './WorkletVoice';
+import { initialPatch } from '../patch/patch';
+
+beforeAll(() => {
+  global.AudioWorkletNode = MockAudioWorkletNode;
+});
+
+afterAll(() => {
+  delete global.AudioWorkletNode;
+});
+
+// Algorithm 1: 1 > 2 > 3 > 4
+const patch = { ...initialPatch, algorithm: 1, feedback: 3 };
+
+const workletSynth = (options = {}) => {
+  const context = new MockAudioContext();
+  const synth = new FMSynth(context, { engine: 'worklet', ...options });
+  synth.setPatch(patch);
+  const node = context.nodes.find(n => n.kind === 'worklet');
+  return { context, synth, node };
+};
+
+// Feeds the node's messages to a real core, like the processor does, and reports ended voices back.
+const runThrough = (context, node, core, seconds) => {
+  node.port.messages.splice(0).forEach(message => core.post(message));
+  const output = new Float32Array(Math.round(seconds * context.sampleRate));
+  const ended = core.process(output, context.currentTime);
+  context.currentTime += seconds;
+  ended.forEach(id => node.port.onmessage({ data: { type: 'ended', id } }));
+  return output;
+};
+
+describe('describeVoice', () => {
+  test('scales modulators to a modulation index and carriers to an output gain', () => {
+    const { operators, modulations, feedbackOp } = describeVoice(patch, 69, 1);
+    expect(operators[0].carrier).toBe(false);
+    expect(operators[0].level).toBeCloseTo(initialPatch.operators[0].level * PM_INDEX_SCALE);
+    expect(operators[3].carrier).toBe(true);
+    expect(operators[3].level).toBeCloseTo(initialPatch.operators[3].level);
+    expect(operators[2]).toBeNull();
+    expect(modulations).toEqual([[0, 1], [1, 2], [2, 3]]);
+    expect(feedbackOp).toBe(0);
+  });
+
+  test('applies velocity sensitivity', () => {
+    const soft = describeVoice(patch, 60, 0).operators[3].level;
+    // velocitySens 0.5 at velocity 0 halves the level
+    expect(soft).toBeCloseTo(initialPatch.operators[3].level / 2);
+  });
+
+  test('only includes the LFO when the patch uses it', () => {
+    expect(describeVoice(patch, 60).lfo).toBeNull();
+    const vibrato = { ...patch, lfo: { ...patch.lfo, pmDepth: 30 } };
+    expect(describeVoice(vibrato, 60).lfo).toMatchObject({ pmDepth: 30, waveform: 'triangle' });
+  });
+
+  test('applies fixed frequency and key level scaling per note', () => {
+    const fixed = { ...patch, operators: patch.operators.map((op, i) => (i === 3 ? { ...op, fixed: true, fixedFreq: 500, keyRightDepth: 1 } : op)) };
+    expect(describeVoice(fixed, 60).operators[3].fixed).toBe(500);
+    expect(describeVoice(fixed, 60).operators[0].fixed).toBe(0);
+    expect(describeVoice(fixed, 84, 1).operators[3].level).toBeCloseTo(initialPatch.operators[3].level / 2);
+  });
+
+  test('passes the pitch envelope in cents when the patch has one', () => {
+    expect(describeVoice(patch, 60).pitchEnv).toBeNull();
+    expect(describeVoice({ ...patch, pitchEnv: { amount: -2, time: 0.08 } }, 60).pitchEnv).toEqual({ cents: -200, time: 0.08 });
+  });
+});
+
+describe('AudioWorklet module', () => {
+  test('registers a processor that renders through the core', () => {
+    const registered = {};
+    class AudioWorkletProcessor {
+      constructor() {
+        this.port = { postMessage: jest.fn(), onmessage: null };
+      }
+    }
+    // eslint-disable-next-line no-new-func
+    new Function('AudioWorkletProcessor', 'registerProcessor', 'sampleRate', 'currentTime', fmWorkletSource())(
+      AudioWorkletProcessor, (name, processor) => { registered[name] = processor; }, 48000, 0,
+    );
+    const processor = new registered[FM_PROCESSOR_NAME]();
+    processor.port.onmessage({ data: { type: 'noteOn', id: 1, time: 0, voice: describeVoice(patch, 69) } });
+    processor.port.onmessage({ data: { type: 'kill', id: 1, time: 0, fade: 0, end: 0.001 } });
+    const channel = new Float32Array(128);
+    expect(processor.process([], [[channel]])).toBe(true);
+    expect(processor.port.postMessage).toHaveBeenCalledWith({ type: 'ended', id: 1 });
+  });
+
+  test('is loaded once per context', async () => {
+    const { createObjectURL, revokeObjectURL } = URL;
+    URL.createObjectURL = jest.fn(() => 'blob:fm');
+    URL.revokeObjectURL = jest.fn();
+    try {
+      const context = new MockAudioContext();
+      await loadFmWorklet(context);
+      await loadFmWorklet(context);
+      expect(context.audioWorklet.modules).toEqual(['blob:fm']);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:fm');
+    } finally {
+      URL.createObjectURL = createObjectURL;
+      URL.revokeObjectURL = revokeObjectURL;
+    }
+  });
+
+  test('rejects where AudioWorklet is missing', async () => {
+    const context = new MockAudioContext();
+    delete context.audioWorklet;
+    await expect(loadFmWorklet(context)).rejects.toThrow('AudioWorklet is not supported');
+  });
+});
+
+describe('FMSynth worklet engine', () => {
+  test('plays every voice through one node', () => {
+    const { context, synth, node } = workletSynth();
+    const before = context.nodes.length;
+    synth.noteOn(60);
+    synth.noteOn(64);
+    synth.noteOn(67);
+    expect(context.nodes.length).toBe(before);
+    expect(node.connections.has(synth.effects.input)).toBe(true);
+    expect(node.port.messages.filter(m => m.type === 'noteOn')).toHaveLength(3);
+  });
+
+  test('renders sound and frees voices when the core reports them ended', () => {
+    const { context, synth, node } = workletSynth();
+    const core = createFmCore(context.sampleRate);
+    synth.noteOn(69, 1);
+    const held = runThrough(context, node, core, 0.2);
+    expect(Math.max(...held)).toBeGreaterThan(0.1);
+
+    synth.noteOff(69);
+    runThrough(context, node, core, 1);
+    expect(synth.voices.activeVoiceCount).toBe(0);
+    expect(core.voiceCount).toBe(0);
+  });
+
+  test('voice stealing works as with the node engine', () => {
+    const { context, synth, node } = workletSynth({ maxVoices: 2 });
+    synth.noteOn(60);
+    context.currentTime = 0.1;
+    synth.noteOn(64);
+    synth.noteOn(67);
+    expect(synth.activeNotes()).toEqual([64, 67]);
+    expect(node.port.messages.find(m => m.type === 'kill')).toMatchObject({ id: 1, time: 0.1 });
+  });
+
+  test('sends live edits, pitch bend and the mod wheel to the worklet', () => {
+    const { synth, node } = workletSynth();
+    synth.noteOn(60);
+    synth.setPatch({ ...patch, feedback: 5 });
+    synth.setPitchBend(1);
+    synth.setModWheel(0.5);
+    const types = node.port.messages.map(m => m.type);
+    expect(types).toEqual(expect.arrayContaining(['update', 'detune', 'vibrato', 'lfo']));
+    expect(node.port.messages.find(m => m.type === 'detune').cents).toBe(200);
+  });
+
+  test('sends the patch LFO with the first patch', () => {
+    const { node } = workletSynth();
+    const { waveform, rate } = patch.lfo;
+    expect(node.port.messages.filter(m => m.type === 'lfo')).toEqual([{ type: 'lfo', waveform, rate }]);
+  });
+
+  test('sends the mod wheel LFO depth to the worklet', () => {
+    const { synth, node } = workletSynth();
+    synth.setPatch({ ...patch, modWheel: { target: 'lfo', depth: 1, operators: [false, false, false, false] } });
+    synth.setModWheel(0.3);
+    expect(node.port.messages.filter(m => m.type === 'lfoScale').pop()).toEqual({ type: 'lfoScale', value: 0.3 });
+  });
+
+  test('switching engines releases held notes', () => {
+    const { synth } = workletSynth();
+    synth.noteOn(60);
+    synth.setEngine('nodes');
+    expect(synth.activeNotes()).toEqual([]);
+    synth.noteOn(62);
+    expect(synth.voices.voices[1]).toBeInstanceOf(Voice);
+  });
+
+  test('rejects unknown engines', () => {
+    const context = new MockAudioContext();
+    expect(() => new FMSynth(context, { engine: 'fpga' })).toThrow('Unknown synth engine fpga');
+  });
+});
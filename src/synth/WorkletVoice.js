@@ -0,0 +1,161 @@
+import { noteToFreq, operatorFreq, operatorLevel, feedbackIndex } from './Voice';
+import { getAlgorithm, isCarrier } from './algorithms';
+import { envelopeStages, envelopeLevelAt, releaseStage, rampValue } from './envelope';
+
+// Extra time after the longest release before the voice is dropped, as in Voice.js.
+const RELEASE_TAIL = 0.05;
+// Fade time used when a voice is stolen or retriggered.
+const KILL_TIME = 0.005;
+
+// Modulation index (radians of phase deviation) of a modulator at level 1. Close to the
+// node engine's timbre around A4 and, like the DX chips, about 4 pi at full level.
+export const PM_INDEX_SCALE = 4 * Math.PI;
+
+// Frequency and output level of one operator: `ratio` is the factor on the note
+// frequency, or `fixed` the frequency in Hz (0 when following the note). Carriers' levels
+// are output gains, modulators' are modulation indices; no algorithm has an operator that is both.
+const operatorSettings = (params, carrier, note, velocity) => ({
+  ratio: params.ratio * (1 + params.detune / 1000),
+  fixed: params.fixed ? operatorFreq(params, note) : 0,
+  level: operatorLevel(params, note, velocity) * (carrier ? 1 : PM_INDEX_SCALE),
+  waveform: params.waveform,
+});
+
+// Everything the DSP core (fmCore.js) needs to play a note of `patch`, worked out on the
+// main thread so the core stays a plain renderer. Operator indices are 0-based.
+export const describeVoice = (patch, note, velocity = 1, detune = 0) => {
+  const algo = getAlgorithm(patch.algorithm);
+  const { lfo } = patch;
+  const operators = patch.operators.map((params, i) => {
+    if (!params.on) return null;
+    const carrier = isCarrier(algo, i + 1);
+    return {
+      carrier,
+      ...operatorSettings(params, carrier, note, velocity),
+      stages: envelopeStages(params, note),
+      release: releaseStage(params, note, 0).duration,
+      curve: params.curve || 'linear',
+      am: lfo ? lfo.amDepth * (params.amSens || 0) : 0,
+    };
+  });
+  const usesLfo = lfo && (lfo.pmDepth > 0 || operators.some(op => op && op.am > 0));
+  const pitchEnv = patch.pitchEnv;
+  return {
+    noteFreq: noteToFreq(note),
+    detune,
+    pitchEnv: pitchEnv && pitchEnv.amount ? { cents: pitchEnv.amount * 100, time: pitchEnv.time } : null,
+    modulations: algo.modulations.map(([mod, target]) => [mod - 1, target - 1]),
+    feedbackOp: algo.feedback - 1,
+    feedback: feedbackIndex(patch.feedback),
+    lfo: usesLfo ? { waveform: lfo.waveform, rate: lfo.rate, delay: lfo.delay, fade: lfo.fade, keySync: lfo.keySync, pmDepth: lfo.pmDepth } : null,
+    operators,
+  };
+};
+
+// One note on the AudioWorklet engine. Implements the same interface as Voice (release,
+// kill, glideTo, updatePatch, setDetune, setLfoScale, currentLevel, isSoundingAt,
+// onEnded) for the VoiceAllocator and FMSynth, but only sends messages: the sound is
+// made by the engine's single node.
+export default class WorkletVoice {
+  constructor(engine, patch, { note, velocity = 1, detune = 0, glideFrom = null, portamento = 0, time }) {
+    const now = time ?? engine.context.currentTime;
+    this.engine = engine;
+    this.context = engine.context;
+    this.patch = patch;
+    this.note = note;
+    this.velocity = velocity;
+    this.state = 'active';
+    this.startTime = now;
+    this.releaseTime = null;
+    this.endTime = null;
+    this.onEnded = null;
+
+    this.description = describeVoice(patch, note, velocity, detune);
+    this.releaseFrom = null;
+    this.id = engine.register(this);
+    engine.post({ type: 'noteOn', id: this.id, time: now, voice: this.description });
+    if (glideFrom !== null && glideFrom !== note) this.glideTo(note, portamento, glideFrom, now);
+  }
+
+  // Moves the pitch of a sounding voice to another note without retriggering (mono/legato).
+  glideTo(note, portamento = 0, fromNote = null, time) {
+    const now = time ?? this.context.currentTime;
+    const from = fromNote ?? (time !== undefined ? this.note : null);
+    this.note = note;
+    this.engine.post({ type: 'glide', id: this.id, time: now, from: from !== null ? noteToFreq(from) : null, to: noteToFreq(note), duration: portamento });
+  }
+
+  // Live edits of frequency, level, velocity sensitivity, key scaling, feedback and waveform, as
+  // Voice.updatePatch; the algorithm, operator on/off and envelopes stay as the note started.
+  updatePatch(patch) {
+    this.patch = patch;
+    if (this.state === 'done') return;
+    this.engine.post({
+      type: 'update',
+      id: this.id,
+      feedback: feedbackIndex(patch.feedback),
+      operators: patch.operators.map((params, i) => {
+        const op = this.description.operators[i];
+        return op && operatorSettings(params, op.carrier, this.note, this.velocity);
+      }),
+    });
+  }
+
+  setDetune(cents) {
+    this.engine.post({ type: 'detune', id: this.id, cents });
+  }
+
+  // The core scales every voice's LFO at once (WorkletEngine.setLfoScale).
+  setLfoScale() {}
+
+  // Envelope level of an operator, computed the same way as in the core.
+  operatorLevelAt(index, time) {
+    const op = this.description.operators[index];
+    if (this.releaseTime === null || time < this.releaseTime) return envelopeLevelAt(op.stages, time - this.startTime);
+    return op.release > 0 ? rampValue(this.releaseFrom[index], 0, (time - this.releaseTime) / op.release, op.curve) : 0;
+  }
+
+  // Rough current loudness, used to pick the quietest voice to steal.
+  currentLevel() {
+    const now = this.context.currentTime;
+    return this.description.operators.reduce((sum, op, i) => (op && op.carrier ? sum + this.operatorLevelAt(i, now) * op.level : sum), 0);
+  }
+
+  isSoundingAt(time) {
+    return this.state !== 'done' && (this.endTime === null || this.endTime > (time ?? this.context.currentTime));
+  }
+
+  release(time) {
+    if (this.state !== 'active') return;
+    this.state = 'releasing';
+    const now = time ?? this.context.currentTime;
+    this.markReleased(now);
+    const longest = Math.max(0, ...this.description.operators.map(op => (op ? op.release : 0)));
+    this.endTime = now + longest + RELEASE_TAIL;
+    this.engine.post({ type: 'release', id: this.id, time: now, end: this.endTime });
+  }
+
+  // Keeps the envelope levels the release starts from, for currentLevel().
+  markReleased(time) {
+    this.releaseTime = time;
+    this.releaseFrom = this.description.operators.map(op => op && envelopeLevelAt(op.stages, time - this.startTime));
+  }
+
+  // Fast fade-out for voice stealing and retriggering.
+  kill(time) {
+    if (this.state === 'done') return;
+    const now = time ?? this.context.currentTime;
+    if (this.state === 'active') this.markReleased(now);
+    this.state = 'releasing';
+    this.endTime = Math.min(this.endTime ?? Infinity, now + KILL_TIME + RELEASE_TAIL);
+    this.engine.post({ type: 'kill', id: this.id, time: now, fade: KILL_TIME, end: this.endTime });
+  }
+
+  // Called by the engine when the core reports the voice has ended.
+  finish() {
+    if (this.state === 'done') return;
+    this.state = 'done';
+    this.engine.unregister(this);
+    if (this.onEnded) this.onEnded(this);
+  }
+}
@@ -0,0 +1,48 @@
+// --- FM Algorithm Table ---
+// Each algorithm is plain data shared by the audio routing and the visualizer.
+// Operators are numbered 1-4 as in the UI.
+//   modulations: [modulator, target] edges
+//   carriers:    operators mixed to the output
+//   feedback:    operator that can modulate itself (patch.feedback sets the amount)
+//   ym:          matching YM2151/YM2612 algorithm number (0-7), null if the chips have no equivalent
+// Ids are stored in patches, so existing ids must never be renumbered.
+
+export const ALGORITHMS = [
+  { id: 1, ym: 0, name: '1 > 2 > 3 > 4', modulations: [[1, 2], [2, 3], [3, 4]], carriers: [4], feedback: 1 },
+  { id: 3, ym: 1, name: '(1+2) > 3 > 4', modulations: [[1, 3], [2, 3], [3, 4]], carriers: [4], feedback: 1 },
+  { id: 7, ym: 2, name: '(1 + (2>3)) > 4', modulations: [[1, 4], [2, 3], [3, 4]], carriers: [4], feedback: 1 },
+  { id: 8, ym: 3, name: '((1>2) + 3) > 4', modulations: [[1, 2], [2, 4], [3, 4]], carriers: [4], feedback: 1 },
+  { id: 2, ym: 4, name: '(1>2) + (3>4)', modulations: [[1, 2], [3, 4]], carriers: [2, 4], feedback: 1 },
+  { id: 9, ym: 5, name: '1 > (2+3+4)', modulations: [[1, 2], [1, 3], [1, 4]], carriers: [2, 3, 4], feedback: 1 },
+  { id: 5, ym: 6, name: '(1>2) + 3 + 4', modulations: [[1, 2]], carriers: [2, 3, 4], feedback: 1 },
+  { id: 6, ym: 7, name: '1 + 2 + 3 + 4', modulations: [], carriers: [1, 2, 3, 4], feedback: 1 },
+  { id: 4, ym: null, name: '(1+2+3) > 4', modulations: [[1, 4], [2, 4], [3, 4]], carriers: [4], feedback: 1 },
+];
+
+export const DEFAULT_ALGORITHM_ID = 6;
+
+// Unknown ids fall back to the additive algorithm, as the original engine did.
+export const getAlgorithm = (id) =>
+  ALGORITHMS.find(algo => algo.id === id) || ALGORITHMS.find(algo => algo.id === DEFAULT_ALGORITHM_ID);
+
+export const getAlgorithmByYm = (ym) => ALGORITHMS.find(algo => algo.ym === ym) || null;
+
+export const isCarrier = (algo, op) => algo.carriers.includes(op);
+
+// Distance of each operator from the output: carriers are 0, their modulators 1, and so on.
+// Used to lay operators out in columns from left (deepest modulator) to right (carriers).
+export const operatorDepths = (algo) => {
+  const depths = {};
+  const depthOf = (op, visiting = new Set()) => {
+    if (depths[op] !== undefined) return depths[op];
+    if (visiting.has(op)) throw new Error(`Algorithm ${algo.id} has a modulation cycle at operator ${op}`);
+    visiting.add(op);
+    const targets = algo.modulations.filter(([mod]) => mod === op).map(([, target]) => target);
+    const depth = Math.max(isCarrier(algo, op) ? 0 : -Infinity, ...targets.map(t => depthOf(t, visiting) + 1));
+    visiting.delete(op);
+    depths[op] = depth;
+    return depth;
+  };
+  [1, 2, 3, 4].forEach(op => depthOf(op));
+  return depths;
+};
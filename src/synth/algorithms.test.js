@@ -0,0 +1,75 @@
+import { ALGORITHMS, getAlgorithm, getAlgorithmByYm, isCarrier, operatorDepths, DEFAULT_ALGORITHM_ID } from './algorithms';
+
+const OPS = [1, 2, 3, 4];
+
+describe('algorithm table', () => {
+  test('ids are unique', () => {
+    const ids = ALGORITHMS.map(algo => algo.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('covers all eight YM2151/YM2612 algorithms exactly once', () => {
+    const ym = ALGORITHMS.map(algo => algo.ym).filter(n => n !== null).sort();
+    expect(ym).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test.each(ALGORITHMS.map(algo => [algo.id, algo]))('algorithm %i is a well-formed operator graph', (id, algo) => {
+    expect(algo.carriers.length).toBeGreaterThan(0);
+    algo.carriers.forEach(op => expect(OPS).toContain(op));
+    algo.modulations.forEach(([mod, target]) => {
+      expect(OPS).toContain(mod);
+      expect(OPS).toContain(target);
+      expect(mod).not.toBe(target); // self-modulation is expressed via `feedback`
+      expect(isCarrier(algo, mod)).toBe(false);
+    });
+    expect(OPS).toContain(algo.feedback);
+    // Every operator reaches the output, and there are no cycles.
+    const depths = operatorDepths(algo);
+    OPS.forEach(op => expect(Number.isFinite(depths[op])).toBe(true));
+  });
+
+  test('YM routings match the chip documentation', () => {
+    const edges = (ym) => getAlgorithmByYm(ym).modulations.map(([m, t]) => `${m}>${t}`).sort();
+    const carriers = (ym) => getAlgorithmByYm(ym).carriers;
+
+    expect(edges(0)).toEqual(['1>2', '2>3', '3>4']);
+    expect(carriers(0)).toEqual([4]);
+    expect(edges(1)).toEqual(['1>3', '2>3', '3>4']);
+    expect(edges(2)).toEqual(['1>4', '2>3', '3>4']);
+    expect(edges(3)).toEqual(['1>2', '2>4', '3>4']);
+    expect(edges(4)).toEqual(['1>2', '3>4']);
+    expect(carriers(4)).toEqual([2, 4]);
+    expect(edges(5)).toEqual(['1>2', '1>3', '1>4']);
+    expect(carriers(5)).toEqual([2, 3, 4]);
+    expect(edges(6)).toEqual(['1>2']);
+    expect(carriers(6)).toEqual([2, 3, 4]);
+    expect(edges(7)).toEqual([]);
+    expect(carriers(7)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('original algorithm ids keep their routing', () => {
+    expect(getAlgorithm(1).carriers).toEqual([4]);
+    expect(getAlgorithm(2).carriers).toEqual([2, 4]);
+    expect(getAlgorithm(3).carriers).toEqual([4]);
+    expect(getAlgorithm(4).modulations).toEqual([[1, 4], [2, 4], [3, 4]]);
+    expect(getAlgorithm(5).carriers).toEqual([2, 3, 4]);
+    expect(getAlgorithm(6).carriers).toEqual([1, 2, 3, 4]);
+  });
+
+  test('unknown ids fall back to the additive algorithm', () => {
+    expect(getAlgorithm(99).id).toBe(DEFAULT_ALGORITHM_ID);
+    expect(getAlgorithmByYm(8)).toBeNull();
+  });
+});
+
+describe('operatorDepths', () => {
+  test('measures distance from the output', () => {
+    expect(operatorDepths(getAlgorithmByYm(0))).toEqual({ 1: 3, 2: 2, 3: 1, 4: 0 });
+    expect(operatorDepths(getAlgorithmByYm(2))).toEqual({ 1: 1, 2: 2, 3: 1, 4: 0 });
+  });
+
+  test('rejects cyclic routings', () => {
+    const broken = { id: 0, modulations: [[1, 2], [2, 1]], carriers: [3, 4] };
+    expect(() => operatorDepths(broken)).toThrow(/cycle/);
+  });
+});
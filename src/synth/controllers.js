@@ -0,0 +1,47 @@
+import { PATCH_DEFAULTS, MOD_WHEEL_DEFAULTS } from '../patch/patch';
+
+// --- Performance Controllers ---
+// What the pitch bend and mod wheels do is part of the patch: `pitchBendRange` in
+// semitones, and `modWheel` routing the wheel to one of MOD_WHEEL_TARGETS.
+
+export const MAX_PITCH_BEND_RANGE = 24; // semitones
+export const MAX_PITCH_ENV_AMOUNT = 48; // semitones either way
+
+// vibrato: the synth's own vibrato (VIBRATO_RATE); lfo: the patch LFO's pitch and
+// amplitude modulation; level: the levels of the operators in modWheel.operators.
+export const MOD_WHEEL_TARGETS = ['vibrato', 'lfo', 'level'];
+export const VIBRATO_RATE = 5.5; // Hz
+export const MAX_VIBRATO_DEPTH = 100; // cents at full wheel and depth 1
+
+// Bend wheel -1..1 -> cents.
+export const pitchBendCents = (patch, value) => value * (patch?.pitchBendRange ?? PATCH_DEFAULTS.pitchBendRange) * 100;
+
+// Mod wheel 0..1 -> factor on the routed setting. At depth 1 the wheel sweeps it from
+// nothing up to the patch value; at depth 0 the wheel does nothing.
+export const modWheelScale = (depth, value) => 1 - depth + depth * value;
+
+const modWheelSettings = (patch) => patch?.modWheel ?? MOD_WHEEL_DEFAULTS;
+
+// Vibrato depth in cents.
+export const modWheelVibrato = (patch, value) => {
+  const { target, depth } = modWheelSettings(patch);
+  return target === 'vibrato' ? value * depth * MAX_VIBRATO_DEPTH : 0;
+};
+
+// Factor on the patch LFO's depth.
+export const modWheelLfoScale = (patch, value) => {
+  const { target, depth } = modWheelSettings(patch);
+  return target === 'lfo' ? modWheelScale(depth, value) : 1;
+};
+
+// The patch as voices play it: with the wheel on 'level', the selected operators' levels
+// are scaled. Other routings return the patch itself.
+export const withModWheelLevels = (patch, value) => {
+  const { target, depth, operators } = modWheelSettings(patch);
+  if (target !== 'level' || !operators.some(Boolean)) return patch;
+  const scale = modWheelScale(depth, value);
+  return {
+    ...patch,
+    operators: patch.operators.map((op, i) => (operators[i] ? { ...op, level: op.level * scale } : op)),
+  };
+};
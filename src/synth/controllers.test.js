@@ -0,0 +1,59 @@
+import { pitchBendCents, modWheelScale, modWheelVibrato, modWheelLfoScale, withModWheelLevels, MAX_VIBRATO_DEPTH } from './controllers';
+import { initialPatch } from '../patch/patch';
+
+const routed = (target, depth = 1, operators = [true, false, false, false]) => ({ ...initialPatch, modWheel: { target, depth, operators } });
+
+describe('pitchBendCents', () => {
+  test('scales the wheel by the patch bend range', () => {
+    expect(pitchBendCents({ ...initialPatch, pitchBendRange: 12 }, 1)).toBe(1200);
+    expect(pitchBendCents({ ...initialPatch, pitchBendRange: 7 }, -0.5)).toBe(-350);
+    expect(pitchBendCents({ ...initialPatch, pitchBendRange: 0 }, 1)).toBe(0);
+  });
+
+  test('defaults to two semitones', () => {
+    expect(pitchBendCents(null, 1)).toBe(200);
+    expect(pitchBendCents({ algorithm: 1 }, -1)).toBe(-200);
+  });
+});
+
+describe('mod wheel routing', () => {
+  test('depth sets how far the wheel sweeps', () => {
+    expect(modWheelScale(1, 0)).toBe(0);
+    expect(modWheelScale(1, 0.5)).toBe(0.5);
+    expect(modWheelScale(0.5, 0)).toBe(0.5);
+    expect(modWheelScale(0, 0)).toBe(1);
+  });
+
+  test('vibrato target: depth in cents, nothing elsewhere', () => {
+    expect(modWheelVibrato(routed('vibrato', 0.5), 1)).toBe(MAX_VIBRATO_DEPTH / 2);
+    expect(modWheelVibrato(routed('vibrato'), 0)).toBe(0);
+    expect(modWheelVibrato(routed('lfo'), 1)).toBe(0);
+    expect(modWheelLfoScale(routed('vibrato'), 0)).toBe(1);
+  });
+
+  test('patches without routing keep the original 50 cent vibrato', () => {
+    expect(modWheelVibrato(null, 1)).toBe(50);
+  });
+
+  test('lfo target scales the LFO depth', () => {
+    expect(modWheelLfoScale(routed('lfo'), 0)).toBe(0);
+    expect(modWheelLfoScale(routed('lfo'), 0.25)).toBe(0.25);
+    expect(modWheelLfoScale(routed('lfo', 0.5), 0)).toBe(0.5);
+  });
+
+  test('level target scales the selected operators only', () => {
+    const patch = routed('level', 1, [true, false, true, false]);
+    const played = withModWheelLevels(patch, 0.5);
+    expect(played.operators.map(op => op.level)).toEqual([
+      patch.operators[0].level / 2, patch.operators[1].level, patch.operators[2].level / 2, patch.operators[3].level,
+    ]);
+    expect(patch.operators[0].level).toBe(initialPatch.operators[0].level);
+  });
+
+  test('returns the patch itself when levels are not routed', () => {
+    const vibrato = routed('vibrato');
+    expect(withModWheelLevels(vibrato, 0)).toBe(vibrato);
+    const none = routed('level', 1, [false, false, false, false]);
+    expect(withModWheelLevels(none, 0)).toBe(none);
+  });
+});
@@ -0,0 +1,63 @@
+// --- Envelope Math ---
+// Operator envelopes as plain data: attack -> hold -> decay 1 (to the break level,
+// `sustain`) -> decay 2 (from the break level towards silence while the key is held,
+// DX-style; 0 = hold the break level) and release. Operator.js turns these stages into
+// AudioParam automation; the graph editor draws them.
+
+export const ENVELOPE_CURVES = ['linear', 'exponential'];
+
+// Exponential ramps can't reach 0, so they run down to -60 dB and then drop to silence.
+export const EXP_FLOOR = 0.001;
+
+// Keyboard rate scaling: at full amount, envelope times halve every two octaves above C2.
+export const RATE_SCALING_BASE_NOTE = 36;
+const RATE_SCALING_OCTAVES_PER_HALVING = 2;
+
+export const rateScale = (note, amount = 0) =>
+  Math.pow(2, -amount * Math.max(0, note - RATE_SCALING_BASE_NOTE) / (12 * RATE_SCALING_OCTAVES_PER_HALVING));
+
+// Value part-way (progress 0..1) along a ramp.
+export const rampValue = (from, to, progress, curve = 'linear') => {
+  const p = Math.min(1, Math.max(0, progress));
+  if (curve !== 'exponential') return from + (to - from) * p;
+  const a = Math.max(EXP_FLOOR, from);
+  const b = Math.max(EXP_FLOOR, to);
+  const value = a * Math.pow(b / a, p);
+  return p >= 1 ? to : value;
+};
+
+// Key-on stages as [{ name, start, end, from, to, curve }], times in seconds from note-on.
+// Zero-length stages (no hold, no decay 2) are left out.
+export const envelopeStages = (params, note = 60) => {
+  const { attack, hold = 0, decay, sustain, decay2 = 0, curve = 'linear', rateScaling = 0 } = params;
+  const scale = rateScale(note, rateScaling);
+  const stages = [];
+  let time = 0;
+  const add = (name, duration, from, to) => {
+    if (duration <= 0) return;
+    stages.push({ name, start: time, end: time + duration, from, to, curve });
+    time += duration;
+  };
+  add('attack', attack * scale, 0, 1);
+  add('hold', hold, 1, 1);
+  add('decay', decay * scale, 1, sustain);
+  add('decay2', decay2 * scale, sustain, 0);
+  return stages;
+};
+
+// Envelope level `t` seconds after note-on (before release).
+export const envelopeLevelAt = (stages, t) => {
+  if (t <= 0 || stages.length === 0) return 0;
+  const stage = stages.find(s => t < s.end);
+  if (!stage) return stages[stages.length - 1].to;
+  return rampValue(stage.from, stage.to, (t - stage.start) / (stage.end - stage.start), stage.curve);
+};
+
+// Release from whatever level the envelope had reached when the key was let go.
+export const releaseStage = (params, note, from) => ({
+  name: 'release',
+  duration: params.release * rateScale(note, params.rateScaling || 0),
+  from,
+  to: 0,
+  curve: params.curve || 'linear',
+});
@@ -0,0 +1,84 @@
+import { rateScale, rampValue, envelopeStages, envelopeLevelAt, releaseStage, EXP_FLOOR, RATE_SCALING_BASE_NOTE } from './envelope';
+
+const params = (overrides = {}) => ({
+  attack: 0.1, hold: 0, decay: 0.2, sustain: 0.5, decay2: 0, release: 0.4, curve: 'linear', rateScaling: 0, ...overrides,
+});
+
+describe('rateScale', () => {
+  test('leaves times alone without rate scaling or below the base note', () => {
+    expect(rateScale(96, 0)).toBe(1);
+    expect(rateScale(RATE_SCALING_BASE_NOTE - 12, 1)).toBe(1);
+  });
+
+  test('halves times every two octaves at full amount', () => {
+    expect(rateScale(RATE_SCALING_BASE_NOTE + 24, 1)).toBeCloseTo(0.5);
+    expect(rateScale(RATE_SCALING_BASE_NOTE + 48, 1)).toBeCloseTo(0.25);
+    expect(rateScale(RATE_SCALING_BASE_NOTE + 24, 0.5)).toBeCloseTo(Math.SQRT1_2);
+  });
+});
+
+describe('rampValue', () => {
+  test('interpolates linearly', () => {
+    expect(rampValue(1, 0.5, 0.5)).toBeCloseTo(0.75);
+    expect(rampValue(0, 1, 2)).toBe(1);
+  });
+
+  test('interpolates exponentially and lands exactly on the target', () => {
+    expect(rampValue(1, 0.25, 0.5, 'exponential')).toBeCloseTo(0.5);
+    expect(rampValue(1, 0, 1, 'exponential')).toBe(0);
+    expect(rampValue(1, 0, 0.5, 'exponential')).toBeCloseTo(Math.sqrt(EXP_FLOOR));
+  });
+});
+
+describe('envelopeStages', () => {
+  test('builds attack and decay to the break level', () => {
+    const stages = envelopeStages(params());
+    expect(stages.map(s => s.name)).toEqual(['attack', 'decay']);
+    expect(stages[1]).toMatchObject({ start: 0.1, from: 1, to: 0.5 });
+    expect(stages[1].end).toBeCloseTo(0.3);
+  });
+
+  test('adds hold and second decay stages when set', () => {
+    const stages = envelopeStages(params({ hold: 0.05, decay2: 2 }));
+    expect(stages.map(s => s.name)).toEqual(['attack', 'hold', 'decay', 'decay2']);
+    expect(stages[1]).toMatchObject({ from: 1, to: 1 });
+    expect(stages[3]).toMatchObject({ from: 0.5, to: 0 });
+    expect(stages[3].end).toBeCloseTo(2.35);
+  });
+
+  test('shortens rate-scaled stages for high notes but not the hold', () => {
+    const note = RATE_SCALING_BASE_NOTE + 24;
+    const stages = envelopeStages(params({ hold: 0.1, rateScaling: 1 }), note);
+    expect(stages[0].end).toBeCloseTo(0.05);
+    expect(stages[1].end - stages[1].start).toBeCloseTo(0.1);
+    expect(stages[2].end - stages[2].start).toBeCloseTo(0.1);
+  });
+});
+
+describe('envelopeLevelAt', () => {
+  const stages = envelopeStages(params({ decay2: 1 }));
+
+  test('follows the stages', () => {
+    expect(envelopeLevelAt(stages, 0)).toBe(0);
+    expect(envelopeLevelAt(stages, 0.05)).toBeCloseTo(0.5);
+    expect(envelopeLevelAt(stages, 0.2)).toBeCloseTo(0.75);
+    expect(envelopeLevelAt(stages, 0.8)).toBeCloseTo(0.25);
+  });
+
+  test('stays at the final level after the last stage', () => {
+    expect(envelopeLevelAt(stages, 5)).toBe(0);
+    expect(envelopeLevelAt(envelopeStages(params()), 5)).toBe(0.5);
+  });
+
+  test('uses the curve of each stage', () => {
+    const exp = envelopeStages(params({ sustain: 0.25, curve: 'exponential' }));
+    expect(envelopeLevelAt(exp, 0.2)).toBeCloseTo(0.5);
+  });
+});
+
+describe('releaseStage', () => {
+  test('releases from the given level with rate scaling', () => {
+    expect(releaseStage(params(), 60, 0.3)).toEqual({ name: 'release', duration: 0.4, from: 0.3, to: 0, curve: 'linear' });
+    expect(releaseStage(params({ rateScaling: 1 }), RATE_SCALING_BASE_NOTE + 24, 1).duration).toBeCloseTo(0.2);
+  });
+});
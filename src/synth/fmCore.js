@@ -0,0 +1,283 @@
+// --- FM DSP Core ---
+// Sample-by-sample renderer behind the AudioWorklet engine (WorkletEngine.js). Operators
+// are phase modulated as on the OPM/OPN/DX chips: a modulator's output is added to its
+// target's phase, so the modulation index, and with it the timbre, doesn't depend on pitch.
+// Self-feedback averages the operator's last two outputs, as the chips do.
+//
+// createFmCore is turned into source text for the worklet module, so it must stay
+// self-contained: no imports or module-level references, and no syntax Babel compiles
+// to helper calls (classes, spread, for...of, array destructuring). Everything a voice
+// needs (frequencies, levels, envelope stages, release times) is worked out on the main
+// thread by WorkletVoice.
+//
+// Messages (times on the audio clock; a missing time means as soon as possible):
+//   { type: 'noteOn', id, time, voice }      voice: see describeVoice in WorkletVoice.js
+//   { type: 'release', id, time, end }        release envelopes, stop at `end`
+//   { type: 'kill', id, time, fade, end }     linear fade-out over `fade` seconds
+//   { type: 'glide', id, time, from, to, duration }   note frequencies in Hz
+//   { type: 'update', id, feedback, operators }       live edits, smoothed
+//   { type: 'detune', id, cents }             pitch bend, smoothed
+//   { type: 'vibrato', rate, depth }          mod wheel vibrato (depth in cents)
+//   { type: 'lfo', waveform, rate }           the shared patch LFO
+//   { type: 'lfoScale', value }               mod wheel factor on every voice's LFO depth
+
+export const createFmCore = (sampleRate) => {
+  const TWO_PI = 2 * Math.PI;
+  const EXP_FLOOR = 0.001; // as in envelope.js
+  // One-pole smoothing for live edits, ~10 ms.
+  const SMOOTHING = 1 - Math.exp(-1 / (0.01 * sampleRate));
+
+  const queue = [];
+  let voices = [];
+  const vibrato = { rate: 0, depth: 0, depthTarget: 0, phase: 0 };
+  const sharedLfo = { waveform: 'triangle', rate: 5, phase: 0, held: 0 };
+  const lfoScale = { value: 1, target: 1 };
+
+  // Mirrors rampValue in envelope.js.
+  const ramp = (from, to, progress, curve) => {
+    const p = Math.min(1, Math.max(0, progress));
+    if (curve !== 'exponential') return from + (to - from) * p;
+    if (p >= 1) return to;
+    const a = Math.max(EXP_FLOOR, from);
+    return a * Math.pow(Math.max(EXP_FLOOR, to) / a, p);
+  };
+
+  // Mirrors envelopeLevelAt in envelope.js.
+  const keyOnLevel = (stages, t) => {
+    if (t <= 0 || stages.length === 0) return 0;
+    for (let i = 0; i < stages.length; i++) {
+      const stage = stages[i];
+      if (t < stage.end) return ramp(stage.from, stage.to, (t - stage.start) / (stage.end - stage.start), stage.curve);
+    }
+    return stages[stages.length - 1].to;
+  };
+
+  // `phase` in cycles. The shapes match the Web Audio oscillator types.
+  const wave = (type, phase) => {
+    const p = phase - Math.floor(phase);
+    if (type === 'square') return p < 0.5 ? 1 : -1;
+    if (type === 'sawtooth') return p < 0.5 ? 2 * p : 2 * p - 2;
+    if (type === 'triangle') return p < 0.25 ? 4 * p : (p < 0.75 ? 2 - 4 * p : 4 * p - 4);
+    return Math.sin(TWO_PI * p);
+  };
+
+  const lfoValue = (lfo) => (lfo.waveform === 'sampleHold' ? lfo.held : wave(lfo.waveform, lfo.phase));
+
+  const advanceLfo = (lfo) => {
+    lfo.phase += lfo.rate / sampleRate;
+    if (lfo.phase >= 1) {
+      lfo.phase -= Math.floor(lfo.phase);
+      lfo.held = Math.random() * 2 - 1;
+    }
+  };
+
+  // Delay, then fade-in, as scheduleLfoFade in Lfo.js: 0..1.
+  const lfoFade = (lfo, t) => {
+    if (t < lfo.delay) return 0;
+    return lfo.fade > 0 ? Math.min(1, (t - lfo.delay) / lfo.fade) : 1;
+  };
+
+  const startVoice = (id, time, description) => {
+    const modulators = [[], [], [], []];
+    description.modulations.forEach((edge) => { modulators[edge[1]].push(edge[0]); });
+    const lfo = description.lfo;
+    return {
+      id,
+      startTime: time,
+      releaseTime: null,
+      endTime: null,
+      killTime: null,
+      killFade: 0,
+      noteFreq: description.noteFreq,
+      glide: null,
+      detune: description.detune,
+      detuneTarget: description.detune,
+      pitchEnv: description.pitchEnv,
+      feedbackOp: description.feedbackOp,
+      feedback: description.feedback,
+      feedbackTarget: description.feedback,
+      modulators,
+      lfo,
+      ownLfo: lfo && lfo.keySync ? { waveform: lfo.waveform, rate: lfo.rate, phase: 0, held: Math.random() * 2 - 1 } : null,
+      operators: description.operators.map((op) => op && {
+        carrier: op.carrier,
+        ratio: op.ratio,
+        ratioTarget: op.ratio,
+        fixed: op.fixed,
+        fixedTarget: op.fixed,
+        level: op.level,
+        levelTarget: op.level,
+        waveform: op.waveform,
+        stages: op.stages,
+        release: op.release,
+        curve: op.curve,
+        am: op.am,
+        releaseFrom: 0,
+        phase: 0,
+        out: 0,
+        prev: 0,
+      }),
+    };
+  };
+
+  const findVoice = (id) => voices.find((voice) => voice.id === id);
+
+  const noteFreqAt = (voice, t) => {
+    const glide = voice.glide;
+    if (!glide || t >= glide.start + glide.duration) return glide ? glide.to : voice.noteFreq;
+    if (t < glide.start) return glide.from;
+    return glide.from * Math.pow(glide.to / glide.from, (t - glide.start) / glide.duration);
+  };
+
+  const apply = (message, t) => {
+    const time = message.time === undefined ? t : message.time;
+    if (message.type === 'noteOn') {
+      voices.push(startVoice(message.id, time, message.voice));
+      return;
+    }
+    if (message.type === 'vibrato') {
+      vibrato.rate = message.rate;
+      vibrato.depthTarget = message.depth;
+      return;
+    }
+    if (message.type === 'lfo') {
+      sharedLfo.waveform = message.waveform;
+      sharedLfo.rate = message.rate;
+      return;
+    }
+    if (message.type === 'lfoScale') {
+      lfoScale.target = message.value;
+      return;
+    }
+    const voice = findVoice(message.id);
+    if (!voice) return;
+    if (message.type === 'release') {
+      voice.releaseTime = time;
+      voice.operators.forEach((op) => { if (op) op.releaseFrom = keyOnLevel(op.stages, time - voice.startTime); });
+      voice.endTime = message.end;
+    } else if (message.type === 'kill') {
+      voice.killTime = time;
+      voice.killFade = message.fade;
+      voice.endTime = voice.endTime === null ? message.end : Math.min(voice.endTime, message.end);
+    } else if (message.type === 'glide') {
+      const from = message.from === null ? noteFreqAt(voice, time) : message.from;
+      voice.glide = { from, to: message.to, start: time, duration: message.duration };
+    } else if (message.type === 'update') {
+      voice.feedbackTarget = message.feedback;
+      message.operators.forEach((params, i) => {
+        const op = voice.operators[i];
+        if (!op || !params) return;
+        op.ratioTarget = params.ratio;
+        op.fixedTarget = params.fixed;
+        // Switching between fixed and ratio mode jumps; fixed frequency edits are smoothed.
+        if (!(op.fixed > 0 && params.fixed > 0)) op.fixed = params.fixed;
+        op.levelTarget = params.level;
+        op.waveform = params.waveform;
+      });
+    } else if (message.type === 'detune') {
+      voice.detuneTarget = message.cents;
+    }
+  };
+
+  const envelopeLevel = (voice, op, t) => {
+    if (voice.releaseTime === null || t < voice.releaseTime) return keyOnLevel(op.stages, t - voice.startTime);
+    if (op.release <= 0) return 0;
+    return ramp(op.releaseFrom, 0, (t - voice.releaseTime) / op.release, op.curve);
+  };
+
+  const renderVoice = (voice, t, vibratoCents, sharedLfoValue) => {
+    voice.detune += (voice.detuneTarget - voice.detune) * SMOOTHING;
+    voice.feedback += (voice.feedbackTarget - voice.feedback) * SMOOTHING;
+    let cents = voice.detune + vibratoCents;
+    // Pitch envelope: a linear ramp in cents from the start offset, as in Voice.js.
+    const elapsed = t - voice.startTime;
+    if (voice.pitchEnv && elapsed < voice.pitchEnv.time) cents += voice.pitchEnv.cents * (1 - elapsed / voice.pitchEnv.time);
+    let lfo = 0;
+    let fade = 0;
+    if (voice.lfo) {
+      lfo = (voice.ownLfo ? lfoValue(voice.ownLfo) : sharedLfoValue) * lfoScale.value;
+      fade = lfoFade(voice.lfo, elapsed);
+      cents += lfo * voice.lfo.pmDepth * fade;
+      if (voice.ownLfo) advanceLfo(voice.ownLfo);
+    }
+    const bend = Math.pow(2, cents / 1200);
+    const pitch = noteFreqAt(voice, t) * bend;
+
+    // Modulators always have lower indices than their targets, so one pass in order works.
+    let sum = 0;
+    for (let i = 0; i < 4; i++) {
+      const op = voice.operators[i];
+      if (!op) continue;
+      op.ratio += (op.ratioTarget - op.ratio) * SMOOTHING;
+      op.fixed += (op.fixedTarget - op.fixed) * SMOOTHING;
+      op.level += (op.levelTarget - op.level) * SMOOTHING;
+
+      let modulation = 0;
+      const modulators = voice.modulators[i];
+      for (let m = 0; m < modulators.length; m++) {
+        const modulator = voice.operators[modulators[m]];
+        if (modulator) modulation += modulator.out * modulator.level;
+      }
+      if (i === voice.feedbackOp) modulation += (op.out + op.prev) / 2 * voice.feedback;
+
+      // Unipolar AM like the node engine: the gain dips by up to `am` at the LFO minimum.
+      const am = op.am > 0 ? 1 - fade * op.am / 2 * (1 + lfo) : 1;
+      const out = wave(op.waveform, op.phase + modulation / TWO_PI) * envelopeLevel(voice, op, t) * am;
+      op.phase += (op.fixed > 0 ? op.fixed * bend : pitch * op.ratio) / sampleRate;
+      op.phase -= Math.floor(op.phase);
+      op.prev = op.out;
+      op.out = out;
+      if (op.carrier) sum += out * op.level;
+    }
+
+    if (voice.killTime !== null && t >= voice.killTime) {
+      sum *= voice.killFade > 0 ? Math.max(0, 1 - (t - voice.killTime) / voice.killFade) : 0;
+    }
+    return sum;
+  };
+
+  return {
+    // Queues a message, keeping the queue in time order.
+    post(message) {
+      const time = message.time === undefined ? -Infinity : message.time;
+      let index = queue.length;
+      while (index > 0 && queue[index - 1].at > time) index--;
+      queue.splice(index, 0, { at: time, message });
+    },
+
+    // Fills `output` with the block starting at `startTime` (seconds). Returns the ids of
+    // voices that ended during the block.
+    process(output, startTime) {
+      const ended = [];
+      for (let i = 0; i < output.length; i++) {
+        const t = startTime + i / sampleRate;
+        while (queue.length > 0 && queue[0].at <= t) apply(queue.shift().message, t);
+
+        vibrato.depth += (vibrato.depthTarget - vibrato.depth) * SMOOTHING;
+        const vibratoCents = vibrato.depth * Math.sin(TWO_PI * vibrato.phase);
+        vibrato.phase += vibrato.rate / sampleRate;
+        vibrato.phase -= Math.floor(vibrato.phase);
+        const shared = lfoValue(sharedLfo);
+        lfoScale.value += (lfoScale.target - lfoScale.value) * SMOOTHING;
+        advanceLfo(sharedLfo);
+
+        let sum = 0;
+        for (let v = 0; v < voices.length; v++) {
+          const voice = voices[v];
+          if (voice.endTime !== null && t >= voice.endTime) {
+            if (ended.indexOf(voice.id) < 0) ended.push(voice.id);
+            continue;
+          }
+          sum += renderVoice(voice, t, vibratoCents, shared);
+        }
+        output[i] = sum;
+      }
+      if (ended.length > 0) voices = voices.filter((voice) => ended.indexOf(voice.id) < 0);
+      return ended;
+    },
+
+    get voiceCount() {
+      return voices.length;
+    },
+  };
+};
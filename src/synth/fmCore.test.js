@@ -0,0 +1,172 @@
+import { createFmCore } from './fmCore';
+import { envelopeStages, envelopeLevelAt } from './envelope';
+
+const SAMPLE_RATE = 48000;
+
+const operator = (overrides = {}) => ({
+  carrier: true, ratio: 1, fixed: 0, level: 1, waveform: 'sine', am: 0, curve: 'linear', release: 0.1,
+  stages: envelopeStages({ attack: 0.001, decay: 0.1, sustain: 1 }), ...overrides,
+});
+
+// Operator 4 as the only carrier, optionally modulated by operator 3.
+const voice = (overrides = {}) => ({
+  noteFreq: 375, detune: 0, modulations: [], feedbackOp: 0, feedback: 0, lfo: null,
+  operators: [null, null, null, operator()], ...overrides,
+});
+
+const runBlock = (core, seconds, start = 0) => {
+  const output = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  const ended = core.process(output, start);
+  return { output, ended };
+};
+
+const play = (description, seconds = 0.2) => {
+  const core = createFmCore(SAMPLE_RATE);
+  core.post({ type: 'noteOn', id: 1, time: 0, voice: description });
+  return runBlock(core, seconds).output;
+};
+
+const zeroCrossings = (samples) => samples.reduce((count, v, i) => (i > 0 && (samples[i - 1] < 0) !== (v < 0) ? count + 1 : count), 0);
+
+describe('createFmCore', () => {
+  test('renders silence without voices', () => {
+    const core = createFmCore(SAMPLE_RATE);
+    const { output, ended } = runBlock(core, 0.01);
+    expect(output.every(v => v === 0)).toBe(true);
+    expect(ended).toEqual([]);
+  });
+
+  test('an unmodulated carrier is a sine at the note frequency', () => {
+    const output = play(voice({ noteFreq: 440 }), 1);
+    // Two zero crossings per cycle
+    expect(Math.abs(zeroCrossings(output) - 880)).toBeLessThanOrEqual(2);
+    expect(Math.max(...output.slice(SAMPLE_RATE / 2))).toBeCloseTo(1, 2);
+  });
+
+  test('follows the envelope stages computed on the main thread', () => {
+    const stages = envelopeStages({ attack: 0.02, hold: 0.01, decay: 0.05, sustain: 0.4, curve: 'exponential' });
+    // A square wave at level 1 makes |output| the envelope itself.
+    const output = play(voice({ operators: [null, null, null, operator({ waveform: 'square', stages, curve: 'exponential' })] }), 0.1);
+    [10, 500, 1200, 2000, 3000, 4500].forEach(n => expect(Math.abs(output[n])).toBeCloseTo(envelopeLevelAt(stages, n / SAMPLE_RATE), 5));
+  });
+
+  test('phase modulation gives the same waveform at every pitch', () => {
+    // 375 Hz and 750 Hz are exactly 128 and 64 samples per cycle.
+    const modulated = (noteFreq) => play(voice({
+      noteFreq,
+      modulations: [[2, 3]],
+      operators: [null, null, operator({ carrier: false, level: 3 }), operator()],
+    }), 0.1);
+    const low = modulated(375);
+    const high = modulated(750);
+    for (let n = 1000; n < 2000; n += 37) {
+      expect(high[n]).toBeCloseTo(low[2 * n], 4);
+    }
+    // ...and the modulation really changes the timbre.
+    expect(zeroCrossings(low.slice(1000, 1128))).toBeGreaterThan(2);
+  });
+
+  test('feedback bends the operator away from a sine, within bounds', () => {
+    const plain = play(voice({ feedbackOp: 3 }));
+    const fed = play(voice({ feedbackOp: 3, feedback: 4 * Math.PI }));
+    const difference = plain.reduce((max, v, i) => Math.max(max, Math.abs(v - fed[i])), 0);
+    expect(difference).toBeGreaterThan(0.1);
+    expect(fed.every(v => Math.abs(v) <= 1)).toBe(true);
+  });
+
+  test('starts notes on the exact sample they are scheduled for', () => {
+    const core = createFmCore(SAMPLE_RATE);
+    const start = 100 / SAMPLE_RATE;
+    core.post({ type: 'noteOn', id: 1, time: start, voice: voice({ operators: [null, null, null, operator({ waveform: 'square' })] }) });
+    const { output } = runBlock(core, 0.01);
+    expect(output.slice(0, 101).every(v => v === 0)).toBe(true);
+    expect(output[101]).not.toBe(0);
+  });
+
+  test('releases and reports the voice once it has ended', () => {
+    const core = createFmCore(SAMPLE_RATE);
+    core.post({ type: 'noteOn', id: 7, time: 0, voice: voice() });
+    core.post({ type: 'release', id: 7, time: 0.05, end: 0.2 });
+    const first = runBlock(core, 0.1);
+    expect(first.ended).toEqual([]);
+    // Half way through the 0.1 s release
+    const peak = Math.max(...first.output.slice(Math.round(0.09 * SAMPLE_RATE)));
+    expect(peak).toBeGreaterThan(0.4);
+    expect(peak).toBeLessThan(0.6);
+    const second = runBlock(core, 0.15, 0.1);
+    expect(second.ended).toEqual([7]);
+    expect(core.voiceCount).toBe(0);
+  });
+
+  test('kill fades a voice out quickly', () => {
+    const core = createFmCore(SAMPLE_RATE);
+    core.post({ type: 'noteOn', id: 1, time: 0, voice: voice() });
+    core.post({ type: 'kill', id: 1, time: 0.05, fade: 0.005, end: 0.06 });
+    const { output, ended } = runBlock(core, 0.1);
+    expect(output.slice(Math.round(0.0551 * SAMPLE_RATE)).every(v => v === 0)).toBe(true);
+    expect(ended).toEqual([1]);
+  });
+
+  test('glides between note frequencies', () => {
+    const core = createFmCore(SAMPLE_RATE);
+    core.post({ type: 'noteOn', id: 1, time: 0, voice: voice({ noteFreq: 220 }) });
+    core.post({ type: 'glide', id: 1, time: 0, from: null, to: 440, duration: 0.5 });
+    const { output } = runBlock(core, 1);
+    const firstQuarter = zeroCrossings(output.slice(0, SAMPLE_RATE / 4));
+    const lastHalf = zeroCrossings(output.slice(SAMPLE_RATE / 2));
+    expect(firstQuarter).toBeGreaterThan(110);
+    expect(firstQuarter).toBeLessThan(150);
+    expect(Math.abs(lastHalf - 440)).toBeLessThanOrEqual(2);
+  });
+
+  test('smooths live level edits', () => {
+    const core = createFmCore(SAMPLE_RATE);
+    core.post({ type: 'noteOn', id: 1, time: 0, voice: voice({ operators: [null, null, null, operator({ waveform: 'square' })] }) });
+    core.post({ type: 'update', id: 1, time: 0.05, feedback: 0, operators: [null, null, null, { ratio: 1, fixed: 0, level: 0.5, waveform: 'square' }] });
+    const { output } = runBlock(core, 0.2);
+    const at = (t) => Math.abs(output[Math.round(t * SAMPLE_RATE)]);
+    expect(at(0.049)).toBeCloseTo(1, 5);
+    expect(at(0.052)).toBeGreaterThan(0.5);
+    expect(at(0.052)).toBeLessThan(1);
+    expect(at(0.19)).toBeCloseTo(0.5, 3);
+  });
+
+  test('fixed-frequency operators ignore the note but follow pitch bend', () => {
+    const fixed = (noteFreq, detune = 0) => play(voice({ noteFreq, detune, operators: [null, null, null, operator({ fixed: 300 })] }), 1);
+    expect(Math.abs(zeroCrossings(fixed(440)) - 600)).toBeLessThanOrEqual(2);
+    expect(fixed(880)).toEqual(fixed(440));
+    expect(Math.abs(zeroCrossings(fixed(440, 1200)) - 1200)).toBeLessThanOrEqual(2);
+  });
+
+  test('starts notes off pitch by the pitch envelope and slides back', () => {
+    const output = play(voice({ noteFreq: 440, pitchEnv: { cents: 1200, time: 0.5 } }), 1);
+    // Averages 1.5 x 440 Hz over the first quarter second...
+    const early = zeroCrossings(output.slice(0, SAMPLE_RATE / 4));
+    expect(early).toBeGreaterThan(300);
+    expect(early).toBeLessThan(400);
+    // ...and is back at the note after the envelope time.
+    expect(Math.abs(zeroCrossings(output.slice(SAMPLE_RATE / 2)) - 440)).toBeLessThanOrEqual(2);
+  });
+
+  test('scales LFO depth by the mod wheel factor', () => {
+    // A square LFO an octave up for its first half second
+    const lfo = { waveform: 'square', rate: 1, delay: 0, fade: 0, keySync: true, pmDepth: 1200 };
+    const crossings = (scale) => {
+      const core = createFmCore(SAMPLE_RATE);
+      core.post({ type: 'lfoScale', value: scale });
+      core.post({ type: 'noteOn', id: 1, time: 0, voice: voice({ noteFreq: 440, lfo }) });
+      return zeroCrossings(runBlock(core, 0.45).output.slice(SAMPLE_RATE / 5));
+    };
+    expect(Math.abs(crossings(1) - 440)).toBeLessThanOrEqual(2);
+    expect(Math.abs(crossings(0) - 220)).toBeLessThanOrEqual(2);
+  });
+
+  test('runs from its source text alone, as in the worklet module', () => {
+    // eslint-disable-next-line no-new-func
+    const standalone = new Function(`return (${createFmCore.toString()});`)();
+    const description = voice({ modulations: [[2, 3]], operators: [null, null, operator({ carrier: false, level: 2 }), operator()] });
+    const core = standalone(SAMPLE_RATE);
+    core.post({ type: 'noteOn', id: 1, time: 0, voice: description });
+    expect(runBlock(core, 0.05).output).toEqual(play(description, 0.05));
+  });
+});
@@ -0,0 +1,29 @@
+// --- Keyboard Level Scaling ---
+// DX-style: an operator's level changes with the distance of the note from a breakpoint,
+// with a depth and curve of its own on each side. '-' curves attenuate away from the
+// breakpoint, '+' curves boost; 'lin' changes evenly per octave, 'exp' little near the
+// breakpoint and steeply further out. (Keyboard rate scaling is rateScale in envelope.js.)
+
+export const KEY_SCALING_CURVES = ['-lin', '-exp', '+exp', '+lin'];
+
+// Octaves from the breakpoint at which a curve reaches its full depth.
+export const KEY_SCALING_SPAN = 4;
+// A boosting curve at full depth doubles the level.
+const MAX_KEY_SCALE = 2;
+
+const curveAmount = (curve, octaves) => {
+  const x = Math.min(octaves, KEY_SCALING_SPAN);
+  if (curve.endsWith('exp')) return (Math.pow(2, x) - 1) / (Math.pow(2, KEY_SCALING_SPAN) - 1);
+  return x / KEY_SCALING_SPAN;
+};
+
+// Factor on an operator's level for `note`.
+export const keyLevelScale = (params, note) => {
+  const { keyBreakpoint = 60, keyLeftDepth = 0, keyRightDepth = 0, keyLeftCurve = '-lin', keyRightCurve = '-lin' } = params;
+  const distance = note - keyBreakpoint;
+  const depth = distance < 0 ? keyLeftDepth : keyRightDepth;
+  if (distance === 0 || !depth) return 1;
+  const curve = distance < 0 ? keyLeftCurve : keyRightCurve;
+  const sign = curve.startsWith('+') ? 1 : -1;
+  return Math.min(MAX_KEY_SCALE, Math.max(0, 1 + sign * depth * curveAmount(curve, Math.abs(distance) / 12)));
+};
@@ -0,0 +1,38 @@
+import { keyLevelScale, KEY_SCALING_SPAN } from './keyScaling';
+
+const scaling = (overrides = {}) => ({
+  keyBreakpoint: 60, keyLeftDepth: 0, keyRightDepth: 0, keyLeftCurve: '-lin', keyRightCurve: '-lin', ...overrides,
+});
+
+describe('keyLevelScale', () => {
+  test('leaves levels alone without depth or at the breakpoint', () => {
+    expect(keyLevelScale(scaling(), 108)).toBe(1);
+    expect(keyLevelScale(scaling({ keyRightDepth: 1 }), 60)).toBe(1);
+    expect(keyLevelScale({}, 30)).toBe(1);
+  });
+
+  test('applies each side only to its own notes', () => {
+    const params = scaling({ keyRightDepth: 1 });
+    expect(keyLevelScale(params, 72)).toBeCloseTo(1 - 1 / KEY_SCALING_SPAN);
+    expect(keyLevelScale(params, 48)).toBe(1);
+  });
+
+  test('linear curves change evenly per octave and stop at the span', () => {
+    const params = scaling({ keyLeftDepth: 0.5 });
+    expect(keyLevelScale(params, 36)).toBeCloseTo(1 - 0.5 * 2 / KEY_SCALING_SPAN);
+    expect(keyLevelScale(params, 60 - 12 * KEY_SCALING_SPAN)).toBeCloseTo(0.5);
+    expect(keyLevelScale(params, 0)).toBeCloseTo(0.5);
+  });
+
+  test('exponential curves stay gentle near the breakpoint', () => {
+    const lin = keyLevelScale(scaling({ keyRightDepth: 1 }), 72);
+    const exp = keyLevelScale(scaling({ keyRightDepth: 1, keyRightCurve: '-exp' }), 72);
+    expect(exp).toBeGreaterThan(lin);
+    expect(keyLevelScale(scaling({ keyRightDepth: 1, keyRightCurve: '-exp' }), 60 + 12 * KEY_SCALING_SPAN)).toBeCloseTo(0);
+  });
+
+  test('positive curves boost, up to double', () => {
+    expect(keyLevelScale(scaling({ keyLeftDepth: 1, keyLeftCurve: '+lin' }), 36)).toBeCloseTo(1.5);
+    expect(keyLevelScale(scaling({ keyLeftDepth: 1, keyLeftCurve: '+exp' }), 0)).toBe(2);
+  });
+});
@@ -0,0 +1,209 @@
+// Minimal AudioContext stand-in for unit tests. It records connections and automation
+// calls so voice graphs can be inspected without producing audio. Not used by the app.
+
+class MockAudioParam {
+  constructor(value = 0) {
+    this.value = value;
+    this.events = [];
+  }
+
+  record(type, value, time) {
+    this.events.push({ type, value, time });
+    if (value !== undefined) this.value = value;
+    return this;
+  }
+
+  setValueAtTime(value, time) { return this.record('set', value, time); }
+  linearRampToValueAtTime(value, time) { return this.record('linear', value, time); }
+  exponentialRampToValueAtTime(value, time) { return this.record('exponential', value, time); }
+  setTargetAtTime(value, time) { return this.record('target', value, time); }
+  cancelScheduledValues(time) { return this.record('cancel', undefined, time); }
+}
+
+class MockNode {
+  constructor(context, kind) {
+    this.context = context;
+    this.kind = kind;
+    this.connections = new Set();
+    context.nodes.push(this);
+  }
+
+  connect(destination) {
+    this.connections.add(destination);
+    return destination;
+  }
+
+  disconnect(destination) {
+    if (destination) {
+      this.connections.delete(destination);
+    } else {
+      this.connections.clear();
+    }
+  }
+}
+
+class MockOscillator extends MockNode {
+  constructor(context) {
+    super(context, 'oscillator');
+    this.type = 'sine';
+    this.frequency = new MockAudioParam(440);
+    this.detune = new MockAudioParam(0);
+    this.startTime = null;
+    this.stopTime = null;
+    this.ended = false;
+    this.onended = null;
+  }
+
+  start(time = 0) { this.startTime = time; }
+  stop(time = 0) { this.stopTime = time; }
+}
+
+class MockBufferSource extends MockNode {
+  constructor(context) {
+    super(context, 'bufferSource');
+    this.buffer = null;
+    this.loop = false;
+    this.playbackRate = new MockAudioParam(1);
+    this.startTime = null;
+    this.stopTime = null;
+    this.onended = null;
+  }
+
+  start(time = 0) { this.startTime = time; }
+  stop(time = 0) { this.stopTime = time; }
+}
+
+class MockConstantSource extends MockNode {
+  constructor(context) {
+    super(context, 'constant');
+    this.offset = new MockAudioParam(1);
+    this.startTime = null;
+    this.stopTime = null;
+  }
+
+  start(time = 0) { this.startTime = time; }
+  stop(time = 0) { this.stopTime = time; }
+}
+
+// AudioWorkletNode stand-in, for tests to install as the global: records the messages
+// posted to its port (tests can hand them on to a DSP core).
+export class MockAudioWorkletNode extends MockNode {
+  constructor(context, name, options = {}) {
+    super(context, 'worklet');
+    this.name = name;
+    this.options = options;
+    this.port = {
+      messages: [],
+      onmessage: null,
+      postMessage(message) { this.messages.push(message); },
+    };
+  }
+}
+
+export default class MockAudioContext {
+  constructor() {
+    this.nodes = [];
+    this.currentTime = 0;
+    this.state = 'running';
+    this.sampleRate = 44100;
+    this.destination = new MockNode(this, 'destination');
+    this.audioWorklet = {
+      modules: [],
+      addModule(url) {
+        this.modules.push(url);
+        return Promise.resolve();
+      },
+    };
+  }
+
+  createOscillator() { return new MockOscillator(this); }
+
+  createGain() {
+    const node = new MockNode(this, 'gain');
+    node.gain = new MockAudioParam(1);
+    return node;
+  }
+
+  createBufferSource() { return new MockBufferSource(this); }
+
+  createConstantSource() { return new MockConstantSource(this); }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    const data = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    return { numberOfChannels, length, sampleRate, getChannelData: (channel) => data[channel] };
+  }
+
+  createDelay() {
+    const node = new MockNode(this, 'delay');
+    node.delayTime = new MockAudioParam(0);
+    return node;
+  }
+
+  createStereoPanner() {
+    const node = new MockNode(this, 'panner');
+    node.pan = new MockAudioParam(0);
+    return node;
+  }
+
+  createAnalyser() {
+    const node = new MockNode(this, 'analyser');
+    node.fftSize = 2048;
+    node.smoothingTimeConstant = 0.8;
+    return node;
+  }
+
+  createConvolver() {
+    const node = new MockNode(this, 'convolver');
+    node.buffer = null;
+    return node;
+  }
+
+  createDynamicsCompressor() {
+    const node = new MockNode(this, 'compressor');
+    ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(param => { node[param] = new MockAudioParam(0); });
+    return node;
+  }
+
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+
+  // Moves the clock forward and fires `onended` for oscillators whose stop time has passed.
+  advance(seconds) {
+    this.currentTime += seconds;
+    this.nodes
+      .filter(node => node.kind === 'oscillator' && node.stopTime !== null && !node.ended && node.stopTime <= this.currentTime)
+      .forEach(osc => {
+        osc.ended = true;
+        if (osc.onended) osc.onended();
+      });
+  }
+}
+
+// OfflineAudioContext stand-in: starts suspended (like the real one, it must not be
+// resumed before rendering) and "renders" silence of the requested length.
+export class MockOfflineAudioContext extends MockAudioContext {
+  constructor(numberOfChannels, length, sampleRate) {
+    super();
+    this.state = 'suspended';
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+  }
+
+  resume() {
+    throw new Error('Cannot resume an offline context that has not started rendering');
+  }
+
+  startRendering() {
+    this.state = 'closed';
+    const data = Array.from({ length: this.numberOfChannels }, () => new Float32Array(this.length));
+    return Promise.resolve({
+      numberOfChannels: this.numberOfChannels,
+      length: this.length,
+      sampleRate: this.sampleRate,
+      getChannelData: (channel) => data[channel],
+    });
+  }
+}
@@ -0,0 +1,47 @@
+// --- Offline Rendering ---
+// Plays a patch through the same FMSynth voice graph on an OfflineAudioContext and
+// returns the result as WAV data. Phrases are lists of
+// { time, type: 'noteOn' | 'noteOff', note, velocity } with times in seconds from the start.
+
+import FMSynth from './FMSynth';
+import { loadFmWorklet } from './WorkletEngine';
+import { encodeWav } from '../utils/wav';
+
+export const RENDER_SAMPLE_RATE = 44100;
+const RENDER_CHANNELS = 2;
+// Offline rendering isn't real-time, so allow more voices than live playing.
+const RENDER_MAX_VOICES = 32;
+
+const createOfflineContext = (channels, length, sampleRate) =>
+  new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(channels, length, sampleRate);
+
+// A single held note as a phrase.
+export const noteEvents = (note, velocity, duration) => [
+  { time: 0, type: 'noteOn', note, velocity },
+  { time: duration, type: 'noteOff', note },
+];
+
+// Seconds of audio needed: up to the last event, plus the release tail.
+export const renderDuration = (events, tail) => Math.max(0, ...events.map(e => e.time)) + tail;
+
+// Resolves to the rendered AudioBuffer. `engine` picks the synth engine (see FMSynth).
+export const playOffline = async (patch, events, { tail = 1, sampleRate = RENDER_SAMPLE_RATE, engine = 'nodes', createContext = createOfflineContext } = {}) => {
+  const length = Math.max(1, Math.ceil(renderDuration(events, tail) * sampleRate));
+  const context = createContext(RENDER_CHANNELS, length, sampleRate);
+  if (engine === 'worklet') await loadFmWorklet(context);
+  const synth = new FMSynth(context, { offline: true, engine, maxVoices: RENDER_MAX_VOICES, stealMode: 'oldest' });
+  synth.setPatch(patch);
+
+  [...events].sort((a, b) => a.time - b.time).forEach(({ time, type, note, velocity }) => {
+    if (type === 'noteOn') synth.noteOn(note, velocity, time);
+    else if (type === 'noteOff') synth.noteOff(note, time);
+  });
+  return context.startRendering();
+};
+
+// Resolves to an ArrayBuffer holding a 16- or 24-bit PCM WAV file.
+export const phraseToWav = async (patch, events, { bitDepth = 16, ...options } = {}) => {
+  const buffer = await playOffline(patch, events, options);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch));
+  return encodeWav(channels, buffer.sampleRate, bitDepth);
+};
@@ -0,0 +1,81 @@
+import { MockOfflineAudioContext } from './mockAudioContext';
+import { noteEvents, renderDuration, playOffline, phraseToWav } from './offlineRender';
+
+const operator = (overrides = {}) => ({
+  on: true, ratio: 1, detune: 0, level: 0.8, velocitySens: 0,
+  attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.5, waveform: 'sine', ...overrides,
+});
+
+const patch = {
+  algorithm: 1,
+  feedback: 0,
+  operators: [operator(), operator(), operator(), operator()],
+};
+
+// Keeps hold of the context playOffline creates so the scheduled graph can be inspected.
+const capture = () => {
+  const created = [];
+  const createContext = (channels, length, sampleRate) => {
+    const context = new MockOfflineAudioContext(channels, length, sampleRate);
+    created.push(context);
+    return context;
+  };
+  return { created, createContext };
+};
+
+const envelopeEvents = (context) =>
+  context.nodes.filter(n => n.kind === 'gain' && n.gain.events.some(e => e.type === 'linear')).map(n => n.gain.events);
+
+describe('offline rendering', () => {
+  test('noteEvents describes a single held note', () => {
+    expect(noteEvents(60, 0.8, 2)).toEqual([
+      { time: 0, type: 'noteOn', note: 60, velocity: 0.8 },
+      { time: 2, type: 'noteOff', note: 60 },
+    ]);
+  });
+
+  test('render length covers the last event plus the tail', () => {
+    expect(renderDuration(noteEvents(60, 1, 2), 1.5)).toBe(3.5);
+    expect(renderDuration([], 1)).toBe(1);
+  });
+
+  test('creates a stereo offline context of the right length', async () => {
+    const { created, createContext } = capture();
+    const buffer = await playOffline(patch, noteEvents(60, 1, 1), { tail: 0.5, sampleRate: 1000, createContext });
+    expect(created[0].numberOfChannels).toBe(2);
+    expect(created[0].length).toBe(1500);
+    expect(buffer.length).toBe(1500);
+  });
+
+  test('schedules notes on the offline clock without resuming it', async () => {
+    const { created, createContext } = capture();
+    const events = [
+      { time: 0, type: 'noteOn', note: 60, velocity: 1 },
+      { time: 0.5, type: 'noteOn', note: 64, velocity: 1 },
+      { time: 1, type: 'noteOff', note: 60 },
+      { time: 1.5, type: 'noteOff', note: 64 },
+    ];
+    await playOffline(patch, events, { sampleRate: 1000, createContext });
+    const envelopes = envelopeEvents(created[0]);
+    expect(envelopes).toHaveLength(8);
+
+    const starts = envelopes.map(events => events.find(e => e.type === 'set').time);
+    expect(starts.filter(t => t === 0)).toHaveLength(4);
+    expect(starts.filter(t => t === 0.5)).toHaveLength(4);
+
+    // Releases start from the envelope level at the note-off time (sustain, after attack + decay).
+    const releases = envelopes.map(events => events.filter(e => e.type === 'set').pop());
+    expect(releases.filter(e => e.time === 1)).toHaveLength(4);
+    releases.forEach(e => expect(e.value).toBeCloseTo(0.8));
+  });
+
+  test('encodes the rendered buffer as WAV', async () => {
+    const { createContext } = capture();
+    const wav = await phraseToWav(patch, noteEvents(60, 1, 0.1), { tail: 0.1, sampleRate: 1000, bitDepth: 24, createContext });
+    const view = new DataView(wav);
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(1000);
+    expect(view.getUint16(34, true)).toBe(24);
+    expect(view.getUint32(40, true)).toBe(200 * 2 * 3);
+  });
+});
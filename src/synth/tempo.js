@@ -0,0 +1,18 @@
+// --- Tempo ---
+// Note divisions shared by the synced delay, the arpeggiator and the step sequencer.
+// Lengths are in beats (quarter notes); `d` = dotted, `t` = triplet.
+
+export const NOTE_DIVISIONS = {
+  '1/2': 2,
+  '1/4': 1,
+  '1/4d': 1.5,
+  '1/4t': 2 / 3,
+  '1/8': 0.5,
+  '1/8d': 0.75,
+  '1/8t': 1 / 3,
+  '1/16': 0.25,
+  '1/16t': 1 / 6,
+  '1/32': 0.125,
+};
+
+export const divisionSeconds = (division, tempo) => (60 / tempo) * NOTE_DIVISIONS[division];
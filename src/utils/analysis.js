@@ -0,0 +1,37 @@
+// --- Scope / Spectrum Helpers ---
+// Pure functions behind the analyser display, kept apart from the canvas drawing.
+
+// Index of a rising zero crossing to start the scope trace from, so a steady tone is
+// drawn at the same phase every frame. The signal must first dip below a fraction of
+// its peak (hysteresis), which keeps FM waveforms with extra crossings from jittering.
+// Only crossings that leave `length` samples to draw are considered; 0 if none.
+export const findTrigger = (samples, length, hysteresis = 0.1) => {
+  const last = samples.length - length;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  if (peak === 0) return 0;
+
+  const threshold = -peak * hysteresis;
+  let armed = false;
+  for (let i = 0; i <= last; i++) {
+    if (samples[i] < threshold) armed = true;
+    else if (armed && samples[i] >= 0) return i;
+  }
+  return 0;
+};
+
+// Log frequency axis: minFreq maps to 0 and maxFreq to width.
+export const frequencyToX = (freq, width, minFreq, maxFreq) =>
+  (Math.log(freq / minFreq) / Math.log(maxFreq / minFreq)) * width;
+
+export const binFrequency = (bin, sampleRate, fftSize) => bin * sampleRate / fftSize;
+
+// dB scale: maxDb at the top (0), minDb and below at the bottom (height).
+export const dbToY = (db, height, minDb, maxDb) => {
+  const clamped = Math.max(minDb, Math.min(maxDb, db));
+  return (1 - (clamped - minDb) / (maxDb - minDb)) * height;
+};
+
+// Frequencies of the first `count` harmonics of a fundamental, up to maxFreq.
+export const harmonics = (fundamental, maxFreq, count = 16) =>
+  Array.from({ length: count }, (_, i) => fundamental * (i + 1)).filter(f => f <= maxFreq);
@@ -0,0 +1,56 @@
+import { findTrigger, frequencyToX, binFrequency, dbToY, harmonics } from './analysis';
+
+const sine = (length, period, phase = 0) =>
+  Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * (i / period) + phase));
+
+describe('findTrigger', () => {
+  test('starts at a rising zero crossing', () => {
+    const samples = sine(256, 32, Math.PI / 2);
+    const index = findTrigger(samples, 64);
+    expect(samples[index - 1]).toBeLessThan(0);
+    expect(samples[index]).toBeGreaterThanOrEqual(0);
+  });
+
+  test('lands on the same phase whatever the buffer offset', () => {
+    const indices = [0, 1, 2, 3].map(k => findTrigger(sine(256, 32, k), 64));
+    const phases = indices.map((index, k) => ((index / 32) * 2 * Math.PI + k) % (2 * Math.PI));
+    phases.forEach(phase => expect(Math.abs(Math.sin(phase))).toBeLessThan(0.2));
+  });
+
+  test('ignores small wiggles that do not pass the hysteresis threshold', () => {
+    // A slow sine with a tiny ripple around zero at the start.
+    const samples = Float32Array.from({ length: 200 }, (_, i) => (i < 20 ? 0.01 * Math.sin(i) : Math.sin(2 * Math.PI * (i - 20) / 100)));
+    const index = findTrigger(samples, 50);
+    expect(index).toBeGreaterThan(20);
+  });
+
+  test('returns 0 for silence or when no crossing leaves room to draw', () => {
+    expect(findTrigger(new Float32Array(128), 64)).toBe(0);
+    expect(findTrigger(sine(100, 64, Math.PI / 2), 90)).toBe(0);
+  });
+});
+
+describe('spectrum scales', () => {
+  test('maps frequency logarithmically', () => {
+    expect(frequencyToX(20, 300, 20, 20000)).toBe(0);
+    expect(frequencyToX(20000, 300, 20, 20000)).toBeCloseTo(300);
+    expect(frequencyToX(632.456, 300, 20, 20000)).toBeCloseTo(150, 1);
+  });
+
+  test('computes bin centre frequencies', () => {
+    expect(binFrequency(0, 44100, 2048)).toBe(0);
+    expect(binFrequency(1024, 44100, 2048)).toBe(22050);
+  });
+
+  test('maps decibels to canvas rows and clamps out-of-range values', () => {
+    expect(dbToY(0, 100, -100, 0)).toBe(0);
+    expect(dbToY(-50, 100, -100, 0)).toBe(50);
+    expect(dbToY(-Infinity, 100, -100, 0)).toBe(100);
+    expect(dbToY(6, 100, -100, 0)).toBe(0);
+  });
+
+  test('lists harmonics below the limit', () => {
+    expect(harmonics(440, 2000)).toEqual([440, 880, 1320, 1760]);
+    expect(harmonics(100, 100000, 4)).toEqual([100, 200, 300, 400]);
+  });
+});
@@ -0,0 +1,18 @@
+// Triggers a browser download of a JSON document.
+export const downloadJson = (data, filename) => {
+  const jsonString = `data:text/json;charset=utf-8,${encodeURIComponent(JSON.stringify(data, null, 2))}`;
+  const link = document.createElement('a');
+  link.href = jsonString;
+  link.download = filename;
+  link.click();
+};
+
+// Triggers a browser download of binary or text data.
+export const downloadBlob = (data, filename, mimeType = 'application/octet-stream') => {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,9 @@
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Helper function to convert MIDI note number to note name
+export const midiToNoteName = (midi) => {
+  if (midi < 0 || midi > 127) return '';
+  const octave = Math.floor(midi / 12) - 1;
+  const noteIndex = midi % 12;
+  return `${NOTE_NAMES[noteIndex]}${octave}`;
+};
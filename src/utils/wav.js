@@ -0,0 +1,61 @@
+// --- WAV (RIFF PCM) Encoder ---
+// Writes interleaved little-endian integer PCM. Samples are floats in -1..1 and are
+// clipped to that range; 16-bit and 24-bit depths are supported.
+
+export const WAV_BIT_DEPTHS = [16, 24];
+const HEADER_SIZE = 44;
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+};
+
+// Float sample to a signed integer of the given depth (asymmetric range, like most DAWs).
+export const quantize = (sample, bitDepth) => {
+  const clipped = Math.max(-1, Math.min(1, sample));
+  const max = 2 ** (bitDepth - 1);
+  return Math.round(clipped < 0 ? clipped * max : clipped * (max - 1));
+};
+
+// channels: array of equally long Float32Arrays (one per channel). Returns an ArrayBuffer.
+export const encodeWav = (channels, sampleRate, bitDepth = 16) => {
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  if (channels.length === 0) throw new Error('At least one channel is required');
+
+  const numChannels = channels.length;
+  const frames = channels[0].length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = frames * blockAlign;
+  const buffer = new ArrayBuffer(HEADER_SIZE + dataSize);
+  const view = new DataView(buffer);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = HEADER_SIZE;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      const value = quantize(channels[ch][frame], bitDepth);
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return buffer;
+};
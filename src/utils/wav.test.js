@@ -0,0 +1,69 @@
+import { encodeWav, quantize } from './wav';
+
+const text = (view, offset, length) =>
+  String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+const int24 = (view, offset) => {
+  const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+  return value & 0x800000 ? value - 0x1000000 : value;
+};
+
+describe('encodeWav', () => {
+  test('writes a RIFF/WAVE PCM header', () => {
+    const view = new DataView(encodeWav([new Float32Array(10)], 44100, 16));
+    expect(text(view, 0, 4)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(36 + 20);
+    expect(text(view, 8, 4)).toBe('WAVE');
+    expect(text(view, 12, 4)).toBe('fmt ');
+    expect(view.getUint32(16, true)).toBe(16);
+    expect(view.getUint16(20, true)).toBe(1);
+    expect(view.getUint16(22, true)).toBe(1);
+    expect(view.getUint32(24, true)).toBe(44100);
+    expect(view.getUint32(28, true)).toBe(88200);
+    expect(view.getUint16(32, true)).toBe(2);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(text(view, 36, 4)).toBe('data');
+    expect(view.getUint32(40, true)).toBe(20);
+    expect(view.byteLength).toBe(64);
+  });
+
+  test('describes 24-bit stereo data', () => {
+    const view = new DataView(encodeWav([new Float32Array(4), new Float32Array(4)], 48000, 24));
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(28, true)).toBe(48000 * 6);
+    expect(view.getUint16(32, true)).toBe(6);
+    expect(view.getUint16(34, true)).toBe(24);
+    expect(view.getUint32(40, true)).toBe(24);
+  });
+
+  test('encodes 16-bit samples and clips out-of-range values', () => {
+    const view = new DataView(encodeWav([Float32Array.from([0, 1, -1, 0.5, 2, -3])], 44100, 16));
+    const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+    expect(samples).toEqual([0, 32767, -32768, 16384, 32767, -32768]);
+  });
+
+  test('encodes 24-bit samples little-endian', () => {
+    const view = new DataView(encodeWav([Float32Array.from([1, -1, -0.5])], 44100, 24));
+    expect([int24(view, 44), int24(view, 47), int24(view, 50)]).toEqual([8388607, -8388608, -4194304]);
+    expect([view.getUint8(44), view.getUint8(45), view.getUint8(46)]).toEqual([0xff, 0xff, 0x7f]);
+  });
+
+  test('interleaves channels frame by frame', () => {
+    const left = Float32Array.from([1, 0]);
+    const right = Float32Array.from([-1, 0.5]);
+    const view = new DataView(encodeWav([left, right], 44100, 16));
+    const samples = Array.from({ length: 4 }, (_, i) => view.getInt16(44 + i * 2, true));
+    expect(samples).toEqual([32767, -32768, 0, 16384]);
+  });
+
+  test('rejects unsupported bit depths', () => {
+    expect(() => encodeWav([new Float32Array(1)], 44100, 8)).toThrow('bit depth');
+  });
+});
+
+describe('quantize', () => {
+  test('maps silence to zero at every depth', () => {
+    expect(quantize(0, 16)).toBe(0);
+    expect(quantize(0, 24)).toBe(0);
+  });
+});